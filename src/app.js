@@ -1,15 +1,125 @@
-import { login, logout, getProfile, changePassword, getAccountStatus, validateSession, testADConnection as apiTestADConnection } from './services/api.js';
+import {
+    login,
+    verifyMfa,
+    resendMfaCode,
+    startRecovery,
+    sendRecoveryCode,
+    verifyRecovery,
+    completePasswordReset,
+    completeUnlock,
+    logout,
+    getProfile,
+    getProfileFields,
+    updateProfile,
+    getProfilePhoto,
+    uploadProfilePhoto,
+    removeProfilePhoto,
+    getMyGroups,
+    getSecuritySettings,
+    saveSecurityQuestions,
+    startRecoveryContactChange,
+    verifyRecoveryContact,
+    removeRecoveryContact,
+    searchDirectory,
+    getOrgChart,
+    getDirectReports,
+    getCurrentUser,
+    searchHelpdeskUsers,
+    getLockoutDetails,
+    unlockAccount,
+    resetUserPassword,
+    changePassword,
+    getAccountStatus,
+    getActivity,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    validateSession,
+    refreshSession,
+    testADConnection as apiTestADConnection,
+    ApiError,
+    AuthError,
+    ValidationError,
+    NetworkError,
+    ServerError,
+    RateLimitError,
+    RequestCancelledError,
+    api
+} from './services/api.js';
 import { 
-    setSession, 
-    getSession, 
-    clearSession, 
     startSessionTimer, 
     autoRefreshSession, 
     togglePasswordVisibility 
 } from './utils/auth.js';
+import { sessionStore, AUTH_STATUS } from './utils/sessionStore.js';
+import { tabSync } from './utils/tabSync.js';
+import { idleMonitor } from './utils/idleMonitor.js';
+import { router } from './utils/router.js';
+import { passwordPolicy, PasswordPolicy } from './utils/passwordPolicy.js';
+import {
+    getPasswordExpiry,
+    describePasswordExpiry,
+    getPasswordExpiryMessage,
+    EXPIRY_ALERT_LEVELS
+} from './utils/passwordExpiry.js';
+import { config, ConfigError } from './utils/config.js';
+import { html, render } from './utils/html.js';
+import { applyFieldMetadata, validateProfileField, diffProfile } from './utils/profileFields.js';
+import { getInitials, photoDataUrl, prepareProfilePhoto, PhotoError } from './utils/photo.js';
+import {
+    buildGroupTree,
+    filterGroupTree,
+    summarizeGroups,
+    groupsToCsv,
+    groupTypeLabel,
+    groupScopeLabel
+} from './utils/groups.js';
+import { debounce } from './utils/debounce.js';
+import {
+    DIRECTORY_FILTERS,
+    DIRECTORY_PAGE_SIZE,
+    DIRECTORY_SEARCH_DELAY_MS,
+    pageCount,
+    pageWindow,
+    personSubtitle
+} from './utils/directory.js';
+import { OrgChartModel, PanZoom, ORG_CHART_LIMITS } from './utils/orgChart.js';
+import { HELPDESK_SEARCH_DELAY_MS, validateReason, lockoutRows } from './utils/helpdesk.js';
+import { permissions, can, PERMISSIONS } from './utils/permissions.js';
+import {
+    ACTIVITY_PAGE_SIZE,
+    ACTIVITY_TYPES,
+    SUSPICIOUS_REASONS,
+    activityType,
+    flagSuspicious,
+    groupByDay,
+    toActivityRange
+} from './utils/activity.js';
+import { describeClient } from './utils/userAgent.js';
+import {
+    mfaMethod,
+    mfaPrompt,
+    normalizeCode,
+    validateCode,
+    challengeExpiry,
+    secondsUntil,
+    formatCountdown
+} from './utils/mfa.js';
+import {
+    RECOVERY_METHODS,
+    RECOVERY_DEFAULT_PAUSE_SECONDS,
+    formatRetryAfter,
+    collectAnswers
+} from './utils/recovery.js';
+import {
+    SECURITY_QUESTIONS_REQUIRED,
+    RECOVERY_CONTACTS,
+    enrollmentStatus,
+    describeMissing,
+    validateSecurityAnswers
+} from './utils/security.js';
 
 // Constants
-const SESSION_WARNING_MINUTES = 5;
 const TOAST_TYPES = {
     SUCCESS: { icon: 'fa-check-circle', class: 'bg-success text-white' },
     ERROR: { icon: 'fa-exclamation-circle', class: 'bg-danger text-white' },
@@ -17,33 +127,163 @@ const TOAST_TYPES = {
     INFO: { icon: 'fa-info-circle', class: 'bg-info text-white' }
 };
 
+// AD password change failures mapped to the form field they belong to
+const PASSWORD_CHANGE_ERRORS = {
+    INVALID_CURRENT_PASSWORD: { field: 'current', message: 'Current password is incorrect' },
+    PASSWORD_POLICY_VIOLATION: { field: 'new', message: 'New password does not meet the domain password policy' },
+    PASSWORD_HISTORY: { field: 'new', message: 'This password was used recently. Choose one you have not used before' },
+    PASSWORD_MIN_AGE: { field: 'new', message: 'Your password was changed too recently. Please try again later' }
+};
+
+// Fallback when the server only sends a message (history/age before policy:
+// AD reports all three as a constraint violation)
+const PASSWORD_CHANGE_ERROR_PATTERNS = [
+    { code: 'INVALID_CURRENT_PASSWORD', pattern: /current password|network password is not correct|0x80070056/i },
+    { code: 'PASSWORD_HISTORY', pattern: /history|previously used|used recently/i },
+    { code: 'PASSWORD_MIN_AGE', pattern: /minimum (password )?age|too recently|too soon/i },
+    { code: 'PASSWORD_POLICY_VIOLATION', pattern: /policy|complexity|0x800708c5|0x8007052d/i }
+];
+
+// New password inputs with their strength meter and rule checklist
+const PASSWORD_INPUTS = [
+    { inputId: 'newPassword', strengthId: 'passwordStrength', rulesId: 'passwordRules' },
+    { inputId: 'newPasswordChange', strengthId: 'passwordStrengthChange', rulesId: 'passwordRulesChange' },
+    { inputId: 'recoveryNewPassword', strengthId: 'passwordStrengthRecovery', rulesId: 'passwordRulesRecovery' }
+];
+
+// Route table: path -> page element, content loader and the permission it requires
+const ROUTES = {
+    '/login': { page: 'login', pageId: 'loginPage', requiresAuth: false },
+    '/forgot-password': { page: 'recovery', pageId: 'recoveryPage', onEnter: 'loadRecoveryPage', requiresAuth: false },
+    '/dashboard': { page: 'dashboard', pageId: 'dashboardPage', onEnter: 'loadDashboardContent' },
+    '/profile': { page: 'profile', pageId: 'profilePage', onEnter: 'loadProfile' },
+    '/groups': { page: 'groups', pageId: 'groupsPage', onEnter: 'loadGroups' },
+    '/directory': { page: 'directory', pageId: 'directoryPage', onEnter: 'loadDirectoryPage' },
+    '/org-chart': { page: 'org-chart', pageId: 'orgChartPage', onEnter: 'loadOrgChart' },
+    '/change-password': { page: 'change-password', pageId: 'changePasswordPage', onEnter: 'loadChangePasswordPage' },
+    '/account-status': { page: 'account-status', pageId: 'accountStatusPage', onEnter: 'loadAccountStatus' },
+    '/activity': { page: 'activity', pageId: 'activityPage', onEnter: 'loadActivity' },
+    '/sessions': { page: 'sessions', pageId: 'sessionsPage', onEnter: 'loadSessions' },
+    '/security': { page: 'security', pageId: 'securityPage', onEnter: 'loadSecuritySettings' },
+    '/helpdesk': { page: 'helpdesk', pageId: 'helpdeskPage', onEnter: 'loadHelpdeskPage', requires: PERMISSIONS.HELPDESK },
+    '/not-authorized': { page: 'not-authorized', pageId: 'notAuthorizedPage', onEnter: 'loadNotAuthorizedPage' }
+};
+const DEFAULT_ROUTE = '/dashboard';
+const NOT_AUTHORIZED_ROUTE = '/not-authorized';
+const LOGIN_ROUTE = '/login';
+const CHANGE_PASSWORD_ROUTE = '/change-password';
+
 // Global toast instance
 let toastInstance = null;
+// Idle logout warning modal
+let idleModalInstance = null;
+// Directory person card
+let personModalInstance = null;
+// Helpdesk action confirmation (reason required)
+let helpdeskConfirmModalInstance = null;
+// Yes/no confirmation before a destructive action (see confirmAction)
+let confirmModalInstance = null;
 
 class App {
     constructor() {
         this.currentPage = 'login';
-        this.isAuthenticated = false;
+        this.idleWarningVisible = false;
         this.sessionTimer = null;
         this.autoRefreshTimer = null;
-        this.init();
+        this.router = router;
+        this.passwordExpiry = null;
+        this.routeController = null;
+        this.profile = null;
+        this.profileFields = [];
+        this.profileEditing = false;
+        this.profileChanges = [];
+        this.profilePhoto = null;
+        this.pendingPhoto = null;
+        this.groups = [];
+        this.directoryResults = [];
+        this.directorySearchCount = 0;
+        this.directorySearchDebounced = debounce(() => this.runDirectorySearch(1), DIRECTORY_SEARCH_DELAY_MS);
+        this.orgChart = null;
+        this.orgFocus = null;
+        this.orgPanZoom = new PanZoom();
+        this.helpdeskResults = [];
+        this.helpdeskAccount = null;
+        this.helpdeskSearchCount = 0;
+        this.helpdeskSearchDebounced = debounce(() => this.runHelpdeskSearch(), HELPDESK_SEARCH_DELAY_MS);
+        this.helpdeskConfirm = null;
+        this.activity = { events: [], page: 0, total: 0, hasMore: false };
+        this.activityRequestCount = 0;
+        this.activityLoading = false;
+        this.activityObserver = null;
+        this.sessions = [];
+        // Second sign-in step in progress: the challenge from /Auth/login, plus expiresAtMs
+        this.mfaChallenge = null;
+        this.mfaTimer = null;
+        // Account recovery in progress (see resetRecovery) and the hold after a 429
+        this.recovery = null;
+        this.recoveryPauseTimer = null;
+        // Settles the open confirmation dialog (true when confirmed)
+        this.pendingConfirm = null;
+        // Recovery methods from /User/security, the contact changes awaiting their
+        // code (by channel), and whether to nudge about missing ones (set at login)
+        this.securitySettings = null;
+        this.securityQuestionsEditing = false;
+        this.contactEditing = new Set();
+        this.contactVerifications = {};
+        this.securityNudge = false;
+        // Settles once startup (config, session restore, listeners) is done
+        this.ready = this.init();
+    }
+
+    // Auth state comes from the session store
+    get isAuthenticated() {
+        return sessionStore.isAuthenticated();
     }
 
     async init() {
+        // Load deployment settings before anything talks to the backend
+        try {
+            await config.load();
+        } catch (error) {
+            console.error('Configuration error:', error);
+            this.showConfigurationError(error);
+            return;
+        }
+
+        // Offline demo: answer API calls from the mock directory
+        if (this.isMockBackendEnabled()) {
+            await this.enableMockBackend();
+        }
+
         // Initialize Bootstrap toast
         this.initializeToast();
+
+        // Register routes before the first navigation
+        this.setupRouter();
+
+        // Session could not be recovered after a 401 (see ApiService.request)
+        api.on('sessionEnded', () => this.handleSessionEnded());
+
+        // Keep the navbar in step with the session store, including changes from other tabs
+        sessionStore.subscribe((state, previous, meta) => {
+            if (state.user !== previous.user) this.updateUserDisplay(state.user);
+            if (meta?.remote) this.handleRemoteSessionChange(state, previous);
+        });
+
+        // Only the leader tab auto-refreshes the session
+        tabSync.onLeadershipChange((isLeader) => {
+            if (isLeader && this.isAuthenticated) {
+                this.startAutoRefresh();
+            } else {
+                this.stopAutoRefresh();
+            }
+        });
         
         // Check existing session
-        const session = getSession();
+        const { sessionId } = sessionStore.getState();
         
-        if (session) {
-            try {
-                const sessionInfo = await validateSession();
-                this.initializeAuthenticated(sessionInfo);
-            } catch (error) {
-                console.error('Session validation failed:', error);
-                this.initializeUnauthenticated();
-            }
+        if (sessionId) {
+            await this.restoreSession();
         } else {
             this.initializeUnauthenticated();
         }
@@ -52,16 +292,137 @@ class App {
         this.setupGlobalListeners();
     }
 
+    // Validate a stored session (from this tab's storage or another tab's login)
+    async restoreSession() {
+        try {
+            const sessionInfo = await validateSession();
+            await this.initializeAuthenticated(sessionInfo);
+        } catch (error) {
+            console.error('Session validation failed:', error);
+            this.initializeUnauthenticated();
+        }
+    }
+
+    // Another tab logged in, logged out, or let the session expire.
+    // Expiry extensions need no handling: the countdown reads the store.
+    handleRemoteSessionChange(state, previous) {
+        if (previous.sessionId && !state.sessionId && previous.status === AUTH_STATUS.AUTHENTICATED) {
+            this.stopSessionManagement();
+            this.initializeUnauthenticated();
+            this.showToast('Signed Out', 'Your session was ended in another tab', 'INFO');
+        } else if (state.sessionId && state.status === AUTH_STATUS.UNKNOWN) {
+            this.restoreSession();
+        }
+    }
+
+    setupRouter() {
+        Object.entries(ROUTES).forEach(([path, route]) => this.router.register(path, route));
+        this.router
+            .redirect('/', DEFAULT_ROUTE)
+            .setNotFound({ page: 'not-found', pageId: 'notFoundPage' })
+            .setGuard((route, location) => this.routeGuard(route, location))
+            .setRouteChangeHandler((route, location) => this.renderRoute(route, location));
+    }
+
+    // Send logged-out users to login (remembering where they were going)
+    // and keep logged-in users away from the login and recovery pages
+    routeGuard(route, location) {
+        if (route.requiresAuth && !this.isAuthenticated) {
+            return this.router.buildPath(LOGIN_ROUTE, { redirect: location.fullPath });
+        }
+        // Expired / must-change passwords: keep the user on the change password page
+        if (this.isAuthenticated && this.passwordExpiry?.mustChange && route.requiresAuth && route.page !== 'change-password') {
+            return CHANGE_PASSWORD_ROUTE;
+        }
+        // Pages that need a permission (the backend enforces it as well)
+        if (route.requires && this.isAuthenticated && !can(route.requires)) {
+            return this.router.buildPath(NOT_AUTHORIZED_ROUTE, { from: location.path });
+        }
+        if ((route.page === 'login' || route.page === 'recovery') && this.isAuthenticated) {
+            return this.getRedirectTarget(location);
+        }
+        return null;
+    }
+
+    // Resolve the page to return to after login
+    getRedirectTarget(location = this.router.getLocation()) {
+        if (this.passwordExpiry?.mustChange) {
+            return CHANGE_PASSWORD_ROUTE;
+        }
+        const redirect = location.query.redirect;
+        if (redirect && redirect.startsWith('/') && this.router.hasRoute(redirect) && !redirect.startsWith(LOGIN_ROUTE)) {
+            return redirect;
+        }
+        return DEFAULT_ROUTE;
+    }
+
+    renderRoute(route, location) {
+        // Cancel requests still loading for the page being left
+        if (this.routeController) this.routeController.abort();
+        this.routeController = new AbortController();
+
+        this.currentPage = route.page;
+        this.hideAllPages();
+
+        const pageElement = document.getElementById(route.pageId);
+        if (pageElement) {
+            pageElement.classList.remove('d-none');
+        }
+
+        this.updateActiveNav(location.path);
+
+        // Load page-specific content
+        if (route.onEnter && typeof this[route.onEnter] === 'function') {
+            this[route.onEnter]();
+        }
+    }
+
+    updateActiveNav(path) {
+        document.querySelectorAll('[data-route]').forEach(link => {
+            const isActive = link.getAttribute('data-route') === path;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
     initializeToast() {
         const toastElement = document.getElementById('toast');
         if (toastElement) {
-            toastInstance = new bootstrap.Toast(toastElement);
+            toastInstance = new bootstrap.Toast(toastElement, { delay: config.get('ui.toastDurationMs') });
+        }
+
+        const idleModalElement = document.getElementById('idleModal');
+        if (idleModalElement) {
+            idleModalInstance = new bootstrap.Modal(idleModalElement, { backdrop: 'static', keyboard: false });
+        }
+
+        const personModalElement = document.getElementById('personModal');
+        if (personModalElement) {
+            personModalInstance = new bootstrap.Modal(personModalElement);
+        }
+
+        const helpdeskConfirmElement = document.getElementById('helpdeskConfirmModal');
+        if (helpdeskConfirmElement) {
+            helpdeskConfirmModalInstance = new bootstrap.Modal(helpdeskConfirmElement);
+        }
+
+        const confirmElement = document.getElementById('confirmModal');
+        if (confirmElement) {
+            confirmModalInstance = new bootstrap.Modal(confirmElement);
         }
     }
 
     async initializeAuthenticated(sessionInfo) {
-        this.isAuthenticated = true;
+        // Also when another tab signed in while this one was at the MFA step
+        this.endMfaStep();
+        sessionStore.setStatus(AUTH_STATUS.AUTHENTICATED);
         this.setupAuthenticatedUI();
+        // Initials show until (or unless) the photo arrives
+        this.loadProfilePhoto();
         
         try {
             let effectiveSessionInfo = sessionInfo;
@@ -76,54 +437,144 @@ class App {
 
             const [profile, status] = await Promise.all([
                 getProfile(),
-                getAccountStatus()
+                getAccountStatus(),
+                passwordPolicy.load(),
+                this.loadUserClaims()
             ]);
 
+            this.updatePasswordExpiry(profile?.data);
             this.renderDashboard(profile, status, effectiveSessionInfo);
-            this.setupDashboardListeners();
+            this.applyPasswordPolicy();
             this.startSessionManagement(effectiveSessionInfo);
+
+            // Continue to the requested page (or the dashboard after login)
+            this.router.start();
             
             this.showToast('Welcome', 'Successfully authenticated', 'SUCCESS');
         } catch (error) {
             console.error('Dashboard initialization error:', error);
+            // An ended session is already handled by handleSessionEnded
+            if (error instanceof AuthError && !this.isAuthenticated) return;
             this.initializeUnauthenticated();
             this.showToast('Error', 'Failed to load dashboard', 'ERROR');
         }
     }
 
     initializeUnauthenticated() {
-        this.isAuthenticated = false;
+        if (sessionStore.getState().status !== AUTH_STATUS.UNAUTHENTICATED) {
+            sessionStore.setStatus(AUTH_STATUS.UNAUTHENTICATED);
+        }
+        this.passwordExpiry = null;
+        this.profilePhoto = null;
+        this.pendingPhoto = null;
+        this.groups = [];
+        this.resetDirectory();
+        this.orgChart = null;
+        this.resetHelpdesk();
+        this.resetActivity();
+        this.resetSessions();
+        this.resetSecurity();
+        this.cancelConfirm();
+        this.endMfaStep();
+        this.hideSessionAlert();
         this.setupUnauthenticatedUI();
-        this.setupLoginListeners();
+
+        // Guard sends protected routes to login, keeping the return path
+        this.router.start();
     }
 
     setupAuthenticatedUI() {
-        const session = getSession();
-        const userDisplayName = document.getElementById('userDisplayName');
         const userNav = document.getElementById('userNav');
-        const loginPage = document.getElementById('loginPage');
-        const dashboardPage = document.getElementById('dashboardPage');
 
+        this.updateUserDisplay(sessionStore.getUser());
+        if (userNav) userNav.classList.remove('d-none');
+    }
+
+    updateUserDisplay(user) {
+        const userDisplayName = document.getElementById('userDisplayName');
         if (userDisplayName) {
-            userDisplayName.textContent = session.user?.displayName || session.user?.username || 'User';
+            userDisplayName.textContent = user?.displayName || user?.username || 'User';
         }
-        
-        if (userNav) userNav.classList.remove('d-none');
-        if (loginPage) loginPage.classList.add('d-none');
-        if (dashboardPage) dashboardPage.classList.remove('d-none');
+        this.applyPermissions();
+        this.renderAvatars(user);
+    }
+
+    // Current roles and groups from /Auth/me (the login response may carry only
+    // some of them); on failure the claims from login are kept
+    async loadUserClaims() {
+        try {
+            const response = await getCurrentUser();
+            if (response.success && response.data) {
+                const claims = Object.fromEntries(['roles', 'groups']
+                    .filter(name => Array.isArray(response.data[name]))
+                    .map(name => [name, response.data[name]]));
+                sessionStore.setUser({ ...sessionStore.getUser(), ...claims });
+            }
+        } catch (error) {
+            console.warn('Could not load user claims:', error.message);
+        }
+    }
+
+    // Show only the [data-requires] elements the user may use, and leave a page
+    // whose permission was just lost
+    applyPermissions() {
+        permissions.apply();
+        const route = this.router.currentRoute;
+        if (this.router.started && this.isAuthenticated && route?.requires && !can(route.requires)) {
+            this.router.refresh();
+        }
+    }
+
+    // Navbar and profile avatars: the AD photo, or the user's initials
+    renderAvatars(user = sessionStore.getUser()) {
+        ['userAvatar', 'profileAvatar'].forEach(id => {
+            const avatar = document.getElementById(id);
+            if (!avatar) return;
+            render(avatar, this.profilePhoto
+                ? html`<img src="${this.profilePhoto}" alt="">`
+                : getInitials(user));
+            avatar.title = user?.displayName || user?.username || '';
+        });
+        document.getElementById('profilePhotoRemoveBtn')?.classList.toggle('d-none', !this.profilePhoto);
+    }
+
+    async loadProfilePhoto() {
+        try {
+            const response = await getProfilePhoto();
+            this.profilePhoto = response.success ? photoDataUrl(response.data?.photo, response.data?.contentType) : null;
+        } catch (error) {
+            // No photo endpoint or no photo: initials are fine
+            console.warn('Could not load profile photo:', error.message);
+            this.profilePhoto = null;
+        }
+        this.renderAvatars();
     }
 
     setupUnauthenticatedUI() {
         const userNav = document.getElementById('userNav');
-        const loginPage = document.getElementById('loginPage');
-        const dashboardPage = document.getElementById('dashboardPage');
 
         if (userNav) userNav.classList.add('d-none');
-        if (loginPage) loginPage.classList.remove('d-none');
-        if (dashboardPage) dashboardPage.classList.add('d-none');
     }
 
+    // Bound once at startup: sign-in and sign-out only toggle what is visible
     setupGlobalListeners() {
+        this.setupLoginListeners();
+        this.setupDashboardListeners();
+        this.setupConfirmListeners();
+
+        // Idle warning actions
+        const idleStayBtn = document.getElementById('idleStayBtn');
+        const idleLogoutBtn = document.getElementById('idleLogoutBtn');
+        if (idleStayBtn) {
+            idleStayBtn.addEventListener('click', () => this.handleStayActive());
+        }
+        if (idleLogoutBtn) {
+            idleLogoutBtn.addEventListener('click', () => {
+                this.hideIdleWarning();
+                this.handleLogout();
+            });
+        }
+
         // Password visibility toggles
         const togglePasswordBtn = document.getElementById('togglePassword');
         if (togglePasswordBtn) {
@@ -138,6 +589,171 @@ class App {
         if (changePasswordForm) {
             changePasswordForm.addEventListener('submit', this.handleChangePasswordForm.bind(this));
         }
+
+        this.setupProfileEditListeners();
+        this.setupProfilePhotoListeners();
+        this.setupGroupsListeners();
+        this.setupDirectoryListeners();
+        this.setupOrgChartListeners();
+        this.setupHelpdeskListeners();
+        this.setupActivityListeners();
+        this.setupSessionsListeners();
+        this.setupSecurityListeners();
+        this.setupMfaListeners();
+        this.setupRecoveryListeners();
+    }
+
+    setupMfaListeners() {
+        document.getElementById('mfaForm')?.addEventListener('submit', this.handleMfaVerify.bind(this));
+        document.getElementById('mfaResendBtn')?.addEventListener('click', () => this.handleMfaResend());
+        document.getElementById('mfaMethods')?.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-mfa-method]');
+            if (item) this.handleMfaResend(item.dataset.mfaMethod);
+        });
+        document.getElementById('mfaCancelBtn')?.addEventListener('click', () => this.cancelMfaStep());
+    }
+
+    // Account recovery: identify -> verify (questions or emailed code) -> reset or unlock
+    setupRecoveryListeners() {
+        document.getElementById('recoveryIdentifyForm')?.addEventListener('submit', this.handleRecoveryStart.bind(this));
+        document.getElementById('recoveryMethods')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-recovery-method]');
+            if (button) this.chooseRecoveryMethod(button.dataset.recoveryMethod);
+        });
+        document.getElementById('recoveryQuestionsForm')?.addEventListener('submit', this.handleRecoveryVerify.bind(this));
+        document.getElementById('recoveryCodeForm')?.addEventListener('submit', this.handleRecoveryVerify.bind(this));
+        document.getElementById('recoverySendCodeBtn')?.addEventListener('click', () => this.handleRecoverySendCode());
+        document.getElementById('recoveryResetForm')?.addEventListener('submit', this.handleRecoveryReset.bind(this));
+        document.getElementById('recoveryUnlockBtn')?.addEventListener('click', () => this.handleRecoveryUnlock());
+        document.getElementById('recoveryStartOverBtn')?.addEventListener('click', () => this.loadRecoveryPage());
+    }
+
+    setupSessionsListeners() {
+        document.getElementById('sessionsList')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-revoke-session]');
+            if (button) this.handleRevokeSession(button.dataset.revokeSession);
+        });
+        document.getElementById('revokeOtherSessionsBtn')?.addEventListener('click', () => this.handleRevokeOtherSessions());
+    }
+
+    setupConfirmListeners() {
+        document.getElementById('confirmBtn')?.addEventListener('click', () => {
+            this.settleConfirm(true);
+            if (confirmModalInstance) confirmModalInstance.hide();
+        });
+        // Closing the dialog any other way cancels
+        document.getElementById('confirmModal')?.addEventListener('hidden.bs.modal', () => this.settleConfirm(false));
+    }
+
+    // Security settings: questions are replaced as a set; a new email or mobile
+    // number is only saved once the code sent to it is confirmed
+    setupSecurityListeners() {
+        document.getElementById('securityQuestionsEditBtn')?.addEventListener('click', () => this.startSecurityQuestionsEdit());
+        document.getElementById('securityQuestionsCancelBtn')?.addEventListener('click', () => this.cancelSecurityQuestionsEdit());
+        document.getElementById('securityQuestionsForm')?.addEventListener('submit', this.handleSecurityQuestionsSave.bind(this));
+        document.getElementById('securityContent')?.addEventListener('click', (event) => {
+            const edit = event.target.closest('[data-contact-edit]');
+            const remove = event.target.closest('[data-contact-remove]');
+            const cancel = event.target.closest('[data-contact-cancel]');
+            if (edit) this.startContactEdit(edit.dataset.contactEdit);
+            if (remove) this.handleContactRemove(remove.dataset.contactRemove);
+            if (cancel) this.cancelContactEdit(cancel.dataset.contactCancel);
+        });
+        Object.keys(RECOVERY_CONTACTS).forEach(channel => {
+            document.getElementById(this.securityContactId(channel, 'Form'))
+                ?.addEventListener('submit', (event) => this.handleContactSend(event, channel));
+            document.getElementById(this.securityContactId(channel, 'VerifyForm'))
+                ?.addEventListener('submit', (event) => this.handleContactVerify(event, channel));
+        });
+        document.getElementById('securityNudgeDismissBtn')?.addEventListener('click', () => this.dismissSecurityNudge());
+    }
+
+    // Activity: filters reload the timeline; older pages load on scroll (or the button)
+    setupActivityListeners() {
+        const form = document.getElementById('activityFilters');
+        if (!form) return;
+
+        render(document.getElementById('activityTypes'), html`${Object.entries(ACTIVITY_TYPES).map(([type, { label }]) => html`
+            <div class="form-check form-check-inline">
+                <input class="form-check-input" type="checkbox" name="activityType" id="activityType-${type}" value="${type}" checked>
+                <label class="form-check-label small" for="activityType-${type}">${label}</label>
+            </div>
+        `)}`);
+
+        form.addEventListener('change', () => this.loadActivity());
+        form.addEventListener('submit', (event) => event.preventDefault());
+        document.getElementById('activityResetBtn')?.addEventListener('click', (event) => {
+            event.preventDefault();
+            form.reset();
+            this.loadActivity();
+        });
+        document.getElementById('activityMoreBtn')?.addEventListener('click', () => this.loadMoreActivity());
+
+        const sentinel = document.getElementById('activitySentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            this.activityObserver = new IntersectionObserver((entries) => {
+                if (this.currentPage === 'activity' && entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreActivity();
+                }
+            }, { rootMargin: '200px' });
+            this.activityObserver.observe(sentinel);
+        }
+    }
+
+    // Directory: type-ahead (debounced), filters, result selection and paging
+    setupDirectoryListeners() {
+        document.getElementById('directoryForm')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.runDirectorySearch(1);
+        });
+        document.getElementById('directorySearch')?.addEventListener('input', () => this.directorySearchDebounced());
+        DIRECTORY_FILTERS.forEach(filter => {
+            document.getElementById(this.directoryFilterId(filter.name))
+                ?.addEventListener('change', () => this.runDirectorySearch(1));
+        });
+        document.getElementById('directoryResults')?.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-username]');
+            const person = item && this.directoryResults.find(result => result.username === item.dataset.username);
+            if (person) this.openPersonCard(person);
+        });
+        document.getElementById('directoryPagination')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-page]');
+            if (button && !button.disabled) this.runDirectorySearch(Number(button.dataset.page));
+        });
+    }
+
+    // My Groups: filter, expand/collapse and CSV export
+    setupGroupsListeners() {
+        document.getElementById('groupsFilter')?.addEventListener('input', () => this.renderGroups());
+        document.getElementById('groupsExpandBtn')?.addEventListener('click', () => this.setGroupsExpanded(true));
+        document.getElementById('groupsCollapseBtn')?.addEventListener('click', () => this.setGroupsExpanded(false));
+        document.getElementById('groupsExportBtn')?.addEventListener('click', () => this.exportGroups());
+    }
+
+    // Profile photo: choose file -> preview (cropped + compressed) -> upload
+    setupProfilePhotoListeners() {
+        document.getElementById('profilePhotoInput')?.addEventListener('change', (event) => this.handlePhotoSelected(event));
+        document.getElementById('profilePhotoCancelBtn')?.addEventListener('click', () => this.cancelPhotoUpload());
+        document.getElementById('profilePhotoSaveBtn')?.addEventListener('click', () => this.handlePhotoUpload());
+        document.getElementById('profilePhotoRemoveBtn')?.addEventListener('click', () => this.handlePhotoRemove());
+    }
+
+    // Profile edit mode: Edit -> Review Changes (diff preview) -> Save
+    setupProfileEditListeners() {
+        const actions = {
+            profileEditBtn: () => this.startProfileEdit(),
+            profileEditCancelBtn: () => this.cancelProfileEdit(),
+            profileDiffBackBtn: () => this.showProfileEditForm(),
+            profileSaveBtn: () => this.handleProfileSave()
+        };
+        Object.entries(actions).forEach(([id, handler]) => {
+            document.getElementById(id)?.addEventListener('click', handler);
+        });
+
+        const form = document.getElementById('profileEditForm');
+        if (form) {
+            form.addEventListener('submit', this.handleProfileReview.bind(this));
+        }
     }
 
     setupLoginListeners() {
@@ -161,60 +777,111 @@ class App {
     }
 
     setupPasswordStrengthMonitoring() {
-        const newPasswordInput = document.getElementById('newPassword');
-        const newPasswordChangeInput = document.getElementById('newPasswordChange');
+        PASSWORD_INPUTS.forEach(({ inputId, strengthId, rulesId }) => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('input', (e) => this.updatePasswordStrength(e.target.value, strengthId, rulesId));
+            }
+        });
+    }
 
-        if (newPasswordInput) {
-            newPasswordInput.addEventListener('input', (e) => this.updatePasswordStrength(e.target.value, 'passwordStrength'));
-        }
+    // Reflect the loaded domain policy in both password forms
+    applyPasswordPolicy() {
+        const { minLength } = passwordPolicy.getPolicy();
+        const summary = document.getElementById('passwordPolicySummary');
 
-        if (newPasswordChangeInput) {
-            newPasswordChangeInput.addEventListener('input', (e) => this.updatePasswordStrength(e.target.value, 'passwordStrengthChange'));
+        PASSWORD_INPUTS.forEach(({ inputId, strengthId, rulesId }) => {
+            const input = document.getElementById(inputId);
+            const policy = inputId === 'recoveryNewPassword' ? this.getPasswordContext().policy : passwordPolicy;
+            if (input) input.setAttribute('minlength', policy.getPolicy().minLength);
+            this.updatePasswordStrength(input?.value || '', strengthId, rulesId);
+        });
+
+        if (summary) {
+            summary.textContent = `Password must be at least ${minLength} characters long and meet the domain password policy.`;
         }
     }
 
-    updatePasswordStrength(password, elementId) {
+    updatePasswordStrength(password, elementId, rulesId = null) {
         const strengthElement = document.getElementById(elementId);
         const strengthBar = document.getElementById('passwordStrengthBar');
         const strengthText = document.getElementById('passwordStrengthText');
 
         if (!strengthElement) return;
 
-        const strength = this.calculatePasswordStrength(password);
+        const evaluation = this.evaluatePassword(password);
+        const strength = evaluation.strength;
         
         // Update strength indicator
-        strengthElement.className = `password-strength ${strength}`;
+        strengthElement.className = `password-strength ${password ? strength : ''}`;
+
+        // Update per-rule checklist
+        if (rulesId) {
+            this.renderPasswordRules(rulesId, evaluation, !!password);
+        }
         
         // Update progress bar if available
         if (strengthBar) {
-            const width = strength === 'weak' ? '25%' : strength === 'fair' ? '50%' : strength === 'good' ? '75%' : '100%';
+            const width = !password ? '0%' : strength === 'weak' ? '25%' : strength === 'fair' ? '50%' : strength === 'good' ? '75%' : '100%';
             strengthBar.style.width = width;
             strengthBar.className = `progress-bar ${this.getProgressBarClass(strength)}`;
         }
 
         // Update text if available
         if (strengthText) {
-            strengthText.textContent = `Password strength: ${strength.charAt(0).toUpperCase() + strength.slice(1)}`;
+            strengthText.textContent = password
+                ? `Password strength: ${strength.charAt(0).toUpperCase() + strength.slice(1)}`
+                : 'Enter a password to check strength';
         }
     }
 
+    // Evaluate against the domain policy for the signed-in user (or the account being recovered)
+    evaluatePassword(password) {
+        const { policy, user } = this.getPasswordContext();
+        return policy.evaluate(password || '', {
+            username: user.username,
+            displayName: user.displayName
+        });
+    }
+
+    // While a recovered account sets its new password, its own policy and name
+    // apply; the app-wide policy is left alone (nobody is signed in)
+    getPasswordContext() {
+        const recovering = this.currentPage === 'recovery' && this.recovery?.step === 'reset';
+        return {
+            policy: (recovering && this.recovery.policy) || passwordPolicy,
+            user: sessionStore.getUser() || (recovering && this.recovery.account) || {}
+        };
+    }
+
     calculatePasswordStrength(password) {
         if (!password) return 'weak';
-        
-        const criteria = {
-            length: password.length >= 8,
-            uppercase: /[A-Z]/.test(password),
-            lowercase: /[a-z]/.test(password),
-            number: /\d/.test(password),
-            special: /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\?]/.test(password)
-        };
+        return this.evaluatePassword(password).strength;
+    }
 
-        const score = Object.values(criteria).filter(Boolean).length;
-        
-        if (score >= 5) return 'strong';
-        if (score >= 4) return 'good';
-        if (score >= 3) return 'fair';
-        return 'weak';
+    renderPasswordRules(listId, evaluation, touched) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+
+        list.replaceChildren(...evaluation.rules.map(rule => {
+            const item = document.createElement('li');
+            const icon = document.createElement('i');
+            let state = 'pending';
+
+            if (rule.informational) state = 'info';
+            else if (touched) state = rule.passed ? 'passed' : 'failed';
+
+            const icons = {
+                pending: 'far fa-circle text-muted',
+                info: 'fas fa-info-circle text-muted',
+                passed: 'fas fa-check-circle text-success',
+                failed: 'fas fa-times-circle text-danger'
+            };
+            icon.className = `${icons[state]} me-2`;
+            item.className = `password-rule ${state}`;
+            item.append(icon, document.createTextNode(rule.label));
+            return item;
+        }));
     }
 
     getProgressBarClass(strength) {
@@ -229,10 +896,15 @@ class App {
 
     startSessionManagement(sessionInfoOrExpires) {
         // Clear existing timers
-        if (this.sessionTimer) clearTimeout(this.sessionTimer);
-        if (this.autoRefreshTimer) clearInterval(this.autoRefreshTimer);
+        this.stopSessionManagement();
+
+        // Log out unattended sessions
+        this.startIdleMonitoring();
 
-        const expiresInSeconds = this.getExpiresInSeconds(sessionInfoOrExpires);
+        // Fall back to the expiry already held by the session store
+        const timeLeft = sessionStore.getTimeLeft();
+        const expiresInSeconds = this.getExpiresInSeconds(sessionInfoOrExpires) ??
+            (timeLeft !== null ? Math.floor(timeLeft / 1000) : null);
         if (!expiresInSeconds || expiresInSeconds <= 0) {
             return; // No timer if we cannot determine expiry
         }
@@ -248,7 +920,16 @@ class App {
             }
         );
 
-        // Start auto-refresh
+        // Auto-refresh runs in the leader tab only (see startAutoRefresh)
+        tabSync.start();
+        if (tabSync.isLeader) {
+            this.startAutoRefresh();
+        }
+    }
+
+    startAutoRefresh() {
+        if (this.autoRefreshTimer) return;
+
         this.autoRefreshTimer = autoRefreshSession(
             () => {
                 console.log('Session refreshed');
@@ -256,10 +937,17 @@ class App {
             },
             () => {
                 this.handleSessionExpired();
-            }
+            },
+            // Only keep the session alive while someone is using it
+            (refreshInterval) => idleMonitor.isActiveWithin(refreshInterval)
         );
     }
 
+    stopAutoRefresh() {
+        if (this.autoRefreshTimer) clearInterval(this.autoRefreshTimer);
+        this.autoRefreshTimer = null;
+    }
+
     getExpiresInSeconds(sessionInfoOrExpires) {
         if (typeof sessionInfoOrExpires === 'number') return sessionInfoOrExpires;
         const si = sessionInfoOrExpires || {};
@@ -272,20 +960,129 @@ class App {
         return null;
     }
 
+    stopSessionManagement() {
+        if (this.sessionTimer) clearInterval(this.sessionTimer);
+        this.sessionTimer = null;
+        this.stopAutoRefresh();
+        tabSync.stop();
+        idleMonitor.stop();
+        this.hideIdleWarning();
+    }
+
+    startIdleMonitoring() {
+        idleMonitor.configure({
+            idleTimeout: config.get('session.idleTimeoutMinutes') * 60 * 1000,
+            warningDuration: config.get('session.idleWarningSeconds') * 1000
+        });
+        idleMonitor.start({
+            onWarning: (secondsLeft) => this.showIdleWarning(secondsLeft),
+            onActive: () => this.hideIdleWarning(),
+            onTimeout: () => this.handleIdleTimeout()
+        });
+    }
+
+    showIdleWarning(secondsLeft) {
+        const countdown = document.getElementById('idleCountdown');
+        if (countdown) countdown.textContent = secondsLeft;
+        if (idleModalInstance && !this.idleWarningVisible) {
+            idleModalInstance.show();
+        }
+        this.idleWarningVisible = true;
+    }
+
+    hideIdleWarning() {
+        if (idleModalInstance && this.idleWarningVisible) {
+            idleModalInstance.hide();
+        }
+        this.idleWarningVisible = false;
+    }
+
+    // "Stay signed in": counts as activity in every tab and extends the session now
+    async handleStayActive() {
+        idleMonitor.stayActive();
+        this.hideIdleWarning();
+        try {
+            await refreshSession();
+        } catch (error) {
+            console.error('Session refresh failed:', error);
+        }
+    }
+
+    async handleIdleTimeout() {
+        this.hideIdleWarning();
+        if (!this.isAuthenticated) return;
+
+        // Activity is shared, so every tab times out together: only the leader
+        // ends the session, the others follow its logout through the session store
+        if (!tabSync.isLeader) return;
+
+        await this.handleLogout();
+        this.showToast('Signed Out', 'You were logged out after a period of inactivity', 'WARNING');
+    }
+
     handleSessionExpired() {
-        clearSession();
+        this.stopSessionManagement();
+        sessionStore.clear();
         this.initializeUnauthenticated();
         this.showToast('Session Expired', 'Please login again', 'WARNING');
     }
 
+    // Server rejected the session and refresh failed: back to login,
+    // keeping the current route to return to
+    handleSessionEnded() {
+        if (!this.isAuthenticated) return;
+
+        this.stopSessionManagement();
+        sessionStore.clear();
+        this.initializeUnauthenticated();
+        this.showToast('Session Ended', 'Your session is no longer valid. Please login again', 'WARNING');
+    }
+
     showSessionWarning(minutesLeft) {
+        this.showSessionAlert(`Your session will expire in ${minutesLeft} minutes`, 'warning');
+    }
+
+    // Banner below the navbar shared by session and password expiry warnings
+    showSessionAlert(message, level = 'warning') {
         const sessionAlert = document.getElementById('sessionAlert');
         const sessionMessage = document.getElementById('sessionMessage');
         
         if (sessionAlert && sessionMessage) {
-            sessionMessage.textContent = `Your session will expire in ${minutesLeft} minutes`;
-            sessionAlert.classList.remove('d-none');
-            sessionAlert.classList.add('show');
+            sessionMessage.textContent = message;
+            sessionAlert.classList.remove('d-none', 'alert-info', 'alert-warning', 'alert-danger');
+            sessionAlert.classList.add(`alert-${level}`, 'show');
+        }
+    }
+
+    hideSessionAlert() {
+        const sessionAlert = document.getElementById('sessionAlert');
+        if (sessionAlert) {
+            sessionAlert.classList.remove('show');
+            sessionAlert.classList.add('d-none');
+        }
+    }
+
+    // Forecast expiry from the profile and raise the reminder banner
+    updatePasswordExpiry(user) {
+        this.passwordExpiry = getPasswordExpiry(user, passwordPolicy.getPolicy());
+
+        const message = getPasswordExpiryMessage(this.passwordExpiry);
+        if (message) {
+            this.showSessionAlert(message, EXPIRY_ALERT_LEVELS[this.passwordExpiry.status]);
+        }
+        return this.passwordExpiry;
+    }
+
+    getPasswordExpiryClass(expiry) {
+        switch (expiry?.status) {
+            case 'expired':
+            case 'must-change':
+            case 'critical':
+                return 'text-danger fw-bold';
+            case 'warning':
+                return 'text-warning fw-bold';
+            default:
+                return 'text-muted';
         }
     }
 
@@ -295,7 +1092,6 @@ class App {
         
         const username = document.getElementById('username')?.value?.trim();
         const password = document.getElementById('password')?.value;
-        const rememberMe = document.getElementById('rememberMe')?.checked;
         const loginError = document.getElementById('loginError');
         
         if (!username || !password) {
@@ -305,263 +1101,2485 @@ class App {
         }
         
         try {
-            const response = await login(username, password, rememberMe);
-            setSession(response.sessionId, response.user);
-            // Try to get session info after login; fall back to response.sessionInfo if present
-            let sessionInfo = response.sessionInfo;
-            if (!sessionInfo) {
-                try {
-                    sessionInfo = await validateSession();
-                } catch (e) {
-                    console.warn('validateSession failed after login; continuing without timer');
-                }
+            const response = await login(username, password);
+            if (response.mfaRequired && response.challenge) {
+                this.showMfaStep(response.challenge);
+                return;
             }
-            await this.initializeAuthenticated(sessionInfo);
+            await this.completeLogin(response);
         } catch (error) {
             console.error('Login error:', error);
-            this.showError(loginError, error.message || 'Login failed');
+            this.showError(loginError, error instanceof AuthError
+                ? (error.message || 'Invalid username or password')
+                : this.describeError(error, 'Login failed'));
         } finally {
             this.hideLoading();
         }
     }
 
-    async handleLogout() {
+    // Session from /Auth/login or /Auth/mfa/verify
+    async completeLogin(response) {
+        sessionStore.startSession({
+            sessionId: response.sessionId,
+            user: response.user,
+            expiresAt: response.expiresAt ?? response.expiresIn
+        });
+        // Fresh sign-in (not a restored session): remind about missing recovery methods
+        this.securityNudge = true;
+        // Try to get session info after login; fall back to response.sessionInfo if present
+        let sessionInfo = response.sessionInfo;
+        if (!sessionInfo) {
+            try {
+                sessionInfo = await validateSession();
+            } catch (e) {
+                console.warn('validateSession failed after login; continuing without timer');
+            }
+        }
+        await this.initializeAuthenticated(sessionInfo);
+    }
+
+    // Password accepted, second factor needed: swap the login form for the code form
+    showMfaStep(challenge) {
+        const password = document.getElementById('password');
+        if (password) password.value = '';
+        this.hideError(document.getElementById('loginError'));
+        document.getElementById('loginForm')?.classList.add('d-none');
+        document.getElementById('mfaForm')?.reset();
+
+        this.setMfaChallenge(challenge);
+        document.getElementById('mfaForm')?.classList.remove('d-none');
+        document.getElementById('mfaCode')?.focus();
+    }
+
+    setMfaChallenge(challenge) {
+        this.mfaChallenge = { ...challenge, expiresAtMs: challengeExpiry(challenge) };
+        this.clearFieldErrors(['mfaCode']);
+        this.hideError(document.getElementById('mfaError'));
+        const codeInput = document.getElementById('mfaCode');
+        if (codeInput) codeInput.value = '';
+
+        render(document.getElementById('mfaPrompt'), mfaPrompt(challenge));
+        const others = (challenge.methods || []).filter(method => method !== challenge.method);
+        document.getElementById('mfaMethodsBtn')?.classList.toggle('d-none', others.length === 0);
+        render(document.getElementById('mfaMethods'), html`${others.map(method => html`
+            <li>
+                <button type="button" class="dropdown-item" data-mfa-method="${method}">
+                    <i class="fas ${mfaMethod(method).icon} me-2"></i>${mfaMethod(method).label}
+                </button>
+            </li>
+        `)}`);
+
+        this.startMfaCountdown();
+    }
+
+    // Counts down to the challenge expiry; once it is over the server has dropped
+    // the challenge and only signing in again helps
+    startMfaCountdown() {
+        this.stopMfaCountdown();
+        const countdown = document.getElementById('mfaCountdown');
+        const verifyBtn = document.getElementById('mfaVerifyBtn');
+        const resendBtn = document.getElementById('mfaResendBtn');
+        const methodsBtn = document.getElementById('mfaMethodsBtn');
+
+        const tick = () => {
+            const expiry = this.mfaChallenge?.expiresAtMs;
+            const seconds = expiry ? secondsUntil(expiry) : null;
+            const expired = seconds === 0;
+
+            render(countdown, seconds === null ? '' : expired
+                ? 'The code has expired. Sign in again to get a new one.'
+                : `Code expires in ${formatCountdown(seconds)}`);
+            countdown?.classList.toggle('text-danger', seconds !== null && seconds <= 30);
+            if (verifyBtn) verifyBtn.disabled = expired;
+            // Codes sent by email / text can be resent until the challenge expires; after that the button starts over
+            resendBtn?.classList.toggle('d-none', !expired && !mfaMethod(this.mfaChallenge?.method).sendsCode);
+            render(resendBtn, expired ? 'Sign in again' : 'Send a new code');
+
+            if (expired) {
+                methodsBtn?.classList.add('d-none');
+                this.stopMfaCountdown();
+            }
+        };
+
+        tick();
+        this.mfaTimer = setInterval(tick, 1000);
+    }
+
+    stopMfaCountdown() {
+        if (this.mfaTimer) {
+            clearInterval(this.mfaTimer);
+            this.mfaTimer = null;
+        }
+    }
+
+    async handleMfaVerify(event) {
+        event.preventDefault();
+        if (!this.mfaChallenge) return;
+
+        const codeInput = document.getElementById('mfaCode');
+        const code = normalizeCode(codeInput?.value);
+        const problem = validateCode(code);
+        const trustDevice = !!document.getElementById('trustDevice')?.checked;
+
+        this.clearFieldErrors(['mfaCode']);
+        this.hideError(document.getElementById('mfaError'));
+        if (problem) {
+            this.setFieldError('mfaCode', problem);
+            return;
+        }
+
         this.showLoading();
         try {
-            await logout();
-            clearSession();
-            this.initializeUnauthenticated();
-            this.showToast('Success', 'Logged out successfully', 'INFO');
+            const response = await verifyMfa(this.mfaChallenge.challengeId, code, trustDevice);
+            this.endMfaStep();
+            await this.completeLogin(response);
         } catch (error) {
-            console.error('Logout error:', error);
-            this.showToast('Error', 'Logout failed', 'ERROR');
+            console.error('MFA verification error:', error);
+            if (!this.mfaChallenge) {
+                // Verified, but the session could not be set up
+                this.showError(document.getElementById('loginError'), this.describeError(error, 'Login failed'));
+            } else if (error instanceof ValidationError) {
+                // Wrong code: try again with the same challenge
+                this.setFieldError('mfaCode', error.message || 'The code is not correct');
+                codeInput?.select();
+            } else if (error instanceof AuthError) {
+                // Challenge expired or too many wrong codes: start over
+                this.cancelMfaStep(error.message || 'The verification has expired. Please sign in again.');
+            } else {
+                this.showError(document.getElementById('mfaError'), this.describeError(error, 'Verification failed'));
+            }
         } finally {
             this.hideLoading();
         }
     }
 
-    async handlePasswordChange(event) {
-        event.preventDefault();
-        this.showLoading();
+    // New code and expiry, by the current method or another one
+    async handleMfaResend(method) {
+        if (!this.mfaChallenge) return;
+        // An expired challenge cannot be renewed: back to username and password
+        const { expiresAtMs } = this.mfaChallenge;
+        if (expiresAtMs && secondsUntil(expiresAtMs) === 0) {
+            this.cancelMfaStep('The verification has expired. Please sign in again.');
+            return;
+        }
+
+        this.hideError(document.getElementById('mfaError'));
+        this.showLoading();
+        try {
+            const response = await resendMfaCode(this.mfaChallenge.challengeId, method || this.mfaChallenge.method);
+            if (!response.success || !response.challenge) {
+                throw new Error(response.message || 'Failed to send a new code');
+            }
+            this.setMfaChallenge(response.challenge);
+            this.showToast('Verification', response.message || 'A new code is on its way', 'INFO');
+            document.getElementById('mfaCode')?.focus();
+        } catch (error) {
+            console.error('MFA resend error:', error);
+            if (error instanceof AuthError) {
+                this.cancelMfaStep(error.message || 'The verification has expired. Please sign in again.');
+            } else {
+                this.showError(document.getElementById('mfaError'), this.describeError(error, 'Failed to send a new code'));
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Back to username and password, optionally explaining why
+    cancelMfaStep(message) {
+        this.endMfaStep();
+        if (message) this.showError(document.getElementById('loginError'), message);
+        document.getElementById('password')?.focus();
+    }
+
+    endMfaStep() {
+        this.stopMfaCountdown();
+        this.mfaChallenge = null;
+        const mfaForm = document.getElementById('mfaForm');
+        if (mfaForm && !mfaForm.classList.contains('d-none')) {
+            mfaForm.reset();
+            mfaForm.classList.add('d-none');
+            this.clearFieldErrors(['mfaCode']);
+            this.hideError(document.getElementById('mfaError'));
+            document.getElementById('loginForm')?.classList.remove('d-none');
+        }
+    }
+
+    // Always starts over; the username typed on the login page carries over
+    loadRecoveryPage() {
+        this.resetRecovery();
+        ['recoveryIdentifyForm', 'recoveryCodeForm', 'recoveryResetForm'].forEach(id => document.getElementById(id)?.reset());
+        this.clearFieldErrors(['recoveryUsername', 'recoveryCode', 'recoveryNewPassword', 'recoveryConfirmPassword']);
+        this.hideError(document.getElementById('recoveryError'));
+        render(document.getElementById('recoveryQuestions'), '');
+        this.updatePasswordStrength('', 'passwordStrengthRecovery', 'passwordRulesRecovery');
+
+        const usernameInput = document.getElementById('recoveryUsername');
+        if (usernameInput) {
+            usernameInput.value = document.getElementById('username')?.value?.trim() || '';
+            usernameInput.focus();
+        }
+        this.renderRecovery();
+    }
+
+    // Show the panel for the current step
+    renderRecovery() {
+        const { step, methods, method, account } = this.recovery;
+        const panels = {
+            identify: 'recoveryIdentifyForm',
+            verify: 'recoveryVerifyStep',
+            reset: 'recoveryResetForm',
+            unlock: 'recoveryUnlockStep',
+            done: 'recoveryDone'
+        };
+        Object.entries(panels).forEach(([name, id]) => {
+            document.getElementById(id)?.classList.toggle('d-none', name !== step);
+        });
+        document.getElementById('recoveryStartOverBtn')?.classList.toggle('d-none', step === 'identify' || step === 'done');
+        render(document.getElementById('recoveryAccount'), account
+            ? `${account.displayName || account.username} (${account.username})`
+            : 'Reset a forgotten password or unlock your account');
+
+        if (step !== 'verify') return;
+        const methodsGroup = document.getElementById('recoveryMethods');
+        methodsGroup?.classList.toggle('d-none', methods.length < 2);
+        render(methodsGroup, html`${methods.map(name => html`
+            <button type="button" class="btn btn-outline-primary ${name === method ? 'active' : ''}"
+                    data-recovery-method="${name}" aria-pressed="${String(name === method)}">
+                <i class="fas ${RECOVERY_METHODS[name]?.icon || 'fa-key'} me-2"></i>${RECOVERY_METHODS[name]?.label || name}
+            </button>
+        `)}`);
+        document.getElementById('recoveryQuestionsForm')?.classList.toggle('d-none', method !== 'questions');
+        document.getElementById('recoveryCodeForm')?.classList.toggle('d-none', method !== 'email');
+
+        const { codeSent } = this.recovery;
+        render(document.getElementById('recoveryCodeSent'), !codeSent
+            ? 'We will email a one-time code to the recovery address on file for the account.'
+            : codeSent.destination
+                ? `We emailed a code to ${codeSent.destination}. Enter it below.`
+                : codeSent.message || 'If the account has a recovery email, a code is on its way.');
+        render(document.getElementById('recoverySendCodeBtn'), codeSent
+            ? html`<i class="fas fa-redo me-2"></i>Send a new code`
+            : html`<i class="fas fa-paper-plane me-2"></i>Send code`);
+    }
+
+    async handleRecoveryStart(event) {
+        event.preventDefault();
+
+        const username = document.getElementById('recoveryUsername')?.value?.trim();
+        const action = document.querySelector('input[name="recoveryAction"]:checked')?.value || 'reset';
+        this.clearFieldErrors(['recoveryUsername']);
+        this.hideError(document.getElementById('recoveryError'));
+        if (!username) {
+            this.setFieldError('recoveryUsername', 'Please enter your username');
+            return;
+        }
+
+        this.showLoading();
+        try {
+            const response = await startRecovery(username, action);
+            const { recoveryId, methods = [], questions = [] } = response.data || {};
+            if (!response.success || !recoveryId) {
+                throw new Error(response.message || 'Account recovery could not be started');
+            }
+
+            this.recovery = { ...this.recovery, step: 'verify', username, action, recoveryId, methods, questions, method: methods[0] || null, codeSent: null };
+            render(document.getElementById('recoveryQuestions'), html`${questions.map(question => html`
+                <div class="mb-3">
+                    <label for="recoveryAnswer-${question.id}" class="form-label">${question.text}</label>
+                    <input type="text" class="form-control" id="recoveryAnswer-${question.id}" autocomplete="off">
+                    <div id="recoveryAnswer-${question.id}FieldError" class="invalid-feedback"></div>
+                </div>
+            `)}`);
+            this.renderRecovery();
+        } catch (error) {
+            console.error('Recovery start error:', error);
+            this.showRecoveryError(error, 'Account recovery could not be started');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    chooseRecoveryMethod(method) {
+        if (!this.recovery?.methods.includes(method)) return;
+        this.recovery.method = method;
+        this.hideError(document.getElementById('recoveryError'));
+        this.renderRecovery();
+    }
+
+    async handleRecoverySendCode() {
+        if (!this.recovery?.recoveryId) return;
+
+        this.hideError(document.getElementById('recoveryError'));
+        this.showLoading();
+        try {
+            const response = await sendRecoveryCode(this.recovery.recoveryId);
+            this.recovery.codeSent = { destination: response.data?.destination || null, message: response.message };
+            this.renderRecovery();
+            document.getElementById('recoveryCode')?.focus();
+        } catch (error) {
+            console.error('Recovery code error:', error);
+            this.showRecoveryError(error, 'Failed to send the code');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleRecoveryVerify(event) {
+        event.preventDefault();
+        if (!this.recovery?.recoveryId) return;
+
+        const { recoveryId, method, questions } = this.recovery;
+        const errorDiv = document.getElementById('recoveryError');
+        this.clearFieldErrors([...questions.map(({ id }) => `recoveryAnswer-${id}`), 'recoveryCode']);
+        this.hideError(errorDiv);
+
+        let proof;
+        if (method === 'questions') {
+            const values = Object.fromEntries(questions.map(({ id }) => [id, document.getElementById(`recoveryAnswer-${id}`)?.value]));
+            const { answers, missing } = collectAnswers(questions, values);
+            missing.forEach(id => this.setFieldError(`recoveryAnswer-${id}`, 'Please answer this question'));
+            if (missing.length) return;
+            proof = { method, answers };
+        } else {
+            const code = normalizeCode(document.getElementById('recoveryCode')?.value);
+            const problem = validateCode(code);
+            if (problem) {
+                this.setFieldError('recoveryCode', problem);
+                return;
+            }
+            proof = { method, code };
+        }
+
+        this.showLoading();
+        try {
+            const response = await verifyRecovery(recoveryId, proof);
+            const { resetToken, username, displayName, passwordPolicy: policy } = response.data || {};
+            if (!response.success || !resetToken) {
+                throw new Error(response.message || 'Verification failed');
+            }
+
+            // The new password is checked against the account's own domain policy
+            const step = this.recovery.action === 'unlock' ? 'unlock' : 'reset';
+            this.recovery = {
+                ...this.recovery,
+                step,
+                resetToken,
+                account: { username, displayName },
+                policy: policy ? new PasswordPolicy(policy) : null
+            };
+            this.renderRecovery();
+            if (step === 'reset') {
+                this.applyPasswordPolicy();
+                document.getElementById('recoveryNewPassword')?.focus();
+            }
+        } catch (error) {
+            console.error('Recovery verification error:', error);
+            if (error instanceof ValidationError && error.code === 'RECOVERY_VERIFICATION_FAILED') {
+                const remaining = error.data?.attemptsRemaining;
+                const reason = (error.message || 'Verification failed').replace(/\.$/, '');
+                this.showError(errorDiv, remaining
+                    ? `${reason}. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+                    : `${reason}.`);
+            } else {
+                this.showRecoveryError(error, 'Verification failed');
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleRecoveryReset(event) {
+        event.preventDefault();
+        if (!this.recovery?.resetToken) return;
+
+        const newPassword = document.getElementById('recoveryNewPassword')?.value;
+        const confirmPassword = document.getElementById('recoveryConfirmPassword')?.value;
+        const errorDiv = document.getElementById('recoveryError');
+        const fields = { new: 'recoveryNewPassword', confirm: 'recoveryConfirmPassword' };
+
+        this.clearFieldErrors(Object.values(fields));
+        this.hideError(errorDiv);
+        if (!this.validatePasswordChangeInput(null, newPassword, confirmPassword, fields, { requireCurrent: false })) {
+            return;
+        }
+
+        this.showLoading();
+        try {
+            const response = await completePasswordReset(this.recovery.recoveryId, this.recovery.resetToken, newPassword);
+            if (response.success === false) {
+                this.showPasswordChangeError(response, fields, errorDiv);
+                return;
+            }
+            this.finishRecovery(response.message || 'Your password has been reset. You can sign in with it now.');
+        } catch (error) {
+            console.error('Password reset error:', error);
+            if (error instanceof ValidationError) {
+                this.showPasswordChangeError(error, fields, errorDiv);
+            } else {
+                this.showRecoveryError(error, 'Failed to reset the password');
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleRecoveryUnlock() {
+        if (!this.recovery?.resetToken) return;
+
+        this.hideError(document.getElementById('recoveryError'));
+        this.showLoading();
+        try {
+            const response = await completeUnlock(this.recovery.recoveryId, this.recovery.resetToken);
+            if (response.success === false) {
+                this.showError(document.getElementById('recoveryError'), response.message || 'Failed to unlock the account');
+                return;
+            }
+            this.finishRecovery(response.message || 'Your account has been unlocked. You can sign in again.');
+        } catch (error) {
+            console.error('Account unlock error:', error);
+            this.showRecoveryError(error, 'Failed to unlock the account');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // The account is ready to sign in with: carry the username over to the login form
+    finishRecovery(message) {
+        this.recovery = { ...this.recovery, step: 'done', recoveryId: null, resetToken: null };
+        document.getElementById('recoveryResetForm')?.reset();
+        const usernameInput = document.getElementById('username');
+        if (usernameInput) usernameInput.value = this.recovery.account?.username || this.recovery.username;
+        this.showSuccess(document.getElementById('recoveryDoneMessage'), message);
+        this.renderRecovery();
+    }
+
+    // Too many attempts hold the forms until Retry-After; an expired or
+    // unverified attempt goes back to the first step
+    showRecoveryError(error, fallback) {
+        if (error instanceof RateLimitError) {
+            this.pauseRecovery(error.retryAfter);
+        } else if (error instanceof AuthError) {
+            this.recovery = { ...this.recovery, step: 'identify', recoveryId: null, codeSent: null, resetToken: null, account: null, policy: null };
+            this.renderRecovery();
+        }
+        this.showError(document.getElementById('recoveryError'), this.describeError(error, fallback));
+    }
+
+    pauseRecovery(seconds) {
+        this.resumeRecovery();
+        document.querySelectorAll('#recoveryPage [data-recovery-submit]').forEach(button => { button.disabled = true; });
+        this.recoveryPauseTimer = setTimeout(() => this.resumeRecovery(), (seconds || RECOVERY_DEFAULT_PAUSE_SECONDS) * 1000);
+    }
+
+    resumeRecovery() {
+        clearTimeout(this.recoveryPauseTimer);
+        this.recoveryPauseTimer = null;
+        document.querySelectorAll('#recoveryPage [data-recovery-submit]').forEach(button => { button.disabled = false; });
+    }
+
+    resetRecovery() {
+        this.resumeRecovery();
+        this.recovery = {
+            step: 'identify',
+            username: '',
+            action: 'reset',
+            recoveryId: null,
+            methods: [],
+            questions: [],
+            method: null,
+            // { destination, message } once a code was emailed
+            codeSent: null,
+            resetToken: null,
+            account: null,
+            // PasswordPolicy of the account, from /Recovery/verify
+            policy: null
+        };
+    }
+
+    async handleLogout() {
+        this.showLoading();
+        try {
+            this.stopSessionManagement();
+            await logout();
+            sessionStore.clear();
+            // Explicit logout should not return to the previous page
+            this.router.navigate(LOGIN_ROUTE, { replace: true });
+            this.initializeUnauthenticated();
+            this.showToast('Success', 'Logged out successfully', 'INFO');
+        } catch (error) {
+            console.error('Logout error:', error);
+            this.showToast('Error', 'Logout failed', 'ERROR');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handlePasswordChange(event) {
+        event.preventDefault();
         
+        const currentPassword = document.getElementById('dashboardCurrentPassword')?.value;
         const newPassword = document.getElementById('newPassword')?.value;
         const confirmPassword = document.getElementById('confirmPassword')?.value;
         const feedback = document.getElementById('passwordFeedback');
+        const fields = { current: 'dashboardCurrentPassword', new: 'newPassword', confirm: 'confirmPassword' };
+
+        this.clearFieldErrors(Object.values(fields));
+        this.hideError(feedback);
+
+        if (!this.validatePasswordChangeInput(currentPassword, newPassword, confirmPassword, fields)) {
+            return;
+        }
         
-        if (newPassword !== confirmPassword) {
-            this.showError(feedback, 'Passwords do not match');
+        this.showLoading();
+        try {
+            const response = await changePassword(currentPassword, newPassword);
+
+            if (response.success === false) {
+                this.showPasswordChangeError(response, fields, feedback);
+                return;
+            }
+
+            this.showSuccess(feedback, 'Password changed successfully');
+            event.target.reset();
+            
+            // Auto logout after password change
+            setTimeout(() => {
+                this.handleLogout();
+            }, 3000);
+        } catch (error) {
+            console.error('Password change error:', error);
+            this.showPasswordChangeError(error, fields, feedback);
+        } finally {
             this.hideLoading();
-            return;
         }
+    }
+
+    async handleChangePasswordForm(event) {
+        event.preventDefault();
         
+        const currentPassword = document.getElementById('currentPassword')?.value;
+        const newPassword = document.getElementById('newPasswordChange')?.value;
+        const confirmPassword = document.getElementById('confirmPasswordChange')?.value;
+        const errorDiv = document.getElementById('passwordError');
+        const successDiv = document.getElementById('passwordSuccess');
+        const changeBtn = document.getElementById('changePasswordBtn');
+        const spinner = document.getElementById('changePasswordSpinner');
+        const fields = { current: 'currentPassword', new: 'newPasswordChange', confirm: 'confirmPasswordChange' };
+
+        this.clearFieldErrors(Object.values(fields));
+        this.hideError(errorDiv);
+        this.hideSuccess(successDiv);
+
+        if (!this.validatePasswordChangeInput(currentPassword, newPassword, confirmPassword, fields)) {
+            return;
+        }
+
+        // Show loading state
+        changeBtn.disabled = true;
+        spinner.classList.remove('d-none');
+
+        try {
+            const response = await changePassword(currentPassword, newPassword);
+            
+            if (response.success) {
+                this.showSuccess(successDiv, 'Password changed successfully! You will be logged out.');
+                setTimeout(() => {
+                    this.handleLogout();
+                }, 2000);
+            } else {
+                this.showPasswordChangeError(response, fields, errorDiv);
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showPasswordChangeError(error, fields, errorDiv);
+        } finally {
+            changeBtn.disabled = false;
+            spinner.classList.add('d-none');
+        }
+    }
+
+    // Client-side checks shared by both change password forms (and the recovery
+    // reset form, which has no current password)
+    validatePasswordChangeInput(currentPassword, newPassword, confirmPassword, fields, { requireCurrent = true } = {}) {
+        let valid = true;
+
+        if (requireCurrent && !currentPassword) {
+            this.setFieldError(fields.current, 'Please enter your current password');
+            valid = false;
+        }
+        if (!newPassword) {
+            this.setFieldError(fields.new, 'Please enter a new password');
+            valid = false;
+        } else if (newPassword === currentPassword) {
+            this.setFieldError(fields.new, 'New password must be different from the current password');
+            valid = false;
+        } else {
+            const { failed } = this.evaluatePassword(newPassword);
+            if (failed.length) {
+                this.setFieldError(fields.new, `Password does not meet the policy: ${failed.map(rule => rule.label.toLowerCase()).join('; ')}`);
+                valid = false;
+            }
+        }
+        if (newPassword && newPassword !== confirmPassword) {
+            this.setFieldError(fields.confirm, 'New passwords do not match');
+            valid = false;
+        }
+
+        return valid;
+    }
+
+    // Map a failed change (thrown error or success=false response) to a field
+    resolvePasswordChangeError(failure) {
+        const code = failure?.code || failure?.errorCode || failure?.data?.errorCode;
+        if (code && PASSWORD_CHANGE_ERRORS[code]) {
+            return { code, ...PASSWORD_CHANGE_ERRORS[code] };
+        }
+
+        const message = failure?.message || '';
+        const match = PASSWORD_CHANGE_ERROR_PATTERNS.find(({ pattern }) => pattern.test(message));
+        return match ? { code: match.code, ...PASSWORD_CHANGE_ERRORS[match.code] } : null;
+    }
+
+    showPasswordChangeError(failure, fields, generalElement) {
+        const mapped = this.resolvePasswordChangeError(failure);
+        if (mapped) {
+            this.setFieldError(fields[mapped.field], mapped.message);
+            return;
+        }
+
+        // Field details from a 400 response (currentPassword / newPassword)
+        if (failure instanceof ValidationError && Object.keys(failure.fields).length) {
+            const fieldMap = { currentPassword: fields.current, newPassword: fields.new };
+            let shown = false;
+            Object.entries(failure.fields).forEach(([field, message]) => {
+                if (fieldMap[field]) {
+                    this.setFieldError(fieldMap[field], message);
+                    shown = true;
+                }
+            });
+            if (shown) return;
+        }
+
+        this.showError(generalElement, this.describeError(failure, 'Failed to change password'));
+    }
+
+    // Navigate by page name (kept for callers such as AuthUtils.logout)
+    showPage(pageName) {
+        this.router.navigate(`/${pageName}`);
+    }
+
+    getPageId(pageName) {
+        const route = Object.values(ROUTES).find(r => r.page === pageName);
+        return route ? route.pageId : 'notFoundPage';
+    }
+
+    hideAllPages() {
+        const pages = [...Object.values(ROUTES).map(route => route.pageId), 'notFoundPage'];
+        pages.forEach(pageId => {
+            const page = document.getElementById(pageId);
+            if (page) page.classList.add('d-none');
+        });
+    }
+
+    // Request options for page content: cancelled when the user navigates away
+    getRouteRequestOptions() {
+        return this.routeController ? { signal: this.routeController.signal } : {};
+    }
+
+    async loadDashboardContent() {
+        const options = this.getRouteRequestOptions();
+        try {
+            const [profile, status] = await Promise.all([
+                getProfile(options),
+                getAccountStatus(options)
+            ]);
+            this.renderDashboard(profile, status);
+            this.loadSecuritySummary(options);
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Failed to load dashboard content:', error);
+        }
+    }
+
+    async loadProfile() {
+        const loadingDiv = document.getElementById('profileLoading');
+        const contentDiv = document.getElementById('profileContent');
+        const errorDiv = document.getElementById('profileError');
+
+        this.showLoading(loadingDiv);
+        this.hideContent(contentDiv);
+        this.hideError(errorDiv);
+
+        try {
+            const options = this.getRouteRequestOptions();
+            // Without field metadata the profile is still shown, just not editable
+            const [response, fieldsResponse] = await Promise.all([
+                getProfile(options),
+                getProfileFields(options).catch(error => {
+                    if (error instanceof RequestCancelledError) throw error;
+                    console.warn('Could not load profile field metadata:', error.message);
+                    return null;
+                })
+            ]);
+            
+            if (response.success && response.data) {
+                const user = response.data;
+                this.profile = user;
+                this.profileFields = applyFieldMetadata(fieldsResponse?.success ? fieldsResponse.data : null);
+                this.profileEditing = false;
+                this.updateProfileDisplay(user);
+                this.renderContactDetails();
+                this.cancelPhotoUpload();
+                this.hideError(document.getElementById('profilePhotoError'));
+                this.showContent(contentDiv);
+            } else {
+                throw new Error(response.message || 'Failed to load profile');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Load profile error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load profile'));
+        } finally {
+            this.hideLoading(loadingDiv);
+        }
+    }
+
+    updateProfileDisplay(user) {
+        const fields = {
+            'profileUsername': user.username,
+            'profileDisplayname': user.displayName,
+            'profileFirstname': user.firstName,
+            'profileLastname': user.lastName,
+            'profileEmail': user.email,
+            'profileStatus': user.isEnabled ? html`<span class="status-enabled">Enabled</span>` : html`<span class="status-disabled">Disabled</span>`,
+            'profileLastlogin': this.formatDate(user.lastLogin),
+            'profilePasswordset': this.formatDate(user.passwordLastSet),
+            'profilePasswordExpires': describePasswordExpiry(getPasswordExpiry(user, passwordPolicy.getPolicy()))
+        };
+
+        Object.entries(fields).forEach(([id, value]) => {
+            render(document.getElementById(id), value || '-');
+        });
+    }
+
+    async handlePhotoSelected(event) {
+        const input = event.target;
+        const file = input.files?.[0];
+        const errorDiv = document.getElementById('profilePhotoError');
+
+        this.hideError(errorDiv);
+        if (!file) return;
+
+        try {
+            this.pendingPhoto = await prepareProfilePhoto(file);
+            const preview = document.getElementById('profilePhotoPreviewImg');
+            if (preview) preview.src = this.pendingPhoto.dataUrl;
+            render(document.getElementById('profilePhotoPreviewInfo'),
+                `${this.pendingPhoto.size}x${this.pendingPhoto.size} px, ${Math.ceil(this.pendingPhoto.bytes / 1024)} KB`);
+            this.showPhotoPreview(true);
+        } catch (error) {
+            console.error('Prepare photo error:', error);
+            this.showError(errorDiv, error instanceof PhotoError ? error.message : 'The image could not be processed');
+        } finally {
+            // Allow choosing the same file again
+            input.value = '';
+        }
+    }
+
+    showPhotoPreview(visible) {
+        document.getElementById('profilePhotoPreview')?.classList.toggle('d-none', !visible);
+        document.getElementById('profilePhotoActions')?.classList.toggle('d-none', visible);
+        document.getElementById('profileAvatar')?.classList.toggle('d-none', visible);
+    }
+
+    cancelPhotoUpload() {
+        this.pendingPhoto = null;
+        this.showPhotoPreview(false);
+    }
+
+    async handlePhotoUpload() {
+        if (!this.pendingPhoto) return;
+
+        const errorDiv = document.getElementById('profilePhotoError');
+        const saveBtn = document.getElementById('profilePhotoSaveBtn');
+        this.hideError(errorDiv);
+        if (saveBtn) saveBtn.disabled = true;
+
+        try {
+            const { base64, contentType, dataUrl } = this.pendingPhoto;
+            const response = await uploadProfilePhoto(base64, contentType);
+            if (response.success === false) {
+                throw new Error(response.message || 'Failed to upload photo');
+            }
+
+            this.profilePhoto = dataUrl;
+            this.pendingPhoto = null;
+            this.showPhotoPreview(false);
+            this.renderAvatars();
+            this.showToast('Profile Photo', 'Your photo has been updated', 'SUCCESS');
+        } catch (error) {
+            console.error('Upload photo error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to upload photo'));
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    }
+
+    async handlePhotoRemove() {
+        const confirmed = await this.confirmAction({
+            title: 'Remove profile photo?',
+            message: 'Your photo is removed from the directory and your initials are shown instead.',
+            confirmLabel: 'Remove photo'
+        });
+        if (!confirmed) return;
+
+        const errorDiv = document.getElementById('profilePhotoError');
+        this.hideError(errorDiv);
+
+        try {
+            const response = await removeProfilePhoto();
+            if (response.success === false) {
+                throw new Error(response.message || 'Failed to remove photo');
+            }
+
+            this.profilePhoto = null;
+            this.renderAvatars();
+            this.showToast('Profile Photo', 'Your photo has been removed', 'INFO');
+        } catch (error) {
+            console.error('Remove photo error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to remove photo'));
+        }
+    }
+
+    profileInputId(name) {
+        return `profileField-${name}`;
+    }
+
+    // Contact details card: values, or inputs for the editable ones in edit mode
+    renderContactDetails() {
+        const card = document.getElementById('profileContactCard');
+        const container = document.getElementById('profileContactFields');
+        if (!card || !container) return;
+
+        const editable = this.profileFields.some(field => field.editable);
+        const lockIcon = html`<i class="fas fa-lock text-muted ms-1" title="Managed by the helpdesk"></i>`;
+
+        render(container, html`${this.profileFields.map(field => {
+            const value = this.profile?.[field.name] || '';
+            if (this.profileEditing && field.editable) {
+                const inputId = this.profileInputId(field.name);
+                return html`
+                    <div class="col-md-6 mb-3">
+                        <label for="${inputId}" class="form-label fw-bold">${field.label}</label>
+                        <input type="${field.type === 'phone' ? 'tel' : 'text'}" class="form-control" id="${inputId}"
+                               name="${field.name}" value="${value}" maxlength="${field.maxLength}"
+                               placeholder="${field.placeholder || ''}">
+                        <div id="${inputId}FieldError" class="invalid-feedback"></div>
+                    </div>
+                `;
+            }
+            return html`
+                <div class="col-md-6 mb-3">
+                    <strong>${field.label}:</strong>${field.editable ? '' : lockIcon}
+                    <p class="mb-0 text-muted">${value || '-'}</p>
+                </div>
+            `;
+        })}`);
+
+        card.classList.remove('d-none');
+        document.getElementById('profileEditBtn')?.classList.toggle('d-none', !editable || this.profileEditing);
+        document.getElementById('profileEditHint')?.classList.toggle('d-none', !this.profileEditing);
+        document.getElementById('profileEditActions')?.classList.toggle('d-none', !this.profileEditing);
+    }
+
+    startProfileEdit() {
+        this.profileEditing = true;
+        this.hideError(document.getElementById('profileEditError'));
+        this.hideSuccess(document.getElementById('profileEditSuccess'));
+        this.renderContactDetails();
+        this.showProfileEditForm();
+        document.querySelector('#profileContactFields input')?.focus();
+    }
+
+    cancelProfileEdit() {
+        this.profileEditing = false;
+        this.profileChanges = [];
+        this.hideError(document.getElementById('profileEditError'));
+        this.renderContactDetails();
+        this.showProfileEditForm();
+    }
+
+    // Toggle between the edit form and the diff preview
+    showProfileEditForm(visible = true) {
+        document.getElementById('profileEditForm')?.classList.toggle('d-none', !visible);
+        document.getElementById('profileDiffPreview')?.classList.toggle('d-none', visible);
+    }
+
+    // Validate the inputs and show what will change before saving
+    handleProfileReview(event) {
+        event.preventDefault();
+
+        const errorDiv = document.getElementById('profileEditError');
+        const editableFields = this.profileFields.filter(field => field.editable);
+        const values = {};
+        let valid = true;
+
+        this.hideError(errorDiv);
+        this.clearFieldErrors(editableFields.map(field => this.profileInputId(field.name)));
+
+        editableFields.forEach(field => {
+            const value = document.getElementById(this.profileInputId(field.name))?.value || '';
+            const error = validateProfileField(field, value);
+            if (error) {
+                this.setFieldError(this.profileInputId(field.name), error);
+                valid = false;
+            }
+            values[field.name] = value;
+        });
+        if (!valid) return;
+
+        this.profileChanges = diffProfile(this.profileFields, this.profile, values);
+        if (this.profileChanges.length === 0) {
+            this.showError(errorDiv, 'There are no changes to save');
+            return;
+        }
+
+        render(document.getElementById('profileDiffRows'), html`${this.profileChanges.map(change => html`
+            <tr>
+                <td>${change.label}</td>
+                <td class="text-muted">${change.from || '(empty)'}</td>
+                <td class="fw-bold">${change.to || '(cleared)'}</td>
+            </tr>
+        `)}`);
+        this.showProfileEditForm(false);
+    }
+
+    async handleProfileSave() {
+        const errorDiv = document.getElementById('profileEditError');
+        const successDiv = document.getElementById('profileEditSuccess');
+        const saveBtn = document.getElementById('profileSaveBtn');
+        const spinner = document.getElementById('profileSaveSpinner');
+        const patch = Object.fromEntries(this.profileChanges.map(change => [change.name, change.to]));
+
+        this.hideError(errorDiv);
+        if (saveBtn) saveBtn.disabled = true;
+        spinner?.classList.remove('d-none');
+
+        try {
+            const response = await updateProfile(patch);
+            if (response.success === false) {
+                throw new Error(response.message || 'Failed to update profile');
+            }
+
+            // Partial success: keep the accepted values, re-edit the rejected ones
+            const rejected = response.rejected || {};
+            const accepted = Object.fromEntries(Object.entries(patch).filter(([name]) => !(name in rejected)));
+            this.profile = { ...this.profile, ...accepted, ...(response.data || {}) };
+
+            if (Object.keys(rejected).length > 0) {
+                this.showRejectedProfileFields(rejected, patch, 'Some changes were saved, but not all of them');
+                return;
+            }
+
+            this.profileEditing = false;
+            this.profileChanges = [];
+            this.renderContactDetails();
+            this.showProfileEditForm();
+            this.showSuccess(successDiv, 'Your profile has been updated');
+        } catch (error) {
+            console.error('Update profile error:', error);
+            const fieldErrors = error instanceof ValidationError ? error.fields : {};
+            if (Object.keys(fieldErrors).length > 0) {
+                this.showRejectedProfileFields(fieldErrors, patch, error.message || 'Some changes were rejected');
+            } else {
+                this.showError(errorDiv, this.describeError(error, 'Failed to update profile'));
+            }
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+            spinner?.classList.add('d-none');
+        }
+    }
+
+    // Back to the edit form with the server's per-attribute errors on the inputs
+    showRejectedProfileFields(fieldErrors, patch, message) {
+        const errorDiv = document.getElementById('profileEditError');
+        const fieldsByName = Object.fromEntries(this.profileFields.map(field => [field.name, field]));
+
+        this.renderContactDetails();
+        this.showProfileEditForm();
+
+        // Rendering resets the inputs to the saved values; restore what the user typed
+        Object.entries(patch).forEach(([name, value]) => {
+            const input = document.getElementById(this.profileInputId(name));
+            if (input && name in fieldErrors) input.value = value;
+        });
+
+        const unmatched = [];
+        Object.entries(fieldErrors).forEach(([name, reason]) => {
+            if (fieldsByName[name]?.editable) {
+                this.setFieldError(this.profileInputId(name), reason);
+            } else {
+                unmatched.push(`${fieldsByName[name]?.label || name}: ${reason}`);
+            }
+        });
+
+        this.showError(errorDiv, [message, ...unmatched].join('. '));
+    }
+
+    async loadAccountStatus() {
+        const loadingDiv = document.getElementById('statusLoading');
+        const contentDiv = document.getElementById('statusContent');
+        const errorDiv = document.getElementById('statusError');
+
+        this.showLoading(loadingDiv);
+        this.hideContent(contentDiv);
+        this.hideError(errorDiv);
+
+        try {
+            const response = await getAccountStatus(this.getRouteRequestOptions());
+            
+            if (response.success && response.data) {
+                const status = response.data;
+                this.updateStatusDisplay(status);
+                this.showContent(contentDiv);
+            } else {
+                throw new Error(response.message || 'Failed to load account status');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Load account status error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load account status'));
+        } finally {
+            this.hideLoading(loadingDiv);
+        }
+    }
+
+    async loadGroups() {
+        const loadingDiv = document.getElementById('groupsLoading');
+        const contentDiv = document.getElementById('groupsContent');
+        const errorDiv = document.getElementById('groupsError');
+
+        this.showLoading(loadingDiv);
+        this.hideContent(contentDiv);
+        this.hideError(errorDiv);
+
+        try {
+            const response = await getMyGroups(this.getRouteRequestOptions());
+
+            if (response.success && Array.isArray(response.data)) {
+                this.groups = response.data;
+                this.renderGroups();
+                this.showContent(contentDiv);
+            } else {
+                throw new Error(response.message || 'Failed to load groups');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Load groups error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load groups'));
+        } finally {
+            this.hideLoading(loadingDiv);
+        }
+    }
+
+    // Tree of the current groups, narrowed by the filter box
+    renderGroups() {
+        const query = document.getElementById('groupsFilter')?.value.trim() || '';
+        const tree = filterGroupTree(buildGroupTree(this.groups), query);
+        const summary = summarizeGroups(this.groups);
+        const emptyMessage = document.getElementById('groupsEmpty');
+
+        render(document.getElementById('groupsSummary'),
+            `${summary.total} groups: ${summary.direct} direct, ${summary.nested} through nesting`);
+        // Open every branch while filtering so the matches are visible
+        render(document.getElementById('groupsTree'), html`${tree.map(node => this.renderGroupNode(node, !!query))}`);
+
+        if (emptyMessage) {
+            render(emptyMessage, query ? `No groups match "${query}"` : 'You are not a member of any groups');
+            emptyMessage.classList.toggle('d-none', tree.length > 0);
+        }
+        document.getElementById('groupsExportBtn')?.toggleAttribute('disabled', this.groups.length === 0);
+    }
+
+    renderGroupNode(node, open) {
+        const { group, children } = node;
+        const label = html`
+            <i class="fas ${group.type === 'distribution' ? 'fa-envelope' : 'fa-shield-alt'} text-muted me-1"></i>
+            <span class="group-name fw-semibold">${group.name}</span>
+            <span class="badge ${group.type === 'distribution' ? 'bg-info' : 'bg-secondary'} ms-1">${groupTypeLabel(group)}</span>
+            <span class="badge bg-light text-dark border ms-1">${groupScopeLabel(group)}</span>
+            ${group.description ? html`<small class="text-muted ms-2">${group.description}</small>` : ''}
+        `;
+
+        if (!children.length) {
+            return html`
+                <li class="group-leaf ${node.match ? 'group-match' : ''}">
+                    ${label}
+                    ${node.repeated ? html`<small class="text-muted fst-italic ms-2">nesting shown elsewhere in the tree</small>` : ''}
+                </li>
+            `;
+        }
+        return html`
+            <li class="${node.match ? 'group-match' : ''}">
+                <details ${open ? 'open' : ''}>
+                    <summary>${label}</summary>
+                    <ul>${children.map(child => this.renderGroupNode(child, open))}</ul>
+                </details>
+            </li>
+        `;
+    }
+
+    setGroupsExpanded(expanded) {
+        document.querySelectorAll('#groupsTree details').forEach(details => {
+            details.open = expanded;
+        });
+    }
+
+    // Full membership list (not just the filtered view) as CSV
+    exportGroups() {
+        if (!this.groups.length) return;
+        const username = sessionStore.getUser()?.username || 'user';
+        this.downloadFile(`groups-${username}.csv`, groupsToCsv(this.groups), 'text/csv;charset=utf-8');
+    }
+
+    downloadFile(filename, content, type) {
+        // BOM so Excel reads the CSV as UTF-8
+        const blob = new Blob(['\ufeff', content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    directoryFilterId(name) {
+        return `directory${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+    }
+
+    loadDirectoryPage() {
+        this.runDirectorySearch(1);
+        document.getElementById('directorySearch')?.focus();
+    }
+
+    // Search with the current box and filters. Only the latest search renders:
+    // older ones are cancelled by searchDirectory and end here as RequestCancelledError.
+    async runDirectorySearch(page = 1) {
+        this.directorySearchDebounced.cancel();
+        const searchId = ++this.directorySearchCount;
+        const spinner = document.getElementById('directorySpinner');
+        const errorDiv = document.getElementById('directoryError');
+        const query = document.getElementById('directorySearch')?.value || '';
+        const filters = Object.fromEntries(DIRECTORY_FILTERS.map(filter => [
+            filter.name,
+            document.getElementById(this.directoryFilterId(filter.name))?.value || ''
+        ]));
+
+        spinner?.classList.remove('d-none');
+        this.hideError(errorDiv);
+
+        try {
+            const response = await searchDirectory(query, filters, page, {
+                ...this.getRouteRequestOptions(),
+                pageSize: DIRECTORY_PAGE_SIZE
+            });
+
+            if (response.success && response.data) {
+                this.renderDirectoryResults(response.data);
+            } else {
+                throw new Error(response.message || 'Directory search failed');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Directory search error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Directory search failed'));
+        } finally {
+            if (searchId === this.directorySearchCount) spinner?.classList.add('d-none');
+        }
+    }
+
+    renderDirectoryResults({ items = [], total = 0, page = 1, pageSize = DIRECTORY_PAGE_SIZE, facets }) {
+        this.directoryResults = items;
+
+        if (facets) this.renderDirectoryFilters(facets);
+
+        const first = (page - 1) * pageSize + 1;
+        render(document.getElementById('directorySummary'), total
+            ? `Showing ${first}–${first + items.length - 1} of ${total} ${total === 1 ? 'person' : 'people'}`
+            : '');
+        render(document.getElementById('directoryResults'), html`${items.map(person => html`
+            <button type="button" class="list-group-item list-group-item-action d-flex align-items-center" data-username="${person.username}">
+                <span class="avatar avatar-md me-3">${getInitials(person)}</span>
+                <span class="flex-grow-1">
+                    <span class="d-block fw-semibold">${person.displayName || person.username}</span>
+                    <small class="d-block text-muted">${personSubtitle(person)}</small>
+                </span>
+                <small class="d-none d-md-block text-muted text-end">
+                    ${person.physicalDeliveryOfficeName}<br>${person.email}
+                </small>
+            </button>
+        `)}`);
+        document.getElementById('directoryEmpty')?.classList.toggle('d-none', items.length > 0);
+        this.renderDirectoryPagination(page, pageCount(total, pageSize));
+    }
+
+    // Facet options, keeping whatever is selected
+    renderDirectoryFilters(facets) {
+        DIRECTORY_FILTERS.forEach(filter => {
+            const select = document.getElementById(this.directoryFilterId(filter.name));
+            if (!select) return;
+            const selected = select.value;
+            const values = facets[filter.facet] || [];
+            render(select, html`
+                <option value="">${filter.label}</option>
+                ${values.map(value => html`<option value="${value}">${value}</option>`)}
+            `);
+            select.value = values.includes(selected) ? selected : '';
+        });
+    }
+
+    renderDirectoryPagination(page, totalPages) {
+        const pagination = document.getElementById('directoryPagination');
+        if (totalPages <= 1) {
+            render(pagination, '');
+            return;
+        }
+
+        const pageButton = (target, label, { active = false, disabled = false } = {}) => html`
+            <li class="page-item ${active ? 'active' : ''} ${disabled ? 'disabled' : ''}">
+                <button type="button" class="page-link" data-page="${target}" ${disabled ? 'disabled' : ''}>${label}</button>
+            </li>
+        `;
+        render(pagination, html`
+            ${pageButton(page - 1, 'Previous', { disabled: page <= 1 })}
+            ${pageWindow(page, totalPages).map(number => pageButton(number, number, { active: number === page }))}
+            ${pageButton(page + 1, 'Next', { disabled: page >= totalPages })}
+        `);
+    }
+
+    // Person card for a directory result or org chart node
+    openPersonCard(person) {
+        if (!person) return;
+
+        const phoneLink = (number) => number && html`<a href="tel:${number.replace(/[^\d+]/g, '')}">${number}</a>`;
+        const details = [
+            ['Email', person.email && html`<a href="mailto:${person.email}">${person.email}</a>`],
+            ['Phone', phoneLink(person.telephoneNumber)],
+            ['Mobile', phoneLink(person.mobile)],
+            ['Department', person.department],
+            ['Office', person.physicalDeliveryOfficeName],
+            ['Manager', person.manager?.displayName || person.manager?.username],
+            ['Username', person.username]
+        ].filter(([, value]) => value);
+
+        render(document.getElementById('personAvatar'), getInitials(person));
+        render(document.getElementById('personModalTitle'), person.displayName || person.username);
+        render(document.getElementById('personSubtitle'), person.title);
+        render(document.getElementById('personDetails'), html`${details.map(([label, value]) => html`
+            <dt class="col-4 text-muted fw-normal">${label}</dt>
+            <dd class="col-8">${value}</dd>
+        `)}`);
+
+        const orgChartLink = document.getElementById('personOrgChartLink');
+        if (orgChartLink) {
+            orgChartLink.href = `#${this.router.buildPath('/org-chart', { user: person.username })}`;
+        }
+
+        if (personModalInstance) personModalInstance.show();
+    }
+
+    // Org chart: drag / wheel to pan, Ctrl + wheel or the buttons to zoom,
+    // clicks and keys on the nodes
+    setupOrgChartListeners() {
+        const viewport = document.getElementById('orgChartViewport');
+        const canvas = document.getElementById('orgChartCanvas');
+        if (!viewport || !canvas) return;
+
+        let drag = null;
+        let suppressClick = false;
+
+        viewport.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || event.target.closest('button')) return;
+            drag = { x: event.clientX, y: event.clientY, moved: false };
+        });
+        viewport.addEventListener('pointermove', (event) => {
+            if (!drag) return;
+            const dx = event.clientX - drag.x;
+            const dy = event.clientY - drag.y;
+            // Small movements are still clicks
+            if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+            if (!drag.moved) {
+                drag.moved = true;
+                viewport.classList.add('panning');
+                viewport.setPointerCapture?.(event.pointerId);
+            }
+            drag.x = event.clientX;
+            drag.y = event.clientY;
+            this.orgPanZoom.panBy(dx, dy);
+            this.applyOrgTransform();
+        });
+        const endDrag = () => {
+            suppressClick = !!drag?.moved;
+            drag = null;
+            viewport.classList.remove('panning');
+        };
+        viewport.addEventListener('pointerup', endDrag);
+        viewport.addEventListener('pointercancel', endDrag);
+
+        viewport.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            if (event.ctrlKey) {
+                const rect = viewport.getBoundingClientRect();
+                const factor = event.deltaY < 0 ? ORG_CHART_LIMITS.zoomStep : 1 / ORG_CHART_LIMITS.zoomStep;
+                this.zoomOrgChart(factor, event.clientX - rect.left, event.clientY - rect.top);
+            } else {
+                this.orgPanZoom.panBy(-event.deltaX, -event.deltaY);
+                this.applyOrgTransform();
+            }
+        }, { passive: false });
+
+        canvas.addEventListener('click', (event) => {
+            if (suppressClick) {
+                suppressClick = false;
+                return;
+            }
+            this.handleOrgChartClick(event);
+        });
+        canvas.addEventListener('keydown', (event) => this.handleOrgChartKeydown(event));
+
+        document.getElementById('orgZoomInBtn')?.addEventListener('click', () => this.zoomOrgChart(ORG_CHART_LIMITS.zoomStep));
+        document.getElementById('orgZoomOutBtn')?.addEventListener('click', () => this.zoomOrgChart(1 / ORG_CHART_LIMITS.zoomStep));
+        document.getElementById('orgZoomResetBtn')?.addEventListener('click', () => this.resetOrgZoom());
+        document.getElementById('personOrgChartLink')?.addEventListener('click', () => {
+            if (personModalInstance) personModalInstance.hide();
+        });
+    }
+
+    // Chart for ?user=... (default: the signed-in user) with the manager chain above
+    async loadOrgChart() {
+        const loadingDiv = document.getElementById('orgChartLoading');
+        const errorDiv = document.getElementById('orgChartError');
+        const viewport = document.getElementById('orgChartViewport');
+        const username = this.router.getLocation().query.user || sessionStore.getUser()?.username;
+
+        this.orgChart = null;
+        this.showLoading(loadingDiv);
+        this.hideContent(viewport);
+        this.hideError(errorDiv);
+
+        try {
+            const response = await getOrgChart(username, this.getRouteRequestOptions());
+
+            if (response.success && response.data?.person) {
+                this.orgChart = new OrgChartModel(response.data.person, response.data.managers || []);
+                this.orgFocus = this.orgChart.start;
+                this.showContent(viewport);
+                this.renderOrgChart();
+                this.resetOrgZoom();
+            } else {
+                throw new Error(response.message || 'Failed to load org chart');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Load org chart error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load org chart'));
+        } finally {
+            this.hideLoading(loadingDiv);
+        }
+    }
+
+    renderOrgChart() {
+        const canvas = document.getElementById('orgChartCanvas');
+        if (!canvas || !this.orgChart) return;
+
+        // Re-rendering replaces the focused node; put focus back afterwards
+        const hadFocus = canvas.contains(document.activeElement);
+        render(canvas, html`<ul class="org-tree" role="tree" aria-label="Org chart">${this.renderOrgNode(this.orgChart.root)}</ul>`);
+        if (hadFocus) this.focusOrgNode(this.orgFocus);
+    }
+
+    // path: usernames of the branch above, so a node is never drawn inside itself
+    renderOrgNode(username, level = 1, path = new Set()) {
+        const chart = this.orgChart;
+        const node = chart.get(username);
+        const { person } = node;
+        const hasReports = chart.hasReports(username);
+        const branch = new Set(path).add(username);
+        const children = chart.children(username).filter(child => !branch.has(child));
+        const hidden = chart.hiddenCount(username);
+        const count = person.directReportCount || 0;
+
+        return html`
+            <li role="treeitem" data-username="${username}" aria-level="${level}"
+                ${hasReports ? html`aria-expanded="${node.expanded ? 'true' : 'false'}"` : ''}
+                tabindex="${username === this.orgFocus ? '0' : '-1'}">
+                <div class="org-node ${username === chart.start ? 'org-start' : ''}">
+                    <span class="avatar avatar-md me-2">${getInitials(person)}</span>
+                    <span class="flex-grow-1 overflow-hidden">
+                        <span class="org-name d-block fw-semibold">${person.displayName || username}</span>
+                        <small class="org-name d-block text-muted">${person.title}</small>
+                        ${hasReports ? html`
+                            <button type="button" class="btn btn-link btn-sm p-0 text-decoration-none" data-action="toggle" tabindex="-1">
+                                ${node.loading
+                                    ? html`<span class="spinner-border spinner-border-sm me-1"></span>`
+                                    : html`<i class="fas ${node.expanded ? 'fa-chevron-up' : 'fa-chevron-down'} me-1"></i>`}
+                                ${count} ${count === 1 ? 'report' : 'reports'}
+                            </button>
+                        ` : ''}
+                    </span>
+                </div>
+                ${children.length ? html`
+                    <ul role="group">
+                        ${children.map(child => this.renderOrgNode(child, level + 1, branch))}
+                        ${hidden ? html`
+                            <li role="none">
+                                <button type="button" class="btn btn-outline-secondary btn-sm" data-action="more" data-manager="${username}">
+                                    Show ${Math.min(hidden, ORG_CHART_LIMITS.reportsBatch)} more of ${hidden}
+                                </button>
+                            </li>
+                        ` : ''}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    handleOrgChartClick(event) {
+        const more = event.target.closest('[data-action="more"]');
+        if (more) {
+            this.showMoreReports(more.dataset.manager);
+            return;
+        }
+
+        // Only the card itself, not the space around its reports
+        const item = event.target.closest('.org-node')?.closest('[role="treeitem"]');
+        if (!item || !this.orgChart) return;
+        const username = item.dataset.username;
+
+        this.focusOrgNode(username);
+        if (event.target.closest('[data-action="toggle"]')) {
+            this.toggleOrgNode(username);
+        } else {
+            this.openPersonCard(this.orgChart.get(username)?.person);
+        }
+    }
+
+    // Next batch of a large team; focus moves to the first person it adds
+    showMoreReports(manager) {
+        const chart = this.orgChart;
+        if (!chart) return;
+        const shown = new Set(chart.children(manager));
+
+        chart.showMore(manager);
+        this.renderOrgChart();
+        const first = chart.children(manager).find(username => !shown.has(username));
+        if (first) this.focusOrgNode(first);
+    }
+
+    // Tree keys: arrows move (Down opens a closed team), Space toggles, Enter opens the card, +/-/0 zoom
+    handleOrgChartKeydown(event) {
+        const zoomKeys = { '+': ORG_CHART_LIMITS.zoomStep, '=': ORG_CHART_LIMITS.zoomStep, '-': 1 / ORG_CHART_LIMITS.zoomStep };
+        if (event.key in zoomKeys) {
+            event.preventDefault();
+            this.zoomOrgChart(zoomKeys[event.key]);
+            return;
+        }
+        if (event.key === '0') {
+            event.preventDefault();
+            this.resetOrgZoom();
+            return;
+        }
+
+        // Buttons inside a card handle Enter and Space themselves (as clicks)
+        if (event.target.closest('[data-action]')) return;
+
+        const item = event.target.closest('[role="treeitem"]');
+        const chart = this.orgChart;
+        if (!item || !chart) return;
+        const username = item.dataset.username;
+        const moves = { ArrowUp: 'parent', ArrowDown: 'child', ArrowLeft: 'previous', ArrowRight: 'next', Home: 'root' };
+
+        if (event.key in moves) {
+            event.preventDefault();
+            const target = chart.neighbor(username, moves[event.key]);
+            if (target) {
+                this.focusOrgNode(target);
+            } else if (event.key === 'ArrowDown' && chart.hasReports(username)) {
+                this.toggleOrgNode(username, { focusChild: true });
+            }
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.openPersonCard(chart.get(username)?.person);
+        } else if (event.key === ' ') {
+            event.preventDefault();
+            this.toggleOrgNode(username);
+        }
+    }
+
+    // Expand (loading the reports the first time) or collapse a node
+    async toggleOrgNode(username, { focusChild = false } = {}) {
+        const chart = this.orgChart;
+        const node = chart?.get(username);
+        if (!node || node.loading || !chart.hasReports(username)) return;
+
+        if (node.expanded) {
+            node.expanded = false;
+            this.renderOrgChart();
+            return;
+        }
+
+        node.expanded = true;
+        if (!node.reports) {
+            node.loading = true;
+            this.renderOrgChart();
+            try {
+                const response = await getDirectReports(username, this.getRouteRequestOptions());
+                if (!response.success || !Array.isArray(response.data)) {
+                    throw new Error(response.message || 'Failed to load direct reports');
+                }
+                chart.setReports(username, response.data);
+            } catch (error) {
+                node.loading = false;
+                node.expanded = false;
+                if (!(error instanceof RequestCancelledError)) {
+                    console.error('Load direct reports error:', error);
+                    this.showToast('Org Chart', this.describeError(error, 'Failed to load direct reports'), 'ERROR');
+                }
+            }
+            // Another chart was opened meanwhile
+            if (chart !== this.orgChart) return;
+        }
+
+        this.renderOrgChart();
+        const child = focusChild && node.expanded && chart.neighbor(username, 'child');
+        if (child) this.focusOrgNode(child);
+    }
+
+    orgNodeElement(username) {
+        return [...document.querySelectorAll('#orgChartCanvas [role="treeitem"]')]
+            .find(element => element.dataset.username === username) || null;
+    }
+
+    // Roving tabindex: only the focused node is in the tab order
+    focusOrgNode(username, { center = false } = {}) {
+        const element = this.orgNodeElement(username);
+        if (!element) return;
+
+        this.orgNodeElement(this.orgFocus)?.setAttribute('tabindex', '-1');
+        this.orgFocus = username;
+        element.setAttribute('tabindex', '0');
+        element.focus({ preventScroll: true });
+        this.revealOrgNode(element, center);
+    }
+
+    // Pan so the node's card is inside the viewport (or centred in it)
+    revealOrgNode(element, center = false) {
+        const viewport = document.getElementById('orgChartViewport');
+        const card = element.querySelector('.org-node');
+        if (!viewport || !card) return;
+
+        const bounds = viewport.getBoundingClientRect();
+        const rect = card.getBoundingClientRect();
+        if (!bounds.width || !bounds.height) return;
+
+        const margin = 40;
+        let dx = 0;
+        let dy = 0;
+        if (center) {
+            dx = (bounds.left + bounds.width / 2) - (rect.left + rect.width / 2);
+            dy = (bounds.top + bounds.height / 3) - (rect.top + rect.height / 2);
+        } else {
+            if (rect.left < bounds.left + margin) dx = bounds.left + margin - rect.left;
+            else if (rect.right > bounds.right - margin) dx = bounds.right - margin - rect.right;
+            if (rect.top < bounds.top + margin) dy = bounds.top + margin - rect.top;
+            else if (rect.bottom > bounds.bottom - margin) dy = bounds.bottom - margin - rect.bottom;
+        }
+
+        if (dx || dy) {
+            this.orgPanZoom.panBy(dx, dy);
+            this.applyOrgTransform();
+        }
+    }
+
+    // Zoom around a point of the viewport (default: its centre)
+    zoomOrgChart(factor, x, y) {
+        const viewport = document.getElementById('orgChartViewport');
+        this.orgPanZoom.zoomAt(
+            factor,
+            x ?? (viewport?.clientWidth || 0) / 2,
+            y ?? (viewport?.clientHeight || 0) / 2
+        );
+        this.applyOrgTransform();
+    }
+
+    // 100% with the starting person in view
+    resetOrgZoom() {
+        this.orgPanZoom.reset();
+        this.applyOrgTransform();
+        if (this.orgChart) this.focusOrgNode(this.orgFocus || this.orgChart.start, { center: true });
+    }
+
+    applyOrgTransform() {
+        const canvas = document.getElementById('orgChartCanvas');
+        if (canvas) canvas.style.transform = this.orgPanZoom.toTransform();
+        render(document.getElementById('orgZoomLevel'), `${Math.round(this.orgPanZoom.scale * 100)}%`);
+    }
+
+    // Forget the last search on logout
+    resetDirectory() {
+        this.directorySearchDebounced.cancel();
+        this.directoryResults = [];
+        document.getElementById('directoryForm')?.reset();
+        render(document.getElementById('directoryResults'), '');
+        render(document.getElementById('directorySummary'), '');
+        render(document.getElementById('directoryPagination'), '');
+        if (personModalInstance) personModalInstance.hide();
+    }
+
+    // Helpdesk: account search (debounced), selection, unlock / reset with a reason
+    setupHelpdeskListeners() {
+        document.getElementById('helpdeskSearchForm')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.runHelpdeskSearch();
+        });
+        document.getElementById('helpdeskSearch')?.addEventListener('input', () => this.helpdeskSearchDebounced());
+        document.getElementById('helpdeskResults')?.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-username]');
+            if (item) this.selectHelpdeskAccount(item.dataset.username);
+        });
+        document.getElementById('helpdeskUnlockBtn')?.addEventListener('click', () => this.handleHelpdeskUnlock());
+        document.getElementById('helpdeskResetBtn')?.addEventListener('click', () => this.handleHelpdeskReset());
+        document.getElementById('helpdeskCopyPasswordBtn')?.addEventListener('click', () => this.copyTemporaryPassword());
+
+        document.getElementById('helpdeskConfirmForm')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submitHelpdeskConfirm();
+        });
+        // Closing the dialog any other way cancels the action
+        document.getElementById('helpdeskConfirmModal')?.addEventListener('hidden.bs.modal', () => this.settleHelpdeskConfirm(null));
+    }
+
+    loadHelpdeskPage() {
+        document.getElementById('helpdeskSearch')?.focus();
+    }
+
+    // Only the latest search renders; older responses are dropped
+    async runHelpdeskSearch() {
+        this.helpdeskSearchDebounced.cancel();
+        const searchId = ++this.helpdeskSearchCount;
+        const spinner = document.getElementById('helpdeskSpinner');
+        const errorDiv = document.getElementById('helpdeskSearchError');
+        const query = document.getElementById('helpdeskSearch')?.value || '';
+
+        this.hideError(errorDiv);
+        if (!query.trim()) {
+            this.renderHelpdeskResults([]);
+            return;
+        }
+        spinner?.classList.remove('d-none');
+
+        try {
+            const response = await searchHelpdeskUsers(query, this.getRouteRequestOptions());
+            if (searchId !== this.helpdeskSearchCount) return;
+
+            if (response.success && response.data) {
+                this.renderHelpdeskResults(response.data, query);
+            } else {
+                throw new Error(response.message || 'User search failed');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError || searchId !== this.helpdeskSearchCount) return;
+            console.error('Helpdesk search error:', error);
+            this.showError(errorDiv, this.describeError(error, 'User search failed'));
+        } finally {
+            if (searchId === this.helpdeskSearchCount) spinner?.classList.add('d-none');
+        }
+    }
+
+    renderHelpdeskResults(accounts, query = '') {
+        this.helpdeskResults = accounts;
+
+        render(document.getElementById('helpdeskResults'), html`${accounts.map(account => html`
+            <button type="button" class="list-group-item list-group-item-action d-flex align-items-center
+                ${account.username === this.helpdeskAccount?.username ? 'active' : ''}" data-username="${account.username}">
+                <span class="flex-grow-1">
+                    <span class="d-block fw-semibold">${account.displayName || account.username}</span>
+                    <small class="d-block">${account.username} · ${account.department || account.email}</small>
+                </span>
+                ${account.isLocked ? html`<span class="badge bg-danger ms-2">Locked</span>` : ''}
+                ${account.isEnabled ? '' : html`<span class="badge bg-secondary ms-2">Disabled</span>`}
+            </button>
+        `)}`);
+        document.getElementById('helpdeskEmpty')?.classList.toggle('d-none', accounts.length > 0 || !query.trim());
+    }
+
+    async selectHelpdeskAccount(username) {
+        const card = document.getElementById('helpdeskDetails');
+        const errorDiv = document.getElementById('helpdeskError');
+
+        this.hideError(errorDiv);
+        this.hideTemporaryPassword();
+        try {
+            const response = await getLockoutDetails(username, this.getRouteRequestOptions());
+            if (response.success && response.data) {
+                this.helpdeskAccount = response.data;
+                this.renderHelpdeskAccount();
+                this.showContent(card);
+            } else {
+                throw new Error(response.message || 'Failed to load the account');
+            }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.error('Lockout details error:', error);
+            this.helpdeskAccount = null;
+            this.hideContent(card);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load the account'));
+        }
+        this.renderHelpdeskResults(this.helpdeskResults, document.getElementById('helpdeskSearch')?.value);
+    }
+
+    renderHelpdeskAccount() {
+        const account = this.helpdeskAccount;
+        render(document.getElementById('helpdeskAccountName'), account.displayName || account.username);
+        render(document.getElementById('helpdeskAccountMeta'), [account.username, account.email].filter(Boolean).join(' · '));
+        render(document.getElementById('helpdeskLockout'), html`${lockoutRows(account, date => this.formatDate(date)).map(([label, value]) => html`
+            <dt class="col-sm-5 text-muted fw-normal">${label}</dt>
+            <dd class="col-sm-7">${value}</dd>
+        `)}`);
+
+        const unlockBtn = document.getElementById('helpdeskUnlockBtn');
+        if (unlockBtn) unlockBtn.disabled = !account.isLocked;
+    }
+
+    async handleHelpdeskUnlock() {
+        const account = this.helpdeskAccount;
+        if (!account?.isLocked || !can(PERMISSIONS.UNLOCK_ACCOUNT)) return;
+
+        const confirmed = await this.confirmHelpdeskAction({
+            title: 'Unlock Account',
+            message: `Unlock the account of ${account.displayName || account.username}?`,
+            confirmLabel: 'Unlock'
+        });
+        if (!confirmed) return;
+
+        await this.runHelpdeskAction(
+            () => unlockAccount(account.username, confirmed.reason),
+            'Account Unlocked',
+            'Failed to unlock the account'
+        );
+    }
+
+    // The temporary password is generated here, sent once and shown once
+    async handleHelpdeskReset() {
+        const account = this.helpdeskAccount;
+        if (!account || !can(PERMISSIONS.RESET_PASSWORD)) return;
+
+        const confirmed = await this.confirmHelpdeskAction({
+            title: 'Reset Password',
+            message: `Reset the password of ${account.displayName || account.username} to a generated temporary password?`,
+            confirmLabel: 'Reset Password',
+            mustChange: true
+        });
+        if (!confirmed) return;
+
+        const temporaryPassword = passwordPolicy.generate(account);
+        const done = await this.runHelpdeskAction(
+            () => resetUserPassword(account.username, temporaryPassword, confirmed.mustChangePassword, confirmed.reason),
+            'Password Reset',
+            'Failed to reset the password'
+        );
+        if (done) this.showTemporaryPassword(temporaryPassword);
+    }
+
+    // Run an unlock / reset, then reload the account's lockout details. Resolves to
+    // false if it failed, or if the account is no longer selected once it is done
+    // (signed out or another account picked meanwhile)
+    async runHelpdeskAction(action, successTitle, fallback) {
+        const username = this.helpdeskAccount?.username;
+        const response = await this.runAction(action, {
+            errorElement: document.getElementById('helpdeskError'),
+            successTitle,
+            fallback
+        });
+
+        if (!response || !username || this.helpdeskAccount?.username !== username) return false;
+        await this.selectHelpdeskAccount(username);
+        return true;
+    }
+
+    // Ask for confirmation and a reason. Resolves to { reason, mustChangePassword },
+    // or null if the dialog is dismissed.
+    confirmHelpdeskAction({ title, message, confirmLabel, mustChange = false }) {
+        this.settleHelpdeskConfirm(null);
+
+        document.getElementById('helpdeskConfirmForm')?.reset();
+        this.clearFieldErrors(['helpdeskReason']);
+        render(document.getElementById('helpdeskConfirmTitle'), title);
+        render(document.getElementById('helpdeskConfirmMessage'), message);
+        render(document.getElementById('helpdeskConfirmBtn'), confirmLabel);
+        document.getElementById('helpdeskMustChangeGroup')?.classList.toggle('d-none', !mustChange);
+
+        return new Promise(resolve => {
+            this.helpdeskConfirm = { resolve, mustChange };
+            if (helpdeskConfirmModalInstance) helpdeskConfirmModalInstance.show();
+        });
+    }
+
+    submitHelpdeskConfirm() {
+        if (!this.helpdeskConfirm) return;
+        const reason = document.getElementById('helpdeskReason')?.value || '';
+        const problem = validateReason(reason);
+
+        this.clearFieldErrors(['helpdeskReason']);
+        if (problem) {
+            this.setFieldError('helpdeskReason', problem);
+            return;
+        }
+
+        this.settleHelpdeskConfirm({
+            reason: reason.trim(),
+            mustChangePassword: this.helpdeskConfirm.mustChange && !!document.getElementById('helpdeskMustChange')?.checked
+        });
+        if (helpdeskConfirmModalInstance) helpdeskConfirmModalInstance.hide();
+    }
+
+    settleHelpdeskConfirm(result) {
+        const pending = this.helpdeskConfirm;
+        this.helpdeskConfirm = null;
+        if (pending) pending.resolve(result);
+    }
+
+    showTemporaryPassword(password) {
+        render(document.getElementById('helpdeskTempPasswordValue'), password);
+        this.showContent(document.getElementById('helpdeskTempPassword'));
+    }
+
+    hideTemporaryPassword() {
+        render(document.getElementById('helpdeskTempPasswordValue'), '');
+        this.hideContent(document.getElementById('helpdeskTempPassword'));
+    }
+
+    async copyTemporaryPassword() {
+        const password = document.getElementById('helpdeskTempPasswordValue')?.textContent || '';
+        try {
+            await navigator.clipboard.writeText(password);
+            this.showToast('Copied', 'The temporary password is on the clipboard', 'SUCCESS');
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            this.showToast('Copy Failed', 'Select the password and copy it manually', 'WARNING');
+        }
+    }
+
+    // Forget the selected account (and any temporary password) on logout
+    resetHelpdesk() {
+        this.helpdeskSearchDebounced.cancel();
+        this.helpdeskResults = [];
+        this.helpdeskAccount = null;
+        this.settleHelpdeskConfirm(null);
+        if (helpdeskConfirmModalInstance) helpdeskConfirmModalInstance.hide();
+        document.getElementById('helpdeskSearchForm')?.reset();
+        render(document.getElementById('helpdeskResults'), '');
+        this.hideContent(document.getElementById('helpdeskDetails'));
+        this.hideTemporaryPassword();
+    }
+
+    // First page for the current filters
+    loadActivity() {
+        return this.fetchActivityPage(1);
+    }
+
+    loadMoreActivity() {
+        if (this.activityLoading || !this.activity.hasMore) return;
+        this.fetchActivityPage(this.activity.page + 1);
+    }
+
+    // Page 1 replaces the timeline, later pages append. A filter change while a
+    // page is loading makes that page stale; it is dropped.
+    async fetchActivityPage(page) {
+        const requestId = page === 1 ? ++this.activityRequestCount : this.activityRequestCount;
+        const loadingDiv = document.getElementById('activityLoading');
+        const errorDiv = document.getElementById('activityError');
+        const range = toActivityRange(
+            document.getElementById('activityFrom')?.value,
+            document.getElementById('activityTo')?.value
+        );
+        const checked = [...document.querySelectorAll('input[name="activityType"]:checked')].map(input => input.value);
+
+        this.hideError(errorDiv);
+        if (page === 1) {
+            this.activity = { events: [], page: 0, total: 0, hasMore: false };
+        }
+        if (range.error || !checked.length) {
+            this.renderActivity();
+            if (range.error) this.showError(errorDiv, range.error);
+            return;
+        }
+
+        this.activityLoading = true;
+        this.showLoading(loadingDiv);
+        document.getElementById('activityMoreBtn')?.classList.add('d-none');
+
         try {
-            await changePassword(newPassword);
-            this.showSuccess(feedback, 'Password changed successfully');
-            event.target.reset();
-            
-            // Auto logout after password change
-            setTimeout(() => {
-                this.handleLogout();
-            }, 3000);
+            // All types checked: no type filter, so new event types still show up
+            const types = checked.length === Object.keys(ACTIVITY_TYPES).length ? [] : checked;
+            const response = await getActivity({ from: range.from, to: range.to, types }, page, {
+                ...this.getRouteRequestOptions(),
+                pageSize: ACTIVITY_PAGE_SIZE
+            });
+            if (requestId !== this.activityRequestCount) return;
+
+            if (response.success && response.data) {
+                const { items = [], total = 0, pageSize = ACTIVITY_PAGE_SIZE, hasMore } = response.data;
+                this.activity = {
+                    events: [...this.activity.events, ...items],
+                    page,
+                    total,
+                    hasMore: hasMore ?? page * pageSize < total
+                };
+                this.renderActivity();
+            } else {
+                throw new Error(response.message || 'Failed to load activity');
+            }
         } catch (error) {
-            console.error('Password change error:', error);
-            this.showError(feedback, error.message || 'Failed to change password');
+            if (error instanceof RequestCancelledError || requestId !== this.activityRequestCount) return;
+            console.error('Load activity error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load activity'));
+            document.getElementById('activityMoreBtn')?.classList.toggle('d-none', !this.activity.hasMore);
         } finally {
-            this.hideLoading();
+            if (requestId === this.activityRequestCount) {
+                this.activityLoading = false;
+                this.hideLoading(loadingDiv);
+            }
         }
     }
 
-    async handleChangePasswordForm(event) {
-        event.preventDefault();
-        
-        const currentPassword = document.getElementById('currentPassword')?.value;
-        const newPassword = document.getElementById('newPasswordChange')?.value;
-        const confirmPassword = document.getElementById('confirmPasswordChange')?.value;
-        const errorDiv = document.getElementById('passwordError');
-        const successDiv = document.getElementById('passwordSuccess');
-        const changeBtn = document.getElementById('changePasswordBtn');
-        const spinner = document.getElementById('changePasswordSpinner');
-
-        if (!currentPassword || !newPassword || !confirmPassword) {
-            this.showError(errorDiv, 'Please fill in all fields');
-            return;
+    renderActivity() {
+        const { events, total, hasMore } = this.activity;
+        const flags = flagSuspicious(events);
+        const suspicious = events.filter(event => flags.has(event.id)).length;
+
+        render(document.getElementById('activitySummary'), total
+            ? `Showing ${events.length} of ${total} ${total === 1 ? 'event' : 'events'}`
+            : '');
+        render(document.getElementById('activitySuspicious'), html`
+            <i class="fas fa-exclamation-triangle me-2"></i>${suspicious} ${suspicious === 1 ? 'event looks' : 'events look'} suspicious.
+            If you do not recognise ${suspicious === 1 ? 'it' : 'them'}, change your password and contact the helpdesk.
+        `);
+        document.getElementById('activitySuspicious')?.classList.toggle('d-none', suspicious === 0);
+
+        render(document.getElementById('activityTimeline'), html`${groupByDay(events).map(({ events: dayEvents }) => html`
+            <li class="activity-day">
+                ${new Date(dayEvents[0].timestamp).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+            </li>
+            ${dayEvents.map(event => this.renderActivityEvent(event, flags.get(event.id)))}
+        `)}`);
+        document.getElementById('activityEmpty')?.classList.toggle('d-none', events.length > 0 || this.activityLoading);
+        document.getElementById('activityMoreBtn')?.classList.toggle('d-none', !hasMore);
+
+        // Re-observe so a sentinel that is still on screen loads the next page too
+        const sentinel = document.getElementById('activitySentinel');
+        if (this.activityObserver && sentinel && hasMore) {
+            this.activityObserver.unobserve(sentinel);
+            this.activityObserver.observe(sentinel);
         }
+    }
 
-        if (newPassword !== confirmPassword) {
-            this.showError(errorDiv, 'New passwords do not match');
-            return;
-        }
+    renderActivityEvent(event, reasons = []) {
+        const type = activityType(event.type);
+        const time = new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        return html`
+            <li class="activity-event ${reasons.length ? 'activity-suspicious' : ''}" data-event-id="${event.id}">
+                <span class="activity-icon"><i class="fas ${type.icon}"></i></span>
+                <div class="flex-grow-1">
+                    <div class="fw-semibold">
+                        ${type.label}
+                        ${reasons.map(reason => html`<span class="badge bg-danger ms-2">${SUSPICIOUS_REASONS[reason] || reason}</span>`)}
+                    </div>
+                    <small class="d-block text-muted">
+                        ${time} · ${event.location || 'Unknown location'} · ${event.ipAddress || 'Unknown IP'} ·
+                        <span title="${event.client || ''}">${describeClient(event.client)}</span>
+                    </small>
+                    ${event.details ? html`<small class="d-block">${event.details}</small>` : ''}
+                </div>
+            </li>
+        `;
+    }
 
-        // Show loading state
-        changeBtn.disabled = true;
-        spinner.classList.remove('d-none');
+    // Forget the loaded timeline on logout
+    resetActivity() {
+        this.activityRequestCount++;
+        this.activityLoading = false;
+        this.activity = { events: [], page: 0, total: 0, hasMore: false };
+        document.getElementById('activityFilters')?.reset();
+        render(document.getElementById('activityTimeline'), '');
+        render(document.getElementById('activitySummary'), '');
+        document.getElementById('activitySuspicious')?.classList.add('d-none');
+        document.getElementById('activityMoreBtn')?.classList.add('d-none');
+    }
+
+    async loadSessions() {
+        const loadingDiv = document.getElementById('sessionsLoading');
+        const errorDiv = document.getElementById('sessionsError');
+
+        this.showLoading(loadingDiv);
         this.hideError(errorDiv);
-        this.hideSuccess(successDiv);
 
         try {
-            const response = await changePassword(newPassword);
-            
-            if (response.success) {
-                this.showSuccess(successDiv, 'Password changed successfully! You will be logged out.');
-                setTimeout(() => {
-                    this.handleLogout();
-                }, 2000);
+            const response = await getSessions(this.getRouteRequestOptions());
+
+            if (response.success && Array.isArray(response.data)) {
+                this.sessions = response.data;
+                this.renderSessions();
             } else {
-                this.showError(errorDiv, response.message || 'Failed to change password');
+                throw new Error(response.message || 'Failed to load sessions');
             }
         } catch (error) {
-            console.error('Change password error:', error);
-            this.showError(errorDiv, error.message || 'Failed to change password');
+            if (error instanceof RequestCancelledError) return;
+            console.error('Load sessions error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load sessions'));
         } finally {
-            changeBtn.disabled = false;
-            spinner.classList.add('d-none');
+            this.hideLoading(loadingDiv);
         }
     }
 
-    showPage(pageName) {
-        this.currentPage = pageName;
-        this.hideAllPages();
-        
-        const pageElement = document.getElementById(this.getPageId(pageName));
-        if (pageElement) {
-            pageElement.classList.remove('d-none');
-        }
+    renderSessions() {
+        // This device first, the rest as the server ordered them (most recent first)
+        const sessions = [...this.sessions].sort((a, b) => Number(!!b.current) - Number(!!a.current));
+        const others = sessions.filter(session => !session.current).length;
+
+        render(document.getElementById('sessionsList'), html`${sessions.map(session => html`
+            <li class="list-group-item d-flex justify-content-between align-items-start gap-3" data-session-id="${session.id}">
+                <div>
+                    <div class="fw-semibold">
+                        <i class="fas ${/Mobile|Android|iPhone|iPad/.test(session.userAgent || '') ? 'fa-mobile-alt' : 'fa-desktop'} me-2 text-muted"></i>
+                        <span title="${session.userAgent || ''}">${describeClient(session.userAgent)}</span>
+                        ${session.current ? html`<span class="badge bg-success ms-2">This device</span>` : ''}
+                    </div>
+                    <small class="d-block text-muted">
+                        ${session.location || 'Unknown location'} · ${session.ipAddress || 'Unknown IP'}
+                    </small>
+                    <small class="d-block text-muted">
+                        Signed in ${this.formatDate(session.createdAt)} · Last active ${this.formatDate(session.lastActivity)}
+                    </small>
+                </div>
+                <button type="button" class="btn btn-outline-danger btn-sm text-nowrap" data-revoke-session="${session.id}">
+                    <i class="fas fa-sign-out-alt me-1"></i>Sign out
+                </button>
+            </li>
+        `)}`);
+
+        const revokeOthersBtn = document.getElementById('revokeOtherSessionsBtn');
+        if (revokeOthersBtn) revokeOthersBtn.disabled = others === 0;
+    }
 
-        // Load page-specific content
-        switch (pageName) {
-            case 'dashboard':
-                this.loadDashboardContent();
-                break;
-            case 'profile':
-                this.loadProfile();
-                break;
-            case 'change-password':
-                this.loadChangePasswordPage();
-                break;
-            case 'account-status':
-                this.loadAccountStatus();
-                break;
+    // Signing out this device is a normal logout; other devices are revoked on the server
+    async handleRevokeSession(id) {
+        const session = this.sessions.find(item => item.id === id);
+        if (!session) return;
+
+        if (session.current) {
+            const confirmed = await this.confirmAction({
+                title: 'Sign out of this device?',
+                message: 'You will be signed out here and returned to the login page.',
+                confirmLabel: 'Sign out'
+            });
+            if (confirmed) await this.handleLogout();
+            return;
         }
+
+        const confirmed = await this.confirmAction({
+            title: 'Sign out this device?',
+            message: `${describeClient(session.userAgent)} (${session.location || 'unknown location'}, last active ${this.formatDate(session.lastActivity)}) will be signed out and has to sign in again.`,
+            confirmLabel: 'Sign out device'
+        });
+        if (!confirmed) return;
+
+        await this.runSessionAction(() => revokeSession(id), 'Session Signed Out', 'Failed to sign out the session');
     }
 
-    getPageId(pageName) {
-        const pageMap = {
-            'dashboard': 'dashboardPage',
-            'profile': 'profilePage',
-            'change-password': 'changePasswordPage',
-            'account-status': 'accountStatusPage'
-        };
-        return pageMap[pageName] || 'dashboardPage';
+    async handleRevokeOtherSessions() {
+        const others = this.sessions.filter(session => !session.current).length;
+        if (!others) return;
+
+        const confirmed = await this.confirmAction({
+            title: 'Sign out everywhere else?',
+            message: `${others} other ${others === 1 ? 'session' : 'sessions'} will be signed out. You stay signed in on this device.`,
+            confirmLabel: 'Sign out everywhere else'
+        });
+        if (!confirmed) return;
+
+        await this.runSessionAction(() => revokeOtherSessions(), 'Signed Out Everywhere Else', 'Failed to sign out the other sessions');
     }
 
-    hideAllPages() {
-        const pages = ['dashboardPage', 'profilePage', 'changePasswordPage', 'accountStatusPage'];
-        pages.forEach(pageId => {
-            const page = document.getElementById(pageId);
-            if (page) page.classList.add('d-none');
+    // Run a revocation, then reload the list either way
+    async runSessionAction(action, successTitle, fallback) {
+        await this.runAction(action, {
+            errorElement: document.getElementById('sessionsError'),
+            successTitle,
+            fallback,
+            onError: (error) => {
+                if (!(error instanceof ApiError && error.code === 'SESSION_NOT_FOUND')) return false;
+                // Ended meanwhile (expired or signed out elsewhere): the reloaded list shows it
+                this.showToast('Session Ended', error.message, 'INFO');
+                return true;
+            }
         });
+
+        await this.loadSessions();
     }
 
-    async loadDashboardContent() {
-        try {
-            const [profile, status] = await Promise.all([
-                getProfile(),
-                getAccountStatus()
-            ]);
-            this.renderDashboard(profile, status);
-        } catch (error) {
-            console.error('Failed to load dashboard content:', error);
-        }
+    // Forget the listed sessions on logout
+    resetSessions() {
+        this.sessions = [];
+        render(document.getElementById('sessionsList'), '');
     }
 
-    async loadProfile() {
-        const loadingDiv = document.getElementById('profileLoading');
-        const contentDiv = document.getElementById('profileContent');
-        const errorDiv = document.getElementById('profileError');
+    // Element IDs of a recovery contact card: ('mobile', 'Form') -> 'securityMobileForm'
+    securityContactId(channel, suffix = '') {
+        return `security${channel.charAt(0).toUpperCase()}${channel.slice(1)}${suffix}`;
+    }
+
+    async loadSecuritySettings() {
+        const loadingDiv = document.getElementById('securityLoading');
+        const errorDiv = document.getElementById('securityError');
+        const contentDiv = document.getElementById('securityContent');
 
         this.showLoading(loadingDiv);
         this.hideContent(contentDiv);
         this.hideError(errorDiv);
+        this.cancelSecurityQuestionsEdit();
 
         try {
-            const response = await getProfile();
-            
+            const response = await getSecuritySettings(this.getRouteRequestOptions());
+
             if (response.success && response.data) {
-                const user = response.data;
-                this.updateProfileDisplay(user);
+                this.updateSecuritySettings(response.data);
                 this.showContent(contentDiv);
             } else {
-                throw new Error(response.message || 'Failed to load profile');
+                throw new Error(response.message || 'Failed to load security settings');
             }
         } catch (error) {
-            console.error('Load profile error:', error);
-            this.showError(errorDiv, error.message || 'Failed to load profile');
+            if (error instanceof RequestCancelledError) return;
+            console.error('Load security settings error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to load security settings'));
         } finally {
             this.hideLoading(loadingDiv);
         }
     }
 
-    updateProfileDisplay(user) {
-        const fields = {
-            'profileUsername': user.username,
-            'profileDisplayname': user.displayName,
-            'profileFirstname': user.firstName,
-            'profileLastname': user.lastName,
-            'profileEmail': user.email,
-            'profileStatus': user.isEnabled ? '<span class="status-enabled">Enabled</span>' : '<span class="status-disabled">Disabled</span>',
-            'profileLastlogin': this.formatDate(user.lastLogin),
-            'profilePasswordset': this.formatDate(user.passwordLastSet)
-        };
-
-        Object.entries(fields).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.innerHTML = value || '-';
+    // Dashboard card and nudge only: not worth failing the dashboard over
+    async loadSecuritySummary(options = {}) {
+        try {
+            const response = await getSecuritySettings(options);
+            if (response.success && response.data) {
+                this.updateSecuritySettings(response.data);
             }
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+            console.warn('Could not load security settings:', error);
+            render(document.getElementById('securitySection'),
+                html`<p class="text-muted small mb-0">Recovery setup could not be loaded.</p>`);
+        }
+    }
+
+    updateSecuritySettings(settings) {
+        this.securitySettings = settings;
+        this.renderSecuritySettings();
+        this.renderSecuritySection();
+    }
+
+    renderSecuritySettings() {
+        if (!this.securitySettings) return;
+        const status = enrollmentStatus(this.securitySettings);
+
+        const bar = document.getElementById('securityProgressBar');
+        if (bar) {
+            bar.style.width = `${status.percent}%`;
+            bar.className = `progress-bar ${status.complete ? 'bg-success' : 'bg-warning'}`;
+            bar.setAttribute('aria-valuenow', String(status.percent));
+        }
+        render(document.getElementById('securityProgressText'), `${status.done} of ${status.total} set up`);
+
+        this.renderSecurityQuestions();
+        Object.keys(RECOVERY_CONTACTS).forEach(channel => this.renderSecurityContact(channel));
+    }
+
+    renderEnrollmentBadge(element, done) {
+        if (!element) return;
+        element.className = `badge ${done ? 'bg-success' : 'bg-secondary'}`;
+        render(element, done ? 'Set up' : 'Not set up');
+    }
+
+    // Only the questions are listed: answers never come back from the server
+    renderSecurityQuestions() {
+        const { catalog = [], enrolled = [], required = SECURITY_QUESTIONS_REQUIRED } = this.securitySettings?.questions || {};
+        const editing = this.securityQuestionsEditing;
+        const list = document.getElementById('securityQuestionsList');
+        const editBtn = document.getElementById('securityQuestionsEditBtn');
+
+        this.renderEnrollmentBadge(document.getElementById('securityQuestionsBadge'), enrolled.length >= required);
+        render(list, enrolled.length
+            ? html`${enrolled.map(id => html`
+                <li class="mb-1"><i class="fas fa-check text-success me-2"></i>${catalog.find(question => question.id === id)?.text || id}</li>
+            `)}`
+            : html`<li class="text-muted">No security questions answered yet.</li>`);
+        render(editBtn, html`<i class="fas fa-pen me-1"></i>${enrolled.length ? 'Change questions' : 'Set up questions'}`);
+
+        list?.classList.toggle('d-none', editing);
+        editBtn?.classList.toggle('d-none', editing);
+        document.getElementById('securityQuestionsForm')?.classList.toggle('d-none', !editing);
+    }
+
+    // Keeps the chosen questions; every answer has to be typed again
+    startSecurityQuestionsEdit() {
+        const { catalog = [], enrolled = [], required = SECURITY_QUESTIONS_REQUIRED } = this.securitySettings?.questions || {};
+        this.securityQuestionsEditing = true;
+        this.hideError(document.getElementById('securityQuestionsError'));
+
+        render(document.getElementById('securityQuestionRows'), html`${Array.from({ length: required }, (_, index) => html`
+            <div class="mb-3">
+                <label for="securityQuestion-${index}" class="form-label">Question ${index + 1}</label>
+                <select class="form-select" id="securityQuestion-${index}">
+                    <option value="">Choose a question...</option>
+                    ${catalog.map(question => html`
+                        <option value="${question.id}" ${question.id === enrolled[index] ? 'selected' : ''}>${question.text}</option>
+                    `)}
+                </select>
+                <div id="securityQuestion-${index}FieldError" class="invalid-feedback"></div>
+                <input type="text" class="form-control mt-2" id="securityAnswer-${index}" autocomplete="off" spellcheck="false" placeholder="Answer" aria-label="Answer to question ${index + 1}">
+                <div id="securityAnswer-${index}FieldError" class="invalid-feedback"></div>
+            </div>
+        `)}`);
+        this.renderSecurityQuestions();
+        document.getElementById('securityAnswer-0')?.focus();
+    }
+
+    // Also drops the typed answers from the page
+    cancelSecurityQuestionsEdit() {
+        this.securityQuestionsEditing = false;
+        render(document.getElementById('securityQuestionRows'), '');
+        this.hideError(document.getElementById('securityQuestionsError'));
+        this.renderSecurityQuestions();
+    }
+
+    async handleSecurityQuestionsSave(event) {
+        event.preventDefault();
+        const errorDiv = document.getElementById('securityQuestionsError');
+        const { required = SECURITY_QUESTIONS_REQUIRED } = this.securitySettings?.questions || {};
+        const rows = Array.from({ length: required }, (_, index) => ({
+            questionId: document.getElementById(`securityQuestion-${index}`)?.value || '',
+            answer: document.getElementById(`securityAnswer-${index}`)?.value || ''
+        }));
+        const errors = validateSecurityAnswers(rows);
+
+        this.clearFieldErrors(rows.flatMap((_, index) => [`securityQuestion-${index}`, `securityAnswer-${index}`]));
+        this.hideError(errorDiv);
+        Object.entries(errors).forEach(([index, { field, message }]) => {
+            this.setFieldError(field === 'question' ? `securityQuestion-${index}` : `securityAnswer-${index}`, message);
         });
+        if (Object.keys(errors).length) return;
+
+        this.showLoading();
+        try {
+            const answers = Object.fromEntries(rows.map(({ questionId, answer }) => [questionId, answer.trim()]));
+            const response = await saveSecurityQuestions(answers);
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save the security questions');
+            }
+            this.cancelSecurityQuestionsEdit();
+            this.updateSecuritySettings(response.data);
+            this.showToast('Security Questions Saved', response.message || 'Security questions saved', 'SUCCESS');
+        } catch (error) {
+            console.error('Save security questions error:', error);
+            this.showError(errorDiv, this.describeError(error, 'Failed to save the security questions'));
+        } finally {
+            this.hideLoading();
+        }
     }
 
-    async loadAccountStatus() {
-        const loadingDiv = document.getElementById('statusLoading');
-        const contentDiv = document.getElementById('statusContent');
-        const errorDiv = document.getElementById('statusError');
+    // Current value, then the new value form or (once a code was sent) the code form
+    renderSecurityContact(channel) {
+        const id = suffix => this.securityContactId(channel, suffix);
+        const value = this.securitySettings?.[RECOVERY_CONTACTS[channel].attribute];
+        const verification = this.contactVerifications[channel];
+        const editing = this.contactEditing.has(channel);
+
+        this.renderEnrollmentBadge(document.getElementById(id('Badge')), !!value);
+        render(document.getElementById(id('Current')), value
+            ? html`<strong>${value}</strong>`
+            : html`<span class="text-muted">Not set up</span>`);
+        render(document.getElementById(id('EditBtn')), html`<i class="fas fa-pen me-1"></i>${value ? 'Change' : 'Add'}`);
+        render(document.getElementById(id('Sent')), verification ? `${verification.message}. Enter it to confirm.` : '');
+
+        document.getElementById(id('EditBtn'))?.classList.toggle('d-none', editing);
+        document.getElementById(id('RemoveBtn'))?.classList.toggle('d-none', !value || editing);
+        document.getElementById(id('Form'))?.classList.toggle('d-none', !editing || !!verification);
+        document.getElementById(id('VerifyForm'))?.classList.toggle('d-none', !editing || !verification);
+        document.getElementById(id('CancelBtn'))?.classList.toggle('d-none', !editing);
+    }
 
-        this.showLoading(loadingDiv);
-        this.hideContent(contentDiv);
+    startContactEdit(channel) {
+        const input = document.getElementById(this.securityContactId(channel));
+        this.contactEditing.add(channel);
+        delete this.contactVerifications[channel];
+        if (input) input.value = '';
+        this.clearFieldErrors([this.securityContactId(channel)]);
+        this.hideError(document.getElementById(this.securityContactId(channel, 'Error')));
+        this.renderSecurityContact(channel);
+        input?.focus();
+    }
+
+    cancelContactEdit(channel) {
+        this.contactEditing.delete(channel);
+        delete this.contactVerifications[channel];
+        this.hideError(document.getElementById(this.securityContactId(channel, 'Error')));
+        this.renderSecurityContact(channel);
+    }
+
+    async handleContactSend(event, channel) {
+        event.preventDefault();
+        const { attribute, label, validate } = RECOVERY_CONTACTS[channel];
+        const inputId = this.securityContactId(channel);
+        const errorDiv = document.getElementById(this.securityContactId(channel, 'Error'));
+        const value = (document.getElementById(inputId)?.value || '').trim();
+        const problem = validate(value) || (value === this.securitySettings?.[attribute] ? `This is already your ${label}` : '');
+
+        this.clearFieldErrors([inputId]);
         this.hideError(errorDiv);
+        if (problem) {
+            this.setFieldError(inputId, problem);
+            return;
+        }
 
+        this.showLoading();
         try {
-            const response = await getAccountStatus();
-            
-            if (response.success && response.data) {
-                const status = response.data;
-                this.updateStatusDisplay(status);
-                this.showContent(contentDiv);
+            const response = await startRecoveryContactChange(channel, value);
+            if (!response.success || !response.data) {
+                throw new Error(response.message || 'Failed to send the code');
+            }
+            this.contactVerifications[channel] = {
+                ...response.data,
+                message: response.message || `We sent a code to ${response.data.destination || value}`
+            };
+            const codeInput = document.getElementById(this.securityContactId(channel, 'Code'));
+            if (codeInput) codeInput.value = '';
+            this.clearFieldErrors([this.securityContactId(channel, 'Code')]);
+            this.renderSecurityContact(channel);
+            codeInput?.focus();
+        } catch (error) {
+            console.error('Send verification code error:', error);
+            if (error instanceof ValidationError) {
+                this.setFieldError(inputId, error.fields[channel] || error.message);
             } else {
-                throw new Error(response.message || 'Failed to load account status');
+                this.showError(errorDiv, this.describeError(error, 'Failed to send the code'));
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleContactVerify(event, channel) {
+        event.preventDefault();
+        const verification = this.contactVerifications[channel];
+        if (!verification) return;
+
+        const codeId = this.securityContactId(channel, 'Code');
+        const codeInput = document.getElementById(codeId);
+        const errorDiv = document.getElementById(this.securityContactId(channel, 'Error'));
+        const code = normalizeCode(codeInput?.value);
+        const problem = validateCode(code);
+
+        this.clearFieldErrors([codeId]);
+        this.hideError(errorDiv);
+        if (problem) {
+            this.setFieldError(codeId, problem);
+            return;
+        }
+
+        this.showLoading();
+        try {
+            const response = await verifyRecoveryContact(verification.verificationId, code);
+            if (!response.success) {
+                throw new Error(response.message || 'Verification failed');
             }
+            this.contactEditing.delete(channel);
+            delete this.contactVerifications[channel];
+            this.updateSecuritySettings(response.data);
+            this.showToast('Verified', response.message || 'Recovery method verified', 'SUCCESS');
         } catch (error) {
-            console.error('Load account status error:', error);
-            this.showError(errorDiv, error.message || 'Failed to load account status');
+            console.error('Verify recovery contact error:', error);
+            if (error instanceof ValidationError && error.code === 'VERIFICATION_EXPIRED') {
+                // Back to the value form, still filled in, to send a new code
+                delete this.contactVerifications[channel];
+                this.renderSecurityContact(channel);
+                this.showError(errorDiv, error.message);
+            } else if (error instanceof ValidationError) {
+                this.setFieldError(codeId, error.message || 'The code is not correct');
+                codeInput?.select();
+            } else {
+                this.showError(errorDiv, this.describeError(error, 'Verification failed'));
+            }
         } finally {
-            this.hideLoading(loadingDiv);
+            this.hideLoading();
         }
     }
 
+    async handleContactRemove(channel) {
+        const { attribute, label } = RECOVERY_CONTACTS[channel];
+        const value = this.securitySettings?.[attribute];
+        if (!value) return;
+
+        const confirmed = await this.confirmAction({
+            title: `Remove ${label}?`,
+            message: `${value} will no longer be used to recover your account.`,
+            confirmLabel: 'Remove'
+        });
+        if (!confirmed) return;
+
+        const response = await this.runAction(() => removeRecoveryContact(channel), {
+            errorElement: document.getElementById(this.securityContactId(channel, 'Error')),
+            successTitle: 'Removed',
+            fallback: `Failed to remove the ${label}`
+        });
+        if (response) this.updateSecuritySettings(response.data);
+    }
+
+    dismissSecurityNudge() {
+        this.securityNudge = false;
+        document.getElementById('securityNudge')?.classList.add('d-none');
+    }
+
+    // Forget recovery settings and pending codes on logout
+    resetSecurity() {
+        this.securitySettings = null;
+        this.securityNudge = false;
+        this.contactEditing.clear();
+        this.contactVerifications = {};
+        this.cancelSecurityQuestionsEdit();
+        document.getElementById('securityNudge')?.classList.add('d-none');
+    }
+
+    loadNotAuthorizedPage() {
+        const { from } = this.router.getLocation().query;
+        render(document.getElementById('notAuthorizedPath'), from && this.router.hasRoute(from) ? from : '');
+        document.getElementById('notAuthorizedFrom')?.classList.toggle('d-none', !from || !this.router.hasRoute(from));
+    }
+
     updateStatusDisplay(status) {
         const fields = {
             'statusUsername': status.username,
-            'statusLocked': status.isLocked ? '<span class="status-locked">Locked</span>' : '<span class="status-enabled">Not Locked</span>',
+            'statusLocked': status.isLocked ? html`<span class="status-locked">Locked</span>` : html`<span class="status-enabled">Not Locked</span>`,
             'statusSessionCreated': this.formatDate(status.sessionCreatedAt),
             'statusSessionExpires': this.formatDate(status.sessionExpiresAt),
             'statusLastActivity': this.formatDate(status.lastActivity)
         };
 
         Object.entries(fields).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.innerHTML = value || '-';
-            }
+            render(document.getElementById(id), value || '-');
         });
     }
 
@@ -572,6 +3590,8 @@ class App {
         const successDiv = document.getElementById('passwordSuccess');
         
         if (form) form.reset();
+        this.clearFieldErrors(['currentPassword', 'newPasswordChange', 'confirmPasswordChange']);
+        this.updatePasswordStrength('', 'passwordStrengthChange', 'passwordRulesChange');
         if (errorDiv) this.hideError(errorDiv);
         if (successDiv) this.hideSuccess(successDiv);
     }
@@ -595,7 +3615,7 @@ class App {
                 this.showToast('Connection Test', result.message || 'AD connection failed', 'ERROR');
             }
         } catch (error) {
-            this.showToast('Connection Test', error.message || 'Failed to test AD connection', 'ERROR');
+            this.showToast('Connection Test', this.describeError(error, 'Failed to test AD connection'), 'ERROR');
         }
     }
 
@@ -620,7 +3640,9 @@ class App {
         const profileSection = document.getElementById('profileSection');
         if (!profileSection) return;
 
-        profileSection.innerHTML = `
+        const expiry = getPasswordExpiry(profile, passwordPolicy.getPolicy());
+
+        render(profileSection, html`
             <div class="row">
                 <div class="col-6 mb-2">
                     <strong>Username:</strong><br>
@@ -640,15 +3662,19 @@ class App {
                         ${profile.isEnabled ? 'Enabled' : 'Disabled'}
                     </span>
                 </div>
+                <div class="col-6 mb-2">
+                    <strong>Password:</strong><br>
+                    <span class="${this.getPasswordExpiryClass(expiry)}">${describePasswordExpiry(expiry)}</span>
+                </div>
             </div>
-        `;
+        `);
     }
 
     renderAccountStatusSection(status) {
         const accountStatusSection = document.getElementById('accountStatusSection');
         if (!accountStatusSection) return;
 
-        accountStatusSection.innerHTML = `
+        render(accountStatusSection, html`
             <div class="row">
                 <div class="col-6 mb-2">
                     <strong>Account Locked:</strong><br>
@@ -661,7 +3687,7 @@ class App {
                     <span class="text-muted">${this.formatDate(status.lastLogin)}</span>
                 </div>
             </div>
-        `;
+        `);
     }
 
     renderSessionSection(sessionInfo) {
@@ -677,7 +3703,7 @@ class App {
             minutesLeft = Math.ceil(ms / (1000 * 60));
         }
 
-        sessionSection.innerHTML = `
+        render(sessionSection, html`
             <div class="row">
                 <div class="col-6 mb-2">
                     <strong>Session ID:</strong><br>
@@ -685,12 +3711,145 @@ class App {
                 </div>
                 <div class="col-6 mb-2">
                     <strong>Expires In:</strong><br>
-                    <span class="${minutesLeft !== null && minutesLeft <= 5 ? 'text-danger fw-bold' : 'text-muted'}">
+                    <span class="${minutesLeft !== null && minutesLeft <= config.get('session.warningMinutes') ? 'text-danger fw-bold' : 'text-muted'}">
                         ${minutesLeft !== null ? minutesLeft + ' minutes' : 'Unknown'}
                     </span>
                 </div>
             </div>
-        `;
+        `);
+    }
+
+    // Enrollment progress, plus the after-login nudge while something is missing
+    renderSecuritySection() {
+        const status = enrollmentStatus(this.securitySettings);
+
+        render(document.getElementById('securitySection'), html`
+            <div class="d-flex justify-content-between small mb-1">
+                <strong>${status.complete ? 'Account recovery is set up' : 'Account recovery setup'}</strong>
+                <span>${status.done} of ${status.total} complete</span>
+            </div>
+            <div class="progress mb-3" style="height: 6px">
+                <div class="progress-bar ${status.complete ? 'bg-success' : 'bg-warning'}" role="progressbar" style="width: ${status.percent}%"
+                     aria-valuenow="${status.percent}" aria-valuemin="0" aria-valuemax="100"></div>
+            </div>
+            <ul class="list-inline small mb-0">
+                ${status.items.map(item => html`
+                    <li class="list-inline-item me-3" data-enrollment="${item.key}">
+                        <i class="fas ${item.done ? 'fa-check-circle text-success' : 'fa-circle text-muted'} me-1"></i>${item.label}
+                    </li>
+                `)}
+            </ul>
+        `);
+
+        document.getElementById('securityNudge')?.classList.toggle('d-none', !this.securityNudge || status.complete);
+        render(document.getElementById('securityNudgeMessage'),
+            `Add your ${describeMissing(status)} so you can reset your password or unlock your account yourself.`);
+    }
+
+    // ?mock=1 / ?mock=0 in the URL wins over mock.enabled in config
+    isMockBackendEnabled() {
+        const flag = new URLSearchParams(window.location.search).get('mock');
+        if (flag !== null) return flag !== '0' && flag !== 'false';
+        return config.get('mock.enabled', false);
+    }
+
+    // Loaded on demand so production builds never fetch the mock directory
+    async enableMockBackend() {
+        const { mockBackend } = await import('./services/mockBackend.js');
+        mockBackend.configure({
+            latencyMs: config.get('mock.latencyMs'),
+            sessionMinutes: config.get('mock.sessionMinutes')
+        });
+        api.setTransport(mockBackend.fetch);
+
+        document.getElementById('mockModeBadge')?.classList.remove('d-none');
+        document.getElementById('mockModeNotice')?.classList.remove('d-none');
+    }
+
+    // Missing or invalid config.json: nothing can work, so block the login form
+    showConfigurationError(error) {
+        const loginError = document.getElementById('loginError');
+        const loginForm = document.getElementById('loginForm');
+        const message = error instanceof ConfigError
+            ? `The application is not configured correctly. ${error.message}`
+            : 'The application failed to start.';
+
+        this.showError(loginError, message);
+        if (loginForm) {
+            loginForm.querySelectorAll('input, button').forEach(element => {
+                element.disabled = true;
+            });
+        }
+    }
+
+    // User-facing message for a failed API call, by error type
+    describeError(error, fallback) {
+        if (error instanceof NetworkError) {
+            return error.timedOut
+                ? 'The server took too long to respond. Please try again.'
+                : 'Unable to reach the server. Check your connection and try again.';
+        }
+        if (error instanceof RateLimitError) {
+            const reason = (error.message || 'Too many attempts').replace(/\.$/, '');
+            return error.retryAfter
+                ? `${reason}. Please try again in ${formatRetryAfter(error.retryAfter)}.`
+                : `${reason}. Please try again later.`;
+        }
+        if (error instanceof ServerError) {
+            const reference = error.correlationId ? ` (reference: ${error.correlationId})` : '';
+            return `The server could not complete the request. Please try again later${reference}.`;
+        }
+        return error?.message || fallback;
+    }
+
+    // Resolves to true when confirmed, false when the dialog is dismissed
+    confirmAction({ title, message, confirmLabel }) {
+        this.settleConfirm(false);
+
+        render(document.getElementById('confirmTitle'), title);
+        render(document.getElementById('confirmMessage'), message);
+        render(document.getElementById('confirmBtn'), confirmLabel);
+
+        return new Promise(resolve => {
+            this.pendingConfirm = resolve;
+            if (confirmModalInstance) confirmModalInstance.show();
+        });
+    }
+
+    settleConfirm(confirmed) {
+        const resolve = this.pendingConfirm;
+        this.pendingConfirm = null;
+        if (resolve) resolve(confirmed);
+    }
+
+    cancelConfirm() {
+        this.settleConfirm(false);
+        if (confirmModalInstance) confirmModalInstance.hide();
+    }
+
+    // Run a confirmed action behind the loading overlay: a toast when it worked,
+    // the error in errorElement when not (unless onError returns true, having
+    // dealt with it). Resolves to the response, or null if it failed.
+    async runAction(action, { errorElement, successTitle, fallback, onError = () => false }) {
+        this.hideError(errorElement);
+        this.showLoading();
+
+        try {
+            const response = await action();
+            if (!response.success) {
+                throw new Error(response.message || fallback);
+            }
+            this.showToast(successTitle, response.message || successTitle, 'SUCCESS');
+            return response;
+        } catch (error) {
+            if (!onError(error)) {
+                console.error(`${fallback}:`, error);
+                this.showError(errorElement, this.describeError(error, fallback));
+            }
+            return null;
+        } finally {
+            this.hideLoading();
+        }
     }
 
     // Utility methods
@@ -722,7 +3881,7 @@ class App {
 
     showError(element, message) {
         if (element) {
-            element.innerHTML = `<i class="fas fa-exclamation-circle me-2"></i>${message}`;
+            render(element, html`<i class="fas fa-exclamation-circle me-2"></i>${message}`);
             element.classList.remove('d-none');
         }
     }
@@ -733,7 +3892,7 @@ class App {
 
     showSuccess(element, message) {
         if (element) {
-            element.innerHTML = `<i class="fas fa-check-circle me-2"></i>${message}`;
+            render(element, html`<i class="fas fa-check-circle me-2"></i>${message}`);
             element.classList.remove('d-none');
         }
     }
@@ -742,6 +3901,31 @@ class App {
         if (element) element.classList.add('d-none');
     }
 
+    // Field-level validation message (expects a #<inputId>FieldError element)
+    setFieldError(inputId, message) {
+        const input = document.getElementById(inputId);
+        const feedback = document.getElementById(`${inputId}FieldError`);
+
+        if (input) input.classList.add('is-invalid');
+        if (feedback) {
+            feedback.textContent = message;
+            feedback.classList.add('d-block');
+        }
+    }
+
+    clearFieldErrors(inputIds) {
+        inputIds.forEach(inputId => {
+            const input = document.getElementById(inputId);
+            const feedback = document.getElementById(`${inputId}FieldError`);
+
+            if (input) input.classList.remove('is-invalid');
+            if (feedback) {
+                feedback.textContent = '';
+                feedback.classList.remove('d-block');
+            }
+        });
+    }
+
     showToast(title, message, type = 'INFO') {
         if (!toastInstance) return;
 
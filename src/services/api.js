@@ -1,39 +1,146 @@
 // Frontend/src/services/api.js
 
+import {
+    ApiError,
+    AuthError,
+    NetworkError,
+    ServerError,
+    RequestCancelledError,
+    createHttpError
+} from './errors.js';
+import { sessionStore } from '../utils/sessionStore.js';
+import { config as appConfig } from '../utils/config.js';
+import { permissions, PERMISSIONS } from '../utils/permissions.js';
+import { getTrustedDeviceToken, saveTrustedDevice, forgetTrustedDevice } from '../utils/mfa.js';
+
+// Transport defaults (timeout and retry count come from config: api.timeoutMs, api.retries)
+const RETRY_BASE_DELAY_MS = 300;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+// Endpoints whose 401 means "bad credentials / no session", never "try a refresh"
+const AUTH_RECOVERY_EXCLUDED = [
+    '/Auth/login', '/Auth/logout', '/Auth/refresh', '/Auth/mfa/verify', '/Auth/mfa/resend',
+    '/Recovery/start', '/Recovery/send-code', '/Recovery/verify', '/Recovery/reset-password', '/Recovery/unlock'
+];
+
+// Wait before the next retry (exponential backoff with a little jitter)
+function backoffDelay(attempt) {
+    const base = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    return base + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+// The abort listener goes again when the timer fires: route signals outlive many retries
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new RequestCancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function createCorrelationId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
+
 // API service for communicating with backend
 class ApiService {
     constructor() {
-        this.baseUrl = 'https://localhost:7142/api'; // Backend URL (updated)
-        this.sessionId = null;
+        this.refreshPromise = null;
+        this.sessionEnded = false;
+        this.listeners = {};
+        this.transport = null;
+        this.searchController = null;
+
+        // A new session re-arms the one-shot sessionEnded event
+        sessionStore.subscribe((state, previous) => {
+            if (state.sessionId && state.sessionId !== previous.sessionId) {
+                this.sessionEnded = false;
+            }
+        });
+    }
+
+    // Backend URL (api.baseUrl in config.json)
+    get baseUrl() {
+        return appConfig.get('api.baseUrl');
+    }
+
+    // Subscribe to service events ('sessionEnded'); returns an unsubscribe function
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+        };
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`ApiService ${event} handler failed:`, error);
+            }
+        });
+    }
+
+    // Replace fetch (e.g. with the offline mock backend); null restores fetch
+    setTransport(transport) {
+        this.transport = transport || null;
     }
 
     // Set session ID for subsequent requests
     setSessionId(sessionId) {
-        this.sessionId = sessionId;
-        if (sessionId) {
-            localStorage.setItem('sessionId', sessionId);
-        } else {
-            localStorage.removeItem('sessionId');
-        }
+        sessionStore.setSessionId(sessionId);
     }
 
-    // Get session ID from storage
+    // Get session ID from the session store
     getSessionId() {
-        if (!this.sessionId) {
-            this.sessionId = localStorage.getItem('sessionId');
-        }
-        return this.sessionId;
+        return sessionStore.getSessionId();
     }
 
-    // Generic HTTP request method
+    // Generic HTTP request method.
+    // Extra options on top of fetch's:
+    //   timeout - ms before the request is aborted (default api.timeoutMs)
+    //   retries - retry count for idempotent methods (default api.retries)
+    //   signal  - AbortSignal to cancel the request (e.g. on navigation)
+    //   skipAuthRecovery - do not try /Auth/refresh on a 401
+    // Throws ApiError subclasses from ./errors.js.
     async request(endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
+        const {
+            timeout = appConfig.get('api.timeoutMs'),
+            retries = appConfig.get('api.retries'),
+            signal,
+            headers,
+            skipAuthRecovery = AUTH_RECOVERY_EXCLUDED.includes(endpoint),
+            ...fetchOptions
+        } = options;
+
+        // Queue behind a refresh in flight so the request goes out with the renewed session
+        if (this.refreshPromise && !skipAuthRecovery) {
+            await this.refreshPromise.catch(() => {});
+        }
+
+        const url = /^https?:\/\//i.test(endpoint) ? endpoint : `${this.baseUrl}${endpoint}`;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = IDEMPOTENT_METHODS.includes(method) ? retries : 0;
+        const correlationId = createCorrelationId();
+
         const config = {
+            ...fetchOptions,
+            method,
             headers: {
                 'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+                'X-Correlation-ID': correlationId,
+                ...headers
+            }
         };
 
         // Add session ID to headers if available
@@ -42,49 +149,235 @@ class ApiService {
             config.headers['X-Session-ID'] = sessionId;
         }
 
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, config, { timeout, signal, correlationId });
+            } catch (error) {
+                // Expired / invalid session: refresh once, then replay the original request
+                if (error instanceof AuthError && error.status === 401 && !skipAuthRecovery && sessionId) {
+                    await this.recoverSession(error);
+                    return this.request(endpoint, { ...options, skipAuthRecovery: true });
+                }
+                if (error instanceof AuthError && error.status === 401 && sessionId && !AUTH_RECOVERY_EXCLUDED.includes(endpoint)) {
+                    // Replay after a refresh was still rejected
+                    this.endSession(error);
+                }
+
+                const retryable = error instanceof NetworkError ||
+                    (error instanceof ServerError && RETRYABLE_STATUSES.includes(error.status));
+
+                if (retryable && attempt < maxRetries) {
+                    await sleep(backoffDelay(attempt), signal);
+                    continue;
+                }
+
+                if (!(error instanceof RequestCancelledError)) {
+                    console.error(`API request failed [${error.correlationId || correlationId}]:`, error);
+                }
+                throw error;
+            }
+        }
+    }
+
+    // Refresh the session once for all requests that hit a 401 at the same time.
+    // Throws the original error (after ending the session) if recovery fails.
+    async recoverSession(originalError) {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.refreshSession()
+                .then(response => {
+                    if (!response.success) {
+                        throw new AuthError(response.message || 'Session refresh failed', { status: 401 });
+                    }
+                    return response;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        try {
+            await this.refreshPromise;
+        } catch (error) {
+            this.endSession(originalError);
+            throw originalError;
+        }
+    }
+
+    // Notify listeners once per session, then clear it
+    // (listeners still see the session state that just ended)
+    endSession(reason) {
+        const alreadyEnded = this.sessionEnded;
+        this.sessionEnded = true;
+        if (!alreadyEnded) {
+            this.emit('sessionEnded', { reason });
+        }
+        sessionStore.clear();
+    }
+
+    // Single fetch attempt with timeout and cancellation
+    async send(url, config, { timeout, signal, correlationId }) {
+        if (signal?.aborted) {
+            throw new RequestCancelledError('Request cancelled', { correlationId });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        const transport = this.transport || fetch;
+        let response;
+        try {
+            response = await transport(url, { ...config, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new NetworkError(`Request timed out after ${timeout}ms`, { correlationId, timedOut: true });
+            }
+            if (signal?.aborted) {
+                throw new RequestCancelledError('Request cancelled', { correlationId });
+            }
+            throw new NetworkError(error.message || 'Unable to reach the server', { correlationId });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        const responseCorrelationId = response.headers.get('x-correlation-id') || correlationId;
+
+        // Handle non-JSON responses
+        let data;
         try {
-            const response = await fetch(url, config);
-            
-            // Handle non-JSON responses
-            let data;
             const contentType = response.headers.get('content-type');
             if (contentType && contentType.includes('application/json')) {
                 data = await response.json();
             } else {
                 data = { message: await response.text() };
             }
-
-            if (!response.ok) {
-                throw new Error(data.message || `HTTP error! status: ${response.status}`);
-            }
-
-            return data;
         } catch (error) {
-            console.error('API request failed:', error);
-            throw error;
+            throw new ApiError('Invalid response from server', { status: response.status, correlationId: responseCorrelationId });
         }
+
+        if (!response.ok) {
+            throw createHttpError(response.status, data || {}, responseCorrelationId, response.headers.get('retry-after'));
+        }
+
+        return data;
     }
 
     // Authentication methods
-    async login(username, password, rememberMe = false) {
-        try {
-            const response = await this.request('/Auth/login', {
-                method: 'POST',
-                body: JSON.stringify({
-                    username,
-                    password,
-                    rememberMe
-                })
-            });
+    // Resolves to a session, or to { mfaRequired: true, challenge } when a second
+    // factor is needed (see verifyMfa). A trusted device token skips that step.
+    async login(username, password) {
+        const trustedDeviceToken = getTrustedDeviceToken(username);
+        const response = await this.request('/Auth/login', {
+            method: 'POST',
+            body: JSON.stringify({
+                username,
+                password,
+                ...(trustedDeviceToken ? { trustedDeviceToken } : {})
+            })
+        });
 
-            if (response.success && response.sessionId) {
-                this.setSessionId(response.sessionId);
-            }
+        if (response.success && response.sessionId) {
+            this.setSessionId(response.sessionId);
+        }
+        // The server no longer accepts the token (expired or revoked)
+        if (response.mfaRequired && trustedDeviceToken) {
+            forgetTrustedDevice(username);
+        }
 
-            return response;
-        } catch (error) {
-            throw new Error(error.message || 'Login failed');
+        return response;
+    }
+
+    // Second sign-in step: resolves to a session like login(). With trustDevice
+    // the server returns a token that is kept for later logins on this browser.
+    async verifyMfa(challengeId, code, trustDevice = false) {
+        const response = await this.request('/Auth/mfa/verify', {
+            method: 'POST',
+            body: JSON.stringify({
+                challengeId,
+                code,
+                trustDevice
+            })
+        });
+
+        if (response.success && response.sessionId) {
+            this.setSessionId(response.sessionId);
+        }
+        if (response.success && response.trustedDeviceToken && response.user?.username) {
+            saveTrustedDevice(response.user.username, response.trustedDeviceToken, response.trustedDeviceExpiresAt);
         }
+
+        return response;
+    }
+
+    // New code (and expiry) for a challenge, optionally by another of its methods.
+    // Resolves to { challenge }.
+    async resendMfaCode(challengeId, method) {
+        return this.request('/Auth/mfa/resend', {
+            method: 'POST',
+            body: JSON.stringify({
+                challengeId,
+                method
+            })
+        });
+    }
+
+    // Self-service recovery from the login page, without a session:
+    // start -> (send-code) -> verify -> reset-password or unlock.
+    // Resolves to { recoveryId, action, methods, questions, expiresAt }.
+    async startRecovery(username, action) {
+        return this.request('/Recovery/start', {
+            method: 'POST',
+            body: JSON.stringify({
+                username,
+                action
+            })
+        });
+    }
+
+    async sendRecoveryCode(recoveryId) {
+        return this.request('/Recovery/send-code', {
+            method: 'POST',
+            body: JSON.stringify({ recoveryId })
+        });
+    }
+
+    // proof is { method: 'questions', answers: { questionId: answer } } or
+    // { method: 'email', code }. Resolves to { resetToken, username, displayName, passwordPolicy }.
+    async verifyRecovery(recoveryId, proof) {
+        return this.request('/Recovery/verify', {
+            method: 'POST',
+            body: JSON.stringify({
+                recoveryId,
+                ...proof
+            })
+        });
+    }
+
+    async completePasswordReset(recoveryId, resetToken, newPassword) {
+        return this.request('/Recovery/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({
+                recoveryId,
+                resetToken,
+                newPassword
+            })
+        });
+    }
+
+    async completeUnlock(recoveryId, resetToken) {
+        return this.request('/Recovery/unlock', {
+            method: 'POST',
+            body: JSON.stringify({
+                recoveryId,
+                resetToken
+            })
+        });
     }
 
     async logout() {
@@ -93,97 +386,263 @@ class ApiService {
                 method: 'POST'
             });
 
-            this.setSessionId(null);
+            sessionStore.clear();
             return response;
         } catch (error) {
             // Even if logout fails, clear local session
-            this.setSessionId(null);
+            sessionStore.clear();
             throw error;
         }
     }
 
-    async validateSession() {
-        try {
-            return await this.request('/Auth/validate');
-        } catch (error) {
-            // If session validation fails, clear it
-            this.setSessionId(null);
-            throw error;
-        }
+    // A rejected session is cleared by the 401 handling in request()
+    async validateSession(options = {}) {
+        return this.request('/Auth/validate', options);
     }
 
-    async getCurrentUser() {
-        try {
-            return await this.request('/Auth/me');
-        } catch (error) {
-            throw new Error(error.message || 'Failed to get user information');
-        }
+    // The signed-in user with their claims (roles, groups) for utils/permissions.js
+    async getCurrentUser(options = {}) {
+        return this.request('/Auth/me', options);
     }
 
+    // Keeps the session store's ID and expiry in step with the server
     async refreshSession() {
-        try {
-            return await this.request('/Auth/refresh', {
-                method: 'POST'
-            });
-        } catch (error) {
-            throw new Error(error.message || 'Failed to refresh session');
+        const response = await this.request('/Auth/refresh', {
+            method: 'POST'
+        });
+
+        if (response.success) {
+            if (response.sessionId) {
+                this.setSessionId(response.sessionId);
+            }
+            sessionStore.applyExpiryFrom(response);
         }
+
+        return response;
     }
 
-    async getSessionInfo() {
-        try {
-            return await this.request('/Auth/session-info');
-        } catch (error) {
-            throw new Error(error.message || 'Failed to get session info');
-        }
+    async getSessionInfo(options = {}) {
+        return this.request('/Auth/session-info', options);
+    }
+
+    // All of the user's active sessions: [{ id, createdAt, lastActivity, expiresAt,
+    // userAgent, ipAddress, location, current }]. id is a handle for revoking, not
+    // the session ID.
+    async getSessions(options = {}) {
+        return this.request('/Auth/sessions', options);
+    }
+
+    // Sign out another device. The current session goes through logout() instead.
+    async revokeSession(id) {
+        return this.request(`/Auth/sessions/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Sign out every session except this one; data.revoked is how many ended
+    async revokeOtherSessions() {
+        return this.request('/Auth/sessions', {
+            method: 'DELETE'
+        });
     }
 
     // User management methods
-    async getUserProfile() {
-        try {
-            return await this.request('/User/profile');
-        } catch (error) {
-            throw new Error(error.message || 'Failed to get user profile');
-        }
+    async getUserProfile(options = {}) {
+        return this.request('/User/profile', options);
     }
 
-    async changePassword(newPassword) {
-        try {
-            return await this.request('/User/change-password', {
-                method: 'POST',
-                body: JSON.stringify({
-                    newPassword
-                })
-            });
-        } catch (error) {
-            throw new Error(error.message || 'Failed to change password');
-        }
+    // Metadata for self-service attributes: which ones the user may edit and their limits
+    async getProfileFields(options = {}) {
+        return this.request('/User/profile-fields', options);
     }
 
-    async getAccountStatus() {
-        try {
-            return await this.request('/User/account-status');
-        } catch (error) {
-            throw new Error(error.message || 'Failed to get account status');
-        }
+    // Update own attributes; patch holds only the changed ones ('' clears).
+    // A rejected attribute comes back as ValidationError.fields[attribute], or
+    // as response.rejected[attribute] when the rest were saved.
+    async updateProfile(patch) {
+        return this.request('/User/profile', {
+            method: 'PATCH',
+            body: JSON.stringify(patch)
+        });
+    }
+
+    // thumbnailPhoto as { photo: base64 | null, contentType }
+    async getProfilePhoto(options = {}) {
+        return this.request('/User/photo', options);
+    }
+
+    // photo is base64, already cropped and compressed (see utils/photo.js)
+    async uploadProfilePhoto(photo, contentType = 'image/jpeg') {
+        return this.request('/User/photo', {
+            method: 'PUT',
+            body: JSON.stringify({ photo, contentType })
+        });
+    }
+
+    async removeProfilePhoto() {
+        return this.request('/User/photo', {
+            method: 'DELETE'
+        });
+    }
+
+    // Direct and nested groups as a flat list; each group's memberOf links it
+    // to the groups it is nested in (see utils/groups.js)
+    async getMyGroups(options = {}) {
+        return this.request('/User/groups', options);
+    }
+
+    // Enrolled recovery methods: which security questions are answered (never
+    // the answers) and the verified recovery email and mobile number
+    async getSecuritySettings(options = {}) {
+        return this.request('/User/security', options);
+    }
+
+    // Replaces every answer: { questionId: answer }
+    async saveSecurityQuestions(answers) {
+        return this.request('/User/security/questions', {
+            method: 'PUT',
+            body: JSON.stringify({ answers })
+        });
+    }
+
+    // channel is 'email' or 'mobile'. Sends a code to the new value, which only
+    // replaces the current one once verified. Resolves to
+    // { verificationId, channel, destination, expiresAt }.
+    async startRecoveryContactChange(channel, value) {
+        return this.request(`/User/security/recovery-${channel}`, {
+            method: 'POST',
+            body: JSON.stringify({ [channel]: value })
+        });
+    }
+
+    async verifyRecoveryContact(verificationId, code) {
+        return this.request('/User/security/verify', {
+            method: 'POST',
+            body: JSON.stringify({
+                verificationId,
+                code
+            })
+        });
+    }
+
+    async removeRecoveryContact(channel) {
+        return this.request(`/User/security/recovery-${channel}`, {
+            method: 'DELETE'
+        });
     }
 
-    async testADConnection() {
+    // People search: filters are { department, office, title }; options.pageSize
+    // sets the page length. Starting a search cancels the one still in flight,
+    // which then rejects with RequestCancelledError, so an older response can
+    // never replace a newer one.
+    async searchDirectory(query = '', filters = {}, page = 1, options = {}) {
+        const { signal, pageSize = 10, ...requestOptions } = options;
+        if (this.searchController) this.searchController.abort();
+        const controller = new AbortController();
+        this.searchController = controller;
+
+        // The caller's signal (e.g. route change) cancels the search too
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        const params = new URLSearchParams();
+        Object.entries({ q: query.trim(), ...filters, page, pageSize }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+
         try {
-            return await this.request('/User/test-ad-connection');
-        } catch (error) {
-            throw new Error(error.message || 'Failed to test AD connection');
+            const response = await this.request(`/Directory/search?${params}`, { ...requestOptions, signal: controller.signal });
+            // Superseded while the body was being read
+            if (controller.signal.aborted) {
+                throw new RequestCancelledError('Search superseded');
+            }
+            return response;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (this.searchController === controller) this.searchController = null;
         }
     }
 
+    // { person, managers } with the manager chain nearest first, up to the top
+    async getOrgChart(username, options = {}) {
+        return this.request(`/Directory/people/${encodeURIComponent(username)}/org`, options);
+    }
+
+    // Direct reports (each with its own directReportCount), loaded when a node is expanded
+    async getDirectReports(username, options = {}) {
+        return this.request(`/Directory/people/${encodeURIComponent(username)}/reports`, options);
+    }
+
+    // Helpdesk (delegated admin). Without the permission these reject with
+    // PermissionError before any request is sent; the backend answers 403 as well.
+    // Unlock and reset need a reason for the audit log.
+    async searchHelpdeskUsers(query, options = {}) {
+        permissions.require(PERMISSIONS.HELPDESK);
+        return this.request(`/Helpdesk/users?${new URLSearchParams({ q: query.trim() })}`, options);
+    }
+
+    // badPasswordCount, lockoutTime, lockoutSource (the DC, when known), ...
+    async getLockoutDetails(username, options = {}) {
+        permissions.require(PERMISSIONS.HELPDESK);
+        return this.request(`/Helpdesk/users/${encodeURIComponent(username)}/lockout`, options);
+    }
+
+    async unlockAccount(username, reason) {
+        permissions.require(PERMISSIONS.UNLOCK_ACCOUNT);
+        return this.request(`/Helpdesk/users/${encodeURIComponent(username)}/unlock`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    }
+
+    async resetUserPassword(username, newPassword, mustChangePassword, reason) {
+        permissions.require(PERMISSIONS.RESET_PASSWORD);
+        return this.request(`/Helpdesk/users/${encodeURIComponent(username)}/reset-password`, {
+            method: 'POST',
+            body: JSON.stringify({ newPassword, mustChangePassword, reason })
+        });
+    }
+
+    // Errors keep their code / field details so the UI can tell which field failed
+    async changePassword(currentPassword, newPassword) {
+        return this.request('/User/change-password', {
+            method: 'POST',
+            body: JSON.stringify({
+                currentPassword,
+                newPassword
+            })
+        });
+    }
+
+    async getPasswordPolicy(options = {}) {
+        return this.request('/User/password-policy', options);
+    }
+
+    async getAccountStatus(options = {}) {
+        return this.request('/User/account-status', options);
+    }
+
+    // Own activity, newest first: filters are { from, to } (ISO timestamps) and
+    // types (event types, all when empty); options.pageSize sets the page length.
+    // Resolves to { items, total, page, pageSize, hasMore }.
+    async getActivity(filters = {}, page = 1, options = {}) {
+        const { pageSize = 25, ...requestOptions } = options;
+        const { from, to, types = [] } = filters;
+        const params = new URLSearchParams();
+        Object.entries({ from, to, types: types.join(','), page, pageSize }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+
+        return this.request(`/User/activity?${params}`, requestOptions);
+    }
+
+    async testADConnection(options = {}) {
+        return this.request('/User/test-ad-connection', options);
+    }
+
     // Health check
     async healthCheck() {
-        try {
-            const response = await fetch(`${this.baseUrl.replace('/api', '')}/health`);
-            return await response.json();
-        } catch (error) {
-            throw new Error('Health check failed');
-        }
+        return this.request(appConfig.getHealthUrl(), { retries: 0 });
     }
 }
 
@@ -191,18 +650,53 @@ class ApiService {
 const api = new ApiService();
 
 // Export individual functions for use in other files
-export const login = (username, password, rememberMe = false) => api.login(username, password, rememberMe);
+export const login = (username, password) => api.login(username, password);
+export const verifyMfa = (challengeId, code, trustDevice) => api.verifyMfa(challengeId, code, trustDevice);
+export const resendMfaCode = (challengeId, method) => api.resendMfaCode(challengeId, method);
+export const startRecovery = (username, action) => api.startRecovery(username, action);
+export const sendRecoveryCode = (recoveryId) => api.sendRecoveryCode(recoveryId);
+export const verifyRecovery = (recoveryId, proof) => api.verifyRecovery(recoveryId, proof);
+export const completePasswordReset = (recoveryId, resetToken, newPassword) => api.completePasswordReset(recoveryId, resetToken, newPassword);
+export const completeUnlock = (recoveryId, resetToken) => api.completeUnlock(recoveryId, resetToken);
 export const logout = () => api.logout();
-export const validateSession = () => api.validateSession();
-export const getCurrentUser = () => api.getCurrentUser();
+export const validateSession = (options) => api.validateSession(options);
+export const getCurrentUser = (options) => api.getCurrentUser(options);
 export const refreshSession = () => api.refreshSession();
-export const getSessionInfo = () => api.getSessionInfo();
-export const getProfile = () => api.getUserProfile();
-export const changePassword = (newPassword) => api.changePassword(newPassword);
-export const getAccountStatus = () => api.getAccountStatus();
-export const testADConnection = () => api.testADConnection();
+export const getSessionInfo = (options) => api.getSessionInfo(options);
+export const getSessions = (options) => api.getSessions(options);
+export const revokeSession = (id) => api.revokeSession(id);
+export const revokeOtherSessions = () => api.revokeOtherSessions();
+export const getProfile = (options) => api.getUserProfile(options);
+export const getProfileFields = (options) => api.getProfileFields(options);
+export const updateProfile = (patch) => api.updateProfile(patch);
+export const getProfilePhoto = (options) => api.getProfilePhoto(options);
+export const uploadProfilePhoto = (photo, contentType) => api.uploadProfilePhoto(photo, contentType);
+export const removeProfilePhoto = () => api.removeProfilePhoto();
+export const getMyGroups = (options) => api.getMyGroups(options);
+export const getSecuritySettings = (options) => api.getSecuritySettings(options);
+export const saveSecurityQuestions = (answers) => api.saveSecurityQuestions(answers);
+export const startRecoveryContactChange = (channel, value) => api.startRecoveryContactChange(channel, value);
+export const verifyRecoveryContact = (verificationId, code) => api.verifyRecoveryContact(verificationId, code);
+export const removeRecoveryContact = (channel) => api.removeRecoveryContact(channel);
+export const searchDirectory = (query, filters, page, options) => api.searchDirectory(query, filters, page, options);
+export const getOrgChart = (username, options) => api.getOrgChart(username, options);
+export const getDirectReports = (username, options) => api.getDirectReports(username, options);
+export const searchHelpdeskUsers = (query, options) => api.searchHelpdeskUsers(query, options);
+export const getLockoutDetails = (username, options) => api.getLockoutDetails(username, options);
+export const unlockAccount = (username, reason) => api.unlockAccount(username, reason);
+export const resetUserPassword = (username, newPassword, mustChangePassword, reason) => (
+    api.resetUserPassword(username, newPassword, mustChangePassword, reason)
+);
+export const changePassword = (currentPassword, newPassword) => api.changePassword(currentPassword, newPassword);
+export const getPasswordPolicy = (options) => api.getPasswordPolicy(options);
+export const getAccountStatus = (options) => api.getAccountStatus(options);
+export const getActivity = (filters, page, options) => api.getActivity(filters, page, options);
+export const testADConnection = (options) => api.testADConnection(options);
 export const healthCheck = () => api.healthCheck();
 
+// Export error types so callers can branch on them
+export * from './errors.js';
+
 // Export for use in other files
 window.api = api;
-export { api };
\ No newline at end of file
+export { ApiService, api };
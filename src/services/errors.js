@@ -0,0 +1,133 @@
+// Frontend/src/services/errors.js
+
+// Typed API errors so the UI can branch on the kind of failure
+// (instanceof AuthError, ValidationError, ...) instead of parsing messages.
+
+// Base class: every error thrown by ApiService.request extends this
+export class ApiError extends Error {
+    constructor(message, { status = 0, code = null, correlationId = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.correlationId = correlationId;
+        this.data = data;
+    }
+}
+
+// 401 / 403: session missing, expired or not allowed
+export class AuthError extends ApiError {
+    constructor(message = 'Authentication required', details = {}) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+// 403 for a valid session that lacks a permission. Also thrown by ApiService
+// before a guarded request is sent, so it never reaches the server.
+export class PermissionError extends AuthError {
+    constructor(message = 'You do not have permission to do this', details = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...details });
+        this.name = 'PermissionError';
+        this.permission = details.permission || null;
+    }
+}
+
+// 400 / 422: request rejected, with per-field details when the server sends them
+export class ValidationError extends ApiError {
+    constructor(message = 'Validation failed', details = {}) {
+        super(message, details);
+        this.name = 'ValidationError';
+        this.fields = details.fields || {};
+    }
+}
+
+// 429: too many attempts (sign-in, recovery codes). retryAfter is in seconds,
+// from the Retry-After header or the body, when the server says.
+export class RateLimitError extends ApiError {
+    constructor(message = 'Too many attempts', details = {}) {
+        super(message, { status: 429, ...details });
+        this.name = 'RateLimitError';
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+// Request never got a response (offline, DNS, CORS, timeout)
+export class NetworkError extends ApiError {
+    constructor(message = 'Unable to reach the server', details = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+        this.timedOut = !!details.timedOut;
+    }
+}
+
+// 5xx: backend or AD failure
+export class ServerError extends ApiError {
+    constructor(message = 'Server error', details = {}) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+// Request aborted by the caller (e.g. user navigated away); not a failure to report
+export class RequestCancelledError extends ApiError {
+    constructor(message = 'Request cancelled', details = {}) {
+        super(message, details);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+// Normalize ASP.NET style validation payloads ({ errors: { Field: ['msg'] } })
+// into { field: 'msg' }
+function extractFieldErrors(data) {
+    const source = data?.errors || data?.fields || {};
+    if (Array.isArray(source)) {
+        return Object.fromEntries(source
+            .filter(item => item && item.field)
+            .map(item => [camelCase(item.field), item.message]));
+    }
+    return Object.fromEntries(Object.entries(source).map(([field, messages]) => [
+        camelCase(field),
+        Array.isArray(messages) ? messages.join(' ') : String(messages)
+    ]));
+}
+
+function camelCase(name) {
+    return name ? name.charAt(0).toLowerCase() + name.slice(1) : name;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+$/.test(String(value).trim())) return Number(value);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Build the typed error for a non-2xx response
+export function createHttpError(status, data = {}, correlationId = null, retryAfter = null) {
+    const details = {
+        status,
+        code: data.errorCode || data.code || null,
+        correlationId: data.correlationId || correlationId,
+        data
+    };
+    const message = data.message || data.title || `HTTP error! status: ${status}`;
+
+    if (status === 429) {
+        return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(retryAfter ?? data.retryAfter) });
+    }
+    if (status === 403 && details.code === 'FORBIDDEN') {
+        return new PermissionError(message, details);
+    }
+    if (status === 401 || status === 403) {
+        return new AuthError(message, details);
+    }
+    if (status === 400 || status === 422) {
+        return new ValidationError(message, { ...details, fields: extractFieldErrors(data) });
+    }
+    if (status >= 500) {
+        return new ServerError(message, details);
+    }
+    return new ApiError(message, details);
+}
@@ -0,0 +1,1495 @@
+// Frontend/src/services/mockBackend.js
+
+// Offline stand-in for the .NET backend: answers every ApiService endpoint
+// from a seeded, in-memory AD directory that is persisted to localStorage.
+// Enabled with ?mock=1 or "mock": { "enabled": true } in config.json.
+//
+// Demo accounts (password for all: Passw0rd!):
+//   jdoe     - regular user
+//   asmith   - password expired, must change it after login
+//   bwayne   - locked out
+//   olduser  - disabled
+//   kjohnson - helpdesk technician (unlock / reset other accounts); signs in
+//              with a second factor: the demo code is always 123456
+// Their colleagues (mgarcia, tnguyen, rpatel, ...) fill the people directory.
+// jdoe has a month of activity history, including a burst of failed sign-ins
+// and a sign-in from a new location, and stays signed in on a phone and a
+// laptop (see the devices & sessions page).
+// Five wrong passwords lock an account for 15 minutes. jdoe and bwayne can
+// recover their account from the login page (security answers below, or the
+// emailed code 123456); the security settings page confirms new recovery
+// addresses with the same code.
+
+import { PasswordPolicy } from '../utils/passwordPolicy.js';
+import { PROFILE_FIELDS, applyFieldMetadata, validateProfileField } from '../utils/profileFields.js';
+import { PHOTO_LIMITS } from '../utils/photo.js';
+import { TRUST_DEVICE_DAYS } from '../utils/mfa.js';
+import {
+    SECURITY_QUESTIONS_REQUIRED,
+    RECOVERY_CONTACTS,
+    normalizeAnswer,
+    validateSecurityAnswers
+} from '../utils/security.js';
+
+const STORAGE_KEY = 'mockDirectory';
+// Bump when the seed changes so stored demo directories are re-seeded
+const SEED_VERSION = 10;
+const DEMO_PASSWORD = 'Passw0rd!';
+const DOMAIN = 'demo.local';
+// Domain controller reported as the source of lockouts
+const LOCKOUT_SOURCE = 'DC01.demo.local';
+// Every authenticator, email and text message code in the demo
+const DEMO_MFA_CODE = '123456';
+const MFA_CHALLENGE_MINUTES = 5;
+const MAX_MFA_ATTEMPTS = 5;
+
+// Questions users may pick answers for (answers are stored normalized)
+const SECURITY_QUESTIONS = {
+    firstPet: 'What was the name of your first pet?',
+    birthCity: 'In which city were you born?',
+    firstSchool: 'What was the name of your first school?',
+    firstCar: 'What was the make of your first car?',
+    childhoodStreet: 'What street did you grow up on?'
+};
+// Self-service recovery: how long one attempt stays open, how many wrong
+// answers / codes it takes, and how often it may be started or a code sent
+const RECOVERY = {
+    minutes: 15,
+    maxAttempts: 3,
+    maxStarts: 5,
+    lockMinutes: 15,
+    codeIntervalSeconds: 60,
+    questionsAsked: 2
+};
+
+export const MOCK_DEFAULTS = {
+    latencyMs: 300,
+    sessionMinutes: 30,
+    lockoutThreshold: 5,
+    lockoutMinutes: 15
+};
+
+const MOCK_POLICY = {
+    minLength: 8,
+    complexityEnabled: true,
+    historyCount: 24,
+    maxAgeDays: 42,
+    minAgeDays: 1
+};
+
+// Attributes users may change themselves (the rest are helpdesk-managed)
+const SELF_SERVICE_ATTRIBUTES = ['telephoneNumber', 'mobile', 'physicalDeliveryOfficeName'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+// Where demo requests appear to come from
+const MOCK_CLIENT = { ipAddress: '203.0.113.24', location: 'Seattle, US' };
+const DESKTOP_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const PHONE_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+// Oldest activity events are dropped beyond this many per user
+const MAX_ACTIVITY = 200;
+
+function currentUserAgent() {
+    return typeof navigator !== 'undefined' && navigator.userAgent ? navigator.userAgent : DESKTOP_AGENT;
+}
+
+function activityEvent(type, timestamp, overrides = {}) {
+    return {
+        id: createSessionId(),
+        type,
+        timestamp,
+        ipAddress: MOCK_CLIENT.ipAddress,
+        location: MOCK_CLIENT.location,
+        client: DESKTOP_AGENT,
+        details: '',
+        ...overrides
+    };
+}
+
+// A month of weekday sign-ins from the office, with a few events worth a second look
+function createActivitySeed() {
+    // Local time of day, some days ago
+    const at = (days, hours, minutes = 0) => {
+        const date = new Date(Date.now() - days * DAY_MS);
+        date.setHours(hours, minutes, 0, 0);
+        return date.toISOString();
+    };
+    const events = [];
+
+    for (let days = 30; days >= 1; days--) {
+        const weekday = new Date(Date.now() - days * DAY_MS).getDay();
+        if (weekday !== 0 && weekday !== 6) events.push(activityEvent('signIn', at(days, 8, 30)));
+    }
+    events.push(activityEvent('profileUpdate', at(20, 10), { details: 'Changed telephoneNumber' }));
+    events.push(activityEvent('passwordChange', at(12, 9, 15)));
+    const scripted = { ipAddress: '198.51.100.77', location: 'Lagos, NG', client: 'python-requests/2.31.0', details: 'Wrong password' };
+    [0, 1, 3, 6].forEach(minutes => events.push(activityEvent('signInFailed', at(3, 2, minutes), scripted)));
+    events.push(activityEvent('signIn', at(2, 21, 40), { ipAddress: '192.0.2.44', location: 'Lisbon, PT', client: PHONE_AGENT }));
+
+    return events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function createUser(username, firstName, lastName, overrides = {}) {
+    return {
+        username,
+        firstName,
+        lastName,
+        displayName: `${firstName} ${lastName}`,
+        email: `${username}@${DOMAIN}`,
+        telephoneNumber: '+1 555 010 2000',
+        mobile: '',
+        physicalDeliveryOfficeName: 'HQ, Floor 3',
+        title: 'Analyst',
+        department: 'Finance',
+        isEnabled: true,
+        lastLogin: daysAgo(1),
+        passwordLastSet: daysAgo(10),
+        passwordNeverExpires: false,
+        mustChangePassword: false,
+        badPasswordCount: 0,
+        lastBadPasswordAttempt: null,
+        lockedUntil: null,
+        lockoutTime: null,
+        roles: [],
+        mfaMethods: [],
+        securityAnswers: {},
+        recoveryEmail: '',
+        recoveryMobile: '',
+        thumbnailPhoto: null,
+        manager: null,
+        memberOf: ['Domain Users'],
+        passwordHistory: [DEMO_PASSWORD],
+        ...overrides
+    };
+}
+
+// Colleagues for directory search: [username, first, last, title, department, office, manager]
+const DIRECTORY_PEOPLE = [
+    ['mgarcia', 'Maria', 'Garcia', 'Chief Executive Officer', 'Executive', 'HQ, Floor 5', null],
+    ['tnguyen', 'Thomas', 'Nguyen', 'Finance Director', 'Finance', 'HQ, Floor 3', 'mgarcia'],
+    ['lchen', 'Li', 'Chen', 'Payroll Specialist', 'Finance', 'London', 'tnguyen'],
+    ['rpatel', 'Raj', 'Patel', 'IT Manager', 'IT', 'HQ, Floor 2', 'mgarcia'],
+    ['kjohnson', 'Karen', 'Johnson', 'Helpdesk Technician', 'IT', 'HQ, Floor 2', 'rpatel'],
+    ['dkim', 'Daniel', 'Kim', 'Network Engineer', 'IT', 'Singapore', 'rpatel'],
+    ['ewilson', 'Emma', 'Wilson', 'HR Manager', 'Human Resources', 'HQ, Floor 4', 'mgarcia'],
+    ['sbrown', 'Sarah', 'Brown', 'HR Generalist', 'Human Resources', 'London', 'ewilson'],
+    ['mlopez', 'Miguel', 'Lopez', 'Sales Director', 'Sales', 'HQ, Floor 5', 'mgarcia'],
+    ['jtaylor', 'James', 'Taylor', 'Account Executive', 'Sales', 'London', 'mlopez'],
+    ['pmartin', 'Priya', 'Martin', 'Account Executive', 'Sales', 'Singapore', 'mlopez'],
+    ['owhite', 'Oliver', 'White', 'Sales Coordinator', 'Sales', 'HQ, Floor 5', 'mlopez'],
+    ['nrossi', 'Nina', 'Rossi', 'Operations Manager', 'Operations', 'HQ, Floor 1', 'mgarcia'],
+    ['cdavis', 'Chris', 'Davis', 'Facilities Coordinator', 'Operations', 'HQ, Floor 1', 'nrossi'],
+    ['hbaker', 'Hannah', 'Baker', 'Support Manager', 'Customer Support', 'Contact Center', 'nrossi']
+];
+
+// A 120-strong support team under hbaker, to exercise large org chart levels
+const AGENT_FIRST_NAMES = ['Adam', 'Bella', 'Carlos', 'Dana', 'Elif', 'Farah', 'Georg', 'Hiro', 'Ines', 'Jonas', 'Kofi', 'Lena'];
+const AGENT_LAST_NAMES = ['Novak', 'Okafor', 'Perez', 'Quinn', 'Reyes', 'Sato', 'Tanaka', 'Ueda', 'Varga', 'Weber'];
+const SUPPORT_AGENTS = AGENT_FIRST_NAMES.flatMap(first => AGENT_LAST_NAMES.map(last => [
+    `${first.charAt(0)}${last}`.toLowerCase(), first, last, 'Support Agent', 'Customer Support', 'Contact Center', 'hbaker'
+]));
+
+function createColleague([username, firstName, lastName, title, department, office, manager], index) {
+    const helpdesk = ['kjohnson', 'rpatel'].includes(username);
+    return createUser(username, firstName, lastName, {
+        title,
+        department,
+        physicalDeliveryOfficeName: office,
+        manager,
+        // IT staff may unlock accounts and reset passwords, so they sign in with a second factor
+        roles: helpdesk ? ['helpdesk'] : [],
+        mfaMethods: helpdesk ? ['totp', 'email', 'sms'] : [],
+        mobile: helpdesk ? `+1 555 020 ${String(3100 + index * 7)}` : '',
+        telephoneNumber: `+1 555 010 ${String(2100 + index * 7)}`,
+        memberOf: department === 'Finance' ? ['Domain Users', 'Finance'] : ['Domain Users']
+    });
+}
+
+function groupDn(name) {
+    return `CN=${name},OU=Groups,DC=demo,DC=local`;
+}
+
+function createGroup(name, type, scope, description, memberOf = []) {
+    return { name, type, scope, description, memberOf };
+}
+
+function createSeed() {
+    return {
+        version: SEED_VERSION,
+        groups: {
+            'Domain Users': createGroup('Domain Users', 'security', 'global', 'All domain users'),
+            'Finance': createGroup('Finance', 'security', 'global', 'Finance department', ['Finance Share RW', 'All Staff']),
+            'Finance Share RW': createGroup('Finance Share RW', 'security', 'domainLocal', 'Read/write on \\\\files\\finance', ['File Server Users']),
+            'File Server Users': createGroup('File Server Users', 'security', 'domainLocal', 'Can sign in to the file servers'),
+            'All Staff': createGroup('All Staff', 'distribution', 'universal', 'allstaff@demo.local mailing list'),
+            'VPN Users': createGroup('VPN Users', 'security', 'global', 'Remote access through the VPN')
+        },
+        users: {
+            ...Object.fromEntries([...DIRECTORY_PEOPLE, ...SUPPORT_AGENTS]
+                .map((person, index) => [person[0], createColleague(person, index)])),
+            jdoe: createUser('jdoe', 'John', 'Doe', {
+                manager: 'tnguyen',
+                memberOf: ['Domain Users', 'Finance', 'VPN Users'],
+                securityAnswers: { firstPet: 'rex', birthCity: 'seattle', firstSchool: 'lincoln elementary' },
+                recoveryEmail: 'john.doe@example.com'
+            }),
+            asmith: createUser('asmith', 'Alice', 'Smith', {
+                title: 'Accountant',
+                manager: 'tnguyen',
+                memberOf: ['Domain Users', 'Finance'],
+                passwordLastSet: daysAgo(60)
+            }),
+            bwayne: createUser('bwayne', 'Bruce', 'Wayne', {
+                title: 'Systems Engineer',
+                department: 'IT',
+                physicalDeliveryOfficeName: 'HQ, Floor 2',
+                manager: 'rpatel',
+                badPasswordCount: MOCK_DEFAULTS.lockoutThreshold,
+                lastBadPasswordAttempt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+                lockedUntil: new Date(Date.now() + 365 * DAY_MS).toISOString(),
+                lockoutTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+                securityAnswers: { firstPet: 'ace', birthCity: 'gotham' },
+                recoveryEmail: 'bruce@example.com'
+            }),
+            olduser: createUser('olduser', 'Old', 'User', { isEnabled: false, lastLogin: daysAgo(400) })
+        },
+        // Per user, oldest first
+        activity: {
+            jdoe: createActivitySeed()
+        },
+        sessions: createSessionSeed(),
+        // Pending second sign-in steps and devices that skip them, by ID / token
+        mfaChallenges: {},
+        trustedDevices: {},
+        // Recovery attempts by ID; start times and lockouts by username
+        recoveries: {},
+        recoveryStarts: {},
+        recoveryLocks: {},
+        // Pending recovery email / mobile changes by verification ID
+        contactVerifications: {}
+    };
+}
+
+// Long-lived ("remember me") sessions jdoe has open on other devices
+function createSessionSeed() {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const sessions = [
+        { createdAt: hoursAgo(72), lastActivity: hoursAgo(2), userAgent: PHONE_AGENT },
+        {
+            createdAt: hoursAgo(30),
+            lastActivity: hoursAgo(26),
+            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:127.0) Gecko/20100101 Firefox/127.0',
+            ipAddress: '198.51.100.23',
+            location: 'Portland, US'
+        }
+    ].map(session => ({
+        id: createSessionId(),
+        handle: createSessionId(),
+        username: 'jdoe',
+        ...MOCK_CLIENT,
+        ...session,
+        expiresAt: new Date(Date.now() + 7 * DAY_MS).toISOString()
+    }));
+    return Object.fromEntries(sessions.map(session => [session.id, session]));
+}
+
+function createSessionId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
+
+// A session as listed to its owner: the handle identifies it for revocation,
+// the session ID itself is never shown
+function toSessionSummary(session, currentId) {
+    return {
+        id: session.handle,
+        createdAt: session.createdAt,
+        lastActivity: session.lastActivity,
+        expiresAt: session.expiresAt,
+        userAgent: session.userAgent || null,
+        ipAddress: session.ipAddress || null,
+        location: session.location || null,
+        current: session.id === currentId
+    };
+}
+
+// Account fields the backend exposes (never the password history; the photo has its own endpoint)
+function toProfile(user) {
+    const {
+        passwordHistory,
+        badPasswordCount,
+        lastBadPasswordAttempt,
+        lockedUntil,
+        lockoutTime,
+        mfaMethods,
+        securityAnswers,
+        recoveryEmail,
+        recoveryMobile,
+        thumbnailPhoto,
+        memberOf,
+        ...profile
+    } = user;
+    return profile;
+}
+
+// What /User/security shows: which questions are answered, never the answers
+function toSecuritySettings(user) {
+    return {
+        questions: {
+            catalog: Object.entries(SECURITY_QUESTIONS).map(([id, text]) => ({ id, text })),
+            enrolled: Object.keys(user.securityAnswers || {}),
+            required: SECURITY_QUESTIONS_REQUIRED
+        },
+        recoveryEmail: user.recoveryEmail || null,
+        recoveryMobile: user.recoveryMobile || null
+    };
+}
+
+// "kjohnson@demo.local" -> "k*******@demo.local", "+1 555 020 3142" -> "••• 42"
+function maskEmail(email) {
+    const [name, domain] = String(email || '').split('@');
+    return name ? `${name.charAt(0)}${'*'.repeat(Math.max(1, name.length - 1))}@${domain}` : '';
+}
+
+function maskPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits ? `••• ${digits.slice(-2)}` : '';
+}
+
+// Enabled accounts whose manager is this user
+function directReportsOf(username, users) {
+    return Object.values(users).filter(user => user.isEnabled && user.manager === username);
+}
+
+// Directory entry as returned by search (no account state)
+function toPerson(user, users) {
+    const manager = user.manager && users[user.manager];
+    return {
+        username: user.username,
+        displayName: user.displayName,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        telephoneNumber: user.telephoneNumber,
+        mobile: user.mobile,
+        physicalDeliveryOfficeName: user.physicalDeliveryOfficeName,
+        title: user.title,
+        department: user.department,
+        manager: manager ? { username: manager.username, displayName: manager.displayName } : null,
+        directReportCount: directReportsOf(user.username, users).length
+    };
+}
+
+const distinctSorted = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// Thrown by handlers to produce an error response
+class MockResponseError extends Error {
+    constructor(status, message, errorCode = null, errors = undefined, extra = {}) {
+        super(message);
+        this.status = status;
+        this.errorCode = errorCode;
+        this.errors = errors;   // ASP.NET style per-field errors
+        this.extra = extra;     // more body fields, e.g. retryAfter (also sent as Retry-After)
+    }
+}
+
+function tooManyAttempts(message, retryAfter) {
+    return new MockResponseError(429, message, 'TOO_MANY_ATTEMPTS', undefined, { retryAfter });
+}
+
+class MockBackend {
+    constructor(options = {}) {
+        this.options = { ...MOCK_DEFAULTS, ...options };
+        this.policy = new PasswordPolicy(MOCK_POLICY);
+        this.state = null;
+        this.fetch = this.fetch.bind(this);
+
+        // Route table: "METHOD /path" -> handler(context)
+        this.routes = {
+            'POST /Auth/login': (context) => this.login(context),
+            'POST /Auth/mfa/verify': (context) => this.verifyMfa(context),
+            'POST /Auth/mfa/resend': (context) => this.resendMfaCode(context),
+            'POST /Auth/logout': (context) => this.logout(context),
+            'POST /Recovery/start': (context) => this.startRecovery(context),
+            'POST /Recovery/send-code': (context) => this.sendRecoveryCode(context),
+            'POST /Recovery/verify': (context) => this.verifyRecovery(context),
+            'POST /Recovery/reset-password': (context) => this.recoveryResetPassword(context),
+            'POST /Recovery/unlock': (context) => this.recoveryUnlock(context),
+            'GET /Auth/validate': (context) => this.validate(context),
+            'GET /Auth/me': (context) => this.me(context),
+            'POST /Auth/refresh': (context) => this.refresh(context),
+            'GET /Auth/session-info': (context) => this.sessionInfo(context),
+            'GET /Auth/sessions': (context) => this.listSessions(context),
+            'DELETE /Auth/sessions': (context) => this.revokeOtherSessions(context),
+            'DELETE /Auth/sessions/:id': (context) => this.revokeSession(context),
+            'GET /User/profile': (context) => this.profile(context),
+            'PATCH /User/profile': (context) => this.updateProfile(context),
+            'GET /User/profile-fields': (context) => this.profileFields(context),
+            'GET /User/photo': (context) => this.photo(context),
+            'GET /User/groups': (context) => this.groups(context),
+            'GET /User/security': (context) => this.securitySettings(context),
+            'PUT /User/security/questions': (context) => this.saveSecurityQuestions(context),
+            'POST /User/security/recovery-email': (context) => this.startContactVerification('email', context),
+            'POST /User/security/recovery-mobile': (context) => this.startContactVerification('mobile', context),
+            'POST /User/security/verify': (context) => this.verifyContact(context),
+            'DELETE /User/security/recovery-email': (context) => this.removeContact('email', context),
+            'DELETE /User/security/recovery-mobile': (context) => this.removeContact('mobile', context),
+            'GET /Directory/search': (context) => this.searchDirectory(context),
+            'GET /Directory/people/:username/org': (context) => this.orgChart(context),
+            'GET /Directory/people/:username/reports': (context) => this.directReports(context),
+            'GET /Helpdesk/users': (context) => this.helpdeskSearch(context),
+            'GET /Helpdesk/users/:username/lockout': (context) => this.lockoutDetails(context),
+            'POST /Helpdesk/users/:username/unlock': (context) => this.unlockAccount(context),
+            'POST /Helpdesk/users/:username/reset-password': (context) => this.resetPassword(context),
+            'PUT /User/photo': (context) => this.uploadPhoto(context),
+            'DELETE /User/photo': (context) => this.removePhoto(context),
+            'POST /User/change-password': (context) => this.changePassword(context),
+            'GET /User/password-policy': () => ({ success: true, data: { ...MOCK_POLICY } }),
+            'GET /User/account-status': (context) => this.accountStatus(context),
+            'GET /User/activity': (context) => this.activity(context),
+            'GET /User/test-ad-connection': () => ({ success: true, message: `Connected to ${DOMAIN} (mock directory)` }),
+            'GET /health': () => ({ status: 'Healthy', mock: true })
+        };
+    }
+
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    load() {
+        if (this.state) return this.state;
+        try {
+            this.state = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch {
+            this.state = null;
+        }
+        if (this.state?.version !== SEED_VERSION) {
+            this.state = createSeed();
+            this.save();
+        }
+        return this.state;
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+    }
+
+    // Back to the seeded directory (e.g. mockBackend.reset() from the console)
+    reset() {
+        this.state = createSeed();
+        this.save();
+    }
+
+    // fetch() replacement used as the ApiService transport
+    async fetch(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const path = this.resolvePath(url);
+        const query = Object.fromEntries(new URL(url, 'http://mock.local').searchParams);
+        const correlationId = init.headers?.['X-Correlation-ID'];
+
+        await this.delay(init.signal);
+
+        // Re-read the directory so changes made in other tabs are seen
+        this.state = null;
+
+        let status = 200;
+        let body;
+        try {
+            const { handler, params } = this.matchRoute(method, path);
+            if (!handler) {
+                throw new MockResponseError(404, `No mock endpoint for ${method} ${path}`);
+            }
+            body = handler({
+                params,
+                body: init.body ? JSON.parse(init.body) : {},
+                query,
+                sessionId: init.headers?.['X-Session-ID'] || null
+            });
+            this.save();
+        } catch (error) {
+            if (!(error instanceof MockResponseError)) throw error;
+            status = error.status;
+            body = { success: false, message: error.message, errorCode: error.errorCode, errors: error.errors, ...error.extra };
+        }
+
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(correlationId ? { 'X-Correlation-ID': correlationId } : {}),
+                ...(body.retryAfter ? { 'Retry-After': String(body.retryAfter) } : {})
+            }
+        });
+    }
+
+    // "https://host/api/Auth/login?x=1" -> "/Auth/login"
+    resolvePath(url) {
+        const pathname = new URL(url, 'http://mock.local').pathname;
+        const match = pathname.match(/\/(Auth|User|Directory|Helpdesk|Recovery)\/.+$/);
+        if (match) return match[0];
+        return pathname.endsWith('/health') ? '/health' : pathname;
+    }
+
+    // Route for "METHOD /path"; ":name" segments in a route key become params
+    matchRoute(method, path) {
+        const exact = this.routes[`${method} ${path}`];
+        if (exact) return { handler: exact, params: {} };
+
+        const segments = path.split('/');
+        for (const [key, handler] of Object.entries(this.routes)) {
+            const [routeMethod, routePath] = key.split(' ');
+            const routeSegments = routePath.split('/');
+            if (routeMethod !== method || routeSegments.length !== segments.length) continue;
+
+            const params = {};
+            const matches = routeSegments.every((segment, index) => {
+                if (segment.startsWith(':')) {
+                    params[segment.slice(1)] = decodeURIComponent(segments[index]);
+                    return true;
+                }
+                return segment === segments[index];
+            });
+            if (matches) return { handler, params };
+        }
+        return { handler: null, params: {} };
+    }
+
+    // Simulated network latency; rejects like fetch when the request is aborted
+    delay(signal) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, this.options.latencyMs);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Session for the X-Session-ID header; expired sessions are dropped (401)
+    requireSession(sessionId) {
+        const { sessions, users } = this.load();
+        const session = sessionId && sessions[sessionId];
+        if (!session) {
+            throw new MockResponseError(401, 'Session not found');
+        }
+        if (new Date(session.expiresAt).getTime() <= Date.now()) {
+            delete sessions[sessionId];
+            throw new MockResponseError(401, 'Session expired');
+        }
+
+        session.lastActivity = new Date().toISOString();
+        return { session, user: users[session.username] };
+    }
+
+    sessionExpiry() {
+        return new Date(Date.now() + this.options.sessionMinutes * 60 * 1000).toISOString();
+    }
+
+    sessionResponse(session) {
+        return {
+            success: true,
+            sessionId: session.id,
+            username: session.username,
+            expiresAt: session.expiresAt,
+            expiresIn: Math.max(0, Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000))
+        };
+    }
+
+    // Append to a user's activity history as seen from the demo client
+    recordActivity(username, type, details = '') {
+        const state = this.load();
+        const events = state.activity[username] || (state.activity[username] = []);
+        events.push(activityEvent(type, new Date().toISOString(), { client: currentUserAgent(), details }));
+        if (events.length > MAX_ACTIVITY) events.splice(0, events.length - MAX_ACTIVITY);
+    }
+
+    isLocked(user) {
+        return !!user.lockedUntil && new Date(user.lockedUntil).getTime() > Date.now();
+    }
+
+    // Password expired by age (what AD reports as "must change at next logon")
+    isPasswordExpired(user) {
+        if (user.mustChangePassword) return true;
+        if (user.passwordNeverExpires || !MOCK_POLICY.maxAgeDays) return false;
+        return Date.now() - new Date(user.passwordLastSet).getTime() > MOCK_POLICY.maxAgeDays * DAY_MS;
+    }
+
+    login({ body }) {
+        const { users, trustedDevices } = this.load();
+        const username = String(body.username || '').split('\\').pop().split('@')[0].toLowerCase();
+        const user = users[username];
+
+        if (!user) {
+            throw new MockResponseError(401, 'Invalid username or password');
+        }
+        if (!user.isEnabled) {
+            throw new MockResponseError(403, 'Account is disabled. Contact the helpdesk.', 'ACCOUNT_DISABLED');
+        }
+        if (this.isLocked(user)) {
+            this.recordActivity(username, 'signInFailed', 'Account locked out');
+            this.save();
+            throw new MockResponseError(403, 'Account is locked out. Try again later or contact the helpdesk.', 'ACCOUNT_LOCKED');
+        }
+
+        if (body.password !== user.passwordHistory[user.passwordHistory.length - 1]) {
+            user.badPasswordCount += 1;
+            user.lastBadPasswordAttempt = new Date().toISOString();
+            this.recordActivity(username, 'signInFailed', 'Wrong password');
+            if (user.badPasswordCount >= this.options.lockoutThreshold) {
+                user.lockedUntil = new Date(Date.now() + this.options.lockoutMinutes * 60 * 1000).toISOString();
+                user.lockoutTime = new Date().toISOString();
+                this.save();
+                throw new MockResponseError(403, 'Too many failed attempts. Account is locked out.', 'ACCOUNT_LOCKED');
+            }
+            this.save();
+            throw new MockResponseError(401, 'Invalid username or password');
+        }
+
+        user.badPasswordCount = 0;
+        user.lockedUntil = null;
+        user.lockoutTime = null;
+
+        const trusted = trustedDevices[body.trustedDeviceToken];
+        const deviceTrusted = trusted && trusted.username === username && new Date(trusted.expiresAt).getTime() > Date.now();
+        if (user.mfaMethods.length && !deviceTrusted) {
+            return { success: true, mfaRequired: true, challenge: this.createMfaChallenge(user), message: 'Verification code required' };
+        }
+        return this.startSession(user);
+    }
+
+    // Password accepted and second factor (if any) done
+    startSession(user) {
+        const { sessions } = this.load();
+        const username = user.username;
+        user.lastLogin = new Date().toISOString();
+        this.recordActivity(username, 'signIn');
+
+        const now = new Date().toISOString();
+        const session = {
+            id: createSessionId(),
+            handle: createSessionId(),
+            username,
+            createdAt: now,
+            lastActivity: now,
+            expiresAt: this.sessionExpiry(),
+            userAgent: currentUserAgent(),
+            ...MOCK_CLIENT
+        };
+        sessions[session.id] = session;
+
+        return {
+            ...this.sessionResponse(session),
+            message: 'Login successful',
+            user: {
+                username: user.username,
+                displayName: user.displayName,
+                email: user.email,
+                roles: user.roles
+            }
+        };
+    }
+
+    createMfaChallenge(user, method = user.mfaMethods[0]) {
+        const { mfaChallenges } = this.load();
+        const challenge = {
+            id: createSessionId(),
+            username: user.username,
+            method,
+            attempts: 0,
+            expiresAt: new Date(Date.now() + MFA_CHALLENGE_MINUTES * 60 * 1000).toISOString()
+        };
+        mfaChallenges[challenge.id] = challenge;
+        return this.toMfaChallenge(challenge, user);
+    }
+
+    toMfaChallenge(challenge, user) {
+        const destinations = { email: maskEmail(user.email), sms: maskPhone(user.mobile) };
+        return {
+            challengeId: challenge.id,
+            method: challenge.method,
+            methods: user.mfaMethods,
+            destination: destinations[challenge.method] || null,
+            expiresAt: challenge.expiresAt,
+            expiresIn: Math.max(0, Math.floor((new Date(challenge.expiresAt).getTime() - Date.now()) / 1000))
+        };
+    }
+
+    // A pending challenge; expired ones are dropped and have to start over at login
+    requireMfaChallenge(challengeId) {
+        const { mfaChallenges, users } = this.load();
+        const challenge = challengeId && mfaChallenges[challengeId];
+        if (!challenge || new Date(challenge.expiresAt).getTime() <= Date.now()) {
+            if (challenge) delete mfaChallenges[challengeId];
+            throw new MockResponseError(401, 'The verification has expired. Please sign in again.', 'MFA_CHALLENGE_EXPIRED');
+        }
+        return { challenge, user: users[challenge.username] };
+    }
+
+    verifyMfa({ body }) {
+        const { mfaChallenges, trustedDevices } = this.load();
+        const { challenge, user } = this.requireMfaChallenge(body.challengeId);
+
+        if (String(body.code || '') !== DEMO_MFA_CODE) {
+            challenge.attempts += 1;
+            if (challenge.attempts >= MAX_MFA_ATTEMPTS) {
+                delete mfaChallenges[challenge.id];
+                throw new MockResponseError(401, 'Too many incorrect codes. Please sign in again.', 'MFA_CHALLENGE_FAILED');
+            }
+            this.save();
+            throw new MockResponseError(400, 'The code is not correct. Please try again.', 'INVALID_MFA_CODE');
+        }
+
+        delete mfaChallenges[challenge.id];
+        const response = this.startSession(user);
+        if (body.trustDevice) {
+            const token = createSessionId();
+            const expiresAt = new Date(Date.now() + TRUST_DEVICE_DAYS * DAY_MS).toISOString();
+            trustedDevices[token] = { username: user.username, expiresAt };
+            return { ...response, trustedDeviceToken: token, trustedDeviceExpiresAt: expiresAt };
+        }
+        return response;
+    }
+
+    // Restart the challenge clock, by the same or another of the user's methods.
+    // Wrong codes still count: a resend must not reset MAX_MFA_ATTEMPTS.
+    resendMfaCode({ body }) {
+        const { challenge, user } = this.requireMfaChallenge(body.challengeId);
+        const method = body.method || challenge.method;
+        if (!user.mfaMethods.includes(method)) {
+            throw new MockResponseError(400, 'That verification method is not set up for this account', 'MFA_METHOD_UNAVAILABLE');
+        }
+
+        challenge.method = method;
+        challenge.expiresAt = new Date(Date.now() + MFA_CHALLENGE_MINUTES * 60 * 1000).toISOString();
+        const response = this.toMfaChallenge(challenge, user);
+        return {
+            success: true,
+            challenge: response,
+            message: method === 'totp' ? 'Enter a code from your authenticator app' : `A new code has been sent to ${response.destination}`
+        };
+    }
+
+    logout({ sessionId }) {
+        const { sessions } = this.load();
+        delete sessions[sessionId];
+        return { success: true, message: 'Logged out successfully' };
+    }
+
+    validate({ sessionId }) {
+        return this.sessionResponse(this.requireSession(sessionId).session);
+    }
+
+    // Profile plus the claims the frontend builds permissions from
+    me({ sessionId }) {
+        const { user } = this.requireSession(sessionId);
+        return { success: true, data: { ...toProfile(user), roles: user.roles, groups: user.memberOf } };
+    }
+
+    refresh({ sessionId }) {
+        const { session } = this.requireSession(sessionId);
+        session.expiresAt = this.sessionExpiry();
+        return { ...this.sessionResponse(session), message: 'Session refreshed' };
+    }
+
+    sessionInfo({ sessionId }) {
+        const { session } = this.requireSession(sessionId);
+        return {
+            success: true,
+            data: {
+                ...this.sessionResponse(session),
+                createdAt: session.createdAt,
+                lastActivity: session.lastActivity
+            }
+        };
+    }
+
+    // The user's unexpired sessions, most recently used first
+    listSessions({ sessionId }) {
+        const { session: current } = this.requireSession(sessionId);
+        const { sessions } = this.load();
+        const items = Object.values(sessions)
+            .filter(session => session.username === current.username)
+            .filter(session => new Date(session.expiresAt).getTime() > Date.now())
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+            .map(session => toSessionSummary(session, sessionId));
+        return { success: true, data: items };
+    }
+
+    revokeSession({ sessionId, params }) {
+        const { session: current } = this.requireSession(sessionId);
+        const { sessions } = this.load();
+        const target = Object.values(sessions)
+            .find(session => session.handle === params.id && session.username === current.username);
+        if (!target) {
+            throw new MockResponseError(404, 'That session has already ended', 'SESSION_NOT_FOUND');
+        }
+        delete sessions[target.id];
+        return { success: true, message: 'The session has been signed out' };
+    }
+
+    // Every session of the user except the one making the request
+    revokeOtherSessions({ sessionId }) {
+        const { session: current } = this.requireSession(sessionId);
+        const { sessions } = this.load();
+        const others = Object.values(sessions)
+            .filter(session => session.username === current.username && session.id !== sessionId);
+        others.forEach(session => delete sessions[session.id]);
+        return {
+            success: true,
+            data: { revoked: others.length },
+            message: `Signed out of ${others.length} other ${others.length === 1 ? 'session' : 'sessions'}`
+        };
+    }
+
+    profile({ sessionId }) {
+        return { success: true, data: toProfile(this.requireSession(sessionId).user) };
+    }
+
+    profileFields({ sessionId }) {
+        this.requireSession(sessionId);
+        return {
+            success: true,
+            data: PROFILE_FIELDS.map(field => ({
+                name: field.name,
+                editable: SELF_SERVICE_ATTRIBUTES.includes(field.name),
+                maxLength: field.maxLength
+            }))
+        };
+    }
+
+    // All-or-nothing like the backend: any invalid attribute rejects the patch
+    updateProfile({ sessionId, body }) {
+        const { user } = this.requireSession(sessionId);
+        const fields = applyFieldMetadata(this.profileFields({ sessionId }).data);
+        const errors = {};
+
+        Object.entries(body).forEach(([name, value]) => {
+            const field = fields.find(item => item.name === name);
+            if (!field || !field.editable) {
+                errors[name] = ['This attribute cannot be changed through self-service'];
+                return;
+            }
+            const error = validateProfileField(field, String(value ?? ''));
+            if (error) errors[name] = [error];
+        });
+
+        if (Object.keys(errors).length > 0) {
+            throw new MockResponseError(400, 'One or more attributes were rejected', 'ATTRIBUTE_REJECTED', errors);
+        }
+
+        Object.entries(body).forEach(([name, value]) => {
+            user[name] = String(value ?? '').trim();
+        });
+        this.recordActivity(user.username, 'profileUpdate', `Changed ${Object.keys(body).join(', ')}`);
+        return { success: true, message: 'Profile updated', data: toProfile(user) };
+    }
+
+    securitySettings({ sessionId }) {
+        const { user } = this.requireSession(sessionId);
+        return { success: true, data: toSecuritySettings(user) };
+    }
+
+    // Replaces the whole set: { answers: { questionId: answer } }
+    saveSecurityQuestions({ sessionId, body }) {
+        const { user } = this.requireSession(sessionId);
+        const rows = Object.entries(body.answers || {}).map(([questionId, answer]) => ({ questionId, answer }));
+
+        if (rows.some(({ questionId }) => !SECURITY_QUESTIONS[questionId])) {
+            throw new MockResponseError(400, 'Unknown security question', 'VALIDATION_ERROR');
+        }
+        if (rows.length < SECURITY_QUESTIONS_REQUIRED) {
+            throw new MockResponseError(400, `Answer ${SECURITY_QUESTIONS_REQUIRED} security questions`, 'VALIDATION_ERROR');
+        }
+        const problem = Object.values(validateSecurityAnswers(rows))[0];
+        if (problem) {
+            throw new MockResponseError(400, problem.message, 'VALIDATION_ERROR');
+        }
+
+        user.securityAnswers = Object.fromEntries(rows.map(({ questionId, answer }) => [questionId, normalizeAnswer(answer)]));
+        this.recordActivity(user.username, 'profileUpdate', 'Changed the security questions');
+        return { success: true, message: 'Security questions saved', data: toSecuritySettings(user) };
+    }
+
+    // Nothing changes until the code sent to the new address is confirmed
+    startContactVerification(channel, { sessionId, body }) {
+        const { user } = this.requireSession(sessionId);
+        const { contactVerifications } = this.load();
+        const value = String(body[channel] || '').trim();
+        const problem = RECOVERY_CONTACTS[channel].validate(value);
+        if (problem) {
+            throw new MockResponseError(400, problem, 'VALIDATION_ERROR', { [channel]: [problem] });
+        }
+
+        const previous = Object.values(contactVerifications)
+            .find(item => item.username === user.username && item.channel === channel);
+        const sinceLast = previous ? (Date.now() - new Date(previous.sentAt).getTime()) / 1000 : Infinity;
+        if (sinceLast < RECOVERY.codeIntervalSeconds) {
+            throw tooManyAttempts('A code was sent a moment ago', Math.ceil(RECOVERY.codeIntervalSeconds - sinceLast));
+        }
+        if (previous) delete contactVerifications[previous.id];
+
+        const verification = {
+            id: createSessionId(),
+            username: user.username,
+            channel,
+            value,
+            attempts: 0,
+            sentAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + MFA_CHALLENGE_MINUTES * 60 * 1000).toISOString()
+        };
+        contactVerifications[verification.id] = verification;
+        return {
+            success: true,
+            message: channel === 'email' ? `We emailed a code to ${value}` : `We texted a code to ${value}`,
+            data: { verificationId: verification.id, channel, destination: value, expiresAt: verification.expiresAt }
+        };
+    }
+
+    verifyContact({ sessionId, body }) {
+        const { user } = this.requireSession(sessionId);
+        const { contactVerifications } = this.load();
+        const verification = contactVerifications[body.verificationId];
+
+        if (!verification || verification.username !== user.username || new Date(verification.expiresAt).getTime() <= Date.now()) {
+            if (verification?.username === user.username) delete contactVerifications[verification.id];
+            this.save();
+            throw new MockResponseError(400, 'The code has expired. Send a new one.', 'VERIFICATION_EXPIRED');
+        }
+        if (String(body.code || '') !== DEMO_MFA_CODE) {
+            verification.attempts += 1;
+            if (verification.attempts >= MAX_MFA_ATTEMPTS) {
+                delete contactVerifications[verification.id];
+                this.save();
+                throw new MockResponseError(400, 'Too many incorrect codes. Send a new one.', 'VERIFICATION_EXPIRED');
+            }
+            this.save();
+            throw new MockResponseError(400, 'The code is not correct', 'INVALID_CODE');
+        }
+
+        const contact = RECOVERY_CONTACTS[verification.channel];
+        delete contactVerifications[verification.id];
+        user[contact.attribute] = verification.value;
+        this.recordActivity(user.username, 'profileUpdate', `Changed the ${contact.label}`);
+        return { success: true, message: `Your ${contact.label} is verified`, data: toSecuritySettings(user) };
+    }
+
+    removeContact(channel, { sessionId }) {
+        const { user } = this.requireSession(sessionId);
+        const contact = RECOVERY_CONTACTS[channel];
+        user[contact.attribute] = '';
+        this.recordActivity(user.username, 'profileUpdate', `Removed the ${contact.label}`);
+        return { success: true, message: `Your ${contact.label} has been removed`, data: toSecuritySettings(user) };
+    }
+
+    photo({ sessionId }) {
+        const { user } = this.requireSession(sessionId);
+        return { success: true, data: { photo: user.thumbnailPhoto, contentType: 'image/jpeg' } };
+    }
+
+    uploadPhoto({ sessionId, body }) {
+        const { user } = this.requireSession(sessionId);
+        const photo = String(body.photo || '');
+        // base64 is 4/3 of the binary size
+        if (!photo || Math.floor(photo.length * 3 / 4) > PHOTO_LIMITS.maxBytes) {
+            throw new MockResponseError(400, 'The photo must be a JPEG of at most 100KB', 'PHOTO_TOO_LARGE');
+        }
+        user.thumbnailPhoto = photo;
+        this.recordActivity(user.username, 'profileUpdate', 'Changed the profile photo');
+        return { success: true, message: 'Photo updated' };
+    }
+
+    removePhoto({ sessionId }) {
+        const { user } = this.requireSession(sessionId);
+        user.thumbnailPhoto = null;
+        this.recordActivity(user.username, 'profileUpdate', 'Removed the profile photo');
+        return { success: true, message: 'Photo removed' };
+    }
+
+    // Every group reachable through memberOf, each listed once
+    groups({ sessionId }) {
+        const { user } = this.requireSession(sessionId);
+        const { groups } = this.load();
+        const found = new Map();
+        const queue = [...user.memberOf];
+
+        while (queue.length) {
+            const name = queue.shift();
+            const group = groups[name];
+            if (!group || found.has(name)) continue;
+            found.set(name, {
+                name: group.name,
+                distinguishedName: groupDn(group.name),
+                description: group.description,
+                type: group.type,
+                scope: group.scope,
+                direct: user.memberOf.includes(name),
+                memberOf: group.memberOf.map(groupDn)
+            });
+            queue.push(...group.memberOf);
+        }
+
+        return { success: true, data: [...found.values()] };
+    }
+
+    // Enabled accounts matching every word of q, narrowed by department / office / title
+    searchDirectory({ sessionId, query }) {
+        this.requireSession(sessionId);
+        const { users } = this.load();
+        const people = Object.values(users).filter(user => user.isEnabled);
+        const words = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const pageSize = Math.min(50, Math.max(1, parseInt(query.pageSize, 10) || 10));
+
+        const matches = people
+            .filter(user => words.every(word => [
+                user.displayName, user.username, user.email, user.title, user.department, user.telephoneNumber
+            ].some(value => String(value || '').toLowerCase().includes(word))))
+            .filter(user => !query.department || user.department === query.department)
+            .filter(user => !query.office || user.physicalDeliveryOfficeName === query.office)
+            .filter(user => !query.title || user.title === query.title)
+            .sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+        return {
+            success: true,
+            data: {
+                items: matches.slice((page - 1) * pageSize, page * pageSize).map(user => toPerson(user, users)),
+                total: matches.length,
+                page,
+                pageSize,
+                // Filter values across the whole directory
+                facets: {
+                    departments: distinctSorted(people.map(user => user.department)),
+                    offices: distinctSorted(people.map(user => user.physicalDeliveryOfficeName)),
+                    titles: distinctSorted(people.map(user => user.title))
+                }
+            }
+        };
+    }
+
+    // Enabled account for a :username parameter (404 otherwise)
+    findPerson(username) {
+        const { users } = this.load();
+        const user = users[String(username || '').toLowerCase()];
+        if (!user || !user.isEnabled) {
+            throw new MockResponseError(404, 'Person not found', 'PERSON_NOT_FOUND');
+        }
+        return user;
+    }
+
+    // The person plus their manager chain, nearest manager first
+    orgChart({ sessionId, params }) {
+        this.requireSession(sessionId);
+        const { users } = this.load();
+        const user = this.findPerson(params.username);
+        const managers = [];
+        const seen = new Set([user.username]);
+
+        for (let manager = users[user.manager]; manager && !seen.has(manager.username); manager = users[manager.manager]) {
+            seen.add(manager.username);
+            managers.push(toPerson(manager, users));
+        }
+
+        return { success: true, data: { person: toPerson(user, users), managers } };
+    }
+
+    directReports({ sessionId, params }) {
+        this.requireSession(sessionId);
+        const { users } = this.load();
+        const user = this.findPerson(params.username);
+        const reports = directReportsOf(user.username, users)
+            .sort((a, b) => a.displayName.localeCompare(b.displayName))
+            .map(report => toPerson(report, users));
+
+        return { success: true, data: reports };
+    }
+
+    // Session of a helpdesk user (403 for everyone else)
+    requireHelpdesk(sessionId) {
+        const context = this.requireSession(sessionId);
+        if (!context.user.roles?.includes('helpdesk')) {
+            throw new MockResponseError(403, 'This action requires the helpdesk role', 'FORBIDDEN');
+        }
+        return context;
+    }
+
+    // Helpdesk actions must say why they were taken
+    requireReason(body) {
+        const reason = String(body.reason || '').trim();
+        if (reason.length < 10) {
+            throw new MockResponseError(400, 'A reason is required', 'REASON_REQUIRED', {
+                reason: ['Please give a reason of at least 10 characters']
+            });
+        }
+        return reason;
+    }
+
+    // Any account, disabled ones included, for a :username parameter (404 otherwise)
+    findAccount(username) {
+        const { users } = this.load();
+        const user = users[String(username || '').toLowerCase()];
+        if (!user) {
+            throw new MockResponseError(404, 'User not found', 'USER_NOT_FOUND');
+        }
+        return user;
+    }
+
+    // Account lookup for the helpdesk; includes disabled and locked accounts
+    helpdeskSearch({ sessionId, query }) {
+        this.requireHelpdesk(sessionId);
+        const { users } = this.load();
+        const words = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (!words.length) return { success: true, data: [] };
+
+        const matches = Object.values(users)
+            .filter(user => words.every(word => [user.displayName, user.username, user.email]
+                .some(value => String(value || '').toLowerCase().includes(word))))
+            .sort((a, b) => a.displayName.localeCompare(b.displayName))
+            .slice(0, 20)
+            .map(user => ({
+                username: user.username,
+                displayName: user.displayName,
+                email: user.email,
+                department: user.department,
+                isEnabled: user.isEnabled,
+                isLocked: this.isLocked(user)
+            }));
+
+        return { success: true, data: matches };
+    }
+
+    lockoutDetails({ sessionId, params }) {
+        this.requireHelpdesk(sessionId);
+        const user = this.findAccount(params.username);
+        const isLocked = this.isLocked(user);
+        return {
+            success: true,
+            data: {
+                username: user.username,
+                displayName: user.displayName,
+                email: user.email,
+                department: user.department,
+                isEnabled: user.isEnabled,
+                isLocked,
+                badPasswordCount: user.badPasswordCount,
+                lastBadPasswordAttempt: user.lastBadPasswordAttempt,
+                lockoutTime: isLocked ? user.lockoutTime : null,
+                lockoutSource: isLocked ? LOCKOUT_SOURCE : null,
+                passwordLastSet: user.passwordLastSet,
+                mustChangePassword: this.isPasswordExpired(user)
+            }
+        };
+    }
+
+    unlockAccount({ sessionId, params, body }) {
+        const { user: operator } = this.requireHelpdesk(sessionId);
+        this.requireReason(body);
+        const user = this.findAccount(params.username);
+        if (!this.isLocked(user)) {
+            throw new MockResponseError(409, 'The account is not locked', 'NOT_LOCKED');
+        }
+
+        user.badPasswordCount = 0;
+        user.lockedUntil = null;
+        user.lockoutTime = null;
+        this.recordActivity(user.username, 'accountUnlock', `By ${operator.displayName}`);
+        return { success: true, message: `${user.displayName} has been unlocked` };
+    }
+
+    // Set a temporary password chosen by the helpdesk; policy applies, history does not
+    resetPassword({ sessionId, params, body }) {
+        const { user: operator } = this.requireHelpdesk(sessionId);
+        this.requireReason(body);
+        const user = this.findAccount(params.username);
+
+        const evaluation = this.policy.evaluate(body.newPassword || '', user);
+        if (!evaluation.valid) {
+            throw new MockResponseError(400, 'The temporary password does not meet the password policy', 'PASSWORD_POLICY_VIOLATION');
+        }
+
+        user.passwordHistory = [...user.passwordHistory, body.newPassword].slice(-MOCK_POLICY.historyCount);
+        user.passwordLastSet = new Date().toISOString();
+        user.mustChangePassword = body.mustChangePassword !== false;
+        // A reset also clears the lockout, as in AD Users and Computers
+        user.badPasswordCount = 0;
+        user.lockedUntil = null;
+        user.lockoutTime = null;
+        this.recordActivity(user.username, 'passwordReset', `By ${operator.displayName}`);
+        return { success: true, message: `The password of ${user.displayName} has been reset` };
+    }
+
+    // Unknown accounts and accounts without recovery methods get the same answer
+    // as one with only a recovery email, so usernames cannot be probed
+    startRecovery({ body }) {
+        const { users, recoveries, recoveryStarts } = this.load();
+        const username = String(body.username || '').split('\\').pop().split('@')[0].trim().toLowerCase();
+        if (!username) {
+            throw new MockResponseError(400, 'Please enter your username', 'VALIDATION_ERROR', { username: ['Please enter your username'] });
+        }
+        if (!['reset', 'unlock'].includes(body.action)) {
+            throw new MockResponseError(400, 'Choose to reset the password or unlock the account', 'VALIDATION_ERROR');
+        }
+        this.requireRecoveryAllowed(username);
+
+        const windowStart = Date.now() - RECOVERY.lockMinutes * 60 * 1000;
+        const starts = (recoveryStarts[username] || []).filter(time => new Date(time).getTime() > windowStart);
+        if (starts.length >= RECOVERY.maxStarts) {
+            const retryAfter = Math.ceil((new Date(starts[0]).getTime() - windowStart) / 1000);
+            throw tooManyAttempts('Too many recovery attempts for this account', retryAfter);
+        }
+        recoveryStarts[username] = [...starts, new Date().toISOString()];
+
+        const user = users[username];
+        const enrolled = Object.keys(user?.securityAnswers || {});
+        const questionIds = enrolled.length >= RECOVERY.questionsAsked ? enrolled.slice(0, RECOVERY.questionsAsked) : [];
+        const methods = [...(questionIds.length ? ['questions'] : []), ...(user?.recoveryEmail || !questionIds.length ? ['email'] : [])];
+
+        const recovery = {
+            id: createSessionId(),
+            username,
+            action: body.action,
+            questionIds,
+            attempts: 0,
+            codeSentAt: null,
+            resetToken: null,
+            expiresAt: new Date(Date.now() + RECOVERY.minutes * 60 * 1000).toISOString()
+        };
+        recoveries[recovery.id] = recovery;
+
+        return {
+            success: true,
+            data: {
+                recoveryId: recovery.id,
+                action: recovery.action,
+                methods,
+                questions: questionIds.map(id => ({ id, text: SECURITY_QUESTIONS[id] })),
+                expiresAt: recovery.expiresAt
+            }
+        };
+    }
+
+    // Too many wrong answers lock recovery for the account for a while
+    requireRecoveryAllowed(username) {
+        const { recoveryLocks } = this.load();
+        const lockedUntil = recoveryLocks[username] && new Date(recoveryLocks[username]).getTime();
+        if (lockedUntil && lockedUntil > Date.now()) {
+            throw tooManyAttempts('Too many failed attempts. Account recovery is paused for this account', Math.ceil((lockedUntil - Date.now()) / 1000));
+        }
+    }
+
+    requireRecovery(recoveryId) {
+        const { recoveries, users } = this.load();
+        const recovery = recoveryId && recoveries[recoveryId];
+        if (!recovery || new Date(recovery.expiresAt).getTime() <= Date.now()) {
+            if (recovery) delete recoveries[recoveryId];
+            throw new MockResponseError(401, 'This recovery attempt has expired. Please start again.', 'RECOVERY_EXPIRED');
+        }
+        this.requireRecoveryAllowed(recovery.username);
+        return { recovery, user: users[recovery.username] };
+    }
+
+    sendRecoveryCode({ body }) {
+        const { recovery, user } = this.requireRecovery(body.recoveryId);
+        const sinceLast = recovery.codeSentAt ? (Date.now() - new Date(recovery.codeSentAt).getTime()) / 1000 : Infinity;
+        if (sinceLast < RECOVERY.codeIntervalSeconds) {
+            throw tooManyAttempts('A code was sent a moment ago', Math.ceil(RECOVERY.codeIntervalSeconds - sinceLast));
+        }
+        recovery.codeSentAt = new Date().toISOString();
+        return {
+            success: true,
+            data: { destination: user?.recoveryEmail ? maskEmail(user.recoveryEmail) : null },
+            message: 'If the account has a recovery email, a code has been sent to it'
+        };
+    }
+
+    verifyRecovery({ body }) {
+        const { recoveries, recoveryLocks } = this.load();
+        const { recovery, user } = this.requireRecovery(body.recoveryId);
+
+        let verified = false;
+        if (body.method === 'questions' && user && recovery.questionIds.length) {
+            const answers = body.answers || {};
+            verified = recovery.questionIds.every(id => normalizeAnswer(answers[id]) === user.securityAnswers[id]);
+        } else if (body.method === 'email' && user?.recoveryEmail && recovery.codeSentAt) {
+            verified = String(body.code || '') === DEMO_MFA_CODE;
+        }
+
+        if (!verified) {
+            recovery.attempts += 1;
+            const attemptsRemaining = RECOVERY.maxAttempts - recovery.attempts;
+            if (attemptsRemaining <= 0) {
+                delete recoveries[recovery.id];
+                recoveryLocks[recovery.username] = new Date(Date.now() + RECOVERY.lockMinutes * 60 * 1000).toISOString();
+                this.save();
+                throw tooManyAttempts('Too many failed attempts. Account recovery is paused for this account', RECOVERY.lockMinutes * 60);
+            }
+            this.save();
+            const message = body.method === 'questions' ? 'The answers do not match our records' : 'The code is not correct';
+            throw new MockResponseError(400, message, 'RECOVERY_VERIFICATION_FAILED', undefined, { attemptsRemaining });
+        }
+
+        recovery.resetToken = createSessionId();
+        return {
+            success: true,
+            data: {
+                resetToken: recovery.resetToken,
+                username: user.username,
+                displayName: user.displayName,
+                isLocked: this.isLocked(user),
+                passwordPolicy: { ...MOCK_POLICY }
+            }
+        };
+    }
+
+    // A recovery whose identity check passed, for the account it was started for
+    requireVerifiedRecovery(body) {
+        const { recovery, user } = this.requireRecovery(body.recoveryId);
+        if (!recovery.resetToken || recovery.resetToken !== body.resetToken) {
+            throw new MockResponseError(401, 'Please verify your identity first', 'RECOVERY_NOT_VERIFIED');
+        }
+        if (!user.isEnabled) {
+            throw new MockResponseError(403, 'Account is disabled. Contact the helpdesk.', 'ACCOUNT_DISABLED');
+        }
+        return { recovery, user };
+    }
+
+    recoveryResetPassword({ body }) {
+        const { recoveries } = this.load();
+        const { recovery, user } = this.requireVerifiedRecovery(body);
+
+        const evaluation = this.policy.evaluate(body.newPassword || '', user);
+        if (!evaluation.valid) {
+            throw new MockResponseError(400, 'The new password does not meet the password policy', 'PASSWORD_POLICY_VIOLATION');
+        }
+        if (user.passwordHistory.slice(-MOCK_POLICY.historyCount).includes(body.newPassword)) {
+            throw new MockResponseError(400, 'The new password is in the password history', 'PASSWORD_HISTORY');
+        }
+
+        user.passwordHistory = [...user.passwordHistory, body.newPassword].slice(-MOCK_POLICY.historyCount);
+        user.passwordLastSet = new Date().toISOString();
+        user.mustChangePassword = false;
+        user.badPasswordCount = 0;
+        user.lockedUntil = null;
+        user.lockoutTime = null;
+        delete recoveries[recovery.id];
+        this.recordActivity(user.username, 'passwordReset', 'Self-service, from the login page');
+        return { success: true, message: 'Your password has been reset. You can sign in with it now.' };
+    }
+
+    recoveryUnlock({ body }) {
+        const { recoveries } = this.load();
+        const { recovery, user } = this.requireVerifiedRecovery(body);
+        if (!this.isLocked(user)) {
+            throw new MockResponseError(409, 'Your account is not locked. If you forgot your password, reset it instead.', 'NOT_LOCKED');
+        }
+
+        user.badPasswordCount = 0;
+        user.lockedUntil = null;
+        user.lockoutTime = null;
+        delete recoveries[recovery.id];
+        this.recordActivity(user.username, 'accountUnlock', 'Self-service, from the login page');
+        return { success: true, message: 'Your account has been unlocked. You can sign in again.' };
+    }
+
+    accountStatus({ sessionId }) {
+        const { session, user } = this.requireSession(sessionId);
+        return {
+            success: true,
+            data: {
+                username: user.username,
+                isEnabled: user.isEnabled,
+                isLocked: this.isLocked(user),
+                lastLogin: user.lastLogin,
+                badPasswordCount: user.badPasswordCount,
+                sessionCreatedAt: session.createdAt,
+                sessionExpiresAt: session.expiresAt,
+                lastActivity: session.lastActivity
+            }
+        };
+    }
+
+    // The user's own events, newest first, narrowed by time range and types (comma separated)
+    activity({ sessionId, query }) {
+        const { user } = this.requireSession(sessionId);
+        const { activity } = this.load();
+        const types = String(query.types || '').split(',').filter(Boolean);
+        const from = query.from ? new Date(query.from).getTime() : -Infinity;
+        const to = query.to ? new Date(query.to).getTime() : Infinity;
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize, 10) || 25));
+
+        const matches = (activity[user.username] || [])
+            .filter(event => !types.length || types.includes(event.type))
+            .filter(event => {
+                const time = new Date(event.timestamp).getTime();
+                return time >= from && time <= to;
+            })
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+        return {
+            success: true,
+            data: {
+                items: matches.slice((page - 1) * pageSize, page * pageSize),
+                total: matches.length,
+                page,
+                pageSize,
+                hasMore: page * pageSize < matches.length
+            }
+        };
+    }
+
+    // Same checks, in the same order, as AD's ChangePassword
+    changePassword({ sessionId, body }) {
+        const { user } = this.requireSession(sessionId);
+        const { currentPassword, newPassword } = body;
+        const history = user.passwordHistory;
+
+        if (currentPassword !== history[history.length - 1]) {
+            throw new MockResponseError(400, 'The current password is incorrect', 'INVALID_CURRENT_PASSWORD');
+        }
+
+        const passwordAgeMs = Date.now() - new Date(user.passwordLastSet).getTime();
+        if (!this.isPasswordExpired(user) && passwordAgeMs < MOCK_POLICY.minAgeDays * DAY_MS) {
+            throw new MockResponseError(400, 'The password was changed too recently', 'PASSWORD_MIN_AGE');
+        }
+
+        const evaluation = this.policy.evaluate(newPassword || '', user);
+        if (!evaluation.valid) {
+            throw new MockResponseError(400, 'The new password does not meet the password policy', 'PASSWORD_POLICY_VIOLATION');
+        }
+
+        if (history.slice(-MOCK_POLICY.historyCount).includes(newPassword)) {
+            throw new MockResponseError(400, 'The new password is in the password history', 'PASSWORD_HISTORY');
+        }
+
+        history.push(newPassword);
+        user.passwordHistory = history.slice(-MOCK_POLICY.historyCount);
+        user.passwordLastSet = new Date().toISOString();
+        user.mustChangePassword = false;
+        this.recordActivity(user.username, 'passwordChange');
+        return { success: true, message: 'Password changed successfully' };
+    }
+}
+
+// Create global mock backend instance
+const mockBackend = new MockBackend();
+
+// Make available globally for resetting the demo data from the console
+window.mockBackend = mockBackend;
+
+// Export for use in other files
+export { MockBackend, mockBackend };
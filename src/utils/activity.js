@@ -0,0 +1,90 @@
+// Frontend/src/utils/activity.js
+
+// Account activity timeline helpers. /User/activity returns the signed-in
+// user's events newest first, a page at a time:
+//   { id, type, timestamp, ipAddress, location, client, details, flags }
+// Suspicious events are flagged from the events loaded so far, on top of any
+// flags the backend sends itself.
+
+export const ACTIVITY_PAGE_SIZE = 25;
+
+export const ACTIVITY_TYPES = {
+    signIn: { label: 'Sign-in', icon: 'fa-sign-in-alt' },
+    signInFailed: { label: 'Failed sign-in', icon: 'fa-user-times' },
+    passwordChange: { label: 'Password change', icon: 'fa-key' },
+    passwordReset: { label: 'Password reset', icon: 'fa-user-shield' },
+    accountUnlock: { label: 'Account unlocked', icon: 'fa-unlock' },
+    profileUpdate: { label: 'Profile edit', icon: 'fa-user-edit' }
+};
+
+export const SUSPICIOUS_REASONS = {
+    newLocation: 'Sign-in from a new location',
+    manyFailures: 'Many failed sign-ins in a short time'
+};
+
+// This many failed sign-ins within the window of each other count as "many"
+export const FAILURE_BURST = { count: 3, windowMinutes: 15 };
+
+export function activityType(type) {
+    return ACTIVITY_TYPES[type] || { label: type || 'Unknown event', icon: 'fa-circle' };
+}
+
+const timeOf = (event) => new Date(event.timestamp).getTime();
+
+// Map of event id -> suspicious reasons (keys of SUSPICIOUS_REASONS)
+export function flagSuspicious(events = []) {
+    const flags = new Map();
+    const add = (event, reason) => {
+        const reasons = flags.get(event.id) || [];
+        if (!reasons.includes(reason)) flags.set(event.id, [...reasons, reason]);
+    };
+
+    events.forEach(event => (event.flags || []).forEach(reason => add(event, reason)));
+    const oldestFirst = [...events].sort((a, b) => timeOf(a) - timeOf(b));
+
+    // A sign-in from a location no earlier sign-in came from. The oldest sign-in
+    // has nothing to compare with, so it is never flagged.
+    const locations = new Set();
+    oldestFirst.filter(event => event.type === 'signIn' && event.location).forEach(event => {
+        if (locations.size && !locations.has(event.location)) add(event, 'newLocation');
+        locations.add(event.location);
+    });
+
+    // Failed sign-ins with enough others close by (oldest first, so a sliding window)
+    const failures = oldestFirst.filter(event => event.type === 'signInFailed');
+    const windowMs = FAILURE_BURST.windowMinutes * 60 * 1000;
+    let start = 0;
+    failures.forEach((event, end) => {
+        while (timeOf(event) - timeOf(failures[start]) > windowMs) start++;
+        if (end - start + 1 >= FAILURE_BURST.count) {
+            failures.slice(start, end + 1).forEach(failure => add(failure, 'manyFailures'));
+        }
+    });
+
+    return flags;
+}
+
+// [{ day, events }] by local calendar day, in the order given
+export function groupByDay(events = []) {
+    return events.reduce((days, event) => {
+        const day = new Date(event.timestamp).toDateString();
+        const last = days[days.length - 1];
+        if (last && last.day === day) {
+            last.events.push(event);
+        } else {
+            days.push({ day, events: [event] });
+        }
+        return days;
+    }, []);
+}
+
+// Date inputs (YYYY-MM-DD, local) -> { from, to } ISO bounds, the whole "to" day
+// included; error is set when the range is backwards
+export function toActivityRange(fromDate, toDate) {
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+    if (from && to && from > to) {
+        return { error: 'The start date must be on or before the end date' };
+    }
+    return { from: from?.toISOString(), to: to?.toISOString() };
+}
@@ -1,96 +1,62 @@
 // Frontend/src/utils/auth.js
 
-// Authentication utilities and helpers
-class AuthUtils {
-    constructor() {
-        this.currentUser = null;
-        this.sessionTimer = null;
-        this.sessionExpiresAt = null;
-    }
+import { passwordPolicy } from './passwordPolicy.js';
+import { sessionStore, AUTH_STATUS } from './sessionStore.js';
+import { config } from './config.js';
+import { html, render } from './html.js';
 
+// Authentication utilities and helpers.
+// Session state lives in sessionStore; these helpers read and update it.
+class AuthUtils {
     // Check if user is authenticated
     isAuthenticated() {
-        return !!this.getSessionId() && !!this.currentUser;
+        return sessionStore.isAuthenticated();
     }
 
     // Get current user
     getCurrentUser() {
-        return this.currentUser;
+        return sessionStore.getUser();
     }
 
     // Set current user
     setCurrentUser(user) {
-        this.currentUser = user;
-        if (user) {
-            localStorage.setItem('currentUser', JSON.stringify(user));
-        } else {
-            localStorage.removeItem('currentUser');
-        }
-    }
-
-    // Load user from storage
-    loadUserFromStorage() {
-        const stored = localStorage.getItem('currentUser');
-        if (stored) {
-            try {
-                this.currentUser = JSON.parse(stored);
-            } catch (error) {
-                console.error('Failed to parse stored user:', error);
-                localStorage.removeItem('currentUser');
-            }
-        }
+        sessionStore.setUser(user);
     }
 
-    // Set session expiration and start timer
+    // Set session expiration (the session countdown reads it from the store)
     setSessionExpiration(expiresAt) {
-        this.sessionExpiresAt = new Date(expiresAt);
-        this.startSessionTimer();
-    }
-
-    // Start session timer countdown
-    startSessionTimer() {
-        if (this.sessionTimer) {
-            clearInterval(this.sessionTimer);
-        }
-
-        this.sessionTimer = setInterval(() => {
-            this.updateSessionDisplay();
-        }, 1000);
+        sessionStore.setExpiresAt(expiresAt);
     }
 
     // Update session timer display
-    updateSessionDisplay() {
-        const timerElement = document.getElementById('session-timer');
-        if (!timerElement || !this.sessionExpiresAt) return;
-
-        const now = new Date();
-        const timeLeft = this.sessionExpiresAt - now;
+    updateSessionDisplay(timeLeft = sessionStore.getTimeLeft()) {
+        const timerElement = document.getElementById('sessionTimer');
+        if (!timerElement) return;
 
-        if (timeLeft <= 0) {
-            this.handleSessionExpired();
+        if (timeLeft === null) {
+            timerElement.textContent = '--:--';
+            timerElement.className = 'fw-bold';
             return;
         }
 
-        const minutes = Math.floor(timeLeft / (1000 * 60));
-        const seconds = Math.floor((timeLeft % (1000 * 60)) / 1000);
+        const remaining = Math.max(0, timeLeft);
+        const minutes = Math.floor(remaining / (1000 * 60));
+        const seconds = Math.floor((remaining % (1000 * 60)) / 1000);
 
         timerElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
 
         // Warn when session is about to expire
-        if (timeLeft <= 5 * 60 * 1000) { // 5 minutes
+        timerElement.className = 'fw-bold';
+        if (remaining <= config.get('session.warningMinutes') * 60 * 1000) {
             timerElement.className = 'text-warning fw-bold';
         }
-        if (timeLeft <= 1 * 60 * 1000) { // 1 minute
+        if (remaining <= 1 * 60 * 1000) { // 1 minute
             timerElement.className = 'text-danger fw-bold';
         }
     }
 
     // Handle session expiration
     handleSessionExpired() {
-        if (this.sessionTimer) {
-            clearInterval(this.sessionTimer);
-        }
-        
         this.showAlert('Your session has expired. Please login again.', 'warning');
         setTimeout(() => {
             this.logout();
@@ -99,30 +65,31 @@ class AuthUtils {
 
     // Get session ID
     getSessionId() {
-        return localStorage.getItem('sessionId');
+        return sessionStore.getSessionId();
     }
 
     // Set session ID
     setSessionId(sessionId) {
-        if (sessionId) {
-            localStorage.setItem('sessionId', sessionId);
-        } else {
-            localStorage.removeItem('sessionId');
-        }
+        sessionStore.setSessionId(sessionId);
     }
 
     // Login process
-    async login(username, password, rememberMe = false) {
+    async login(username, password) {
         try {
             // Import api dynamically to avoid circular dependency
             const { api } = await import('../services/api.js');
-            const response = await api.login(username, password, rememberMe);
+            const response = await api.login(username, password);
             
+            // A second factor is still needed: no session yet, the caller shows the MFA step
+            if (response.success && response.mfaRequired) {
+                return response;
+            }
             if (response.success) {
-                this.setCurrentUser(response.user);
-                if (response.expiresAt) {
-                    this.setSessionExpiration(response.expiresAt);
-                }
+                sessionStore.startSession({
+                    sessionId: response.sessionId,
+                    user: response.user,
+                    expiresAt: response.expiresAt
+                });
                 return response;
             } else {
                 throw new Error(response.message);
@@ -157,6 +124,8 @@ class AuthUtils {
             const response = await api.validateSession();
             if (response.success && response.data?.User) {
                 this.setCurrentUser(response.data.User);
+                sessionStore.applyExpiryFrom(response);
+                sessionStore.setStatus(AUTH_STATUS.AUTHENTICATED);
                 return true;
             } else {
                 this.cleanup();
@@ -189,14 +158,7 @@ class AuthUtils {
 
     // Clean up authentication state
     cleanup() {
-        this.currentUser = null;
-        this.sessionExpiresAt = null;
-        if (this.sessionTimer) {
-            clearInterval(this.sessionTimer);
-            this.sessionTimer = null;
-        }
-        this.setSessionId(null);
-        localStorage.removeItem('currentUser');
+        sessionStore.clear();
     }
 
     // Format date for display
@@ -228,15 +190,15 @@ class AuthUtils {
     }
 
     // Show alert message
-    showAlert(message, type = 'info', duration = 5000) {
+    showAlert(message, type = 'info', duration = config.get('ui.alertDurationMs')) {
         // Create alert element
         const alertDiv = document.createElement('div');
         alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed`;
         alertDiv.style.cssText = 'top: 20px; right: 20px; z-index: 9999; min-width: 300px;';
-        alertDiv.innerHTML = `
+        render(alertDiv, html`
             ${message}
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-        `;
+        `);
 
         document.body.appendChild(alertDiv);
 
@@ -248,24 +210,18 @@ class AuthUtils {
         }, duration);
     }
 
-    // Password strength validation
+    // Password strength validation against the domain password policy
     validatePasswordStrength(password) {
-        const criteria = {
-            length: password.length >= 8,
-            uppercase: /[A-Z]/.test(password),
-            lowercase: /[a-z]/.test(password),
-            number: /\d/.test(password),
-            special: /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\?]/.test(password)
-        };
-
-        const score = Object.values(criteria).filter(Boolean).length;
-        let strength = 'weak';
-        
-        if (score >= 5) strength = 'strong';
-        else if (score >= 4) strength = 'good';
-        else if (score >= 3) strength = 'fair';
-
-        return { criteria, score, strength };
+        const user = this.getCurrentUser() || {};
+        const result = passwordPolicy.evaluate(password, {
+            username: user.username,
+            displayName: user.displayName
+        });
+        const criteria = Object.fromEntries(
+            result.rules.filter(rule => !rule.informational).map(rule => [rule.id, rule.passed])
+        );
+
+        return { criteria, score: result.score, strength: result.strength, valid: result.valid, rules: result.rules };
     }
 
     // Show/hide password toggle
@@ -286,46 +242,19 @@ class AuthUtils {
     }
 }
 
-// Session management functions
-export function setSession(sessionId, user) {
-    if (sessionId) {
-        localStorage.setItem('sessionId', sessionId);
-    }
-    if (user) {
-        localStorage.setItem('currentUser', JSON.stringify(user));
-    }
-}
-
-export function getSession() {
-    const sessionId = localStorage.getItem('sessionId');
-    const userStr = localStorage.getItem('currentUser');
-    
-    if (!sessionId) return null;
-    
-    let user = null;
-    if (userStr) {
-        try {
-            user = JSON.parse(userStr);
-        } catch (error) {
-            console.error('Failed to parse stored user:', error);
-        }
-    }
-    
-    return { sessionId, user };
-}
-
-export function clearSession() {
-    localStorage.removeItem('sessionId');
-    localStorage.removeItem('currentUser');
-}
-
+// Session countdown. Reads the expiry from sessionStore on every tick, so a
+// refresh (here or through ApiService) extends it without restarting the timer.
+// expiresIn (seconds) seeds the store when given.
 export function startSessionTimer(expiresIn, onExpire, onWarning) {
-    const expiresAt = new Date(Date.now() + expiresIn * 1000);
-    const warningTime = 5 * 60 * 1000; // 5 minutes before expiry
+    if (typeof expiresIn === 'number') {
+        sessionStore.setExpiresAt(expiresIn);
+    }
+    const warningTime = config.get('session.warningMinutes') * 60 * 1000;
     
     const timer = setInterval(() => {
-        const now = Date.now();
-        const timeLeft = expiresAt - now;
+        const timeLeft = sessionStore.getTimeLeft();
+        auth.updateSessionDisplay(timeLeft);
+        if (timeLeft === null) return;
         
         if (timeLeft <= 0) {
             clearInterval(timer);
@@ -339,10 +268,14 @@ export function startSessionTimer(expiresIn, onExpire, onWarning) {
     return timer;
 }
 
-export function autoRefreshSession(onSuccess, onError) {
-    const refreshInterval = 15 * 60 * 1000; // 15 minutes
+// Refresh the session every session.refreshIntervalMinutes. shouldRefresh(refreshInterval) can
+// veto a refresh (e.g. user idle) so unattended sessions are left to expire.
+export function autoRefreshSession(onSuccess, onError, shouldRefresh = () => true) {
+    const refreshInterval = config.get('session.refreshIntervalMinutes') * 60 * 1000;
     
     const timer = setInterval(async () => {
+        if (!shouldRefresh(refreshInterval)) return;
+
         try {
             const { api } = await import('../services/api.js');
             const response = await api.refreshSession();
@@ -0,0 +1,199 @@
+// Frontend/src/utils/config.js
+
+// Runtime configuration: the same build is deployed to dev, test and prod,
+// only config.json (and optional overrides) change per environment.
+//
+// Load order, later wins:
+//   1. DEFAULT_CONFIG below
+//   2. config.json next to index.html
+//   3. config.<environment>.json, only looked up when an environment is named
+//      (config.json or window.APP_CONFIG); missing or malformed, it is skipped
+//   4. window.APP_CONFIG (e.g. written by the deployment into env.js)
+
+export const DEFAULT_CONFIG = {
+    environment: 'development',
+    api: {
+        baseUrl: null,          // required, e.g. https://ad-portal.company.local/api
+        healthUrl: null,        // defaults to <origin of baseUrl>/health
+        timeoutMs: 15000,
+        retries: 2
+    },
+    session: {
+        warningMinutes: 5,
+        refreshIntervalMinutes: 15,
+        idleTimeoutMinutes: 10,
+        idleWarningSeconds: 60,
+        // Leader tab election without Web Locks (see utils/tabSync.js): the lease
+        // outlasts the timer throttling browsers apply to background tabs
+        leaderHeartbeatSeconds: 10,
+        leaderLeaseSeconds: 180
+    },
+    ui: {
+        toastDurationMs: 5000,
+        alertDurationMs: 5000
+    },
+    // Offline demo backend (services/mockBackend.js); ?mock=1 / ?mock=0 overrides enabled
+    mock: {
+        enabled: false,
+        latencyMs: 300,
+        sessionMinutes: 30
+    },
+    // Local fallback when the backend does not provide the domain policy
+    passwordPolicy: null,
+    // UI roles for members of AD groups, e.g. { "Helpdesk Operators": "helpdesk" }
+    // (added to the roles the backend sends; see utils/permissions.js)
+    permissions: {
+        groupRoles: {}
+    }
+};
+
+// Validation rules for known keys (dot paths)
+const SCHEMA = {
+    'api.baseUrl': { type: 'url', required: true },
+    'api.healthUrl': { type: 'url' },
+    'api.timeoutMs': { type: 'number', min: 1000 },
+    'api.retries': { type: 'number', min: 0 },
+    'session.warningMinutes': { type: 'number', min: 1 },
+    'session.refreshIntervalMinutes': { type: 'number', min: 1 },
+    'session.idleTimeoutMinutes': { type: 'number', min: 1 },
+    'session.idleWarningSeconds': { type: 'number', min: 5 },
+    'session.leaderHeartbeatSeconds': { type: 'number', min: 1 },
+    'session.leaderLeaseSeconds': { type: 'number', min: 10 },
+    'ui.toastDurationMs': { type: 'number', min: 1000 },
+    'ui.alertDurationMs': { type: 'number', min: 1000 },
+    'mock.latencyMs': { type: 'number', min: 0 },
+    'mock.sessionMinutes': { type: 'number', min: 1 }
+};
+
+// Invalid or missing configuration
+export class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    const result = { ...target };
+    Object.entries(source || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(result[key])
+            ? deepMerge(result[key], value)
+            : value;
+    });
+    return result;
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+class Config {
+    constructor() {
+        this.values = deepMerge({}, DEFAULT_CONFIG);
+        this.loaded = false;
+    }
+
+    // Load and validate config for this deployment. Throws ConfigError.
+    async load(url = 'config.json') {
+        const base = await this.fetchJson(url, true);
+        const overrides = (typeof window !== 'undefined' && window.APP_CONFIG) || {};
+        const environment = overrides.environment || base.environment;
+        const environmentConfig = environment
+            ? await this.fetchJson(url.replace(/\.json$/, `.${environment}.json`), false)
+            : {};
+
+        this.set(deepMerge(deepMerge(base, environmentConfig), overrides));
+        this.loaded = true;
+        return this.getAll();
+    }
+
+    async fetchJson(url, required) {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-store' });
+        } catch (error) {
+            if (!required) return {};
+            throw new ConfigError(`Could not load ${url}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            if (!required) return {};
+            throw new ConfigError(`Could not load ${url} (HTTP ${response.status})`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            if (!required) {
+                console.warn(`${url} is not valid JSON, ignoring it`);
+                return {};
+            }
+            throw new ConfigError(`${url} is not valid JSON`);
+        }
+    }
+
+    // Replace the configuration (merged over the defaults) after validating it
+    set(values) {
+        const merged = deepMerge(DEFAULT_CONFIG, values);
+        this.validate(merged);
+        this.values = merged;
+    }
+
+    validate(values) {
+        const problems = [];
+
+        Object.entries(SCHEMA).forEach(([path, rule]) => {
+            const value = getPath(values, path);
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) problems.push(`${path} is required`);
+                return;
+            }
+
+            if (rule.type === 'number') {
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    problems.push(`${path} must be a number`);
+                } else if (rule.min !== undefined && value < rule.min) {
+                    problems.push(`${path} must be at least ${rule.min}`);
+                }
+            } else if (rule.type === 'url') {
+                try {
+                    new URL(value);
+                } catch {
+                    problems.push(`${path} must be an absolute URL`);
+                }
+            }
+        });
+
+        if (problems.length) {
+            throw new ConfigError(`Invalid configuration: ${problems.join('; ')}`, problems);
+        }
+    }
+
+    // Read a value by dot path, e.g. config.get('session.warningMinutes')
+    get(path, fallback = undefined) {
+        const value = getPath(this.values, path);
+        return value === undefined || value === null ? fallback : value;
+    }
+
+    getAll() {
+        return deepMerge({}, this.values);
+    }
+
+    // Health endpoint: explicit api.healthUrl, else /health on the API's origin
+    getHealthUrl() {
+        const healthUrl = this.get('api.healthUrl');
+        if (healthUrl) return healthUrl;
+        return `${new URL(this.get('api.baseUrl')).origin}/health`;
+    }
+}
+
+// Create global config instance
+const config = new Config();
+
+// Export for use in other files
+export { Config, config };
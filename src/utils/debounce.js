@@ -0,0 +1,22 @@
+// Frontend/src/utils/debounce.js
+
+// Run fn once calls have paused for `wait` ms (type-ahead search and the like).
+// The returned function has cancel() to drop a pending call.
+export function debounce(fn, wait) {
+    let timer = null;
+
+    const debounced = function (...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            fn.apply(this, args);
+        }, wait);
+    };
+
+    debounced.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    return debounced;
+}
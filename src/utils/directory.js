@@ -0,0 +1,30 @@
+// Frontend/src/utils/directory.js
+
+// People directory helpers: the search filters and pagination for the
+// Directory page. Filter values come from the facets of each search response.
+
+export const DIRECTORY_PAGE_SIZE = 10;
+export const DIRECTORY_SEARCH_DELAY_MS = 300;
+
+// name: query parameter, facet: key in response.data.facets
+export const DIRECTORY_FILTERS = [
+    { name: 'department', facet: 'departments', label: 'All departments' },
+    { name: 'office', facet: 'offices', label: 'All offices' },
+    { name: 'title', facet: 'titles', label: 'All titles' }
+];
+
+export function pageCount(total, pageSize = DIRECTORY_PAGE_SIZE) {
+    return Math.max(1, Math.ceil((Number(total) || 0) / pageSize));
+}
+
+// Up to `size` page numbers around the current page: (4, 10) -> [2, 3, 4, 5, 6]
+export function pageWindow(page, totalPages, size = 5) {
+    const count = Math.min(size, totalPages);
+    const start = Math.min(Math.max(1, page - Math.floor(size / 2)), totalPages - count + 1);
+    return Array.from({ length: count }, (_, index) => start + index);
+}
+
+// "Analyst · Finance" from whichever of title and department are set
+export function personSubtitle(person) {
+    return [person?.title, person?.department].filter(Boolean).join(' · ');
+}
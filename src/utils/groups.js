@@ -0,0 +1,115 @@
+// Frontend/src/utils/groups.js
+
+// Group membership helpers for the My Groups page. /User/groups returns every
+// group the user belongs to, direct and nested, as a flat list in which each
+// group names the groups it is itself a member of (memberOf, as DNs). The tree
+// starts at the direct groups and descends into the groups they are nested in.
+
+export const GROUP_TYPES = {
+    security: 'Security',
+    distribution: 'Distribution'
+};
+
+export const GROUP_SCOPES = {
+    global: 'Global',
+    domainLocal: 'Domain Local',
+    universal: 'Universal'
+};
+
+export function groupTypeLabel(group) {
+    return GROUP_TYPES[group?.type] || 'Unknown';
+}
+
+export function groupScopeLabel(group) {
+    return GROUP_SCOPES[group?.scope] || 'Unknown';
+}
+
+const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' });
+
+// [{ group, children }] for the direct groups. Each group is expanded once:
+// the direct groups at the top, the others where the tree first reaches them.
+// Later occurrences are leaves with repeated: true when they have nesting of
+// their own, since AD often nests many groups into the same few parents and
+// expanding every path would grow the tree exponentially. A group reached
+// again on the same branch (a membership cycle) is left out.
+export function buildGroupTree(groups = []) {
+    const byDn = new Map(groups.map(group => [group.distinguishedName, group]));
+    const direct = groups.filter(group => group.direct).sort(byName);
+    const expanded = new Set(direct.map(group => group.distinguishedName));
+
+    const expand = (group, ancestors) => {
+        const path = new Set(ancestors).add(group.distinguishedName);
+        const children = (group.memberOf || [])
+            .filter(dn => byDn.has(dn) && !path.has(dn))
+            .map(dn => byDn.get(dn))
+            .sort(byName)
+            .map(parent => toNode(parent, path));
+        return { group, children };
+    };
+
+    const toNode = (group, ancestors) => {
+        if (expanded.has(group.distinguishedName)) {
+            const repeated = (group.memberOf || []).some(dn => byDn.has(dn) && !ancestors.has(dn));
+            return { group, children: [], repeated };
+        }
+        expanded.add(group.distinguishedName);
+        return expand(group, ancestors);
+    };
+
+    return direct.map(group => expand(group, new Set()));
+}
+
+function matchesQuery(group, query) {
+    return [group.name, group.description, groupTypeLabel(group), groupScopeLabel(group)]
+        .some(value => String(value || '').toLowerCase().includes(query));
+}
+
+// Keep the nodes that match (flagged with match: true) and the branches leading to them
+export function filterGroupTree(nodes, query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return nodes;
+
+    return nodes.reduce((kept, node) => {
+        const children = filterGroupTree(node.children, needle);
+        const match = matchesQuery(node.group, needle);
+        if (match || children.length) {
+            kept.push({ ...node, children, match });
+        }
+        return kept;
+    }, []);
+}
+
+export function summarizeGroups(groups = []) {
+    const direct = groups.filter(group => group.direct).length;
+    return { total: groups.length, direct, nested: groups.length - direct };
+}
+
+// Names of the groups in the list that contain this one ("via" for nested groups)
+function viaGroups(group, groups) {
+    return groups
+        .filter(other => (other.memberOf || []).includes(group.distinguishedName))
+        .map(other => other.name)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+// Quote a CSV cell; leading = + - @ are neutralised so spreadsheets don't run them as formulas
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+export function groupsToCsv(groups = []) {
+    const header = ['Name', 'Type', 'Scope', 'Membership', 'Via', 'Description', 'Distinguished Name'];
+    const rows = [...groups].sort(byName).map(group => [
+        group.name,
+        groupTypeLabel(group),
+        groupScopeLabel(group),
+        group.direct ? 'Direct' : 'Nested',
+        group.direct ? '' : viaGroups(group, groups).join('; '),
+        group.description,
+        group.distinguishedName
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,32 @@
+// Frontend/src/utils/helpdesk.js
+
+// Helpdesk (delegated admin) helpers. The helpdesk pages are shown only to
+// sessions with the helpdesk permissions (utils/permissions.js); the backend
+// checks them again on every call and records the reason given for each unlock
+// and password reset.
+
+export const HELPDESK_SEARCH_DELAY_MS = 300;
+// Same minimum as the backend's audit log
+export const MIN_REASON_LENGTH = 10;
+
+// Error message for a reason that is missing or too short ('' when it is fine)
+export function validateReason(reason) {
+    const text = String(reason || '').trim();
+    if (!text) return 'Please give a reason for this action';
+    if (text.length < MIN_REASON_LENGTH) return `The reason must be at least ${MIN_REASON_LENGTH} characters`;
+    return '';
+}
+
+// Label / value rows for the lockout details of an account
+export function lockoutRows(details, formatDate) {
+    return [
+        ['Account', details.isEnabled ? 'Enabled' : 'Disabled'],
+        ['Lock status', details.isLocked ? 'Locked' : 'Not locked'],
+        ['Bad password count', String(details.badPasswordCount ?? 0)],
+        ['Last bad password', formatDate(details.lastBadPasswordAttempt)],
+        ['Locked out at', details.isLocked ? formatDate(details.lockoutTime) : '-'],
+        ['Lockout source', details.lockoutSource || 'Not reported'],
+        ['Password last set', formatDate(details.passwordLastSet)],
+        ['Must change at next logon', details.mustChangePassword ? 'Yes' : 'No']
+    ];
+}
@@ -0,0 +1,63 @@
+// Frontend/src/utils/html.js
+
+// Escaping HTML templates. Every value interpolated into html`...` is escaped
+// unless it is itself an html`...` result or explicitly wrapped in trustedHtml().
+// AD attributes (displayName, email, ...) are user-editable, so never build
+// markup from them with plain template strings.
+//
+//   render(element, html`<span class="text-muted">${user.displayName}</span>`);
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// Markup that is already safe to insert
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, ch => ESCAPES[ch]);
+}
+
+// Escape hatch for markup from a trusted source (our own constants, never server data)
+export function trustedHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// null/undefined/false render as nothing, arrays are joined, nested html`` is kept as-is
+function toHtml(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    return escapeHtml(value);
+}
+
+// Tagged template: html`<b>${name}</b>`
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, index) => (
+        result + string + (index < values.length ? toHtml(values[index]) : '')
+    ), ''));
+}
+
+// Put content into an element: html`` / trustedHtml() as markup, anything else as text
+export function render(element, content) {
+    if (!element) return;
+    if (content instanceof SafeHtml) {
+        element.innerHTML = content.value;
+    } else {
+        element.textContent = content === null || content === undefined ? '' : String(content);
+    }
+}
@@ -0,0 +1,127 @@
+// Frontend/src/utils/idleMonitor.js
+
+// Default idle timing (overridable through IdleMonitor.configure)
+export const IDLE_DEFAULTS = {
+    idleTimeout: 10 * 60 * 1000,   // inactivity before the warning is shown
+    warningDuration: 60 * 1000,    // countdown in the warning before logout
+    checkInterval: 1000
+};
+
+// Activity is shared between tabs so one busy tab keeps all of them alive
+const ACTIVITY_KEY = 'lastActivity';
+// Don't write to localStorage on every mouse move
+const ACTIVITY_WRITE_THROTTLE_MS = 5000;
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+// Tracks mouse, keyboard and visibility activity and reports idle state
+class IdleMonitor {
+    constructor(options = {}) {
+        this.options = { ...IDLE_DEFAULTS, ...options };
+        this.handlers = {};
+        this.timer = null;
+        this.warning = false;
+        this.lastWrite = 0;
+        this.localActivity = Date.now();
+        this.handleActivity = this.handleActivity.bind(this);
+        this.handleVisibility = this.handleVisibility.bind(this);
+    }
+
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    // Start watching. Handlers:
+    //   onWarning(secondsLeft) - every tick while the warning countdown runs
+    //   onActive()             - activity resumed (e.g. "Stay signed in" in any tab)
+    //   onTimeout()            - countdown ran out
+    start(handlers = {}) {
+        this.stop();
+        this.handlers = handlers;
+        this.warning = false;
+        this.recordActivity(true);
+
+        ACTIVITY_EVENTS.forEach(type => {
+            window.addEventListener(type, this.handleActivity, { passive: true });
+        });
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        this.timer = setInterval(() => this.check(), this.options.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.handleActivity));
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        this.warning = false;
+    }
+
+    // Explicit "Stay signed in": ends the warning in every tab
+    stayActive() {
+        this.recordActivity(true);
+        this.check();
+    }
+
+    handleActivity() {
+        // While the warning is up only the explicit button counts
+        if (this.warning) return;
+        this.recordActivity();
+    }
+
+    handleVisibility() {
+        if (document.visibilityState === 'visible') {
+            this.handleActivity();
+        }
+    }
+
+    recordActivity(force = false) {
+        const now = Date.now();
+        this.localActivity = now;
+        if (force || now - this.lastWrite >= ACTIVITY_WRITE_THROTTLE_MS) {
+            this.lastWrite = now;
+            localStorage.setItem(ACTIVITY_KEY, String(now));
+        }
+    }
+
+    // Most recent activity in any tab
+    getLastActivity() {
+        const shared = Number(localStorage.getItem(ACTIVITY_KEY)) || 0;
+        return Math.max(shared, this.localActivity);
+    }
+
+    // Was the user active within the last `withinMs` milliseconds?
+    isActiveWithin(withinMs) {
+        return Date.now() - this.getLastActivity() < withinMs;
+    }
+
+    check() {
+        const { idleTimeout, warningDuration } = this.options;
+        const idleFor = Date.now() - this.getLastActivity();
+
+        if (idleFor < idleTimeout) {
+            if (this.warning) {
+                this.warning = false;
+                this.handlers.onActive?.();
+            }
+            return;
+        }
+
+        const msLeft = idleTimeout + warningDuration - idleFor;
+        if (msLeft <= 0) {
+            this.stop();
+            this.handlers.onTimeout?.();
+            return;
+        }
+
+        this.warning = true;
+        this.handlers.onWarning?.(Math.ceil(msLeft / 1000));
+    }
+}
+
+// Create global idle monitor instance
+const idleMonitor = new IdleMonitor();
+
+// Export for use in other files
+export { IdleMonitor, idleMonitor };
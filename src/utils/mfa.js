@@ -0,0 +1,118 @@
+// Frontend/src/utils/mfa.js
+
+// Second sign-in step. /Auth/login answers { mfaRequired: true, challenge }
+// instead of a session when the account needs a second factor:
+//   challenge: { challengeId, method, methods, destination, expiresAt, expiresIn }
+// The code goes to /Auth/mfa/verify. A device the user chooses to trust gets a
+// token there; it is sent with later logins so the step is skipped for
+// TRUST_DEVICE_DAYS.
+
+export const MFA_CODE_LENGTH = 6;
+export const TRUST_DEVICE_DAYS = 30;
+
+export const MFA_METHODS = {
+    totp: { label: 'Authenticator app', icon: 'fa-mobile-alt', sendsCode: false },
+    email: { label: 'Email', icon: 'fa-envelope', sendsCode: true },
+    sms: { label: 'Text message', icon: 'fa-sms', sendsCode: true }
+};
+
+const TRUSTED_DEVICES_KEY = 'trustedDevices';
+
+export function mfaMethod(method) {
+    return MFA_METHODS[method] || { label: method || 'Unknown method', icon: 'fa-key', sendsCode: false };
+}
+
+// What the user is asked to do for the challenge's current method
+export function mfaPrompt(challenge) {
+    const where = challenge?.destination ? ` to ${challenge.destination}` : '';
+    switch (challenge?.method) {
+        case 'email':
+            return `We emailed a ${MFA_CODE_LENGTH}-digit code${where}. Enter it below.`;
+        case 'sms':
+            return `We texted a ${MFA_CODE_LENGTH}-digit code${where}. Enter it below.`;
+        default:
+            return `Enter the ${MFA_CODE_LENGTH}-digit code from your authenticator app.`;
+    }
+}
+
+// "123 456" and "123-456" as typed from an app -> "123456"
+export function normalizeCode(code) {
+    return String(code || '').replace(/[\s-]/g, '');
+}
+
+// Error message for a code that cannot be right ('' when it is worth sending)
+export function validateCode(code) {
+    const digits = normalizeCode(code);
+    if (!digits) return 'Enter the verification code';
+    if (!new RegExp(`^\\d{${MFA_CODE_LENGTH}}$`).test(digits)) {
+        return `The code is ${MFA_CODE_LENGTH} digits`;
+    }
+    return '';
+}
+
+// Expiry of a challenge in ms; expiresIn (seconds) counts from when it arrived
+export function challengeExpiry(challenge, receivedAt = Date.now()) {
+    if (challenge?.expiresAt) return new Date(challenge.expiresAt).getTime();
+    if (challenge?.expiresIn) return receivedAt + challenge.expiresIn * 1000;
+    return null;
+}
+
+export function secondsUntil(time, now = Date.now()) {
+    return Math.max(0, Math.ceil((time - now) / 1000));
+}
+
+// 272 -> "4:32"
+export function formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// "DEMO\jdoe", "jdoe@demo.local" and "JDoe" are the same account
+function accountKey(username) {
+    return String(username || '').split('\\').pop().split('@')[0].trim().toLowerCase();
+}
+
+function readTrustedDevices() {
+    try {
+        return JSON.parse(localStorage.getItem(TRUSTED_DEVICES_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function writeTrustedDevices(devices) {
+    if (Object.keys(devices).length) {
+        localStorage.setItem(TRUSTED_DEVICES_KEY, JSON.stringify(devices));
+    } else {
+        localStorage.removeItem(TRUSTED_DEVICES_KEY);
+    }
+}
+
+// Token that lets this browser skip the second step for the account, if still valid
+export function getTrustedDeviceToken(username) {
+    const devices = readTrustedDevices();
+    const key = accountKey(username);
+    const device = devices[key];
+    if (!device) return null;
+    if (device.expiresAt && new Date(device.expiresAt).getTime() <= Date.now()) {
+        delete devices[key];
+        writeTrustedDevices(devices);
+        return null;
+    }
+    return device.token;
+}
+
+export function saveTrustedDevice(username, token, expiresAt) {
+    const devices = readTrustedDevices();
+    devices[accountKey(username)] = {
+        token,
+        expiresAt: expiresAt || new Date(Date.now() + TRUST_DEVICE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+    writeTrustedDevices(devices);
+}
+
+export function forgetTrustedDevice(username) {
+    const devices = readTrustedDevices();
+    delete devices[accountKey(username)];
+    writeTrustedDevices(devices);
+}
@@ -0,0 +1,178 @@
+// Frontend/src/utils/orgChart.js
+
+// State behind the Org Chart page: the manager chain above a person, direct
+// reports loaded lazily below any node (and shown in batches so a team of
+// hundreds stays responsive), keyboard moves over the visible nodes, and the
+// zoom/pan transform of the chart canvas.
+
+export const ORG_CHART_LIMITS = {
+    reportsBatch: 50,   // reports rendered per "show more" step
+    minZoom: 0.3,
+    maxZoom: 2,
+    zoomStep: 1.25
+};
+
+// Nodes keyed by username. A collapsed node on the chain still shows the one
+// report leading down to the starting person (its pathChild).
+class OrgChartModel {
+    constructor(person, managers = [], limits = ORG_CHART_LIMITS) {
+        this.limits = limits;
+        this.nodes = new Map();
+
+        // managers arrive nearest first; the chart is drawn from the top. A
+        // manager loop in AD ends the chain where it comes back around.
+        const seen = new Set([person.username]);
+        const managerChain = [];
+        for (const manager of managers) {
+            if (seen.has(manager.username)) break;
+            seen.add(manager.username);
+            managerChain.push(manager);
+        }
+        const chain = managerChain.reverse().concat(person);
+        chain.forEach((entry, index) => {
+            const node = this.add(entry, chain[index - 1]?.username || null);
+            node.pathChild = chain[index + 1]?.username || null;
+        });
+
+        this.root = chain[0].username;
+        this.start = person.username;
+    }
+
+    add(person, parent = null) {
+        const existing = this.nodes.get(person.username);
+        if (existing) {
+            existing.person = { ...existing.person, ...person };
+            if (parent) existing.parent = parent;
+            return existing;
+        }
+
+        const node = {
+            person,
+            parent,
+            pathChild: null,
+            reports: null,      // usernames once loaded
+            expanded: false,
+            loading: false,
+            shown: this.limits.reportsBatch
+        };
+        this.nodes.set(person.username, node);
+        return node;
+    }
+
+    get(username) {
+        return this.nodes.get(username) || null;
+    }
+
+    hasReports(username) {
+        const node = this.get(username);
+        if (!node) return false;
+        return node.reports ? node.reports.length > 0 : node.person.directReportCount > 0;
+    }
+
+    // Usernames from this node up to the root
+    ancestors(username) {
+        const chain = new Set();
+        for (let current = username; current && !chain.has(current); current = this.get(current)?.parent) {
+            chain.add(current);
+        }
+        return chain;
+    }
+
+    setReports(username, people) {
+        const node = this.get(username);
+        if (!node) return;
+        // A report that is already above this node (a manager loop in AD) is left
+        // out: re-parenting it here would turn the chart into a cycle
+        const above = this.ancestors(username);
+        const reports = people.filter(person => !above.has(person.username));
+        node.reports = reports.map(person => this.add(person, username).person.username);
+        node.person = { ...node.person, directReportCount: reports.length };
+        node.loading = false;
+    }
+
+    // Rendered children: loaded reports (one batch at a time) when expanded,
+    // otherwise only the chain down to the starting person
+    children(username) {
+        const node = this.get(username);
+        if (!node) return [];
+        if (!node.expanded || !node.reports) {
+            return node.pathChild ? [node.pathChild] : [];
+        }
+
+        const visible = node.reports.slice(0, node.shown);
+        if (node.pathChild && !visible.includes(node.pathChild)) {
+            visible.push(node.pathChild);
+        }
+        return visible;
+    }
+
+    // Loaded reports not rendered yet
+    hiddenCount(username) {
+        const node = this.get(username);
+        if (!node?.expanded || !node.reports) return 0;
+        return node.reports.length - this.children(username).length;
+    }
+
+    showMore(username) {
+        const node = this.get(username);
+        if (node) node.shown += this.limits.reportsBatch;
+    }
+
+    // Username to move to: 'parent', 'child', 'previous', 'next' or 'root' (null if none)
+    neighbor(username, direction) {
+        const node = this.get(username);
+        if (!node) return null;
+
+        switch (direction) {
+            case 'parent':
+                return node.parent;
+            case 'child':
+                return this.children(username)[0] || null;
+            case 'root':
+                return this.root;
+            case 'previous':
+            case 'next': {
+                if (!node.parent) return null;
+                const siblings = this.children(node.parent);
+                return siblings[siblings.indexOf(username) + (direction === 'next' ? 1 : -1)] || null;
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+// CSS transform for the chart: translate(x, y) scale(scale), origin at the top left
+class PanZoom {
+    constructor(limits = ORG_CHART_LIMITS) {
+        this.limits = limits;
+        this.reset();
+    }
+
+    reset() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+    }
+
+    // Zoom by factor, keeping the point (x, y) of the viewport where it is
+    zoomAt(factor, originX = 0, originY = 0) {
+        const scale = Math.min(this.limits.maxZoom, Math.max(this.limits.minZoom, this.scale * factor));
+        const ratio = scale / this.scale;
+        this.x = originX - (originX - this.x) * ratio;
+        this.y = originY - (originY - this.y) * ratio;
+        this.scale = scale;
+    }
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+    }
+
+    toTransform() {
+        return `translate(${Math.round(this.x)}px, ${Math.round(this.y)}px) scale(${this.scale})`;
+    }
+}
+
+// Export for use in other files
+export { OrgChartModel, PanZoom };
@@ -0,0 +1,96 @@
+// Frontend/src/utils/passwordExpiry.js
+
+// Days before expiry at which reminders escalate
+export const EXPIRY_THRESHOLDS = {
+    notice: 14,
+    warning: 7,
+    critical: 2
+};
+
+// Banner style per expiry status (statuses without an entry show no banner)
+export const EXPIRY_ALERT_LEVELS = {
+    notice: 'info',
+    warning: 'warning',
+    critical: 'danger',
+    expired: 'danger',
+    'must-change': 'danger'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forecast password expiry from the AD profile and the domain max password age.
+// Returns { status, expiresAt, daysLeft, mustChange } where status is one of
+// never | unknown | ok | notice | warning | critical | expired | must-change.
+export function getPasswordExpiry(user, policy = {}, now = Date.now()) {
+    const result = { status: 'unknown', expiresAt: null, daysLeft: null, mustChange: false };
+    if (!user) return result;
+
+    // "User must change password at next logon" (pwdLastSet = 0)
+    if (user.mustChangePassword) {
+        return { ...result, status: 'must-change', mustChange: true };
+    }
+
+    if (user.passwordNeverExpires) {
+        return { ...result, status: 'never' };
+    }
+
+    // Prefer an explicit expiry from the backend (fine-grained policies), else forecast
+    let expiresAt = user.passwordExpiresAt ? new Date(user.passwordExpiresAt) : null;
+    if (!expiresAt && user.passwordLastSet && policy.maxAgeDays > 0) {
+        expiresAt = new Date(new Date(user.passwordLastSet).getTime() + policy.maxAgeDays * DAY_MS);
+    }
+
+    if (!expiresAt || isNaN(expiresAt.getTime())) {
+        return { ...result, status: policy.maxAgeDays === 0 ? 'never' : 'unknown' };
+    }
+
+    const msLeft = expiresAt.getTime() - now;
+    const daysLeft = Math.ceil(msLeft / DAY_MS);
+
+    let status = 'ok';
+    if (msLeft <= 0 || user.passwordExpired) status = 'expired';
+    else if (daysLeft <= EXPIRY_THRESHOLDS.critical) status = 'critical';
+    else if (daysLeft <= EXPIRY_THRESHOLDS.warning) status = 'warning';
+    else if (daysLeft <= EXPIRY_THRESHOLDS.notice) status = 'notice';
+
+    return {
+        status,
+        expiresAt,
+        daysLeft: Math.max(0, daysLeft),
+        mustChange: status === 'expired'
+    };
+}
+
+// Short human-readable description ("expires in 5 days")
+export function describePasswordExpiry(expiry) {
+    switch (expiry?.status) {
+        case 'must-change':
+            return 'Must be changed at next logon';
+        case 'expired':
+            return 'Expired';
+        case 'never':
+            return 'Never expires';
+        case 'unknown':
+        case undefined:
+            return 'Unknown';
+        default:
+            if (expiry.daysLeft === 0) return 'Expires today';
+            return `Expires in ${expiry.daysLeft} day${expiry.daysLeft === 1 ? '' : 's'}`;
+    }
+}
+
+// Banner message for statuses that need the user's attention
+export function getPasswordExpiryMessage(expiry) {
+    switch (expiry?.status) {
+        case 'must-change':
+            return 'Your password must be changed before you can continue.';
+        case 'expired':
+            return 'Your password has expired. Please choose a new password to continue.';
+        case 'critical':
+        case 'warning':
+        case 'notice':
+            return `Your password ${describePasswordExpiry(expiry).toLowerCase()}. Change it now to avoid being locked out.`;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,217 @@
+// Frontend/src/utils/passwordPolicy.js
+
+import { getPasswordPolicy } from '../services/api.js';
+import { config } from './config.js';
+
+// Local fallback used until (or if) the backend policy cannot be loaded.
+// Mirrors the default domain policy of a fresh AD forest; a deployment can
+// override it with the passwordPolicy key in config.json.
+export const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    complexityEnabled: true,
+    historyCount: 24,
+    maxAgeDays: 42,
+    minAgeDays: 1
+};
+
+// Character categories counted by AD complexity (3 of them are required)
+const CHARACTER_CATEGORIES = [
+    { id: 'uppercase', label: 'uppercase letter', test: (ch) => /[A-Z]/.test(ch) },
+    { id: 'lowercase', label: 'lowercase letter', test: (ch) => /[a-z]/.test(ch) },
+    { id: 'number', label: 'number', test: (ch) => /\d/.test(ch) },
+    { id: 'special', label: 'special character', test: (ch) => /[^A-Za-z0-9]/.test(ch) }
+];
+const REQUIRED_CATEGORIES = 3;
+
+// Alphabets for generated passwords, without look-alikes (I, l, 1, O, 0)
+const GENERATOR_ALPHABETS = [
+    'ABCDEFGHJKLMNPQRSTUVWXYZ',
+    'abcdefghijkmnopqrstuvwxyz',
+    '23456789',
+    '!#$%&*+-=?@'
+];
+// Generated passwords are at least this long, and longer than the policy minimum
+const MIN_GENERATED_LENGTH = 14;
+
+// Uniformly random index below max (rejection sampling avoids modulo bias)
+function randomIndex(max) {
+    const limit = Math.floor(0x100000000 / max) * max;
+    const buffer = new Uint32Array(1);
+    do {
+        crypto.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return buffer[0] % max;
+}
+
+// AD splits the display name on these delimiters before checking for tokens
+const DISPLAY_NAME_DELIMITERS = /[,.\-_#\s]+/;
+// Names and tokens shorter than this are ignored by AD
+const MIN_NAME_TOKEN_LENGTH = 3;
+
+// Flags from string-typed sources (AD attribute dumps, config JSON) arrive as "TRUE" / "false"
+function parseBoolean(value) {
+    return value === true || String(value).trim().toLowerCase() === 'true';
+}
+
+// Domain password policy: loads the rules and evaluates passwords against them
+class PasswordPolicy {
+    constructor(policy = DEFAULT_PASSWORD_POLICY) {
+        this.policy = { ...DEFAULT_PASSWORD_POLICY };
+        this.source = 'local';
+        this.setPolicy(policy);
+    }
+
+    // Accept both our field names and the raw AD attribute style names
+    normalize(raw = {}) {
+        const pick = (...values) => values.find(value => value !== undefined && value !== null);
+        const current = this.policy;
+
+        return {
+            minLength: Number(pick(raw.minLength, raw.minPasswordLength, current.minLength)),
+            complexityEnabled: parseBoolean(pick(raw.complexityEnabled, raw.passwordComplexity, raw.complexity, current.complexityEnabled)),
+            historyCount: Number(pick(raw.historyCount, raw.passwordHistoryLength, current.historyCount)),
+            maxAgeDays: Number(pick(raw.maxAgeDays, raw.maxPasswordAgeDays, current.maxAgeDays)),
+            minAgeDays: Number(pick(raw.minAgeDays, raw.minPasswordAgeDays, current.minAgeDays))
+        };
+    }
+
+    setPolicy(policy, source = 'local') {
+        this.policy = this.normalize(policy);
+        this.source = source;
+    }
+
+    getPolicy() {
+        return { ...this.policy };
+    }
+
+    // Load the domain policy from the backend, keeping the local fallback on failure
+    async load() {
+        const localPolicy = config.get('passwordPolicy');
+        if (localPolicy && this.source !== 'server') {
+            this.setPolicy(localPolicy, 'config');
+        }
+
+        try {
+            const response = await getPasswordPolicy();
+            if (response.success && response.data) {
+                this.setPolicy(response.data, 'server');
+            }
+        } catch (error) {
+            console.warn('Could not load domain password policy, using local defaults:', error.message);
+        }
+        return this.getPolicy();
+    }
+
+    // Name tokens the password must not contain (case-insensitive)
+    getForbiddenTokens({ username, displayName } = {}) {
+        const tokens = [];
+        // Strip DOMAIN\ or @domain parts of the account name before judging its length
+        const accountName = username ? username.split('\\').pop().split('@')[0] : '';
+        if (accountName.length >= MIN_NAME_TOKEN_LENGTH) {
+            tokens.push(accountName);
+        }
+        if (displayName) {
+            displayName.split(DISPLAY_NAME_DELIMITERS)
+                .filter(token => token.length >= MIN_NAME_TOKEN_LENGTH)
+                .forEach(token => tokens.push(token));
+        }
+        return tokens.map(token => token.toLowerCase());
+    }
+
+    // Evaluate a password; identity is used for the "no username / display name" rule.
+    // Informational rules (history, max age) cannot be checked client-side and
+    // have passed === null.
+    evaluate(password = '', identity = {}) {
+        const { minLength, complexityEnabled, historyCount, maxAgeDays } = this.policy;
+        const characters = Array.from(password);
+        const categories = CHARACTER_CATEGORIES.filter(category => characters.some(category.test));
+        const lowerPassword = password.toLowerCase();
+        const forbidden = this.getForbiddenTokens(identity);
+
+        const rules = [
+            {
+                id: 'length',
+                label: `At least ${minLength} characters long`,
+                passed: password.length >= minLength
+            }
+        ];
+
+        if (complexityEnabled) {
+            rules.push({
+                id: 'complexity',
+                label: `Contains ${REQUIRED_CATEGORIES} of: ${CHARACTER_CATEGORIES.map(category => category.label).join(', ')}`,
+                passed: categories.length >= REQUIRED_CATEGORIES
+            });
+            rules.push({
+                id: 'name',
+                label: 'Does not contain your username or parts of your display name',
+                passed: password.length > 0 && !forbidden.some(token => lowerPassword.includes(token))
+            });
+        }
+
+        if (historyCount > 0) {
+            rules.push({
+                id: 'history',
+                label: `Not one of your last ${historyCount} passwords`,
+                passed: null,
+                informational: true
+            });
+        }
+
+        if (maxAgeDays > 0) {
+            rules.push({
+                id: 'maxAge',
+                label: `Must be changed every ${maxAgeDays} days`,
+                passed: null,
+                informational: true
+            });
+        }
+
+        const required = rules.filter(rule => !rule.informational);
+        const valid = required.every(rule => rule.passed);
+        const bonus = (categories.length === CHARACTER_CATEGORIES.length ? 1 : 0) +
+            (password.length >= minLength + 4 ? 1 : 0);
+
+        let strength = 'weak';
+        if (valid) {
+            strength = bonus >= 2 ? 'strong' : bonus === 1 ? 'good' : 'fair';
+        }
+
+        return {
+            rules,
+            valid,
+            score: required.filter(rule => rule.passed).length,
+            categories: categories.map(category => category.id),
+            strength,
+            failed: required.filter(rule => !rule.passed)
+        };
+    }
+
+    // Random temporary password that satisfies the policy for this identity
+    // (used by the helpdesk password reset)
+    generate(identity = {}) {
+        const length = Math.max(this.policy.minLength + 4, MIN_GENERATED_LENGTH);
+        const all = GENERATOR_ALPHABETS.join('');
+
+        for (;;) {
+            // One character from every category, the rest from any, then shuffled
+            const characters = GENERATOR_ALPHABETS.map(alphabet => alphabet[randomIndex(alphabet.length)]);
+            while (characters.length < length) {
+                characters.push(all[randomIndex(all.length)]);
+            }
+            for (let i = characters.length - 1; i > 0; i--) {
+                const j = randomIndex(i + 1);
+                [characters[i], characters[j]] = [characters[j], characters[i]];
+            }
+
+            const password = characters.join('');
+            if (this.evaluate(password, identity).valid) return password;
+        }
+    }
+}
+
+// Create global policy instance
+const passwordPolicy = new PasswordPolicy();
+
+// Export for use in other files
+export { PasswordPolicy, passwordPolicy };
@@ -0,0 +1,85 @@
+// Frontend/src/utils/permissions.js
+
+import { sessionStore } from './sessionStore.js';
+import { config } from './config.js';
+import { PermissionError } from '../services/errors.js';
+
+// UI authorization. The signed-in user's claims come from the backend (user.roles
+// and user.groups on login and /Auth/me); AD groups add roles through the
+// permissions.groupRoles setting, and each role grants a set of permissions.
+// This only decides what the UI offers and which calls it makes: the backend
+// checks every call again.
+
+export const ROLES = {
+    HELPDESK: 'helpdesk'
+};
+
+export const PERMISSIONS = {
+    HELPDESK: 'helpdesk',                       // helpdesk page and account lookup
+    UNLOCK_ACCOUNT: 'helpdesk.unlock',
+    RESET_PASSWORD: 'helpdesk.resetPassword'
+};
+
+// Permissions granted by each role
+export const ROLE_PERMISSIONS = {
+    [ROLES.HELPDESK]: [PERMISSIONS.HELPDESK, PERMISSIONS.UNLOCK_ACCOUNT, PERMISSIONS.RESET_PASSWORD]
+};
+
+// "Helpdesk Operators" or "CN=Helpdesk Operators,OU=Groups,DC=..." -> "helpdesk operators"
+function groupName(group) {
+    const name = typeof group === 'string' ? group : group?.name;
+    const cn = /^CN=((?:\\,|[^,])+)/i.exec(name || '');
+    return (cn ? cn[1].replace(/\\,/g, ',') : name || '').trim().toLowerCase();
+}
+
+class Permissions {
+    // Roles sent by the backend plus the ones mapped from the user's groups
+    getRoles(user = sessionStore.getUser()) {
+        const roles = new Set(Array.isArray(user?.roles) ? user.roles : []);
+        const groupRoles = Object.entries(config.get('permissions.groupRoles') || {})
+            .map(([group, role]) => [groupName(group), role]);
+        const groups = new Set((Array.isArray(user?.groups) ? user.groups : []).map(groupName));
+
+        groupRoles.forEach(([group, role]) => {
+            if (groups.has(group)) [].concat(role).forEach(name => roles.add(name));
+        });
+        return [...roles];
+    }
+
+    getPermissions(user = sessionStore.getUser()) {
+        return new Set(this.getRoles(user).flatMap(role => ROLE_PERMISSIONS[role] || []));
+    }
+
+    // True when the user holds every permission listed ("a b" needs both);
+    // an empty requirement is always met
+    can(required, user = sessionStore.getUser()) {
+        const needed = String(required || '').split(/\s+/).filter(Boolean);
+        if (!needed.length) return true;
+        const granted = this.getPermissions(user);
+        return needed.every(permission => granted.has(permission));
+    }
+
+    // Called before a guarded API request goes out
+    require(permission) {
+        if (!this.can(permission)) {
+            throw new PermissionError(undefined, { permission });
+        }
+    }
+
+    // Hide the [data-requires] elements (nav items, buttons, sections) the user may not use
+    apply(root = document) {
+        const user = sessionStore.getUser();
+        root.querySelectorAll('[data-requires]').forEach(element => {
+            element.classList.toggle('d-none', !this.can(element.dataset.requires, user));
+        });
+    }
+}
+
+// Create global permissions instance
+const permissions = new Permissions();
+
+// Shorthand for code paths: if (can(PERMISSIONS.UNLOCK_ACCOUNT)) ...
+export const can = (permission) => permissions.can(permission);
+
+// Export for use in other files
+export { Permissions, permissions };
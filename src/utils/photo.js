@@ -0,0 +1,140 @@
+// Frontend/src/utils/photo.js
+
+// Profile photo helpers: initials fallback and client-side preparation of
+// uploads for AD's thumbnailPhoto (square JPEG, ~100KB maximum).
+
+export const PHOTO_LIMITS = {
+    maxBytes: 100 * 1024,               // AD thumbnailPhoto limit
+    size: 256,                          // starting edge length in px
+    minSize: 96,                        // smallest edge we will shrink to
+    qualities: [0.9, 0.8, 0.7, 0.6, 0.5],
+    maxUploadBytes: 10 * 1024 * 1024,   // reject huge originals before decoding
+    types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+};
+
+const OUTPUT_TYPE = 'image/jpeg';
+
+// Problem with the chosen file (shown to the user as-is)
+export class PhotoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PhotoError';
+    }
+}
+
+// "John Doe" -> "JD", "jdoe" -> "J"
+export function getInitials(user) {
+    const name = (user?.displayName || user?.username || '').trim();
+    if (!name) return '?';
+
+    const words = name.split(/[\s,._-]+/).filter(Boolean);
+    const initials = words.length > 1
+        ? words[0].charAt(0) + words[words.length - 1].charAt(0)
+        : words[0].charAt(0);
+    return initials.toUpperCase();
+}
+
+// data: URL for a base64 photo from the API (only image types are honoured)
+export function photoDataUrl(base64, contentType = OUTPUT_TYPE) {
+    if (!base64) return null;
+    const type = PHOTO_LIMITS.types.includes(contentType) ? contentType : OUTPUT_TYPE;
+    return `data:${type};base64,${base64}`;
+}
+
+export function validatePhotoFile(file, limits = PHOTO_LIMITS) {
+    if (!file) {
+        throw new PhotoError('Please choose an image');
+    }
+    if (!limits.types.includes(file.type)) {
+        throw new PhotoError('Please choose a JPEG, PNG, GIF or WebP image');
+    }
+    if (file.size > limits.maxUploadBytes) {
+        throw new PhotoError(`The image is too large (max ${Math.round(limits.maxUploadBytes / 1024 / 1024)}MB)`);
+    }
+}
+
+// Try quality steps, then smaller sizes, until encode(size, quality) fits in maxBytes
+export async function compressToLimit(encode, limits = PHOTO_LIMITS) {
+    for (let size = limits.size; size >= limits.minSize; size = Math.floor(size * 0.75)) {
+        for (const quality of limits.qualities) {
+            const blob = await encode(size, quality);
+            if (blob && blob.size <= limits.maxBytes) {
+                return { blob, size, quality };
+            }
+        }
+    }
+    throw new PhotoError('The image could not be compressed enough. Try a simpler picture.');
+}
+
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new PhotoError('The file could not be read as an image'));
+        };
+        image.src = url;
+    });
+}
+
+// Centre square of the image, scaled to size x size, as a JPEG blob
+function encodeSquare(image, size, quality) {
+    const edge = Math.min(image.naturalWidth, image.naturalHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency: flatten onto white instead of black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, size, size);
+    context.drawImage(
+        image,
+        (image.naturalWidth - edge) / 2, (image.naturalHeight - edge) / 2, edge, edge,
+        0, 0, size, size
+    );
+
+    return new Promise(resolve => canvas.toBlob(resolve, OUTPUT_TYPE, quality));
+}
+
+export function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Validate, crop to a square and compress under the AD limit.
+// Resolves to { blob, base64, contentType, dataUrl, size, bytes }.
+export async function prepareProfilePhoto(file, limits = PHOTO_LIMITS) {
+    validatePhotoFile(file, limits);
+
+    const image = await loadImage(file);
+    const sourceEdge = Math.min(image.naturalWidth, image.naturalHeight);
+    if (sourceEdge < limits.minSize) {
+        throw new PhotoError(`The image must be at least ${limits.minSize}x${limits.minSize} pixels`);
+    }
+
+    // Never upscale small originals
+    const { blob, size } = await compressToLimit(
+        (edge, quality) => encodeSquare(image, Math.min(edge, sourceEdge), quality),
+        limits
+    );
+    const base64 = await blobToBase64(blob);
+
+    return {
+        blob,
+        base64,
+        contentType: OUTPUT_TYPE,
+        dataUrl: photoDataUrl(base64),
+        size: Math.min(size, sourceEdge),
+        bytes: blob.size
+    };
+}
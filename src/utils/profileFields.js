@@ -0,0 +1,71 @@
+// Frontend/src/utils/profileFields.js
+
+// Self-service profile attributes. Names are the AD attribute names the
+// backend uses in /User/profile; whether a field may be edited (and its length
+// limit) comes from /User/profile-fields and overrides the defaults below.
+// Without that metadata nothing is editable.
+
+export const PROFILE_FIELDS = [
+    { name: 'telephoneNumber', label: 'Phone', type: 'phone', maxLength: 64, placeholder: '+1 555 010 2000' },
+    { name: 'mobile', label: 'Mobile', type: 'phone', maxLength: 64, placeholder: '+1 555 010 3000' },
+    { name: 'physicalDeliveryOfficeName', label: 'Office', type: 'text', maxLength: 128, placeholder: 'Building A, Room 101' },
+    { name: 'title', label: 'Job Title', type: 'text', maxLength: 128 },
+    { name: 'department', label: 'Department', type: 'text', maxLength: 64 }
+];
+
+// Digits, spaces, + ( ) . - and an optional extension ("x123", "ext. 123")
+const PHONE_PATTERN = /^\+?[\d\s().-]+(\s*(x|ext\.?)\s*\d{1,6})?$/i;
+const PHONE_MIN_DIGITS = 5;
+const PHONE_MAX_DIGITS = 15;
+
+// Merge backend metadata into the field list. Accepts an array
+// ([{ name, editable, maxLength }]) or a map ({ name: { editable, maxLength } }).
+export function applyFieldMetadata(metadata, fields = PROFILE_FIELDS) {
+    const byName = Array.isArray(metadata)
+        ? Object.fromEntries(metadata.filter(item => item?.name).map(item => [item.name, item]))
+        : (metadata || {});
+
+    return fields.map(field => {
+        const meta = byName[field.name] || {};
+        return {
+            ...field,
+            editable: meta.editable === true,
+            maxLength: Number(meta.maxLength) || field.maxLength
+        };
+    });
+}
+
+// Error message for a value, or null when it is valid. Empty clears the attribute.
+export function validateProfileField(field, value) {
+    const text = (value || '').trim();
+    if (!text) return null;
+
+    if (text.length > field.maxLength) {
+        return `${field.label} must be at most ${field.maxLength} characters`;
+    }
+
+    if (field.type === 'phone') {
+        const digits = text.replace(/(x|ext\.?)\s*\d+$/i, '').replace(/\D/g, '').length;
+        if (!PHONE_PATTERN.test(text) || digits < PHONE_MIN_DIGITS || digits > PHONE_MAX_DIGITS) {
+            return `${field.label} must be a phone number, e.g. ${field.placeholder}`;
+        }
+    }
+
+    return null;
+}
+
+// Stored and edited values compare without surrounding whitespace
+const normalizeValue = (value) => String(value ?? '').trim();
+
+// Changed editable fields: [{ name, label, from, to }]
+export function diffProfile(fields, original, values) {
+    return fields
+        .filter(field => field.editable && field.name in values)
+        .map(field => ({
+            name: field.name,
+            label: field.label,
+            from: normalizeValue(original?.[field.name]),
+            to: normalizeValue(values[field.name])
+        }))
+        .filter(change => change.from !== change.to);
+}
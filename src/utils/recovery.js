@@ -0,0 +1,40 @@
+// Frontend/src/utils/recovery.js
+
+// Self-service recovery from the login page, without a session:
+//   /Recovery/start      { username, action } -> { recoveryId, methods, questions, expiresAt }
+//   /Recovery/send-code  emails a one-time code to the recovery address
+//   /Recovery/verify     answers or code -> { resetToken, username, displayName, passwordPolicy }
+//   /Recovery/reset-password or /Recovery/unlock with the reset token
+// The server answers the same way for unknown usernames, so the flow never
+// tells whether an account exists. Too many attempts answer 429 (RateLimitError).
+
+// How long to hold the forms after a 429 that does not say (seconds)
+export const RECOVERY_DEFAULT_PAUSE_SECONDS = 30;
+
+export const RECOVERY_METHODS = {
+    questions: { label: 'Answer my security questions', icon: 'fa-question-circle' },
+    email: { label: 'Email me a code', icon: 'fa-envelope' }
+};
+
+// 45 -> "45 seconds", 900 -> "15 minutes"
+export function formatRetryAfter(seconds) {
+    if (!seconds || seconds <= 0) return 'a moment';
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Answers keyed by question ID, plus the IDs of questions left blank
+export function collectAnswers(questions = [], values = {}) {
+    const answers = {};
+    const missing = [];
+    questions.forEach(({ id }) => {
+        const answer = String(values[id] ?? '').trim();
+        if (answer) {
+            answers[id] = answer;
+        } else {
+            missing.push(id);
+        }
+    });
+    return { answers, missing };
+}
@@ -0,0 +1,145 @@
+// Frontend/src/utils/router.js
+
+// Hash-based client-side router (#/profile, #/account-status, ...)
+class Router {
+    constructor() {
+        this.routes = new Map();
+        this.redirects = new Map();
+        this.notFoundRoute = null;
+        this.guard = null;
+        this.onRouteChange = null;
+        this.currentRoute = null;
+        this.started = false;
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+
+    // Register a route: { page, pageId, requiresAuth, requires, onEnter }
+    // (requires: permission checked by the app's guard, see utils/permissions.js)
+    register(path, options = {}) {
+        this.routes.set(path, { path, requiresAuth: true, ...options });
+        return this;
+    }
+
+    // Register a path that always forwards to another one (e.g. '/' -> '/dashboard')
+    redirect(from, to) {
+        this.redirects.set(from, to);
+        return this;
+    }
+
+    // Register the view shown for unknown paths
+    setNotFound(options = {}) {
+        this.notFoundRoute = { path: null, requiresAuth: false, ...options };
+        return this;
+    }
+
+    // Guard called before each route change.
+    // Return nothing to continue, or a path string to redirect to.
+    setGuard(guard) {
+        this.guard = guard;
+        return this;
+    }
+
+    // Handler called once a route has been resolved
+    setRouteChangeHandler(handler) {
+        this.onRouteChange = handler;
+        return this;
+    }
+
+    // Start listening for URL changes and render the current one
+    start() {
+        if (!this.started) {
+            window.addEventListener('hashchange', this.handleHashChange);
+            this.started = true;
+        }
+        this.resolve();
+    }
+
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        this.started = false;
+    }
+
+    handleHashChange() {
+        this.resolve();
+    }
+
+    // Navigate to a path, adding a history entry unless replace is set
+    navigate(path, { replace = false } = {}) {
+        const hash = `#${path}`;
+
+        if (replace) {
+            history.replaceState(history.state, '', hash);
+            this.resolve();
+        } else if (window.location.hash === hash) {
+            // Same URL never fires hashchange, so render directly
+            this.resolve();
+        } else {
+            window.location.hash = hash;
+            if (!this.started) this.resolve();
+        }
+    }
+
+    // Re-run the guard and rendering for the current URL
+    refresh() {
+        this.resolve();
+    }
+
+    // Parse the current location hash into path and query
+    getLocation() {
+        const raw = window.location.hash.replace(/^#/, '') || '/';
+        const [pathPart, queryPart = ''] = raw.split('?');
+        const path = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+        const query = Object.fromEntries(new URLSearchParams(queryPart));
+        return { path, query, fullPath: raw.startsWith('/') ? raw : `/${raw}` };
+    }
+
+    // Build a path with query string
+    buildPath(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        const queryString = params.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    // Check whether a path belongs to a registered route
+    hasRoute(path) {
+        const [pathPart] = (path || '').split('?');
+        return this.routes.has(pathPart) || this.redirects.has(pathPart);
+    }
+
+    resolve() {
+        const location = this.getLocation();
+
+        if (this.redirects.has(location.path)) {
+            this.navigate(this.redirects.get(location.path), { replace: true });
+            return;
+        }
+
+        const route = this.routes.get(location.path) || this.notFoundRoute;
+        if (!route) return;
+
+        if (this.guard) {
+            const redirectTo = this.guard(route, location);
+            if (redirectTo && redirectTo !== location.fullPath) {
+                this.navigate(redirectTo, { replace: true });
+                return;
+            }
+        }
+
+        this.currentRoute = route;
+
+        if (this.onRouteChange) {
+            this.onRouteChange(route, location);
+        }
+    }
+}
+
+// Create global router instance
+const router = new Router();
+
+// Export for use in other files
+export { Router, router };
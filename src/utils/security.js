@@ -0,0 +1,94 @@
+// Frontend/src/utils/security.js
+
+// Recovery methods the user enrolls on the Security Settings page. /User/security answers
+//   { questions: { catalog: [{ id, text }], enrolled: [ids], required },
+//     recoveryEmail, recoveryMobile }   (verified values, or null)
+// Answers are write-only: the server stores them normalized and never sends
+// them back. A new email or mobile number only counts once the code sent to
+// it is confirmed.
+
+import { PROFILE_FIELDS, validateProfileField } from './profileFields.js';
+
+export const SECURITY_QUESTIONS_REQUIRED = 3;
+export const MIN_ANSWER_LENGTH = 3;
+
+// Recovery contacts by channel: the field sent to /User/security/recovery-<channel>
+// and the attribute /User/security reports the verified value in
+export const RECOVERY_CONTACTS = {
+    email: { attribute: 'recoveryEmail', label: 'recovery email', validate: validateRecoveryEmail },
+    mobile: { attribute: 'recoveryMobile', label: 'mobile number', validate: validateRecoveryMobile }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MOBILE_FIELD = { ...PROFILE_FIELDS.find(field => field.name === 'mobile'), label: 'Mobile number' };
+
+// "  Lincoln  Elementary " -> "lincoln elementary" (how answers are compared)
+export function normalizeAnswer(answer) {
+    return String(answer || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// What a complete enrollment needs, in the order the dashboard lists it
+export function enrollmentStatus(settings) {
+    const questions = settings?.questions || {};
+    const required = questions.required || SECURITY_QUESTIONS_REQUIRED;
+    const items = [
+        { key: 'questions', label: 'Security questions', done: (questions.enrolled?.length || 0) >= required },
+        { key: 'recoveryEmail', label: 'Recovery email', done: !!settings?.recoveryEmail },
+        { key: 'recoveryMobile', label: 'Mobile number', done: !!settings?.recoveryMobile }
+    ];
+    const done = items.filter(item => item.done).length;
+    return {
+        items,
+        done,
+        total: items.length,
+        percent: Math.round((done / items.length) * 100),
+        complete: done === items.length
+    };
+}
+
+// Problem per row of [{ questionId, answer }], by row index, as { field, message }
+// with field 'question' or 'answer' ({} when they can be saved)
+export function validateSecurityAnswers(rows) {
+    const errors = {};
+    const questions = new Set();
+    const answers = new Set();
+
+    rows.forEach(({ questionId, answer }, index) => {
+        const text = normalizeAnswer(answer);
+        if (!questionId) {
+            errors[index] = { field: 'question', message: 'Choose a question' };
+        } else if (questions.has(questionId)) {
+            errors[index] = { field: 'question', message: 'Choose a different question for each answer' };
+        } else if (!text) {
+            errors[index] = { field: 'answer', message: 'Enter an answer' };
+        } else if (text.length < MIN_ANSWER_LENGTH) {
+            errors[index] = { field: 'answer', message: `Answers are at least ${MIN_ANSWER_LENGTH} characters` };
+        } else if (answers.has(text)) {
+            errors[index] = { field: 'answer', message: 'Use a different answer for each question' };
+        }
+        questions.add(questionId);
+        answers.add(text);
+    });
+    return errors;
+}
+
+// "security questions and mobile number": what is still missing, for the nudge
+export function describeMissing(status) {
+    const labels = status.items.filter(item => !item.done).map(item => item.label.toLowerCase());
+    if (labels.length < 2) return labels[0] || '';
+    return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+// Error message for a recovery email ('' when it is worth sending a code to)
+export function validateRecoveryEmail(email) {
+    const text = String(email || '').trim();
+    if (!text) return 'Enter an email address';
+    if (!EMAIL_PATTERN.test(text)) return 'Enter a valid email address, e.g. name@example.com';
+    return '';
+}
+
+export function validateRecoveryMobile(number) {
+    const text = String(number || '').trim();
+    if (!text) return 'Enter a mobile number';
+    return validateProfileField(MOBILE_FIELD, text) || '';
+}
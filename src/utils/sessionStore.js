@@ -0,0 +1,201 @@
+// Frontend/src/utils/sessionStore.js
+
+// Auth states held by the store
+export const AUTH_STATUS = {
+    UNKNOWN: 'unknown',                 // stored session not validated yet
+    AUTHENTICATED: 'authenticated',
+    UNAUTHENTICATED: 'unauthenticated'
+};
+
+// localStorage keys the session is persisted under
+const STORAGE_KEYS = {
+    sessionId: 'sessionId',
+    user: 'currentUser',
+    expiresAt: 'sessionExpiresAt'
+};
+
+// Single source of truth for the session: ID, user, expiry and auth state.
+// ApiService, AuthUtils and App read from it and subscribe to its changes.
+class SessionStore {
+    constructor() {
+        this.listeners = new Set();
+        this.state = this.load();
+
+        // Another tab changed the persisted session (login, logout, refresh)
+        window.addEventListener('storage', (event) => {
+            if (event.key === null || Object.values(STORAGE_KEYS).includes(event.key)) {
+                this.syncFromStorage();
+            }
+        });
+    }
+
+    // Adopt the session persisted by another tab. Subscribers get meta.remote = true.
+    syncFromStorage() {
+        const stored = this.load();
+        let status = this.state.status;
+
+        // Keep the same user object when nothing changed so listeners can compare by reference
+        if (JSON.stringify(stored.user) === JSON.stringify(this.state.user)) {
+            stored.user = this.state.user;
+        }
+
+        if (!stored.sessionId) {
+            status = AUTH_STATUS.UNAUTHENTICATED;
+        } else if (!this.state.sessionId) {
+            // Another tab logged in: validate here before use.
+            // (A changed ID on an existing session is a refresh and keeps the status.)
+            status = AUTH_STATUS.UNKNOWN;
+        }
+
+        this.setState({ ...stored, status }, { remote: true });
+    }
+
+    // Restore the persisted session (status stays UNKNOWN until validated)
+    load() {
+        const sessionId = localStorage.getItem(STORAGE_KEYS.sessionId);
+        const expiresAt = localStorage.getItem(STORAGE_KEYS.expiresAt);
+        let user = null;
+
+        const stored = localStorage.getItem(STORAGE_KEYS.user);
+        if (stored) {
+            try {
+                user = JSON.parse(stored);
+            } catch (error) {
+                console.error('Failed to parse stored user:', error);
+                localStorage.removeItem(STORAGE_KEYS.user);
+            }
+        }
+
+        return {
+            sessionId: sessionId || null,
+            user,
+            expiresAt: expiresAt || null,
+            status: sessionId ? AUTH_STATUS.UNKNOWN : AUTH_STATUS.UNAUTHENTICATED
+        };
+    }
+
+    persist() {
+        const { sessionId, user, expiresAt } = this.state;
+        const write = (key, value) => {
+            if (value) {
+                localStorage.setItem(key, value);
+            } else {
+                localStorage.removeItem(key);
+            }
+        };
+
+        write(STORAGE_KEYS.sessionId, sessionId);
+        write(STORAGE_KEYS.user, user ? JSON.stringify(user) : null);
+        write(STORAGE_KEYS.expiresAt, expiresAt);
+    }
+
+    getState() {
+        return { ...this.state };
+    }
+
+    // Subscribe to changes; listener(state, previousState, meta). meta.remote is
+    // true when the change came from another tab. Returns an unsubscribe function.
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Merge a partial state, persist it and notify subscribers if anything changed
+    setState(patch, { remote = false } = {}) {
+        const previous = this.state;
+        const next = { ...previous, ...patch };
+        const changed = Object.keys(next).some(key => next[key] !== previous[key]);
+        if (!changed) return;
+
+        this.state = next;
+        // Remote changes are already in storage
+        if (!remote) this.persist();
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getState(), { ...previous }, { remote });
+            } catch (error) {
+                console.error('Session listener failed:', error);
+            }
+        });
+    }
+
+    // Store a new session after login
+    startSession({ sessionId, user, expiresAt } = {}) {
+        this.setState({
+            sessionId: sessionId || this.state.sessionId,
+            user: user || this.state.user,
+            expiresAt: normalizeExpiry(expiresAt) || this.state.expiresAt,
+            status: AUTH_STATUS.AUTHENTICATED
+        });
+    }
+
+    setSessionId(sessionId) {
+        this.setState({ sessionId: sessionId || null });
+    }
+
+    setUser(user) {
+        this.setState({ user: user || null });
+    }
+
+    // Accepts a Date, ISO string, or seconds from now
+    setExpiresAt(expiresAt) {
+        this.setState({ expiresAt: normalizeExpiry(expiresAt) });
+    }
+
+    // Take the expiry from an /Auth response (expiresAt or expiresIn, top level
+    // or under data); leaves the current expiry alone if the response has none
+    applyExpiryFrom(response) {
+        const source = response?.expiresAt || response?.expiresIn ? response : response?.data;
+        const expiry = source?.expiresAt || source?.expiresIn || source?.expiresInSeconds;
+        if (expiry) {
+            this.setExpiresAt(expiry);
+        }
+    }
+
+    setStatus(status) {
+        this.setState({ status });
+    }
+
+    // Forget the session entirely
+    clear() {
+        this.setState({
+            sessionId: null,
+            user: null,
+            expiresAt: null,
+            status: AUTH_STATUS.UNAUTHENTICATED
+        });
+    }
+
+    getSessionId() {
+        return this.state.sessionId;
+    }
+
+    getUser() {
+        return this.state.user;
+    }
+
+    isAuthenticated() {
+        return this.state.status === AUTH_STATUS.AUTHENTICATED && !!this.state.sessionId;
+    }
+
+    // Milliseconds until the session expires (null if unknown)
+    getTimeLeft(now = Date.now()) {
+        if (!this.state.expiresAt) return null;
+        return new Date(this.state.expiresAt).getTime() - now;
+    }
+}
+
+function normalizeExpiry(expiresAt) {
+    if (expiresAt === null || expiresAt === undefined || expiresAt === '') return null;
+    const date = typeof expiresAt === 'number'
+        ? new Date(Date.now() + expiresAt * 1000)
+        : new Date(expiresAt);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Create global store instance
+const sessionStore = new SessionStore();
+
+// Export for use in other files
+export { SessionStore, sessionStore };
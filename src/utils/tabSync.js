@@ -0,0 +1,177 @@
+// Frontend/src/utils/tabSync.js
+
+import { config } from './config.js';
+
+// Leader election between open tabs, so that only one tab runs the session
+// auto-refresh. Session state itself is shared through sessionStore (storage
+// events); this module only decides which tab is the leader.
+//
+// Where the Web Locks API is available the leader is the tab holding the
+// lock; the browser hands it to a waiting tab when the leader stops or closes.
+// Elsewhere the leader holds a lease in localStorage and renews it on every
+// heartbeat and whenever the tab is shown or hidden. Background tabs get
+// their timers throttled (to a minute or more), so the lease
+// (session.leaderLeaseSeconds) lasts well beyond that; other tabs take over
+// once it runs out or is released on unload.
+
+const LEADER_KEY = 'sessionLeader';
+
+function createTabId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
+
+function getLockManager() {
+    return typeof navigator !== 'undefined' && typeof navigator.locks?.request === 'function'
+        ? navigator.locks
+        : null;
+}
+
+class TabSync {
+    constructor() {
+        this.tabId = createTabId();
+        this.isLeader = false;
+        this.running = false;
+        this.heartbeatTimer = null;
+        this.lockRequest = null;
+        this.releaseLock = null;
+        this.listeners = new Set();
+        this.handleStorage = this.handleStorage.bind(this);
+        this.handleVisibility = this.handleVisibility.bind(this);
+        this.resign = this.resign.bind(this);
+    }
+
+    // Join the election (no-op if already running)
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const locks = getLockManager();
+        if (locks) {
+            this.requestLock(locks);
+            return;
+        }
+
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('beforeunload', this.resign);
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        this.heartbeat();
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), config.get('session.leaderHeartbeatSeconds') * 1000);
+    }
+
+    // Leave the election and hand leadership to another tab
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+
+        if (this.lockRequest) {
+            // Give up a held lock, or stop waiting for it
+            this.lockRequest.abort();
+            this.lockRequest = null;
+            this.releaseLock?.();
+            this.releaseLock = null;
+            this.setLeader(false);
+            return;
+        }
+
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        window.removeEventListener('storage', this.handleStorage);
+        window.removeEventListener('beforeunload', this.resign);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        this.resign();
+    }
+
+    // Subscribe to leadership changes; listener(isLeader). Returns an unsubscribe function.
+    onLeadershipChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Wait for the leader lock and hold it until stop()
+    requestLock(locks) {
+        const request = new AbortController();
+        this.lockRequest = request;
+
+        locks.request(LEADER_KEY, { signal: request.signal }, () => {
+            if (request.signal.aborted) return null;
+            this.setLeader(true);
+            return new Promise(resolve => { this.releaseLock = resolve; });
+        }).catch(error => {
+            if (error?.name !== 'AbortError') {
+                console.error('Leader lock request failed:', error);
+            }
+        });
+    }
+
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(LEADER_KEY));
+        } catch {
+            return null;
+        }
+    }
+
+    writeLease() {
+        localStorage.setItem(LEADER_KEY, JSON.stringify({
+            tabId: this.tabId,
+            expiresAt: Date.now() + config.get('session.leaderLeaseSeconds') * 1000
+        }));
+    }
+
+    // Renew our lease, or claim it when it is free or has run out.
+    // If two tabs claim at once, the one whose write landed last keeps it and
+    // the other steps down on its next heartbeat.
+    heartbeat() {
+        const lease = this.readLease();
+        const leaseFree = !lease || lease.expiresAt <= Date.now();
+
+        if (lease?.tabId === this.tabId || leaseFree) {
+            this.writeLease();
+            this.setLeader(true);
+        } else {
+            this.setLeader(false);
+        }
+    }
+
+    // Release the lease so another tab can take over immediately
+    resign() {
+        if (this.readLease()?.tabId === this.tabId) {
+            localStorage.removeItem(LEADER_KEY);
+        }
+        this.setLeader(false);
+    }
+
+    handleStorage(event) {
+        // Leader released the lease: try to take over now rather than on the next heartbeat
+        if (event.key === LEADER_KEY && !event.newValue && this.heartbeatTimer) {
+            this.heartbeat();
+        }
+    }
+
+    // Renew right before the tab is throttled in the background and as soon as it is back
+    handleVisibility() {
+        this.heartbeat();
+    }
+
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+        this.isLeader = isLeader;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(isLeader);
+            } catch (error) {
+                console.error('Leadership listener failed:', error);
+            }
+        });
+    }
+}
+
+// Create global instance (one per tab)
+const tabSync = new TabSync();
+
+// Export for use in other files
+export { TabSync, tabSync };
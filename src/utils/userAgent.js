@@ -0,0 +1,34 @@
+// Frontend/src/utils/userAgent.js
+
+// Short "Browser on OS" labels for the user agent strings the backend records
+// (sign-ins, sessions). Order matters: Edge and Opera also claim Chrome, Chrome
+// claims Safari, iOS claims Mac OS X and Android claims Linux.
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux|X11/]
+];
+
+const match = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+export function describeClient(userAgent) {
+    const text = String(userAgent || '').trim();
+    if (!text) return 'Unknown client';
+
+    const browser = match(BROWSERS, text);
+    const system = match(SYSTEMS, text);
+    if (browser && system) return `${browser} on ${system}`;
+    if (browser || system) return browser || system;
+    // Scripts and tools (e.g. "python-requests/2.31"): the product token is enough
+    return text.split(/\s/)[0].slice(0, 40);
+}
@@ -0,0 +1,1159 @@
+// Frontend/tests/integration/app.test.js
+
+// End-to-end flows through the real DOM (index.html), the real app modules and
+// a local HTTP stub of the REST API.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import {
+    startStubServer,
+    STUB_PASSWORD,
+    STUB_SESSION_ID,
+    STUB_USER,
+    STUB_HELPDESK_USER,
+    STUB_SESSIONS,
+    STUB_MFA_CODE,
+    STUB_RECOVERY,
+    STUB_SECURITY,
+    STUB_ORG,
+    stubMfaChallenge
+} from '../support/stubServer.js';
+import { loadApp, isVisible, fillIn, submit } from '../support/loadApp.js';
+
+let server;
+let app;
+
+function signIn(password = STUB_PASSWORD) {
+    fillIn('username', STUB_USER.username);
+    fillIn('password', password);
+    submit('loginForm');
+}
+
+async function signInToDashboard() {
+    signIn();
+    await vi.waitFor(() => expect(isVisible('dashboardPage')).toBe(true));
+}
+
+beforeAll(async () => {
+    server = await startStubServer();
+});
+
+afterAll(async () => {
+    await server.close();
+});
+
+beforeEach(async () => {
+    server.reset();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    app = await loadApp(server);
+});
+
+afterEach(() => {
+    app.stopSessionManagement();
+    app.router.stop();
+});
+
+describe('login', () => {
+    it('signs in and shows the dashboard', async () => {
+        await signInToDashboard();
+
+        expect(localStorage.getItem('sessionId')).toBe(STUB_SESSION_ID);
+        expect(isVisible('userNav')).toBe(true);
+        expect(window.location.hash).toBe('#/dashboard');
+        expect(server.requests.map(request => request.key)).toContain('GET /api/User/profile');
+    });
+
+    it('shows the server message for bad credentials', async () => {
+        signIn('wrong-password');
+
+        await vi.waitFor(() => expect(isVisible('loginError')).toBe(true));
+        expect(document.getElementById('loginError').textContent).toContain('Invalid username or password');
+        expect(isVisible('dashboardPage')).toBe(false);
+        expect(localStorage.getItem('sessionId')).toBeNull();
+    });
+
+    it('restores a stored session on reload', async () => {
+        await signInToDashboard();
+        app.stopSessionManagement();
+        app.router.stop();
+
+        app = await loadApp(server, { hash: '#/profile' });
+
+        await vi.waitFor(() => expect(isVisible('profilePage')).toBe(true));
+        expect(server.requests.map(request => request.key)).toContain('GET /api/Auth/validate');
+    });
+});
+
+describe('rendering', () => {
+    it('shows AD attributes as text, never as markup', async () => {
+        const payload = '<img src=x onerror="window.injected = true">';
+        server.route('GET /api/User/profile', () => ({
+            status: 200,
+            body: { success: true, data: { ...STUB_USER, displayName: payload, email: payload } }
+        }));
+
+        await signInToDashboard();
+
+        const profileSection = document.getElementById('profileSection');
+        await vi.waitFor(() => expect(profileSection.textContent).toContain(payload));
+        expect(profileSection.querySelector('img')).toBeNull();
+
+        window.location.hash = '#/profile';
+        await vi.waitFor(() => expect(document.getElementById('profileDisplayname').textContent).toBe(payload));
+        expect(document.getElementById('profilePage').querySelector('img[src="x"]')).toBeNull();
+        expect(window.injected).toBeUndefined();
+    });
+});
+
+describe('two-step login', () => {
+    const requestsTo = (key) => server.requests.filter(request => request.key === key);
+
+    async function signInToMfaStep(challenge = stubMfaChallenge()) {
+        server.route('POST /api/Auth/login', () => ({
+            status: 200,
+            body: { success: true, mfaRequired: true, challenge, message: 'Verification code required' }
+        }));
+        signIn();
+        await vi.waitFor(() => expect(isVisible('mfaForm')).toBe(true));
+    }
+
+    it('asks for a code, then signs in and trusts the device when asked', async () => {
+        await signInToMfaStep();
+
+        expect(isVisible('loginForm')).toBe(false);
+        expect(localStorage.getItem('sessionId')).toBeNull();
+        expect(document.getElementById('password').value).toBe('');
+        expect(document.getElementById('mfaPrompt').textContent).toContain('authenticator app');
+        expect(document.getElementById('mfaCountdown').textContent).toMatch(/Code expires in [45]:\d\d/);
+        expect(isVisible('mfaResendBtn')).toBe(false);
+
+        fillIn('mfaCode', '123 456');
+        document.getElementById('trustDevice').checked = true;
+        submit('mfaForm');
+
+        await vi.waitFor(() => expect(isVisible('dashboardPage')).toBe(true));
+        expect(requestsTo('POST /api/Auth/mfa/verify')[0].body).toEqual({ challengeId: 'challenge-1', code: STUB_MFA_CODE, trustDevice: true });
+        expect(localStorage.getItem('sessionId')).toBe(STUB_SESSION_ID);
+        expect(JSON.parse(localStorage.getItem('trustedDevices')).jdoe.token).toBe('device-1');
+        expect(isVisible('mfaForm')).toBe(false);
+    });
+
+    it('keeps the step open after a wrong code', async () => {
+        await signInToMfaStep();
+
+        submit('mfaForm');
+        expect(document.getElementById('mfaCodeFieldError').textContent).toBe('Enter the verification code');
+        expect(requestsTo('POST /api/Auth/mfa/verify')).toHaveLength(0);
+
+        fillIn('mfaCode', '000000');
+        submit('mfaForm');
+
+        await vi.waitFor(() => expect(document.getElementById('mfaCodeFieldError').textContent).toContain('The code is not correct'));
+        expect(isVisible('mfaForm')).toBe(true);
+    });
+
+    it('sends a code by another method and restarts the countdown', async () => {
+        await signInToMfaStep();
+
+        document.querySelector('[data-mfa-method="email"]').click();
+
+        await vi.waitFor(() => expect(document.getElementById('mfaPrompt').textContent).toContain('We emailed a 6-digit code to j***@demo.local'));
+        expect(requestsTo('POST /api/Auth/mfa/resend')[0].body).toEqual({ challengeId: 'challenge-1', method: 'email' });
+        expect(isVisible('mfaResendBtn')).toBe(true);
+        expect(document.querySelector('[data-mfa-method="email"]')).toBeNull();
+        expect(document.querySelector('[data-mfa-method="totp"]')).not.toBeNull();
+    });
+
+    it('sends the user back to sign-in once the challenge has expired', async () => {
+        await signInToMfaStep(stubMfaChallenge({ expiresIn: undefined, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+        expect(document.getElementById('mfaCountdown').textContent).toContain('Sign in again to get a new one');
+        expect(document.getElementById('mfaVerifyBtn').disabled).toBe(true);
+        expect(isVisible('mfaMethodsBtn')).toBe(false);
+        expect(document.getElementById('mfaResendBtn').textContent).toBe('Sign in again');
+
+        document.getElementById('mfaResendBtn').click();
+
+        expect(isVisible('loginForm')).toBe(true);
+        expect(isVisible('mfaForm')).toBe(false);
+        expect(document.getElementById('loginError').textContent).toContain('The verification has expired');
+        expect(requestsTo('POST /api/Auth/mfa/resend')).toHaveLength(0);
+    });
+
+    it('goes back to sign-in when the server ends the challenge', async () => {
+        await signInToMfaStep();
+        server.route('POST /api/Auth/mfa/verify', () => ({
+            status: 401,
+            body: { success: false, errorCode: 'MFA_CHALLENGE_FAILED', message: 'Too many incorrect codes. Please sign in again.' }
+        }));
+
+        fillIn('mfaCode', '111111');
+        submit('mfaForm');
+
+        await vi.waitFor(() => expect(isVisible('loginForm')).toBe(true));
+        expect(isVisible('mfaForm')).toBe(false);
+        expect(document.getElementById('loginError').textContent).toContain('Too many incorrect codes');
+    });
+});
+
+describe('account recovery', () => {
+    const requestsTo = (key) => server.requests.filter(request => request.key === key);
+
+    async function startRecovery(action = 'reset') {
+        fillIn('username', STUB_USER.username);
+        document.getElementById('forgotPasswordLink').click();
+        await vi.waitFor(() => expect(isVisible('recoveryPage')).toBe(true));
+        expect(document.getElementById('recoveryUsername').value).toBe(STUB_USER.username);
+
+        document.getElementById(`recoveryAction-${action}`).checked = true;
+        submit('recoveryIdentifyForm');
+        await vi.waitFor(() => expect(isVisible('recoveryVerifyStep')).toBe(true));
+    }
+
+    it('resets a forgotten password after the security questions', async () => {
+        await startRecovery();
+
+        expect(requestsTo('POST /api/Recovery/start')[0].body).toEqual({ username: STUB_USER.username, action: 'reset' });
+        expect(isVisible('recoveryQuestionsForm')).toBe(true);
+        expect(document.getElementById('recoveryQuestions').textContent).toContain('first pet');
+
+        submit('recoveryQuestionsForm');
+        expect(document.getElementById('recoveryAnswer-firstPetFieldError').textContent).toBe('Please answer this question');
+        expect(requestsTo('POST /api/Recovery/verify')).toHaveLength(0);
+
+        fillIn('recoveryAnswer-firstPet', 'Fido');
+        fillIn('recoveryAnswer-birthCity', 'Seattle');
+        submit('recoveryQuestionsForm');
+        await vi.waitFor(() => expect(document.getElementById('recoveryError').textContent).toContain('2 attempts left'));
+
+        fillIn('recoveryAnswer-firstPet', ' Rex ');
+        submit('recoveryQuestionsForm');
+        await vi.waitFor(() => expect(isVisible('recoveryResetForm')).toBe(true));
+        expect(requestsTo('POST /api/Recovery/verify')[1].body).toEqual({
+            recoveryId: STUB_RECOVERY.recoveryId,
+            method: 'questions',
+            answers: STUB_RECOVERY.answers
+        });
+
+        // Same policy checks as Change Password, including the account's name
+        fillIn('recoveryNewPassword', 'JDoe#2026!');
+        fillIn('recoveryConfirmPassword', 'JDoe#2026!');
+        submit('recoveryResetForm');
+        expect(document.getElementById('recoveryNewPasswordFieldError').textContent).toContain('Password does not meet the policy');
+        expect(requestsTo('POST /api/Recovery/reset-password')).toHaveLength(0);
+
+        fillIn('recoveryNewPassword', 'Summit#42climb');
+        fillIn('recoveryConfirmPassword', 'Summit#42climb');
+        submit('recoveryResetForm');
+
+        await vi.waitFor(() => expect(isVisible('recoveryDone')).toBe(true));
+        expect(requestsTo('POST /api/Recovery/reset-password')[0].body).toEqual({
+            recoveryId: STUB_RECOVERY.recoveryId,
+            resetToken: STUB_RECOVERY.resetToken,
+            newPassword: 'Summit#42climb'
+        });
+        expect(document.getElementById('recoveryDoneMessage').textContent).toContain('Your password has been reset');
+        expect(localStorage.getItem('sessionId')).toBeNull();
+    });
+
+    it('unlocks the account with an emailed code', async () => {
+        await startRecovery('unlock');
+
+        document.querySelector('[data-recovery-method="email"]').click();
+        expect(isVisible('recoveryCodeForm')).toBe(true);
+        document.getElementById('recoverySendCodeBtn').click();
+        await vi.waitFor(() => expect(document.getElementById('recoveryCodeSent').textContent).toContain('j***@example.com'));
+
+        fillIn('recoveryCode', '123 456');
+        submit('recoveryCodeForm');
+        await vi.waitFor(() => expect(isVisible('recoveryUnlockStep')).toBe(true));
+        expect(requestsTo('POST /api/Recovery/verify')[0].body).toEqual({ recoveryId: STUB_RECOVERY.recoveryId, method: 'email', code: STUB_MFA_CODE });
+
+        document.getElementById('recoveryUnlockBtn').click();
+        await vi.waitFor(() => expect(isVisible('recoveryDone')).toBe(true));
+        expect(document.getElementById('recoveryDoneMessage').textContent).toContain('unlocked');
+    });
+
+    it('stays on the unlock step when the unlock is refused', async () => {
+        server.route('POST /api/Recovery/unlock', () => ({
+            status: 200,
+            body: { success: false, message: 'The account could not be unlocked' }
+        }));
+        await startRecovery('unlock');
+        fillIn('recoveryAnswer-firstPet', 'Rex');
+        fillIn('recoveryAnswer-birthCity', 'Seattle');
+        submit('recoveryQuestionsForm');
+        await vi.waitFor(() => expect(isVisible('recoveryUnlockStep')).toBe(true));
+
+        document.getElementById('recoveryUnlockBtn').click();
+
+        await vi.waitFor(() => expect(isVisible('recoveryError')).toBe(true));
+        expect(document.getElementById('recoveryError').textContent).toContain('could not be unlocked');
+        expect(isVisible('recoveryDone')).toBe(false);
+        expect(isVisible('recoveryUnlockStep')).toBe(true);
+    });
+
+    it('checks the new password against the recovered account\'s policy only', async () => {
+        server.route('POST /api/Recovery/verify', () => ({
+            status: 200,
+            body: {
+                success: true,
+                data: {
+                    resetToken: STUB_RECOVERY.resetToken,
+                    username: STUB_USER.username,
+                    displayName: STUB_USER.displayName,
+                    passwordPolicy: { minLength: 16, complexityEnabled: true, historyCount: 24 }
+                }
+            }
+        }));
+        await startRecovery();
+        fillIn('recoveryAnswer-firstPet', 'Rex');
+        fillIn('recoveryAnswer-birthCity', 'Seattle');
+        submit('recoveryQuestionsForm');
+        await vi.waitFor(() => expect(isVisible('recoveryResetForm')).toBe(true));
+
+        expect(document.getElementById('recoveryNewPassword').getAttribute('minlength')).toBe('16');
+        fillIn('recoveryNewPassword', 'Summit#42climb');
+        fillIn('recoveryConfirmPassword', 'Summit#42climb');
+        submit('recoveryResetForm');
+        expect(document.getElementById('recoveryNewPasswordFieldError').textContent).toContain('at least 16 characters');
+
+        // Nobody is signed in: the app-wide policy stays as it was
+        const { passwordPolicy } = await import('../../src/utils/passwordPolicy.js');
+        expect(passwordPolicy.getPolicy().minLength).toBe(8);
+        expect(document.getElementById('newPasswordChange').getAttribute('minlength')).not.toBe('16');
+    });
+
+    it('holds the forms while the server rate limits attempts', async () => {
+        server.route('POST /api/Recovery/send-code', () => ({
+            status: 429,
+            headers: { 'Retry-After': '45' },
+            body: { success: false, errorCode: 'TOO_MANY_ATTEMPTS', message: 'A code was sent a moment ago' }
+        }));
+        await startRecovery();
+
+        document.querySelector('[data-recovery-method="email"]').click();
+        document.getElementById('recoverySendCodeBtn').click();
+
+        await vi.waitFor(() => expect(document.getElementById('recoveryError').textContent)
+            .toContain('A code was sent a moment ago. Please try again in 45 seconds.'));
+        expect(document.getElementById('recoverySendCodeBtn').disabled).toBe(true);
+        expect(document.querySelector('#recoveryCodeForm [type="submit"]').disabled).toBe(true);
+    });
+
+    it('starts over when the recovery attempt has expired', async () => {
+        server.route('POST /api/Recovery/verify', () => ({
+            status: 401,
+            body: { success: false, errorCode: 'RECOVERY_EXPIRED', message: 'This recovery attempt has expired. Please start again.' }
+        }));
+        await startRecovery();
+
+        fillIn('recoveryAnswer-firstPet', 'Rex');
+        fillIn('recoveryAnswer-birthCity', 'Seattle');
+        submit('recoveryQuestionsForm');
+
+        await vi.waitFor(() => expect(isVisible('recoveryIdentifyForm')).toBe(true));
+        expect(document.getElementById('recoveryError').textContent).toContain('has expired');
+        expect(isVisible('loginPage')).toBe(false);
+    });
+});
+
+describe('profile editing', () => {
+    beforeEach(async () => {
+        await signInToDashboard();
+        window.location.hash = '#/profile';
+        await vi.waitFor(() => expect(isVisible('profileContactCard')).toBe(true));
+    });
+
+    function editField(name, value) {
+        fillIn(`profileField-${name}`, value);
+    }
+
+    it('only offers inputs for editable attributes', () => {
+        document.getElementById('profileEditBtn').click();
+
+        expect(document.getElementById('profileField-telephoneNumber').value).toBe(STUB_USER.telephoneNumber);
+        expect(document.getElementById('profileField-title')).toBeNull();
+        expect(document.getElementById('profileContactFields').textContent).toContain('Analyst');
+    });
+
+    it('validates phone numbers before review', () => {
+        document.getElementById('profileEditBtn').click();
+        editField('mobile', 'call me maybe');
+        submit('profileEditForm');
+
+        expect(document.getElementById('profileField-mobileFieldError').textContent).toMatch(/phone number/);
+        expect(isVisible('profileDiffPreview')).toBe(false);
+    });
+
+    it('previews the diff and saves only changed attributes', async () => {
+        document.getElementById('profileEditBtn').click();
+        editField('telephoneNumber', '+1 555 010 9999');
+        editField('physicalDeliveryOfficeName', '');
+        submit('profileEditForm');
+
+        expect(isVisible('profileDiffPreview')).toBe(true);
+        const rows = document.getElementById('profileDiffRows').textContent;
+        expect(rows).toContain('+1 555 010 9999');
+        expect(rows).toContain('(cleared)');
+
+        document.getElementById('profileSaveBtn').click();
+
+        await vi.waitFor(() => expect(isVisible('profileEditSuccess')).toBe(true));
+        const request = server.requests.find(entry => entry.key === 'PATCH /api/User/profile');
+        expect(request.body).toEqual({ telephoneNumber: '+1 555 010 9999', physicalDeliveryOfficeName: '' });
+        expect(document.getElementById('profileField-telephoneNumber')).toBeNull();
+        expect(document.getElementById('profileContactFields').textContent).toContain('+1 555 010 9999');
+    });
+
+    it('puts server rejections on the attribute that failed', async () => {
+        server.route('PATCH /api/User/profile', () => ({
+            status: 400,
+            body: { message: 'One or more attributes were rejected', errors: { Mobile: ['Number is not allowed'] } }
+        }));
+
+        document.getElementById('profileEditBtn').click();
+        editField('mobile', '+1 555 010 0000');
+        submit('profileEditForm');
+        document.getElementById('profileSaveBtn').click();
+
+        await vi.waitFor(() => expect(document.getElementById('profileField-mobileFieldError').textContent)
+            .toBe('Number is not allowed'));
+        expect(document.getElementById('profileField-mobile').value).toBe('+1 555 010 0000');
+        expect(isVisible('profileEditError')).toBe(true);
+        expect(isVisible('profileDiffPreview')).toBe(false);
+    });
+});
+
+describe('profile photo', () => {
+    it('shows initials when there is no photo', async () => {
+        await signInToDashboard();
+
+        await vi.waitFor(() => expect(document.getElementById('userAvatar').textContent).toBe('JD'));
+        expect(document.getElementById('userAvatar').querySelector('img')).toBeNull();
+    });
+
+    it('shows the AD photo and removes it', async () => {
+        server.route('GET /api/User/photo', () => ({
+            status: 200,
+            body: { success: true, data: { photo: 'AAAA', contentType: 'image/jpeg' } }
+        }));
+
+        await signInToDashboard();
+        await vi.waitFor(() => expect(document.querySelector('#userAvatar img')?.getAttribute('src'))
+            .toBe('data:image/jpeg;base64,AAAA'));
+
+        window.location.hash = '#/profile';
+        await vi.waitFor(() => expect(isVisible('profilePhotoRemoveBtn')).toBe(true));
+        document.getElementById('profilePhotoRemoveBtn').click();
+        expect(document.getElementById('confirmTitle').textContent).toBe('Remove profile photo?');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(server.requests.map(request => request.key)).not.toContain('DELETE /api/User/photo');
+        document.getElementById('confirmBtn').click();
+
+        await vi.waitFor(() => expect(document.getElementById('userAvatar').textContent).toBe('JD'));
+        expect(document.getElementById('profileAvatar').textContent).toBe('JD');
+        expect(isVisible('profilePhotoRemoveBtn')).toBe(false);
+        expect(server.requests.map(request => request.key)).toContain('DELETE /api/User/photo');
+    });
+});
+
+describe('my groups', () => {
+    beforeEach(async () => {
+        await signInToDashboard();
+        window.location.hash = '#/groups';
+        await vi.waitFor(() => expect(isVisible('groupsContent')).toBe(true));
+    });
+
+    it('shows direct groups with the groups they are nested in', () => {
+        const tree = document.getElementById('groupsTree');
+        const topLevel = [...tree.querySelectorAll(':scope > li .group-name')].map(name => name.textContent);
+
+        expect(topLevel).toEqual(['Finance', 'Finance Share RW', 'All Staff', 'VPN Users']);
+        expect(tree.querySelector(':scope > li > details').open).toBe(false);
+        expect(document.getElementById('groupsSummary').textContent).toBe('4 groups: 2 direct, 2 through nesting');
+        expect(document.querySelector('[data-route="/groups"]').classList.contains('active')).toBe(true);
+    });
+
+    it('filters the tree and keeps the path to each match', () => {
+        fillIn('groupsFilter', 'distribution');
+
+        const names = [...document.querySelectorAll('#groupsTree .group-name')].map(name => name.textContent);
+        expect(names).toEqual(['Finance', 'Finance Share RW', 'All Staff']);
+        expect(document.querySelector('#groupsTree .group-match .group-name').textContent).toBe('All Staff');
+        expect([...document.querySelectorAll('#groupsTree details')].every(details => details.open)).toBe(true);
+
+        fillIn('groupsFilter', 'payroll');
+        expect(isVisible('groupsEmpty')).toBe(true);
+        expect(document.getElementById('groupsEmpty').textContent).toBe('No groups match "payroll"');
+    });
+});
+
+describe('directory', () => {
+    const resultNames = () => [...document.querySelectorAll('#directoryResults [data-username] .fw-semibold')]
+        .map(name => name.textContent);
+    const searches = () => server.requests.filter(request => request.key === 'GET /api/Directory/search');
+
+    beforeEach(async () => {
+        await signInToDashboard();
+        window.location.hash = '#/directory';
+        await vi.waitFor(() => expect(resultNames()).toHaveLength(4));
+    });
+
+    it('lists everyone with filter options from the facets', () => {
+        expect(document.getElementById('directorySummary').textContent).toBe('Showing 1–4 of 4 people');
+        expect([...document.getElementById('directoryOffice').options].map(option => option.textContent))
+            .toEqual(['All offices', 'HQ, Floor 2', 'HQ, Floor 3', 'London']);
+    });
+
+    it('searches as you type, once typing pauses', async () => {
+        const before = searches().length;
+        fillIn('directorySearch', 'j');
+        fillIn('directorySearch', 'ja');
+        fillIn('directorySearch', 'jane');
+
+        await vi.waitFor(() => expect(resultNames()).toEqual(['Jane Doe']));
+        expect(searches()).toHaveLength(before + 1);
+        expect(new URL(searches().at(-1).url, server.url).searchParams.get('q')).toBe('jane');
+    });
+
+    it('narrows by a filter', async () => {
+        const department = document.getElementById('directoryDepartment');
+        department.value = 'Finance';
+        department.dispatchEvent(new Event('change'));
+
+        await vi.waitFor(() => expect(resultNames()).toEqual(['John Doe', 'Jane Doe']));
+        expect(department.value).toBe('Finance');
+    });
+
+    it('opens a person card for a result', () => {
+        document.querySelector('#directoryResults [data-username="jdoe"]').click();
+
+        expect(document.getElementById('personModalTitle').textContent).toBe('John Doe');
+        const details = document.getElementById('personDetails').textContent;
+        expect(details).toContain('jdoe@demo.local');
+        expect(details).toContain('Jane Doe');
+        expect(document.querySelector('#personDetails a[href^="tel:"]').getAttribute('href')).toBe('tel:+15550102000');
+    });
+});
+
+describe('org chart', () => {
+    const nodeNames = () => [...document.querySelectorAll('#orgChartCanvas [role="treeitem"] > .org-node .org-name.fw-semibold')]
+        .map(name => name.textContent);
+    const node = (username) => [...document.querySelectorAll('#orgChartCanvas [role="treeitem"]')]
+        .find(item => item.dataset.username === username);
+    const press = (key) => document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    beforeEach(async () => {
+        await signInToDashboard();
+        window.location.hash = '#/org-chart';
+        await vi.waitFor(() => expect(node('jdoe')).toBeDefined());
+    });
+
+    it('shows the manager chain down to the signed-in user', () => {
+        expect(nodeNames()).toEqual(['Carla Chief', 'Jane Doe', 'John Doe']);
+        expect(node('jdoe').querySelector('.org-node').classList.contains('org-start')).toBe(true);
+        expect(document.activeElement).toBe(node('jdoe'));
+        expect(node('janedoe').getAttribute('aria-expanded')).toBe('false');
+    });
+
+    it('loads a large team on expand and renders it in batches', async () => {
+        node('janedoe').querySelector('[data-action="toggle"]').click();
+
+        await vi.waitFor(() => expect(node('agent1')).toBeDefined());
+        expect(node('janedoe').getAttribute('aria-expanded')).toBe('true');
+        expect(node('janedoe').querySelectorAll(':scope > ul > [role="treeitem"]')).toHaveLength(50);
+        expect(server.requests.filter(request => request.key === 'GET /api/Directory/people/janedoe/reports')).toHaveLength(1);
+
+        const more = document.querySelector('[data-action="more"]');
+        expect(more.textContent.trim()).toBe('Show 50 more of 70');
+        more.click();
+        expect(node('janedoe').querySelectorAll(':scope > ul > [role="treeitem"]')).toHaveLength(100);
+    });
+
+    it('moves between people with the arrow keys', async () => {
+        press('ArrowUp');
+        expect(document.activeElement).toBe(node('janedoe'));
+        expect(node('janedoe').getAttribute('tabindex')).toBe('0');
+        expect(node('jdoe').getAttribute('tabindex')).toBe('-1');
+
+        press('Home');
+        expect(document.activeElement).toBe(node('ceo'));
+
+        press('ArrowDown');
+        press(' ');
+        await vi.waitFor(() => expect(node('agent1')).toBeDefined());
+        expect(document.activeElement).toBe(node('janedoe'));
+
+        press('ArrowDown');
+        expect(document.activeElement).toBe(node('jdoe'));
+        press('ArrowRight');
+        expect(document.activeElement).toBe(node('agent1'));
+        press('ArrowLeft');
+        expect(document.activeElement).toBe(node('jdoe'));
+    });
+
+    it('shows more of a large team from the keyboard', async () => {
+        press('ArrowUp');
+        press(' ');
+        await vi.waitFor(() => expect(node('agent1')).toBeDefined());
+
+        const more = document.querySelector('[data-action="more"]');
+        more.focus();
+        press('Enter');
+        press(' ');
+        expect(node('janedoe').getAttribute('aria-expanded')).toBe('true');
+        expect(document.getElementById('personModalTitle').textContent).not.toBe('Jane Doe');
+
+        // The keys belong to the button, which turns them into a click
+        more.click();
+        expect(node('janedoe').querySelectorAll(':scope > ul > [role="treeitem"]')).toHaveLength(100);
+        expect(document.activeElement).toBe(node('agent50'));
+        press('ArrowRight');
+        expect(document.activeElement).toBe(node('agent51'));
+    });
+
+    it('draws a manager loop in the directory once', async () => {
+        const ceo = STUB_ORG.managers[1];
+        server.route('GET /api/Directory/people/janedoe/reports', () => ({
+            status: 200,
+            body: { success: true, data: [ceo, STUB_ORG.jdoe] }
+        }));
+
+        node('janedoe').querySelector('[data-action="toggle"]').click();
+
+        await vi.waitFor(() => expect(node('janedoe').querySelector('[data-action="toggle"]').textContent).toContain('1 report'));
+        expect(node('janedoe').getAttribute('aria-expanded')).toBe('true');
+        expect(nodeNames()).toEqual(['Carla Chief', 'Jane Doe', 'John Doe']);
+    });
+
+    it('opens the person card from a node', () => {
+        node('janedoe').querySelector('.org-node').click();
+
+        expect(document.getElementById('personModalTitle').textContent).toBe('Jane Doe');
+        expect(document.getElementById('personOrgChartLink').getAttribute('href')).toBe('#/org-chart?user=janedoe');
+    });
+
+    it('zooms with the buttons', () => {
+        document.getElementById('orgZoomInBtn').click();
+
+        expect(document.getElementById('orgZoomLevel').textContent).toBe('125%');
+        expect(document.getElementById('orgChartCanvas').style.transform).toContain('scale(1.25)');
+    });
+});
+
+describe('helpdesk', () => {
+    const requestsTo = (key) => server.requests.filter(request => request.key === key);
+
+    // Sign in as helpdesk staff and open bwayne's lockout details
+    async function openLockedAccount() {
+        server.route('POST /api/Auth/login', () => ({
+            status: 200,
+            body: { success: true, sessionId: STUB_SESSION_ID, expiresIn: 1800, user: STUB_HELPDESK_USER }
+        }));
+        await signInToDashboard();
+        window.location.hash = '#/helpdesk';
+        await vi.waitFor(() => expect(isVisible('helpdeskPage')).toBe(true));
+
+        fillIn('helpdeskSearch', 'wayne');
+        await vi.waitFor(() => expect(document.querySelector('#helpdeskResults [data-username="bwayne"]')).not.toBeNull());
+        document.querySelector('#helpdeskResults [data-username="bwayne"]').click();
+        await vi.waitFor(() => expect(isVisible('helpdeskDetails')).toBe(true));
+    }
+
+    it('is hidden from users without the helpdesk role', async () => {
+        await signInToDashboard();
+        expect(isVisible('helpdeskNavItem')).toBe(false);
+
+        window.location.hash = '#/helpdesk';
+
+        await vi.waitFor(() => expect(isVisible('notAuthorizedPage')).toBe(true));
+        expect(window.location.hash).toBe('#/not-authorized?from=%2Fhelpdesk');
+        expect(document.getElementById('notAuthorizedPath').textContent).toBe('/helpdesk');
+        expect(isVisible('helpdeskPage')).toBe(false);
+        expect(requestsTo('GET /api/Helpdesk/users')).toHaveLength(0);
+    });
+
+    it('takes the role from the claims in /Auth/me', async () => {
+        server.route('GET /api/Auth/me', () => ({ status: 200, body: { success: true, data: STUB_HELPDESK_USER } }));
+        await signInToDashboard();
+
+        await vi.waitFor(() => expect(isVisible('helpdeskNavItem')).toBe(true));
+        window.location.hash = '#/helpdesk';
+        await vi.waitFor(() => expect(isVisible('helpdeskPage')).toBe(true));
+    });
+
+    it('leaves the page when the role is taken away', async () => {
+        await openLockedAccount();
+
+        // The app's own store instance (same module graph as the app)
+        const { sessionStore } = await import('../../src/utils/sessionStore.js');
+        sessionStore.setUser(STUB_USER);
+
+        await vi.waitFor(() => expect(isVisible('notAuthorizedPage')).toBe(true));
+        expect(isVisible('helpdeskNavItem')).toBe(false);
+    });
+
+    it('shows the lockout details of a found account', async () => {
+        await openLockedAccount();
+
+        expect(isVisible('helpdeskNavItem')).toBe(true);
+        expect(document.getElementById('helpdeskAccountName').textContent).toBe('Bruce Wayne');
+        const details = document.getElementById('helpdeskLockout').textContent;
+        expect(details).toContain('Locked');
+        expect(details).toContain('DC01.demo.local');
+        expect(details).toMatch(/Bad password count\s*5/);
+        expect(document.getElementById('helpdeskUnlockBtn').disabled).toBe(false);
+    });
+
+    it('unlocks only after a reason is given', async () => {
+        await openLockedAccount();
+
+        document.getElementById('helpdeskUnlockBtn').click();
+        expect(document.getElementById('helpdeskConfirmTitle').textContent).toBe('Unlock Account');
+        expect(isVisible('helpdeskMustChangeGroup')).toBe(false);
+
+        submit('helpdeskConfirmForm');
+        expect(document.getElementById('helpdeskReasonFieldError').textContent).toBe('Please give a reason for this action');
+
+        fillIn('helpdeskReason', 'Caller verified by phone');
+        submit('helpdeskConfirmForm');
+
+        await vi.waitFor(() => expect(requestsTo('POST /api/Helpdesk/users/bwayne/unlock')).toHaveLength(1));
+        expect(requestsTo('POST /api/Helpdesk/users/bwayne/unlock')[0].body).toEqual({ reason: 'Caller verified by phone' });
+    });
+
+    it('resets the password to a generated one and shows it once', async () => {
+        await openLockedAccount();
+
+        document.getElementById('helpdeskResetBtn').click();
+        expect(isVisible('helpdeskMustChangeGroup')).toBe(true);
+        fillIn('helpdeskReason', 'Forgotten password, ticket INC-1234');
+        submit('helpdeskConfirmForm');
+
+        await vi.waitFor(() => expect(isVisible('helpdeskTempPassword')).toBe(true));
+        const [reset] = requestsTo('POST /api/Helpdesk/users/bwayne/reset-password');
+        expect(reset.body).toMatchObject({ mustChangePassword: true, reason: 'Forgotten password, ticket INC-1234' });
+        expect(reset.body.newPassword).toMatch(/^.{14,}$/);
+        expect(document.getElementById('helpdeskTempPasswordValue').textContent).toBe(reset.body.newPassword);
+    });
+
+    it('drops the result of an action that finishes after logout', async () => {
+        let finishReset;
+        server.route('POST /api/Helpdesk/users/bwayne/reset-password', () => new Promise(resolve => {
+            finishReset = () => resolve({ status: 200, body: { success: true, message: 'The password of Bruce Wayne has been reset' } });
+        }));
+        await openLockedAccount();
+
+        document.getElementById('helpdeskResetBtn').click();
+        fillIn('helpdeskReason', 'Forgotten password, ticket INC-1234');
+        submit('helpdeskConfirmForm');
+        await vi.waitFor(() => expect(finishReset).toBeDefined());
+
+        document.getElementById('logoutBtn').click();
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+        const lockoutRequests = requestsTo('GET /api/Helpdesk/users/bwayne/lockout').length;
+
+        finishReset();
+        await vi.waitFor(() => expect(document.getElementById('toastTitle').textContent).toBe('Password Reset'));
+        expect(isVisible('helpdeskTempPassword')).toBe(false);
+        expect(document.getElementById('helpdeskTempPasswordValue').textContent).toBe('');
+        expect(requestsTo('GET /api/Helpdesk/users/bwayne/lockout')).toHaveLength(lockoutRequests);
+    });
+});
+
+describe('activity', () => {
+    async function openActivity() {
+        await signInToDashboard();
+        window.location.hash = '#/activity';
+        await vi.waitFor(() => expect(document.querySelectorAll('#activityTimeline .activity-event')).toHaveLength(25));
+    }
+
+    it('shows the newest page grouped by day and flags suspicious events', async () => {
+        await openActivity();
+
+        expect(document.getElementById('activitySummary').textContent).toContain('Showing 25 of 30 events');
+        expect(document.querySelectorAll('#activityTimeline .activity-day').length).toBeGreaterThan(1);
+        expect(isVisible('activitySuspicious')).toBe(true);
+        expect(document.getElementById('activitySuspicious').textContent).toContain('4 events look suspicious');
+
+        const lisbon = document.querySelector('[data-event-id="a-lisbon"]');
+        expect(lisbon.classList).toContain('activity-suspicious');
+        expect(lisbon.textContent).toContain('Sign-in from a new location');
+        expect(lisbon.textContent).toContain('Safari on iOS');
+        expect(document.querySelector('[data-event-id="a-fail-0"]').textContent).toContain('Many failed sign-ins');
+        expect(document.querySelector('[data-event-id="a-fail-0"]').textContent).toContain('python-requests/2.31');
+        expect(document.querySelector('[data-event-id="a-1"]').classList).not.toContain('activity-suspicious');
+    });
+
+    it('loads older activity onto the end of the timeline', async () => {
+        await openActivity();
+        expect(isVisible('activityMoreBtn')).toBe(true);
+
+        document.getElementById('activityMoreBtn').click();
+
+        await vi.waitFor(() => expect(document.querySelectorAll('#activityTimeline .activity-event')).toHaveLength(30));
+        expect(new URL(server.requests.at(-1).url, 'http://stub').searchParams.get('page')).toBe('2');
+        expect(isVisible('activityMoreBtn')).toBe(false);
+        expect(document.getElementById('activitySummary').textContent).toContain('Showing 30 of 30 events');
+    });
+
+    it('sends the type and date filters', async () => {
+        await openActivity();
+
+        document.getElementById('activityType-signIn').checked = false;
+        fillIn('activityFrom', '2026-03-01');
+        document.getElementById('activityFilters').dispatchEvent(new Event('change', { bubbles: true }));
+
+        await vi.waitFor(() => expect(document.querySelectorAll('#activityTimeline .activity-event')).toHaveLength(3));
+        const params = new URL(server.requests.at(-1).url, 'http://stub').searchParams;
+        expect(params.get('types').split(',')).not.toContain('signIn');
+        expect(params.get('types').split(',')).toContain('signInFailed');
+        expect(params.get('from')).toBe(new Date('2026-03-01T00:00:00').toISOString());
+        expect(params.get('page')).toBe('1');
+    });
+
+    it('rejects a backwards date range without calling the API', async () => {
+        await openActivity();
+        const requests = server.requests.length;
+
+        fillIn('activityFrom', '2026-03-05');
+        fillIn('activityTo', '2026-03-01');
+        document.getElementById('activityFilters').dispatchEvent(new Event('change', { bubbles: true }));
+
+        await vi.waitFor(() => expect(isVisible('activityError')).toBe(true));
+        expect(document.getElementById('activityError').textContent).toContain('start date must be on or before');
+        expect(server.requests).toHaveLength(requests);
+    });
+});
+
+describe('devices and sessions', () => {
+    const requestsTo = (key) => server.requests.filter(request => request.key === key);
+
+    async function openSessions() {
+        await signInToDashboard();
+        window.location.hash = '#/sessions';
+        await vi.waitFor(() => expect(document.querySelectorAll('#sessionsList [data-session-id]')).toHaveLength(3));
+    }
+
+    function revoke(id) {
+        document.querySelector(`[data-revoke-session="${id}"]`).click();
+    }
+
+    it('lists every session with this device first', async () => {
+        await openSessions();
+
+        const items = [...document.querySelectorAll('#sessionsList [data-session-id]')];
+        expect(items.map(item => item.dataset.sessionId)).toEqual(['s-current', 's-laptop', 's-phone']);
+        expect(items[0].textContent).toContain('This device');
+        expect(items[0].textContent).toContain('Chrome on Windows');
+        expect(items[1].textContent).not.toContain('This device');
+        expect(items[1].textContent).toContain('Firefox on macOS');
+        expect(items[1].textContent).toContain('198.51.100.23');
+        expect(document.getElementById('revokeOtherSessionsBtn').disabled).toBe(false);
+    });
+
+    it('signs out another device once confirmed', async () => {
+        await openSessions();
+        server.route('GET /api/Auth/sessions', () => ({
+            status: 200,
+            body: { success: true, data: STUB_SESSIONS.filter(session => session.id !== 's-phone') }
+        }));
+
+        revoke('s-phone');
+        expect(document.getElementById('confirmTitle').textContent).toBe('Sign out this device?');
+        expect(document.getElementById('confirmMessage').textContent).toContain('Safari on iOS');
+        expect(requestsTo('DELETE /api/Auth/sessions/s-phone')).toHaveLength(0);
+
+        document.getElementById('confirmBtn').click();
+
+        await vi.waitFor(() => expect(document.querySelectorAll('#sessionsList [data-session-id]')).toHaveLength(2));
+        expect(requestsTo('DELETE /api/Auth/sessions/s-phone')).toHaveLength(1);
+        expect(localStorage.getItem('sessionId')).toBe(STUB_SESSION_ID);
+    });
+
+    it('sends nothing when the dialog is dismissed', async () => {
+        await openSessions();
+
+        revoke('s-laptop');
+        document.getElementById('confirmModal').dispatchEvent(new Event('hidden.bs.modal'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(server.requests.filter(request => request.key.startsWith('DELETE'))).toHaveLength(0);
+    });
+
+    it('signs out everywhere else and keeps this session', async () => {
+        await openSessions();
+        server.route('GET /api/Auth/sessions', () => ({
+            status: 200,
+            body: { success: true, data: STUB_SESSIONS.filter(session => session.current) }
+        }));
+
+        document.getElementById('revokeOtherSessionsBtn').click();
+        expect(document.getElementById('confirmMessage').textContent).toContain('2 other sessions');
+        document.getElementById('confirmBtn').click();
+
+        await vi.waitFor(() => expect(document.getElementById('revokeOtherSessionsBtn').disabled).toBe(true));
+        expect(requestsTo('DELETE /api/Auth/sessions')).toHaveLength(1);
+        expect(document.querySelectorAll('#sessionsList [data-session-id]')).toHaveLength(1);
+        expect(isVisible('sessionsPage')).toBe(true);
+    });
+
+    it('logs out normally when this device is signed out', async () => {
+        await openSessions();
+
+        revoke('s-current');
+        expect(document.getElementById('confirmTitle').textContent).toBe('Sign out of this device?');
+        document.getElementById('confirmBtn').click();
+
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+        expect(requestsTo('POST /api/Auth/logout')).toHaveLength(1);
+        expect(server.requests.filter(request => request.key.startsWith('DELETE'))).toHaveLength(0);
+        expect(localStorage.getItem('sessionId')).toBeNull();
+    });
+});
+
+describe('security settings', () => {
+    const requestsTo = (key) => server.requests.filter(request => request.key === key);
+
+    async function openSecurity() {
+        await signInToDashboard();
+        window.location.hash = '#/security';
+        await vi.waitFor(() => expect(isVisible('securityContent')).toBe(true));
+    }
+
+    it('shows recovery setup on the dashboard and nudges after login', async () => {
+        await signInToDashboard();
+
+        await vi.waitFor(() => expect(document.getElementById('securitySection').textContent).toContain('2 of 3 complete'));
+        expect(document.querySelector('[data-enrollment="recoveryMobile"] .fa-circle')).not.toBeNull();
+        expect(isVisible('securityNudge')).toBe(true);
+        expect(document.getElementById('securityNudgeMessage').textContent).toContain('Add your mobile number');
+
+        document.getElementById('securityNudgeDismissBtn').click();
+        expect(isVisible('securityNudge')).toBe(false);
+
+        // Stays dismissed for the rest of the session
+        window.location.hash = '#/profile';
+        await vi.waitFor(() => expect(isVisible('profilePage')).toBe(true));
+        window.location.hash = '#/dashboard';
+        await vi.waitFor(() => expect(requestsTo('GET /api/User/security').length).toBeGreaterThan(1));
+        expect(isVisible('securityNudge')).toBe(false);
+    });
+
+    it('keeps the dashboard when the security settings cannot be loaded', async () => {
+        server.route('GET /api/User/security', () => ({ status: 500, body: { success: false } }));
+        await signInToDashboard();
+
+        await vi.waitFor(() => expect(document.getElementById('securitySection').textContent).toContain('could not be loaded'));
+        expect(isVisible('securityNudge')).toBe(false);
+        expect(document.getElementById('profileSection').textContent).toContain(STUB_USER.username);
+    });
+
+    it('saves security questions without ever showing the answers', async () => {
+        await openSecurity();
+
+        const list = document.getElementById('securityQuestionsList');
+        expect(list.querySelectorAll('li')).toHaveLength(3);
+        expect(list.textContent).toContain('first pet');
+
+        document.getElementById('securityQuestionsEditBtn').click();
+        expect(isVisible('securityQuestionsForm')).toBe(true);
+        expect(document.getElementById('securityQuestion-2').value).toBe('firstSchool');
+        expect(document.getElementById('securityAnswer-0').value).toBe('');
+
+        fillIn('securityAnswer-0', 'Rex');
+        fillIn('securityAnswer-1', 'Seattle');
+        fillIn('securityAnswer-2', ' rex');
+        submit('securityQuestionsForm');
+        expect(document.getElementById('securityAnswer-2FieldError').textContent).toBe('Use a different answer for each question');
+        expect(requestsTo('PUT /api/User/security/questions')).toHaveLength(0);
+
+        document.getElementById('securityQuestion-2').value = 'firstCar';
+        fillIn('securityAnswer-2', 'Volvo');
+        submit('securityQuestionsForm');
+
+        await vi.waitFor(() => expect(isVisible('securityQuestionsForm')).toBe(false));
+        expect(requestsTo('PUT /api/User/security/questions')[0].body).toEqual({
+            answers: { firstPet: 'Rex', birthCity: 'Seattle', firstCar: 'Volvo' }
+        });
+        expect(document.getElementById('securityQuestionsList').textContent).toContain('first car');
+        expect(document.getElementById('securityPage').innerHTML).not.toContain('Volvo');
+    });
+
+    it('adds a mobile number once the texted code is confirmed', async () => {
+        await openSecurity();
+        expect(document.getElementById('securityProgressText').textContent).toBe('2 of 3 set up');
+        expect(document.getElementById('securityMobileBadge').textContent).toBe('Not set up');
+
+        document.querySelector('[data-contact-edit="mobile"]').click();
+        fillIn('securityMobile', 'call me');
+        submit('securityMobileForm');
+        expect(document.getElementById('securityMobileFieldError').textContent).toContain('must be a phone number');
+
+        fillIn('securityMobile', '+1 555 010 3000');
+        submit('securityMobileForm');
+        await vi.waitFor(() => expect(isVisible('securityMobileVerifyForm')).toBe(true));
+        expect(requestsTo('POST /api/User/security/recovery-mobile')[0].body).toEqual({ mobile: '+1 555 010 3000' });
+        expect(document.getElementById('securityMobileSent').textContent).toContain('We texted a code to +1 555 010 3000');
+
+        fillIn('securityMobileCode', '654321');
+        submit('securityMobileVerifyForm');
+        await vi.waitFor(() => expect(document.getElementById('securityMobileCodeFieldError').textContent).toBe('The code is not correct'));
+
+        fillIn('securityMobileCode', '123 456');
+        submit('securityMobileVerifyForm');
+        await vi.waitFor(() => expect(document.getElementById('securityMobileBadge').textContent).toBe('Set up'));
+        expect(requestsTo('POST /api/User/security/verify')[1].body).toEqual({ verificationId: 'verification-1', code: STUB_MFA_CODE });
+        expect(document.getElementById('securityMobileCurrent').textContent).toContain('+1 555 010 3000');
+        expect(isVisible('securityMobileVerifyForm')).toBe(false);
+        expect(document.getElementById('securityProgressText').textContent).toBe('3 of 3 set up');
+        expect(isVisible('securityNudge')).toBe(false);
+    });
+
+    it('removes the recovery email once confirmed', async () => {
+        await openSecurity();
+
+        document.querySelector('[data-contact-remove="email"]').click();
+        expect(document.getElementById('confirmTitle').textContent).toBe('Remove recovery email?');
+        expect(document.getElementById('confirmMessage').textContent).toContain(STUB_SECURITY.recoveryEmail);
+        expect(requestsTo('DELETE /api/User/security/recovery-email')).toHaveLength(0);
+        document.getElementById('confirmBtn').click();
+
+        await vi.waitFor(() => expect(document.getElementById('securityEmailBadge').textContent).toBe('Not set up'));
+        expect(requestsTo('DELETE /api/User/security/recovery-email')).toHaveLength(1);
+        expect(isVisible('securityEmailRemoveBtn')).toBe(false);
+    });
+});
+
+describe('logout', () => {
+    const requestsTo = (key) => server.requests.filter(request => request.key === key);
+
+    it('sends one request per click after signing in again', async () => {
+        await signInToDashboard();
+        document.getElementById('logoutBtn').click();
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+
+        await signInToDashboard();
+        expect(requestsTo('POST /api/Auth/login')).toHaveLength(2);
+
+        document.getElementById('logoutBtn').click();
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+        expect(requestsTo('POST /api/Auth/logout')).toHaveLength(2);
+
+        signIn('wrong-password');
+        await vi.waitFor(() => expect(isVisible('loginError')).toBe(true));
+        expect(requestsTo('POST /api/Auth/login')).toHaveLength(3);
+    });
+
+    it('ends the session and returns to login', async () => {
+        await signInToDashboard();
+
+        document.getElementById('logoutBtn').click();
+
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+        expect(localStorage.getItem('sessionId')).toBeNull();
+        expect(isVisible('userNav')).toBe(false);
+        expect(server.requests.map(request => request.key)).toContain('POST /api/Auth/logout');
+    });
+
+    it('logs out after inactivity from the leader tab', async () => {
+        await signInToDashboard();
+
+        await app.handleIdleTimeout();
+
+        expect(isVisible('loginPage')).toBe(true);
+        expect(requestsTo('POST /api/Auth/logout')).toHaveLength(1);
+    });
+
+    it('leaves the logout after inactivity to the leader tab and follows it', async () => {
+        // Another tab holds the leader lease
+        localStorage.setItem('sessionLeader', JSON.stringify({ tabId: 'other-tab', expiresAt: Date.now() + 60000 }));
+        await signInToDashboard();
+
+        await app.handleIdleTimeout();
+        expect(isVisible('dashboardPage')).toBe(true);
+
+        // The leader logs out
+        localStorage.removeItem('sessionId');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('sessionExpiresAt');
+        window.dispatchEvent(new StorageEvent('storage', { key: 'sessionId' }));
+
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+        expect(requestsTo('POST /api/Auth/logout')).toHaveLength(0);
+    });
+});
+
+describe('change password', () => {
+    beforeEach(async () => {
+        await signInToDashboard();
+        window.location.hash = '#/change-password';
+        await vi.waitFor(() => expect(isVisible('changePasswordPage')).toBe(true));
+    });
+
+    it('blocks passwords that break the policy before calling the API', async () => {
+        fillIn('currentPassword', STUB_PASSWORD);
+        fillIn('newPasswordChange', 'short');
+        fillIn('confirmPasswordChange', 'short');
+        submit('changePasswordForm');
+
+        await vi.waitFor(() => expect(document.getElementById('newPasswordChangeFieldError').textContent).not.toBe(''));
+        expect(server.requests.map(request => request.key)).not.toContain('POST /api/User/change-password');
+    });
+
+    it('shows the server error on the current password field', async () => {
+        fillIn('currentPassword', 'not-my-password');
+        fillIn('newPasswordChange', 'Summit#42climb');
+        fillIn('confirmPasswordChange', 'Summit#42climb');
+        submit('changePasswordForm');
+
+        await vi.waitFor(() => expect(document.getElementById('currentPasswordFieldError').textContent)
+            .toContain('Current password is incorrect'));
+    });
+
+    it('changes the password and signs out', async () => {
+        fillIn('currentPassword', STUB_PASSWORD);
+        fillIn('newPasswordChange', 'Summit#42climb');
+        fillIn('confirmPasswordChange', 'Summit#42climb');
+        submit('changePasswordForm');
+
+        await vi.waitFor(() => expect(isVisible('passwordSuccess')).toBe(true));
+        const request = server.requests.find(entry => entry.key === 'POST /api/User/change-password');
+        expect(request.body).toEqual({ currentPassword: STUB_PASSWORD, newPassword: 'Summit#42climb' });
+
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true), { timeout: 4000 });
+    });
+});
+
+describe('session expiry', () => {
+    it('returns to login when the session runs out', async () => {
+        server.route('POST /api/Auth/login', () => ({
+            status: 200,
+            body: { success: true, sessionId: STUB_SESSION_ID, expiresIn: 2, user: STUB_USER }
+        }));
+        server.route('GET /api/Auth/validate', () => ({
+            status: 200,
+            body: { success: true, sessionId: STUB_SESSION_ID, expiresIn: 2 }
+        }));
+
+        await signInToDashboard();
+
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true), { timeout: 5000 });
+        expect(localStorage.getItem('sessionId')).toBeNull();
+        expect(document.getElementById('toastTitle').textContent).toBe('Session Expired');
+    });
+
+    it('returns to login when the server rejects the session and refresh fails', async () => {
+        await signInToDashboard();
+        server.route('GET /api/User/profile', () => ({ status: 401, body: { success: false, message: 'Session expired' } }));
+        server.route('POST /api/Auth/refresh', () => ({ status: 401, body: { success: false, message: 'Session expired' } }));
+
+        window.location.hash = '#/profile';
+
+        await vi.waitFor(() => expect(isVisible('loginPage')).toBe(true));
+        expect(window.location.hash).toBe('#/login?redirect=%2Fprofile');
+        expect(document.getElementById('toastTitle').textContent).toBe('Session Ended');
+    });
+});
@@ -0,0 +1,18 @@
+// Frontend/tests/setup.js
+
+import { afterEach } from 'vitest';
+import * as bootstrap from 'bootstrap';
+
+// index.html loads Bootstrap from the CDN as a global
+window.bootstrap = bootstrap;
+
+afterEach(async () => {
+    // An open modal keeps trapping focus on the document after its markup is
+    // gone: let its show transition finish, then dispose of it
+    if (document.body.classList.contains('modal-open')) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        document.querySelectorAll('.modal').forEach(element => bootstrap.Modal.getInstance(element)?.dispose());
+    }
+    localStorage.clear();
+    document.body.innerHTML = '';
+});
@@ -0,0 +1,44 @@
+// Frontend/tests/support/loadApp.js
+
+// Boots the real app against a stub server: index.html markup, a fresh module
+// graph (so every singleton starts clean) and fetch resolving relative URLs the
+// way the browser does.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { vi } from 'vitest';
+
+const INDEX_HTML = fs.readFileSync(path.resolve(__dirname, '../../public/index.html'), 'utf8');
+const nodeFetch = globalThis.fetch;
+
+export function renderIndexHtml() {
+    const body = INDEX_HTML.match(/<body[^>]*>([\s\S]*)<\/body>/i)[1];
+    document.body.innerHTML = body.replace(/<script[\s\S]*?<\/script>/gi, '');
+}
+
+// Load app.js with its modules re-evaluated; resolves once startup is done
+export async function loadApp(server, { hash = '' } = {}) {
+    renderIndexHtml();
+    window.location.hash = hash;
+    vi.stubGlobal('fetch', (input, init) => nodeFetch(new URL(input, `${server.url}/`), init));
+    vi.resetModules();
+
+    const { default: app } = await import('../../src/app.js');
+    await app.ready;
+    return app;
+}
+
+export function isVisible(id) {
+    const element = document.getElementById(id);
+    return !!element && !element.classList.contains('d-none');
+}
+
+export function fillIn(id, value) {
+    const input = document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+export function submit(formId) {
+    document.getElementById(formId).dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
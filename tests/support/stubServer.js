@@ -0,0 +1,440 @@
+// Frontend/tests/support/stubServer.js
+
+// Local HTTP stub of the REST API for integration tests. Serves config.json
+// (pointing api.baseUrl at itself) and canned /api responses; tests override
+// single routes with server.route('POST /api/Auth/login', handler).
+
+import http from 'node:http';
+
+export const STUB_PASSWORD = 'Passw0rd!';
+export const STUB_SESSION_ID = 'stub-session-0001';
+
+export const STUB_USER = {
+    username: 'jdoe',
+    displayName: 'John Doe',
+    firstName: 'John',
+    lastName: 'Doe',
+    email: 'jdoe@demo.local',
+    telephoneNumber: '+1 555 010 2000',
+    physicalDeliveryOfficeName: 'HQ, Floor 3',
+    title: 'Analyst',
+    isEnabled: true,
+    lastLogin: '2026-01-01T08:00:00Z',
+    passwordLastSet: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString()
+};
+
+const groupDn = (name) => `CN=${name},OU=Groups,DC=demo,DC=local`;
+
+export const STUB_GROUPS = [
+    { name: 'Finance', type: 'security', scope: 'global', direct: true, memberOf: [groupDn('Finance Share RW')] },
+    { name: 'VPN Users', type: 'security', scope: 'global', direct: true, memberOf: [] },
+    { name: 'Finance Share RW', type: 'security', scope: 'domainLocal', direct: false, memberOf: [groupDn('All Staff')] },
+    { name: 'All Staff', type: 'distribution', scope: 'universal', direct: false, memberOf: [] }
+].map(group => ({ ...group, distinguishedName: groupDn(group.name), description: `${group.name} group` }));
+
+export const STUB_PEOPLE = [
+    ['jdoe', 'John Doe', 'Analyst', 'Finance', 'HQ, Floor 3'],
+    ['janedoe', 'Jane Doe', 'Finance Director', 'Finance', 'HQ, Floor 3'],
+    ['jtaylor', 'James Taylor', 'Account Executive', 'Sales', 'London'],
+    ['rpatel', 'Raj Patel', 'IT Manager', 'IT', 'HQ, Floor 2']
+].map(([username, displayName, title, department, office]) => ({
+    username,
+    displayName,
+    title,
+    department,
+    physicalDeliveryOfficeName: office,
+    email: `${username}@demo.local`,
+    telephoneNumber: '+1 555 010 2000',
+    manager: username === 'jdoe' ? { username: 'janedoe', displayName: 'Jane Doe' } : null
+}));
+
+// Org chart: jdoe reports to Jane Doe (a team of 120), who reports to the CEO
+const orgPerson = (username, displayName, title, directReportCount = 0) => ({ username, displayName, title, directReportCount });
+
+export const STUB_ORG = {
+    jdoe: orgPerson('jdoe', 'John Doe', 'Analyst'),
+    managers: [
+        orgPerson('janedoe', 'Jane Doe', 'Finance Director', 120),
+        orgPerson('ceo', 'Carla Chief', 'Chief Executive Officer', 1)
+    ],
+    team: [
+        orgPerson('jdoe', 'John Doe', 'Analyst'),
+        ...Array.from({ length: 119 }, (_, index) => orgPerson(`agent${index + 1}`, `Agent ${index + 1}`, 'Support Agent'))
+    ]
+};
+
+// Helpdesk: a locked-out account (a real backend only answers STUB_HELPDESK_USER;
+// the stub only checks the session)
+export const STUB_HELPDESK_USER = { ...STUB_USER, roles: ['helpdesk'] };
+
+export const STUB_LOCKOUT = {
+    username: 'bwayne',
+    displayName: 'Bruce Wayne',
+    email: 'bwayne@demo.local',
+    department: 'IT',
+    isEnabled: true,
+    isLocked: true,
+    badPasswordCount: 5,
+    lastBadPasswordAttempt: '2026-03-02T09:14:00Z',
+    lockoutTime: '2026-03-02T09:14:00Z',
+    lockoutSource: 'DC01.demo.local',
+    passwordLastSet: '2026-02-01T08:00:00Z',
+    mustChangePassword: false
+};
+
+// Activity, newest first: a burst of failed sign-ins and a sign-in from a new
+// location on top of a month of ordinary sign-ins (30 events, two pages)
+const DESKTOP_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const activityAt = (id, type, timestamp, overrides = {}) => ({
+    id, type, timestamp, ipAddress: '203.0.113.24', location: 'Seattle, US', client: DESKTOP_AGENT, ...overrides
+});
+
+export const STUB_ACTIVITY = [
+    activityAt('a-lisbon', 'signIn', '2026-03-03T09:00:00Z', {
+        ipAddress: '198.51.100.7', location: 'Lisbon, PT', client: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) Version/17.4 Mobile/15E148 Safari/604.1'
+    }),
+    ...[4, 2, 0].map(minute => activityAt(`a-fail-${minute}`, 'signInFailed', `2026-03-02T02:0${minute}:00Z`, {
+        ipAddress: '192.0.2.50', location: 'Lagos, NG', client: 'python-requests/2.31'
+    })),
+    ...Array.from({ length: 26 }, (_, index) => activityAt(
+        `a-${index + 1}`, 'signIn', new Date(Date.UTC(2026, 2, 1, 8, 30) - index * 86400000).toISOString()
+    ))
+];
+
+// Account recovery: jdoe answers two security questions (or uses the emailed
+// code STUB_MFA_CODE) and gets a reset token
+export const STUB_RECOVERY = {
+    recoveryId: 'recovery-1',
+    resetToken: 'reset-1',
+    questions: [
+        { id: 'firstPet', text: 'What was the name of your first pet?' },
+        { id: 'birthCity', text: 'In which city were you born?' }
+    ],
+    answers: { firstPet: 'Rex', birthCity: 'Seattle' }
+};
+
+// Recovery methods enrolled by jdoe: questions and email, no mobile number yet
+export const STUB_SECURITY = {
+    questions: {
+        catalog: [
+            { id: 'firstPet', text: 'What was the name of your first pet?' },
+            { id: 'birthCity', text: 'In which city were you born?' },
+            { id: 'firstSchool', text: 'What was the name of your first school?' },
+            { id: 'firstCar', text: 'What was the make of your first car?' }
+        ],
+        enrolled: ['firstPet', 'birthCity', 'firstSchool'],
+        required: 3
+    },
+    recoveryEmail: 'john.doe@example.com',
+    recoveryMobile: null
+};
+
+// Sessions as listed by /Auth/sessions: ids are revocation handles, not session IDs
+export const STUB_SESSIONS = [
+    {
+        id: 's-laptop',
+        createdAt: '2026-03-02T08:00:00Z',
+        lastActivity: '2026-03-02T17:30:00Z',
+        expiresAt: '2026-03-09T08:00:00Z',
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:127.0) Gecko/20100101 Firefox/127.0',
+        ipAddress: '198.51.100.23',
+        location: 'Portland, US',
+        current: false
+    },
+    {
+        id: 's-current',
+        createdAt: '2026-03-03T09:00:00Z',
+        lastActivity: '2026-03-03T09:05:00Z',
+        expiresAt: '2026-03-03T09:35:00Z',
+        userAgent: DESKTOP_AGENT,
+        ipAddress: '203.0.113.24',
+        location: 'Seattle, US',
+        current: true
+    },
+    {
+        id: 's-phone',
+        createdAt: '2026-02-28T07:00:00Z',
+        lastActivity: '2026-03-01T21:00:00Z',
+        expiresAt: '2026-03-07T07:00:00Z',
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) Version/17.4 Mobile/15E148 Safari/604.1',
+        ipAddress: '203.0.113.80',
+        location: 'Seattle, US',
+        current: false
+    }
+];
+
+function activityPage(query) {
+    const params = new URLSearchParams(query);
+    const page = Number(params.get('page')) || 1;
+    const pageSize = Number(params.get('pageSize')) || 25;
+    const types = (params.get('types') || '').split(',').filter(Boolean);
+    const items = STUB_ACTIVITY.filter(event => !types.length || types.includes(event.type));
+
+    return {
+        items: items.slice((page - 1) * pageSize, page * pageSize),
+        total: items.length,
+        page,
+        pageSize,
+        hasMore: page * pageSize < items.length
+    };
+}
+
+// Second sign-in step: tests make /Auth/login answer with a challenge
+export const STUB_MFA_CODE = '123456';
+
+export function stubMfaChallenge(overrides = {}) {
+    return {
+        challengeId: 'challenge-1',
+        method: 'totp',
+        methods: ['totp', 'email'],
+        destination: null,
+        expiresIn: 300,
+        ...overrides
+    };
+}
+
+// Substring match on name plus exact filters, like the real endpoint
+function searchPeople(query) {
+    const params = new URLSearchParams(query);
+    const q = (params.get('q') || '').toLowerCase();
+    const page = Number(params.get('page')) || 1;
+    const pageSize = Number(params.get('pageSize')) || 10;
+    const matches = STUB_PEOPLE
+        .filter(person => person.displayName.toLowerCase().includes(q))
+        .filter(person => ['department', 'title'].every(name => !params.get(name) || person[name] === params.get(name)))
+        .filter(person => !params.get('office') || person.physicalDeliveryOfficeName === params.get('office'));
+
+    return {
+        items: matches.slice((page - 1) * pageSize, page * pageSize),
+        total: matches.length,
+        page,
+        pageSize,
+        facets: {
+            departments: [...new Set(STUB_PEOPLE.map(person => person.department))].sort(),
+            offices: [...new Set(STUB_PEOPLE.map(person => person.physicalDeliveryOfficeName))].sort(),
+            titles: [...new Set(STUB_PEOPLE.map(person => person.title))].sort()
+        }
+    };
+}
+
+function json(status, body) {
+    return { status, body };
+}
+
+function sessionResponse(expiresIn = 1800) {
+    return {
+        success: true,
+        sessionId: STUB_SESSION_ID,
+        expiresIn,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+}
+
+// Handlers get { body, headers, url } and return { status, body, headers? }
+function createDefaultRoutes(origin) {
+    const requireSession = (handler) => (request) => (
+        request.headers['x-session-id'] === STUB_SESSION_ID
+            ? handler(request)
+            : json(401, { success: false, message: 'Session not found' })
+    );
+
+    return {
+        'GET /config.json': () => json(200, {
+            environment: 'test',
+            api: { baseUrl: `${origin}/api`, retries: 0 },
+            ui: { toastDurationMs: 1000 }
+        }),
+        'POST /api/Auth/login': ({ body }) => (
+            body.username === STUB_USER.username && body.password === STUB_PASSWORD
+                ? json(200, { ...sessionResponse(), user: STUB_USER, message: 'Login successful' })
+                : json(401, { success: false, message: 'Invalid username or password' })
+        ),
+        'POST /api/Auth/mfa/verify': ({ body }) => (
+            body.code === STUB_MFA_CODE
+                ? json(200, { ...sessionResponse(), user: STUB_USER, ...(body.trustDevice ? { trustedDeviceToken: 'device-1' } : {}) })
+                : json(400, { success: false, errorCode: 'INVALID_MFA_CODE', message: 'The code is not correct. Please try again.' })
+        ),
+        'POST /api/Auth/mfa/resend': ({ body }) => json(200, {
+            success: true,
+            challenge: stubMfaChallenge({ method: body.method, destination: body.method === 'email' ? 'j***@demo.local' : null }),
+            message: 'A new code has been sent'
+        }),
+        'POST /api/Recovery/start': ({ body }) => json(200, {
+            success: true,
+            data: {
+                recoveryId: STUB_RECOVERY.recoveryId,
+                action: body.action,
+                methods: ['questions', 'email'],
+                questions: STUB_RECOVERY.questions
+            }
+        }),
+        'POST /api/Recovery/send-code': () => json(200, { success: true, data: { destination: 'j***@example.com' } }),
+        'POST /api/Recovery/verify': ({ body }) => {
+            const verified = body.method === 'questions'
+                ? Object.entries(STUB_RECOVERY.answers).every(([id, answer]) => body.answers?.[id] === answer)
+                : body.code === STUB_MFA_CODE;
+            return verified
+                ? json(200, {
+                    success: true,
+                    data: {
+                        resetToken: STUB_RECOVERY.resetToken,
+                        username: STUB_USER.username,
+                        displayName: STUB_USER.displayName,
+                        passwordPolicy: { minLength: 8, complexityEnabled: true, historyCount: 24 }
+                    }
+                })
+                : json(400, { success: false, errorCode: 'RECOVERY_VERIFICATION_FAILED', message: 'The answers do not match our records', attemptsRemaining: 2 });
+        },
+        'POST /api/Recovery/reset-password': () => json(200, { success: true, message: 'Your password has been reset. You can sign in with it now.' }),
+        'POST /api/Recovery/unlock': () => json(200, { success: true, message: 'Your account has been unlocked. You can sign in again.' }),
+        'POST /api/Auth/logout': () => json(200, { success: true }),
+        'GET /api/Auth/validate': requireSession(() => json(200, sessionResponse())),
+        'GET /api/Auth/me': requireSession(() => json(200, { success: true, data: STUB_USER })),
+        'POST /api/Auth/refresh': requireSession(() => json(200, sessionResponse())),
+        'GET /api/Auth/sessions': requireSession(() => json(200, { success: true, data: STUB_SESSIONS })),
+        'DELETE /api/Auth/sessions/s-phone': requireSession(() => json(200, { success: true, message: 'The session has been signed out' })),
+        'DELETE /api/Auth/sessions': requireSession(() => json(200, {
+            success: true,
+            data: { revoked: 2 },
+            message: 'Signed out of 2 other sessions'
+        })),
+        'GET /api/User/profile': requireSession(() => json(200, { success: true, data: STUB_USER })),
+        'GET /api/User/profile-fields': requireSession(() => json(200, {
+            success: true,
+            data: [
+                { name: 'telephoneNumber', editable: true, maxLength: 64 },
+                { name: 'mobile', editable: true, maxLength: 64 },
+                { name: 'physicalDeliveryOfficeName', editable: true, maxLength: 128 },
+                { name: 'title', editable: false }
+            ]
+        })),
+        'PATCH /api/User/profile': requireSession(({ body }) => json(200, {
+            success: true,
+            data: { ...STUB_USER, ...body }
+        })),
+        'GET /api/User/photo': requireSession(() => json(200, { success: true, data: { photo: null } })),
+        'PUT /api/User/photo': requireSession(() => json(200, { success: true })),
+        'DELETE /api/User/photo': requireSession(() => json(200, { success: true })),
+        'GET /api/User/groups': requireSession(() => json(200, { success: true, data: STUB_GROUPS })),
+        'GET /api/Directory/search': requireSession(({ url }) => json(200, {
+            success: true,
+            data: searchPeople(new URL(url, origin).search)
+        })),
+        'GET /api/Directory/people/jdoe/org': requireSession(() => json(200, {
+            success: true,
+            data: { person: STUB_ORG.jdoe, managers: STUB_ORG.managers }
+        })),
+        'GET /api/Directory/people/janedoe/reports': requireSession(() => json(200, { success: true, data: STUB_ORG.team })),
+        'GET /api/Helpdesk/users': requireSession(({ url }) => {
+            const q = (new URL(url, origin).searchParams.get('q') || '').toLowerCase();
+            const { username, displayName, email, department, isEnabled, isLocked } = STUB_LOCKOUT;
+            return json(200, {
+                success: true,
+                data: displayName.toLowerCase().includes(q) ? [{ username, displayName, email, department, isEnabled, isLocked }] : []
+            });
+        }),
+        'GET /api/Helpdesk/users/bwayne/lockout': requireSession(() => json(200, { success: true, data: STUB_LOCKOUT })),
+        'POST /api/Helpdesk/users/bwayne/unlock': requireSession(() => json(200, { success: true, message: 'Bruce Wayne has been unlocked' })),
+        'POST /api/Helpdesk/users/bwayne/reset-password': requireSession(() => json(200, {
+            success: true,
+            message: 'The password of Bruce Wayne has been reset'
+        })),
+        'GET /api/User/account-status': requireSession(() => json(200, {
+            success: true,
+            data: { username: STUB_USER.username, isLocked: false, lastLogin: STUB_USER.lastLogin }
+        })),
+        'GET /api/User/activity': requireSession(({ url }) => json(200, {
+            success: true,
+            data: activityPage(new URL(url, origin).search)
+        })),
+        'GET /api/User/security': requireSession(() => json(200, { success: true, data: STUB_SECURITY })),
+        'PUT /api/User/security/questions': requireSession(({ body }) => json(200, {
+            success: true,
+            message: 'Security questions saved',
+            data: { ...STUB_SECURITY, questions: { ...STUB_SECURITY.questions, enrolled: Object.keys(body.answers) } }
+        })),
+        'POST /api/User/security/recovery-mobile': requireSession(({ body }) => json(200, {
+            success: true,
+            message: `We texted a code to ${body.mobile}`,
+            data: { verificationId: 'verification-1', channel: 'mobile', destination: body.mobile }
+        })),
+        'POST /api/User/security/verify': requireSession(({ body }) => (
+            body.code === STUB_MFA_CODE
+                ? json(200, {
+                    success: true,
+                    message: 'Your mobile number is verified',
+                    data: { ...STUB_SECURITY, recoveryMobile: '+1 555 010 3000' }
+                })
+                : json(400, { success: false, errorCode: 'INVALID_CODE', message: 'The code is not correct' })
+        )),
+        'DELETE /api/User/security/recovery-email': requireSession(() => json(200, {
+            success: true,
+            message: 'Your recovery email has been removed',
+            data: { ...STUB_SECURITY, recoveryEmail: null }
+        })),
+        'GET /api/User/password-policy': requireSession(() => json(200, {
+            success: true,
+            data: { minLength: 8, complexityEnabled: true, historyCount: 24, maxAgeDays: 42, minAgeDays: 1 }
+        })),
+        'POST /api/User/change-password': requireSession(({ body }) => (
+            body.currentPassword === STUB_PASSWORD
+                ? json(200, { success: true, message: 'Password changed successfully' })
+                : json(400, { success: false, errorCode: 'INVALID_CURRENT_PASSWORD', message: 'The current password is incorrect' })
+        ))
+    };
+}
+
+function readBody(request) {
+    return new Promise((resolve) => {
+        let data = '';
+        request.on('data', chunk => { data += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch {
+                resolve({});
+            }
+        });
+    });
+}
+
+// Start the stub on a free port. Resolves to { url, requests, route, close }.
+export async function startStubServer() {
+    const requests = [];
+    let routes = {};
+
+    const server = http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const body = await readBody(request);
+        const key = `${request.method} ${pathname}`;
+        requests.push({ key, url: request.url, body, headers: request.headers });
+
+        const handler = routes[key];
+        const result = handler
+            ? await handler({ body, headers: request.headers, url: request.url })
+            : json(404, { success: false, message: `No stub for ${key}` });
+
+        response.writeHead(result.status, { 'Content-Type': 'application/json', ...result.headers });
+        response.end(JSON.stringify(result.body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    routes = createDefaultRoutes(url);
+
+    return {
+        url,
+        requests,
+        // Replace (or add) the handler for "METHOD /path"
+        route(key, handler) {
+            routes[key] = handler;
+        },
+        reset() {
+            routes = createDefaultRoutes(url);
+            requests.length = 0;
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,93 @@
+// Frontend/tests/unit/activity.test.js
+
+import { describe, it, expect } from 'vitest';
+import { flagSuspicious, groupByDay, toActivityRange, activityType } from '../../src/utils/activity.js';
+import { describeClient } from '../../src/utils/userAgent.js';
+
+const event = (id, type, timestamp, location = 'Seattle, US') => ({ id, type, timestamp, location });
+
+describe('flagSuspicious', () => {
+    it('flags a sign-in from a location no earlier sign-in came from', () => {
+        const flags = flagSuspicious([
+            event('3', 'signIn', '2026-03-03T09:00:00Z', 'Lisbon, PT'),
+            event('2', 'signIn', '2026-03-02T09:00:00Z'),
+            event('1', 'signIn', '2026-03-01T09:00:00Z')
+        ]);
+
+        expect(flags.get('3')).toEqual(['newLocation']);
+        expect(flags.has('2')).toBe(false);
+        expect(flags.has('1')).toBe(false);
+    });
+
+    it('flags failed sign-ins only when enough fall within the window', () => {
+        const flags = flagSuspicious([
+            event('late', 'signInFailed', '2026-03-02T05:00:00Z'),
+            event('f3', 'signInFailed', '2026-03-02T02:14:00Z'),
+            event('f2', 'signInFailed', '2026-03-02T02:05:00Z'),
+            event('f1', 'signInFailed', '2026-03-02T02:00:00Z'),
+            event('lone', 'signInFailed', '2026-03-01T12:00:00Z')
+        ]);
+
+        expect(['f1', 'f2', 'f3'].map(id => flags.get(id))).toEqual(Array(3).fill(['manyFailures']));
+        expect(flags.has('late')).toBe(false);
+        expect(flags.has('lone')).toBe(false);
+    });
+
+    it('keeps the flags sent by the backend', () => {
+        const flags = flagSuspicious([{ ...event('1', 'passwordReset', '2026-03-01T09:00:00Z'), flags: ['newLocation'] }]);
+
+        expect(flags.get('1')).toEqual(['newLocation']);
+    });
+});
+
+describe('groupByDay', () => {
+    it('groups consecutive events of the same local day', () => {
+        const days = groupByDay([
+            event('3', 'signIn', new Date(2026, 2, 2, 18).toISOString()),
+            event('2', 'signIn', new Date(2026, 2, 2, 8).toISOString()),
+            event('1', 'signIn', new Date(2026, 2, 1, 8).toISOString())
+        ]);
+
+        expect(days.map(day => day.events.map(item => item.id))).toEqual([['3', '2'], ['1']]);
+        expect(days[0].day).toBe(new Date(2026, 2, 2).toDateString());
+    });
+});
+
+describe('toActivityRange', () => {
+    it('covers the whole of both days', () => {
+        expect(toActivityRange('2026-03-01', '2026-03-02')).toEqual({
+            from: new Date(2026, 2, 1).toISOString(),
+            to: new Date(2026, 2, 2, 23, 59, 59, 999).toISOString()
+        });
+        expect(toActivityRange('', '')).toEqual({ from: undefined, to: undefined });
+    });
+
+    it('rejects a backwards range', () => {
+        expect(toActivityRange('2026-03-02', '2026-03-01').error).toBe('The start date must be on or before the end date');
+    });
+});
+
+describe('activityType', () => {
+    it('falls back to the raw type name', () => {
+        expect(activityType('signIn').label).toBe('Sign-in');
+        expect(activityType('mfaEnrolled')).toEqual({ label: 'mfaEnrolled', icon: 'fa-circle' });
+    });
+});
+
+describe('describeClient', () => {
+    it('names the browser and operating system', () => {
+        expect(describeClient('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36 Edg/126.0'))
+            .toBe('Edge on Windows');
+        expect(describeClient('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_4) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15'))
+            .toBe('Safari on macOS');
+        expect(describeClient('Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 CriOS/126.0 Mobile/15E148 Safari/604.1'))
+            .toBe('Chrome on iOS');
+        expect(describeClient('Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0')).toBe('Firefox on Linux');
+    });
+
+    it('falls back to the product token for tools', () => {
+        expect(describeClient('python-requests/2.31.0')).toBe('python-requests/2.31.0');
+        expect(describeClient('')).toBe('Unknown client');
+        expect(describeClient(undefined)).toBe('Unknown client');
+    });
+});
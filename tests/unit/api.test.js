@@ -0,0 +1,366 @@
+// Frontend/tests/unit/api.test.js
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    ApiService,
+    ApiError,
+    AuthError,
+    ValidationError,
+    ServerError,
+    NetworkError,
+    PermissionError,
+    RateLimitError,
+    RequestCancelledError
+} from '../../src/services/api.js';
+import { sessionStore } from '../../src/utils/sessionStore.js';
+import { config } from '../../src/utils/config.js';
+
+const BASE_URL = 'https://ad-portal.test/api';
+
+function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+describe('ApiService.request', () => {
+    let service;
+    let transport;
+
+    beforeEach(() => {
+        config.set({ api: { baseUrl: BASE_URL, retries: 0 } });
+        sessionStore.clear();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        transport = vi.fn(async () => jsonResponse(200, { success: true }));
+        service = new ApiService();
+        service.setTransport(transport);
+    });
+
+    it('prefixes the base URL and parses JSON responses', async () => {
+        transport.mockResolvedValueOnce(jsonResponse(200, { success: true, data: { username: 'jdoe' } }));
+
+        const result = await service.request('/User/profile');
+
+        expect(transport.mock.calls[0][0]).toBe(`${BASE_URL}/User/profile`);
+        expect(result).toEqual({ success: true, data: { username: 'jdoe' } });
+    });
+
+    it('wraps non-JSON bodies in a message', async () => {
+        transport.mockResolvedValueOnce(new Response('OK', { status: 200, headers: { 'Content-Type': 'text/plain' } }));
+
+        await expect(service.request('/health')).resolves.toEqual({ message: 'OK' });
+    });
+
+    it('throws an ApiError when a JSON body cannot be parsed', async () => {
+        transport.mockResolvedValueOnce(new Response('{not json', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+
+        await expect(service.request('/User/profile')).rejects.toBeInstanceOf(ApiError);
+    });
+
+    it('sends the session ID and a correlation ID when signed in', async () => {
+        sessionStore.setSessionId('session-123');
+
+        await service.request('/User/profile');
+
+        const { headers } = transport.mock.calls[0][1];
+        expect(headers['X-Session-ID']).toBe('session-123');
+        expect(headers['X-Correlation-ID']).toEqual(expect.any(String));
+        expect(headers['Content-Type']).toBe('application/json');
+    });
+
+    it('omits the session header without a session', async () => {
+        await service.request('/Auth/login', { method: 'POST' });
+
+        expect(transport.mock.calls[0][1].headers).not.toHaveProperty('X-Session-ID');
+    });
+
+    it('maps validation failures to ValidationError with code and field errors', async () => {
+        transport.mockResolvedValueOnce(jsonResponse(400, {
+            errorCode: 'PASSWORD_POLICY_VIOLATION',
+            message: 'Password too weak',
+            errors: { NewPassword: ['Too short'] }
+        }, { 'X-Correlation-ID': 'server-correlation' }));
+
+        const error = await service.request('/User/change-password', { method: 'POST' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.status).toBe(400);
+        expect(error.code).toBe('PASSWORD_POLICY_VIOLATION');
+        expect(error.message).toBe('Password too weak');
+        expect(error.correlationId).toBe('server-correlation');
+        expect(Object.keys(error.fields)).toHaveLength(1);
+    });
+
+    it('maps 429 to RateLimitError with the Retry-After seconds', async () => {
+        transport
+            .mockResolvedValueOnce(jsonResponse(429, { errorCode: 'TOO_MANY_ATTEMPTS', message: 'Slow down' }, { 'Retry-After': '45' }))
+            .mockResolvedValueOnce(jsonResponse(429, { message: 'Slow down', retryAfter: 900 }));
+
+        const fromHeader = await service.request('/Recovery/send-code', { method: 'POST' }).catch(e => e);
+        const fromBody = await service.request('/Recovery/verify', { method: 'POST' }).catch(e => e);
+
+        expect(fromHeader).toBeInstanceOf(RateLimitError);
+        expect(fromHeader.status).toBe(429);
+        expect(fromHeader.code).toBe('TOO_MANY_ATTEMPTS');
+        expect(fromHeader.retryAfter).toBe(45);
+        expect(fromBody.retryAfter).toBe(900);
+    });
+
+    it('maps 5xx responses to ServerError', async () => {
+        transport.mockResolvedValueOnce(jsonResponse(500, { message: 'Boom' }));
+
+        await expect(service.request('/User/profile')).rejects.toBeInstanceOf(ServerError);
+    });
+
+    it('maps transport failures to NetworkError', async () => {
+        transport.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+        await expect(service.request('/User/profile')).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    it('retries idempotent requests on 503', async () => {
+        vi.useFakeTimers();
+        try {
+            transport
+                .mockResolvedValueOnce(jsonResponse(503, { message: 'Unavailable' }))
+                .mockResolvedValueOnce(jsonResponse(200, { success: true }));
+
+            const pending = service.request('/User/profile', { retries: 1 });
+            await vi.runAllTimersAsync();
+
+            await expect(pending).resolves.toEqual({ success: true });
+            expect(transport).toHaveBeenCalledTimes(2);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('leaves no abort listeners on the caller\'s signal after retrying', async () => {
+        vi.useFakeTimers();
+        try {
+            const { signal } = new AbortController();
+            const added = vi.spyOn(signal, 'addEventListener');
+            const removed = vi.spyOn(signal, 'removeEventListener');
+            transport
+                .mockResolvedValueOnce(jsonResponse(503, { message: 'Unavailable' }))
+                .mockResolvedValueOnce(jsonResponse(503, { message: 'Unavailable' }))
+                .mockResolvedValueOnce(jsonResponse(200, { success: true }));
+
+            const pending = service.request('/User/profile', { retries: 2, signal });
+            await vi.runAllTimersAsync();
+
+            await expect(pending).resolves.toEqual({ success: true });
+            expect(added.mock.calls.length).toBeGreaterThan(3);
+            expect(removed.mock.calls.map(([, listener]) => listener))
+                .toEqual(expect.arrayContaining(added.mock.calls.map(([, listener]) => listener)));
+            expect(removed).toHaveBeenCalledTimes(added.mock.calls.length);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('does not retry POST requests', async () => {
+        transport.mockResolvedValueOnce(jsonResponse(503, { message: 'Unavailable' }));
+
+        await expect(service.request('/User/change-password', { method: 'POST', retries: 2 })).rejects.toBeInstanceOf(ServerError);
+        expect(transport).toHaveBeenCalledTimes(1);
+    });
+
+    it('refreshes once on 401 and replays the request', async () => {
+        sessionStore.setSessionId('expired-session');
+        transport
+            .mockResolvedValueOnce(jsonResponse(401, { message: 'Session expired' }))
+            .mockResolvedValueOnce(jsonResponse(200, { success: true, sessionId: 'renewed-session', expiresIn: 1800 }))
+            .mockResolvedValueOnce(jsonResponse(200, { success: true, data: 'replayed' }));
+
+        const result = await service.request('/User/profile');
+
+        expect(result.data).toBe('replayed');
+        expect(transport.mock.calls[1][0]).toBe(`${BASE_URL}/Auth/refresh`);
+        expect(transport.mock.calls[2][1].headers['X-Session-ID']).toBe('renewed-session');
+    });
+
+    it('never tries a refresh for recovery endpoints', async () => {
+        sessionStore.setSessionId('stale-session');
+        transport.mockResolvedValueOnce(jsonResponse(401, { errorCode: 'RECOVERY_EXPIRED', message: 'Expired' }));
+
+        await expect(service.request('/Recovery/verify', { method: 'POST' })).rejects.toBeInstanceOf(AuthError);
+        expect(transport).toHaveBeenCalledTimes(1);
+        expect(sessionStore.getSessionId()).toBe('stale-session');
+    });
+
+    it('ends the session when the refresh is rejected', async () => {
+        sessionStore.setSessionId('expired-session');
+        transport.mockImplementation(async () => jsonResponse(401, { message: 'Session expired' }));
+        const onEnded = vi.fn();
+        service.on('sessionEnded', onEnded);
+
+        await expect(service.request('/User/profile')).rejects.toBeInstanceOf(AuthError);
+        expect(onEnded).toHaveBeenCalledTimes(1);
+        expect(sessionStore.getSessionId()).toBeNull();
+    });
+});
+
+describe('ApiService guarded calls', () => {
+    let service;
+    let transport;
+
+    beforeEach(() => {
+        config.set({ api: { baseUrl: BASE_URL, retries: 0 } });
+        sessionStore.clear();
+        sessionStore.setSessionId('session-123');
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        transport = vi.fn(async () => jsonResponse(200, { success: true }));
+        service = new ApiService();
+        service.setTransport(transport);
+    });
+
+    it('rejects without sending the request when the permission is missing', async () => {
+        sessionStore.setUser({ username: 'jdoe', roles: [] });
+
+        await expect(service.unlockAccount('bwayne', 'Caller verified by phone')).rejects.toBeInstanceOf(PermissionError);
+        await expect(service.searchHelpdeskUsers('wayne')).rejects.toMatchObject({ status: 403, permission: 'helpdesk' });
+        expect(transport).not.toHaveBeenCalled();
+    });
+
+    it('sends the request when the permission is held', async () => {
+        sessionStore.setUser({ username: 'kjohnson', roles: ['helpdesk'] });
+
+        await service.unlockAccount('bwayne', 'Caller verified by phone');
+
+        expect(transport.mock.calls[0][0]).toBe(`${BASE_URL}/Helpdesk/users/bwayne/unlock`);
+    });
+
+    it('maps a FORBIDDEN 403 from the server to PermissionError', async () => {
+        sessionStore.setUser({ username: 'kjohnson', roles: ['helpdesk'] });
+        transport.mockResolvedValueOnce(jsonResponse(403, { message: 'Requires the helpdesk role', errorCode: 'FORBIDDEN' }));
+
+        const error = await service.getLockoutDetails('bwayne').catch(failure => failure);
+
+        expect(error).toBeInstanceOf(PermissionError);
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error.message).toBe('Requires the helpdesk role');
+    });
+});
+
+describe('ApiService two-step login', () => {
+    let service;
+    let transport;
+    const sentBody = (call = 0) => JSON.parse(transport.mock.calls[call][1].body);
+
+    beforeEach(() => {
+        config.set({ api: { baseUrl: BASE_URL, retries: 0 } });
+        sessionStore.clear();
+        localStorage.clear();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        transport = vi.fn(async () => jsonResponse(200, { success: true }));
+        service = new ApiService();
+        service.setTransport(transport);
+    });
+
+    it('keeps the trusted device token from verification and sends it with the next login', async () => {
+        transport.mockResolvedValueOnce(jsonResponse(200, {
+            success: true,
+            sessionId: 'session-123',
+            user: { username: 'kjohnson' },
+            trustedDeviceToken: 'device-1',
+            trustedDeviceExpiresAt: new Date(Date.now() + 60000).toISOString()
+        }));
+
+        await service.verifyMfa('challenge-1', '123456', true);
+        await service.login('DEMO\\KJohnson', 'Passw0rd!');
+
+        expect(sentBody(0)).toEqual({ challengeId: 'challenge-1', code: '123456', trustDevice: true });
+        expect(sessionStore.getSessionId()).toBe('session-123');
+        expect(sentBody(1)).toEqual({ username: 'DEMO\\KJohnson', password: 'Passw0rd!', trustedDeviceToken: 'device-1' });
+    });
+
+    it('forgets a trusted device token the server no longer accepts', async () => {
+        transport.mockResolvedValueOnce(jsonResponse(200, {
+            success: true, sessionId: 's', user: { username: 'kjohnson' }, trustedDeviceToken: 'device-1'
+        }));
+        await service.verifyMfa('challenge-1', '123456', true);
+
+        transport.mockResolvedValueOnce(jsonResponse(200, { success: true, mfaRequired: true, challenge: { challengeId: 'challenge-2' } }));
+        const response = await service.login('kjohnson', 'Passw0rd!');
+        await service.login('kjohnson', 'Passw0rd!');
+
+        expect(response.mfaRequired).toBe(true);
+        expect(sentBody(2)).not.toHaveProperty('trustedDeviceToken');
+    });
+
+    it('does not try to refresh a session when a challenge is rejected', async () => {
+        sessionStore.setSessionId('stale-session');
+        transport.mockResolvedValueOnce(jsonResponse(401, { message: 'The verification has expired', errorCode: 'MFA_CHALLENGE_EXPIRED' }));
+
+        await expect(service.verifyMfa('challenge-1', '123456')).rejects.toMatchObject({ status: 401, code: 'MFA_CHALLENGE_EXPIRED' });
+        expect(transport).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('ApiService.searchDirectory', () => {
+    let service;
+    let transport;
+
+    beforeEach(() => {
+        config.set({ api: { baseUrl: BASE_URL, retries: 0 } });
+        sessionStore.clear();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        transport = vi.fn(async () => jsonResponse(200, { success: true, data: { items: [] } }));
+        service = new ApiService();
+        service.setTransport(transport);
+    });
+
+    // Resolves when released, or rejects like fetch when aborted
+    function pendingResponse(body) {
+        let release;
+        transport.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+            release = () => resolve(jsonResponse(200, body));
+            init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+        return () => release();
+    }
+
+    it('sends the query, filters and page, leaving out empty values', async () => {
+        await service.searchDirectory(' doe ', { department: 'Finance', office: '', title: undefined }, 2, { pageSize: 25 });
+
+        const url = new URL(transport.mock.calls[0][0]);
+        expect(url.pathname).toBe('/api/Directory/search');
+        expect(Object.fromEntries(url.searchParams)).toEqual({ q: 'doe', department: 'Finance', page: '2', pageSize: '25' });
+    });
+
+    it('cancels the search in flight when a newer one starts', async () => {
+        pendingResponse({ success: true, data: { items: ['stale'] } });
+        const first = service.searchDirectory('jo');
+        const second = service.searchDirectory('john');
+
+        await expect(first).rejects.toBeInstanceOf(RequestCancelledError);
+        await expect(second).resolves.toEqual({ success: true, data: { items: [] } });
+    });
+
+    it('drops a response that arrives after it was superseded', async () => {
+        const release = pendingResponse({ success: true, data: { items: ['stale'] } });
+        const first = service.searchDirectory('jo');
+        await vi.waitFor(() => expect(transport).toHaveBeenCalledTimes(1));
+
+        release();
+        service.searchDirectory('john');
+
+        await expect(first).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+
+    it('is cancelled by the caller\'s signal', async () => {
+        pendingResponse({ success: true });
+        const controller = new AbortController();
+        const search = service.searchDirectory('jo', {}, 1, { signal: controller.signal });
+
+        controller.abort();
+
+        await expect(search).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+});
@@ -0,0 +1,48 @@
+// Frontend/tests/unit/app.test.js
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+
+let app;
+
+beforeAll(async () => {
+    // No config.json: init() stops at the configuration error, leaving a bare App
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    ({ default: app } = await import('../../src/app.js'));
+});
+
+describe('App.getExpiresInSeconds', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('passes plain seconds through', () => {
+        expect(app.getExpiresInSeconds(900)).toBe(900);
+    });
+
+    it('reads expiresIn and expiresInSeconds', () => {
+        expect(app.getExpiresInSeconds({ expiresIn: 600 })).toBe(600);
+        expect(app.getExpiresInSeconds({ expiresInSeconds: 300 })).toBe(300);
+    });
+
+    it('prefers expiresIn over expiresAt', () => {
+        expect(app.getExpiresInSeconds({ expiresIn: 60, expiresAt: '2099-01-01T00:00:00Z' })).toBe(60);
+    });
+
+    it('converts expiresAt to seconds from now', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-03-01T12:00:00Z'));
+
+        expect(app.getExpiresInSeconds({ expiresAt: '2026-03-01T12:30:00Z' })).toBe(1800);
+    });
+
+    it('returns 0 for an expiry in the past', () => {
+        expect(app.getExpiresInSeconds({ expiresAt: '2000-01-01T00:00:00Z' })).toBe(0);
+    });
+
+    it('returns null when the expiry is unknown', () => {
+        expect(app.getExpiresInSeconds(null)).toBeNull();
+        expect(app.getExpiresInSeconds({})).toBeNull();
+        expect(app.getExpiresInSeconds({ sessionId: 'abc' })).toBeNull();
+    });
+});
@@ -0,0 +1,204 @@
+// Frontend/tests/unit/auth.test.js
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { auth, startSessionTimer, autoRefreshSession } from '../../src/utils/auth.js';
+import { api } from '../../src/services/api.js';
+import { sessionStore } from '../../src/utils/sessionStore.js';
+import { passwordPolicy, DEFAULT_PASSWORD_POLICY } from '../../src/utils/passwordPolicy.js';
+import { config } from '../../src/utils/config.js';
+
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+    config.set({
+        api: { baseUrl: 'https://ad-portal.test/api' },
+        session: { warningMinutes: 5, refreshIntervalMinutes: 15 }
+    });
+    sessionStore.clear();
+});
+
+describe('startSessionTimer', () => {
+    let timer;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        document.body.innerHTML = '<span id="sessionTimer"></span>';
+    });
+
+    afterEach(() => {
+        clearInterval(timer);
+        vi.useRealTimers();
+    });
+
+    it('counts down, warns inside the warning window and expires', () => {
+        const onExpire = vi.fn();
+        const onWarning = vi.fn();
+        timer = startSessionTimer(6 * 60, onExpire, onWarning);
+
+        vi.advanceTimersByTime(30 * 1000);
+        expect(onWarning).not.toHaveBeenCalled();
+        expect(document.getElementById('sessionTimer').textContent).toBe('5:30');
+
+        vi.advanceTimersByTime(MINUTE);
+        expect(onWarning).toHaveBeenLastCalledWith(5);
+        expect(document.getElementById('sessionTimer').className).toContain('text-warning');
+
+        vi.advanceTimersByTime(5 * MINUTE);
+        expect(onExpire).toHaveBeenCalledTimes(1);
+
+        vi.advanceTimersByTime(MINUTE);
+        expect(onExpire).toHaveBeenCalledTimes(1);
+    });
+
+    it('follows expiry changes made through the session store', () => {
+        const onExpire = vi.fn();
+        timer = startSessionTimer(60, onExpire, vi.fn());
+
+        vi.advanceTimersByTime(30 * 1000);
+        sessionStore.setExpiresAt(30 * 60);
+        vi.advanceTimersByTime(2 * MINUTE);
+
+        expect(onExpire).not.toHaveBeenCalled();
+    });
+
+    it('does nothing while the expiry is unknown', () => {
+        const onExpire = vi.fn();
+        const onWarning = vi.fn();
+        timer = startSessionTimer(undefined, onExpire, onWarning);
+
+        vi.advanceTimersByTime(10 * MINUTE);
+
+        expect(onExpire).not.toHaveBeenCalled();
+        expect(onWarning).not.toHaveBeenCalled();
+    });
+});
+
+describe('autoRefreshSession', () => {
+    let timer;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        clearInterval(timer);
+        vi.useRealTimers();
+    });
+
+    it('refreshes once per interval', async () => {
+        const refresh = vi.spyOn(api, 'refreshSession').mockResolvedValue({ success: true });
+        const onSuccess = vi.fn();
+        timer = autoRefreshSession(onSuccess, vi.fn());
+
+        await vi.advanceTimersByTimeAsync(14 * MINUTE);
+        expect(refresh).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(MINUTE);
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(onSuccess).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(15 * MINUTE);
+        expect(refresh).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips the refresh when shouldRefresh vetoes it', async () => {
+        const refresh = vi.spyOn(api, 'refreshSession').mockResolvedValue({ success: true });
+        const shouldRefresh = vi.fn(() => false);
+        timer = autoRefreshSession(vi.fn(), vi.fn(), shouldRefresh);
+
+        await vi.advanceTimersByTimeAsync(15 * MINUTE);
+
+        expect(shouldRefresh).toHaveBeenCalledWith(15 * MINUTE);
+        expect(refresh).not.toHaveBeenCalled();
+    });
+
+    it('reports unsuccessful and failed refreshes', async () => {
+        vi.spyOn(api, 'refreshSession')
+            .mockResolvedValueOnce({ success: false, message: 'Session expired' })
+            .mockRejectedValueOnce(new Error('Network down'));
+        const onError = vi.fn();
+        timer = autoRefreshSession(vi.fn(), onError);
+
+        await vi.advanceTimersByTimeAsync(30 * MINUTE);
+
+        expect(onError).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('validatePasswordStrength', () => {
+    beforeEach(() => {
+        passwordPolicy.setPolicy(DEFAULT_PASSWORD_POLICY);
+        sessionStore.setUser({ username: 'jdoe', displayName: 'John Doe' });
+    });
+
+    it('rejects short passwords', () => {
+        const result = auth.validatePasswordStrength('Ab1!');
+
+        expect(result.valid).toBe(false);
+        expect(result.criteria.length).toBe(false);
+        expect(result.strength).toBe('weak');
+    });
+
+    it('requires three character categories', () => {
+        const result = auth.validatePasswordStrength('alllowercase1');
+
+        expect(result.valid).toBe(false);
+        expect(result.criteria.complexity).toBe(false);
+    });
+
+    it('rejects passwords containing the username or display name', () => {
+        expect(auth.validatePasswordStrength('Jdoe2026!').criteria.name).toBe(false);
+        expect(auth.validatePasswordStrength('MrJohn#2026').criteria.name).toBe(false);
+    });
+
+    it('rates longer passwords using every category higher', () => {
+        expect(auth.validatePasswordStrength('Summit#42').strength).toBe('good');
+        expect(auth.validatePasswordStrength('Summit#42climb').strength).toBe('strong');
+        expect(auth.validatePasswordStrength('Summit42climb').strength).toBe('good');
+    });
+
+    it('follows the loaded domain policy', () => {
+        passwordPolicy.setPolicy({ minLength: 14 });
+
+        expect(auth.validatePasswordStrength('Summit#42').valid).toBe(false);
+        expect(auth.validatePasswordStrength('Summit#42climbing').valid).toBe(true);
+    });
+
+    it('lists informational rules without counting them', () => {
+        const { rules, criteria } = auth.validatePasswordStrength('Summit#42');
+
+        expect(rules.map(rule => rule.id)).toEqual(['length', 'complexity', 'name', 'history', 'maxAge']);
+        expect(criteria).not.toHaveProperty('history');
+    });
+});
+
+describe('PasswordPolicy.generate', () => {
+    const identity = { username: 'bwayne', displayName: 'Bruce Wayne' };
+
+    beforeEach(() => {
+        passwordPolicy.setPolicy(DEFAULT_PASSWORD_POLICY);
+    });
+
+    it('generates passwords that pass the policy and use every category', () => {
+        for (let i = 0; i < 20; i++) {
+            const password = passwordPolicy.generate(identity);
+            const evaluation = passwordPolicy.evaluate(password, identity);
+
+            expect(password).toHaveLength(14);
+            expect(evaluation.valid).toBe(true);
+            expect(evaluation.categories).toHaveLength(4);
+            expect(password).not.toMatch(/[Il1O0]/);
+        }
+    });
+
+    it('stays longer than a long policy minimum', () => {
+        passwordPolicy.setPolicy({ minLength: 16 });
+
+        expect(passwordPolicy.generate(identity)).toHaveLength(20);
+    });
+
+    it('does not repeat itself', () => {
+        expect(passwordPolicy.generate(identity)).not.toBe(passwordPolicy.generate(identity));
+    });
+});
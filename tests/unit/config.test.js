@@ -0,0 +1,126 @@
+// Frontend/tests/unit/config.test.js
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Config, ConfigError, DEFAULT_CONFIG } from '../../src/utils/config.js';
+
+const BASE_URL = 'https://ad-portal.test/api';
+
+// Serve files by name; anything else is a 404
+function stubFiles(files) {
+    const fetch = vi.fn(async (url) => (
+        url in files
+            ? new Response(files[url], { status: 200 })
+            : new Response('Not found', { status: 404 })
+    ));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+}
+
+const json = (value) => JSON.stringify(value);
+const requestedUrls = (fetch) => fetch.mock.calls.map(([url]) => url);
+
+describe('Config.load', () => {
+    afterEach(() => {
+        delete window.APP_CONFIG;
+    });
+
+    it('merges config.json over the defaults', async () => {
+        stubFiles({ 'config.json': json({ api: { baseUrl: BASE_URL, retries: 0 } }) });
+
+        const values = await new Config().load();
+
+        expect(values.api).toEqual({ ...DEFAULT_CONFIG.api, baseUrl: BASE_URL, retries: 0 });
+        expect(values.session).toEqual(DEFAULT_CONFIG.session);
+    });
+
+    it('does not look for an environment file when no environment is named', async () => {
+        const fetch = stubFiles({ 'config.json': json({ api: { baseUrl: BASE_URL } }) });
+
+        await new Config().load();
+
+        expect(requestedUrls(fetch)).toEqual(['config.json']);
+    });
+
+    it('applies config.<environment>.json, then window.APP_CONFIG', async () => {
+        const fetch = stubFiles({
+            'config.json': json({ environment: 'production', api: { baseUrl: BASE_URL, retries: 0 }, ui: { toastDurationMs: 1000 } }),
+            'config.production.json': json({ api: { retries: 3 }, ui: { toastDurationMs: 2000 } })
+        });
+        window.APP_CONFIG = { ui: { toastDurationMs: 3000 } };
+
+        const config = new Config();
+        await config.load();
+
+        expect(requestedUrls(fetch)).toEqual(['config.json', 'config.production.json']);
+        expect(config.get('api.retries')).toBe(3);
+        expect(config.get('ui.toastDurationMs')).toBe(3000);
+        expect(config.get('api.baseUrl')).toBe(BASE_URL);
+    });
+
+    it('takes the environment from window.APP_CONFIG over config.json', async () => {
+        const fetch = stubFiles({
+            'config.json': json({ environment: 'test', api: { baseUrl: BASE_URL } }),
+            'config.staging.json': json({ api: { retries: 5 } })
+        });
+        window.APP_CONFIG = { environment: 'staging' };
+
+        const config = new Config();
+        await config.load();
+
+        expect(requestedUrls(fetch)).toEqual(['config.json', 'config.staging.json']);
+        expect(config.get('api.retries')).toBe(5);
+    });
+
+    it('skips a missing environment file', async () => {
+        stubFiles({ 'config.json': json({ environment: 'production', api: { baseUrl: BASE_URL } }) });
+
+        const config = new Config();
+        await config.load();
+
+        expect(config.get('api.baseUrl')).toBe(BASE_URL);
+        expect(config.loaded).toBe(true);
+    });
+
+    it('warns about a malformed environment file and carries on without it', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        stubFiles({
+            'config.json': json({ environment: 'production', api: { baseUrl: BASE_URL, retries: 0 } }),
+            'config.production.json': '{ "api": { "retries": 3 '
+        });
+
+        const config = new Config();
+        await config.load();
+
+        expect(config.get('api.retries')).toBe(0);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('config.production.json'));
+    });
+
+    it('fails when config.json is missing', async () => {
+        stubFiles({});
+
+        await expect(new Config().load()).rejects.toThrow(new ConfigError('Could not load config.json (HTTP 404)'));
+    });
+
+    it('fails when config.json cannot be fetched', async () => {
+        vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+
+        await expect(new Config().load()).rejects.toThrow('Could not load config.json: Failed to fetch');
+    });
+
+    it('fails when config.json is not valid JSON', async () => {
+        stubFiles({ 'config.json': '{ "api": ' });
+
+        await expect(new Config().load()).rejects.toThrow('config.json is not valid JSON');
+    });
+
+    it('lists every problem when the merged config is invalid', async () => {
+        stubFiles({ 'config.json': json({ api: { baseUrl: 'not a url', timeoutMs: -1 } }) });
+        const config = new Config();
+
+        const error = await config.load().catch(e => e);
+
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.problems).toEqual(['api.baseUrl must be an absolute URL', 'api.timeoutMs must be at least 1000']);
+        expect(config.loaded).toBe(false);
+    });
+});
@@ -0,0 +1,68 @@
+// Frontend/tests/unit/directory.test.js
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { pageCount, pageWindow, personSubtitle } from '../../src/utils/directory.js';
+import { debounce } from '../../src/utils/debounce.js';
+
+describe('pageCount', () => {
+    it('rounds up and never goes below one page', () => {
+        expect(pageCount(21, 10)).toBe(3);
+        expect(pageCount(20, 10)).toBe(2);
+        expect(pageCount(0, 10)).toBe(1);
+        expect(pageCount(undefined)).toBe(1);
+    });
+});
+
+describe('pageWindow', () => {
+    it.each([
+        [1, 10, [1, 2, 3, 4, 5]],
+        [4, 10, [2, 3, 4, 5, 6]],
+        [10, 10, [6, 7, 8, 9, 10]],
+        [2, 3, [1, 2, 3]],
+        [1, 1, [1]]
+    ])('page %i of %i -> %j', (page, total, expected) => {
+        expect(pageWindow(page, total)).toEqual(expected);
+    });
+});
+
+describe('personSubtitle', () => {
+    it('joins title and department when present', () => {
+        expect(personSubtitle({ title: 'Analyst', department: 'Finance' })).toBe('Analyst · Finance');
+        expect(personSubtitle({ department: 'Finance' })).toBe('Finance');
+        expect(personSubtitle(null)).toBe('');
+    });
+});
+
+describe('debounce', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('runs once with the last arguments after calls pause', () => {
+        vi.useFakeTimers();
+        const fn = vi.fn();
+        const debounced = debounce(fn, 300);
+
+        debounced('j');
+        vi.advanceTimersByTime(200);
+        debounced('jo');
+        vi.advanceTimersByTime(299);
+        expect(fn).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(1);
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(fn).toHaveBeenCalledWith('jo');
+    });
+
+    it('drops the pending call on cancel()', () => {
+        vi.useFakeTimers();
+        const fn = vi.fn();
+        const debounced = debounce(fn, 300);
+
+        debounced();
+        debounced.cancel();
+        vi.advanceTimersByTime(1000);
+
+        expect(fn).not.toHaveBeenCalled();
+    });
+});
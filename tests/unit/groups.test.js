@@ -0,0 +1,163 @@
+// Frontend/tests/unit/groups.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+    buildGroupTree,
+    filterGroupTree,
+    summarizeGroups,
+    groupsToCsv,
+    groupTypeLabel,
+    groupScopeLabel
+} from '../../src/utils/groups.js';
+
+const dn = (name) => `CN=${name},OU=Groups,DC=demo,DC=local`;
+
+function group(name, options = {}) {
+    return {
+        name,
+        distinguishedName: dn(name),
+        type: 'security',
+        scope: 'global',
+        direct: false,
+        memberOf: [],
+        ...options
+    };
+}
+
+const GROUPS = [
+    group('VPN Users', { direct: true }),
+    group('Finance', { direct: true, description: 'Finance department', memberOf: [dn('Finance Share RW'), dn('All Staff')] }),
+    group('Finance Share RW', { scope: 'domainLocal', memberOf: [dn('File Server Users')] }),
+    group('File Server Users', { scope: 'domainLocal' }),
+    group('All Staff', { type: 'distribution', scope: 'universal' })
+];
+
+const names = (nodes) => nodes.map(node => node.group.name);
+
+describe('buildGroupTree', () => {
+    it('starts at the direct groups, sorted by name', () => {
+        expect(names(buildGroupTree(GROUPS))).toEqual(['Finance', 'VPN Users']);
+    });
+
+    it('nests the groups each group is a member of', () => {
+        const [finance] = buildGroupTree(GROUPS);
+
+        expect(names(finance.children)).toEqual(['All Staff', 'Finance Share RW']);
+        expect(names(finance.children[1].children)).toEqual(['File Server Users']);
+    });
+
+    it('stops at membership cycles', () => {
+        const cyclic = [
+            group('A', { direct: true, memberOf: [dn('B')] }),
+            group('B', { memberOf: [dn('A')] })
+        ];
+
+        const [a] = buildGroupTree(cyclic);
+
+        expect(names(a.children)).toEqual(['B']);
+        expect(a.children[0].children).toEqual([]);
+    });
+
+    it('ignores memberOf entries outside the list', () => {
+        const [vpn] = buildGroupTree([group('VPN Users', { direct: true, memberOf: [dn('Unknown')] })]);
+        expect(vpn.children).toEqual([]);
+    });
+
+    it('expands a group reached through several parents only once', () => {
+        const diamond = [
+            group('Sales', { direct: true, memberOf: [dn('EMEA'), dn('Sales Managers')] }),
+            group('EMEA', { memberOf: [dn('All Staff')] }),
+            group('Sales Managers', { memberOf: [dn('All Staff')] }),
+            group('All Staff', { memberOf: [dn('Everyone')] }),
+            group('Everyone')
+        ];
+
+        const [sales] = buildGroupTree(diamond);
+        const [emea, managers] = sales.children;
+
+        expect(names(emea.children)).toEqual(['All Staff']);
+        expect(names(emea.children[0].children)).toEqual(['Everyone']);
+        expect(managers.children[0]).toEqual({ group: diamond[3], children: [], repeated: true });
+    });
+
+    it('keeps the direct groups expanded at the top', () => {
+        const [finance, staff] = buildGroupTree([
+            group('Finance', { direct: true, memberOf: [dn('Staff')] }),
+            group('Staff', { direct: true, memberOf: [dn('Everyone')] }),
+            group('Everyone')
+        ]);
+
+        expect(finance.children[0].repeated).toBe(true);
+        expect(names(staff.children)).toEqual(['Everyone']);
+    });
+
+    it('stays linear in size with deeply stacked diamonds', () => {
+        // Level n: two groups, each a member of both groups on level n + 1
+        const DEPTH = 40;
+        const levelDns = (level) => [dn(`L${level}a`), dn(`L${level}b`)];
+        const stacked = [group('User Group', { direct: true, memberOf: levelDns(0) })];
+        for (let level = 0; level < DEPTH; level++) {
+            const memberOf = level + 1 < DEPTH ? levelDns(level + 1) : [];
+            stacked.push(group(`L${level}a`, { memberOf }), group(`L${level}b`, { memberOf }));
+        }
+
+        const count = (nodes) => nodes.reduce((total, node) => total + 1 + count(node.children), 0);
+
+        expect(count(buildGroupTree(stacked))).toBe(1 + 4 * DEPTH - 2);
+    });
+});
+
+describe('filterGroupTree', () => {
+    const tree = buildGroupTree(GROUPS);
+
+    it('returns the tree unchanged without a query', () => {
+        expect(filterGroupTree(tree, '  ')).toBe(tree);
+    });
+
+    it('keeps matches and the branches leading to them', () => {
+        const [finance] = filterGroupTree(tree, 'file server');
+
+        expect(finance.match).toBe(false);
+        expect(names(finance.children)).toEqual(['Finance Share RW']);
+        expect(finance.children[0].children[0]).toMatchObject({ match: true, group: { name: 'File Server Users' } });
+    });
+
+    it('matches descriptions, type and scope labels', () => {
+        expect(names(filterGroupTree(tree, 'department'))).toEqual(['Finance']);
+        expect(filterGroupTree(tree, 'Distribution')[0].children[0].group.name).toBe('All Staff');
+        expect(filterGroupTree(tree, 'domain local')).toHaveLength(1);
+    });
+
+    it('returns nothing when no group matches', () => {
+        expect(filterGroupTree(tree, 'payroll')).toEqual([]);
+    });
+});
+
+describe('labels and summary', () => {
+    it('labels type and scope', () => {
+        expect(groupTypeLabel(GROUPS[4])).toBe('Distribution');
+        expect(groupScopeLabel(GROUPS[2])).toBe('Domain Local');
+        expect(groupScopeLabel({ scope: 'weird' })).toBe('Unknown');
+    });
+
+    it('counts direct and nested groups', () => {
+        expect(summarizeGroups(GROUPS)).toEqual({ total: 5, direct: 2, nested: 3 });
+    });
+});
+
+describe('groupsToCsv', () => {
+    it('lists every group with its membership path', () => {
+        const lines = groupsToCsv(GROUPS).split('\r\n');
+
+        expect(lines[0]).toBe('"Name","Type","Scope","Membership","Via","Description","Distinguished Name"');
+        expect(lines).toHaveLength(6);
+        expect(lines[1]).toBe(`"All Staff","Distribution","Universal","Nested","Finance","","${dn('All Staff')}"`);
+        expect(lines[2]).toMatch(/^"File Server Users",.*"Nested","Finance Share RW"/);
+        expect(lines[3]).toMatch(/^"Finance",.*"Direct","","Finance department"/);
+    });
+
+    it('escapes quotes and neutralises formulas', () => {
+        const csv = groupsToCsv([group('=HYPERLINK("x")', { direct: true, description: 'Say "hi"' })]);
+        expect(csv.split('\r\n')[1]).toMatch(/^"'=HYPERLINK\(""x""\)",.*"Say ""hi"""/);
+    });
+});
@@ -0,0 +1,41 @@
+// Frontend/tests/unit/helpdesk.test.js
+
+import { describe, it, expect } from 'vitest';
+import { validateReason, lockoutRows } from '../../src/utils/helpdesk.js';
+
+describe('validateReason', () => {
+    it('requires a reason of at least ten characters', () => {
+        expect(validateReason('')).toBe('Please give a reason for this action');
+        expect(validateReason('   ')).toBe('Please give a reason for this action');
+        expect(validateReason('  locked  ')).toBe('The reason must be at least 10 characters');
+        expect(validateReason('Caller verified by phone')).toBe('');
+    });
+});
+
+describe('lockoutRows', () => {
+    const formatDate = (value) => (value ? `at ${value}` : 'Never');
+
+    it('lists the lockout time and source of a locked account', () => {
+        const rows = Object.fromEntries(lockoutRows({
+            isEnabled: true,
+            isLocked: true,
+            badPasswordCount: 5,
+            lockoutTime: 'T1',
+            lockoutSource: 'DC01.demo.local'
+        }, formatDate));
+
+        expect(rows['Lock status']).toBe('Locked');
+        expect(rows['Bad password count']).toBe('5');
+        expect(rows['Locked out at']).toBe('at T1');
+        expect(rows['Lockout source']).toBe('DC01.demo.local');
+    });
+
+    it('says when the source DC is not reported', () => {
+        const rows = Object.fromEntries(lockoutRows({ isEnabled: false, isLocked: false }, formatDate));
+
+        expect(rows.Account).toBe('Disabled');
+        expect(rows['Locked out at']).toBe('-');
+        expect(rows['Lockout source']).toBe('Not reported');
+        expect(rows['Bad password count']).toBe('0');
+    });
+});
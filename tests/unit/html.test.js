@@ -0,0 +1,69 @@
+// Frontend/tests/unit/html.test.js
+
+import { describe, it, expect } from 'vitest';
+import { html, render, escapeHtml, trustedHtml } from '../../src/utils/html.js';
+
+const PAYLOAD = '<img src=x onerror="alert(1)">';
+
+describe('escapeHtml', () => {
+    it('escapes markup and quote characters', () => {
+        expect(escapeHtml(`<a href="x" title='y'>&\`</a>`))
+            .toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;');
+    });
+
+    it('renders null and undefined as empty', () => {
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(undefined)).toBe('');
+        expect(escapeHtml(0)).toBe('0');
+    });
+});
+
+describe('html', () => {
+    it('escapes interpolated values by default', () => {
+        expect(String(html`<span>${PAYLOAD}</span>`))
+            .toBe('<span>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</span>');
+    });
+
+    it('escapes values inside attributes', () => {
+        expect(String(html`<span title="${'" onmouseover="x'}"></span>`))
+            .toBe('<span title="&quot; onmouseover=&quot;x"></span>');
+    });
+
+    it('keeps nested templates and joins arrays', () => {
+        const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+
+        expect(String(html`<ul>${items}</ul>`)).toBe('<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    });
+
+    it('skips null, undefined and false', () => {
+        expect(String(html`${null}${undefined}${false}${0}`)).toBe('0');
+    });
+
+    it('passes trusted markup through unescaped', () => {
+        expect(String(html`<p>${trustedHtml('<b>ok</b>')}</p>`)).toBe('<p><b>ok</b></p>');
+    });
+});
+
+describe('render', () => {
+    it('inserts templates as markup', () => {
+        const element = document.createElement('div');
+
+        render(element, html`<strong>${PAYLOAD}</strong>`);
+
+        expect(element.querySelector('strong').textContent).toBe(PAYLOAD);
+        expect(element.querySelector('img')).toBeNull();
+    });
+
+    it('inserts plain strings as text', () => {
+        const element = document.createElement('div');
+
+        render(element, PAYLOAD);
+
+        expect(element.textContent).toBe(PAYLOAD);
+        expect(element.children).toHaveLength(0);
+    });
+
+    it('ignores a missing element', () => {
+        expect(() => render(null, 'text')).not.toThrow();
+    });
+});
@@ -0,0 +1,118 @@
+// Frontend/tests/unit/idleMonitor.test.js
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IdleMonitor } from '../../src/utils/idleMonitor.js';
+
+const IDLE_TIMEOUT = 10000;
+const WARNING_DURATION = 3000;
+
+describe('IdleMonitor', () => {
+    let monitor;
+    let handlers;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+        monitor = new IdleMonitor({ idleTimeout: IDLE_TIMEOUT, warningDuration: WARNING_DURATION });
+        handlers = { onWarning: vi.fn(), onActive: vi.fn(), onTimeout: vi.fn() };
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        vi.useRealTimers();
+    });
+
+    it('counts down once the user has been idle for the timeout, then times out', () => {
+        monitor.start(handlers);
+
+        vi.advanceTimersByTime(IDLE_TIMEOUT - 1000);
+        expect(handlers.onWarning).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(1000);
+        expect(handlers.onWarning).toHaveBeenLastCalledWith(3);
+
+        vi.advanceTimersByTime(2000);
+        expect(handlers.onWarning).toHaveBeenLastCalledWith(1);
+        expect(handlers.onTimeout).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(1000);
+        expect(handlers.onTimeout).toHaveBeenCalledTimes(1);
+
+        // Stopped after the timeout
+        vi.advanceTimersByTime(5000);
+        expect(handlers.onTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    it('restarts the idle clock on activity', () => {
+        monitor.start(handlers);
+
+        vi.advanceTimersByTime(IDLE_TIMEOUT - 1000);
+        window.dispatchEvent(new Event('keydown'));
+        vi.advanceTimersByTime(IDLE_TIMEOUT - 1000);
+
+        expect(handlers.onWarning).not.toHaveBeenCalled();
+    });
+
+    it('ignores activity while the warning is shown until the user stays signed in', () => {
+        monitor.start(handlers);
+        vi.advanceTimersByTime(IDLE_TIMEOUT);
+        expect(handlers.onWarning).toHaveBeenCalled();
+
+        window.dispatchEvent(new Event('mousemove'));
+        vi.advanceTimersByTime(1000);
+        expect(handlers.onActive).not.toHaveBeenCalled();
+
+        monitor.stayActive();
+
+        expect(handlers.onActive).toHaveBeenCalledTimes(1);
+        vi.advanceTimersByTime(WARNING_DURATION);
+        expect(handlers.onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('counts activity in another tab', () => {
+        monitor.start(handlers);
+        vi.advanceTimersByTime(IDLE_TIMEOUT);
+        expect(handlers.onWarning).toHaveBeenCalled();
+
+        // Another tab's "Stay signed in"
+        localStorage.setItem('lastActivity', String(Date.now()));
+        vi.advanceTimersByTime(1000);
+
+        expect(handlers.onActive).toHaveBeenCalledTimes(1);
+        expect(handlers.onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('shares activity with other tabs at most every five seconds', () => {
+        monitor.start(handlers);
+        const started = localStorage.getItem('lastActivity');
+
+        vi.advanceTimersByTime(1000);
+        window.dispatchEvent(new Event('mousemove'));
+        expect(localStorage.getItem('lastActivity')).toBe(started);
+
+        vi.advanceTimersByTime(4000);
+        window.dispatchEvent(new Event('mousemove'));
+        expect(localStorage.getItem('lastActivity')).toBe(String(Date.now()));
+    });
+
+    it('reports whether the user was active recently', () => {
+        monitor.start(handlers);
+
+        vi.advanceTimersByTime(4000);
+
+        expect(monitor.isActiveWithin(5000)).toBe(true);
+        expect(monitor.isActiveWithin(3000)).toBe(false);
+    });
+
+    it('stops listening for activity when stopped', () => {
+        monitor.start(handlers);
+        monitor.stop();
+
+        vi.advanceTimersByTime(IDLE_TIMEOUT + WARNING_DURATION);
+        window.dispatchEvent(new Event('keydown'));
+
+        expect(handlers.onWarning).not.toHaveBeenCalled();
+        expect(handlers.onTimeout).not.toHaveBeenCalled();
+        expect(monitor.isActiveWithin(1000)).toBe(false);
+    });
+});
@@ -0,0 +1,71 @@
+// Frontend/tests/unit/mfa.test.js
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    mfaPrompt,
+    normalizeCode,
+    validateCode,
+    challengeExpiry,
+    secondsUntil,
+    formatCountdown,
+    getTrustedDeviceToken,
+    saveTrustedDevice,
+    forgetTrustedDevice
+} from '../../src/utils/mfa.js';
+
+describe('validateCode', () => {
+    it('accepts six digits, with the spaces or dash apps show', () => {
+        expect(normalizeCode(' 123 456 ')).toBe('123456');
+        expect(validateCode('123-456')).toBe('');
+        expect(validateCode('')).toBe('Enter the verification code');
+        expect(validateCode('12345')).toBe('The code is 6 digits');
+        expect(validateCode('12345a')).toBe('The code is 6 digits');
+    });
+});
+
+describe('mfaPrompt', () => {
+    it('tells the user where the code is', () => {
+        expect(mfaPrompt({ method: 'totp' })).toBe('Enter the 6-digit code from your authenticator app.');
+        expect(mfaPrompt({ method: 'email', destination: 'k***@demo.local' })).toBe('We emailed a 6-digit code to k***@demo.local. Enter it below.');
+        expect(mfaPrompt({ method: 'sms' })).toBe('We texted a 6-digit code. Enter it below.');
+    });
+});
+
+describe('challenge countdown', () => {
+    it('takes the expiry from expiresAt or from expiresIn on arrival', () => {
+        expect(challengeExpiry({ expiresAt: '2026-03-01T10:05:00Z' })).toBe(Date.parse('2026-03-01T10:05:00Z'));
+        expect(challengeExpiry({ expiresIn: 300 }, 1000)).toBe(301000);
+        expect(challengeExpiry({})).toBeNull();
+    });
+
+    it('counts whole seconds down to zero', () => {
+        expect(secondsUntil(10500, 0)).toBe(11);
+        expect(secondsUntil(0, 5000)).toBe(0);
+        expect(formatCountdown(272)).toBe('4:32');
+        expect(formatCountdown(5)).toBe('0:05');
+    });
+});
+
+describe('trusted devices', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('finds the token under any spelling of the username', () => {
+        saveTrustedDevice('kjohnson', 'device-1', new Date(Date.now() + 60000).toISOString());
+
+        expect(getTrustedDeviceToken('DEMO\\KJohnson')).toBe('device-1');
+        expect(getTrustedDeviceToken('kjohnson@demo.local')).toBe('device-1');
+        expect(getTrustedDeviceToken('jdoe')).toBeNull();
+    });
+
+    it('drops expired and forgotten tokens', () => {
+        saveTrustedDevice('kjohnson', 'device-1', new Date(Date.now() - 1000).toISOString());
+        saveTrustedDevice('rpatel', 'device-2');
+
+        expect(getTrustedDeviceToken('kjohnson')).toBeNull();
+        expect(getTrustedDeviceToken('rpatel')).toBe('device-2');
+
+        forgetTrustedDevice('rpatel');
+        expect(getTrustedDeviceToken('rpatel')).toBeNull();
+        expect(localStorage.getItem('trustedDevices')).toBeNull();
+    });
+});
@@ -0,0 +1,137 @@
+// Frontend/tests/unit/orgChart.test.js
+
+import { describe, it, expect } from 'vitest';
+import { OrgChartModel, PanZoom, ORG_CHART_LIMITS } from '../../src/utils/orgChart.js';
+
+const person = (username, directReportCount = 0) => ({ username, displayName: username, directReportCount });
+
+function createChart(limits) {
+    // jdoe -> tnguyen -> mgarcia (managers arrive nearest first)
+    return new OrgChartModel(person('jdoe'), [person('tnguyen', 3), person('mgarcia', 2)], limits);
+}
+
+describe('OrgChartModel', () => {
+    it('draws the chain from the top manager down to the person', () => {
+        const chart = createChart();
+
+        expect(chart.root).toBe('mgarcia');
+        expect(chart.start).toBe('jdoe');
+        expect(chart.children('mgarcia')).toEqual(['tnguyen']);
+        expect(chart.children('tnguyen')).toEqual(['jdoe']);
+        expect(chart.get('jdoe').parent).toBe('tnguyen');
+    });
+
+    it('shows all loaded reports once expanded', () => {
+        const chart = createChart();
+        chart.get('tnguyen').expanded = true;
+        chart.setReports('tnguyen', [person('asmith'), person('jdoe'), person('lchen')]);
+
+        expect(chart.children('tnguyen')).toEqual(['asmith', 'jdoe', 'lchen']);
+        expect(chart.get('lchen').parent).toBe('tnguyen');
+        expect(chart.get('tnguyen').loading).toBe(false);
+    });
+
+    it('shows only the chain while a manager is collapsed', () => {
+        const chart = createChart();
+        chart.setReports('tnguyen', [person('asmith'), person('jdoe')]);
+
+        expect(chart.children('tnguyen')).toEqual(['jdoe']);
+    });
+
+    it('knows which nodes have reports before they are loaded', () => {
+        const chart = createChart();
+
+        expect(chart.hasReports('tnguyen')).toBe(true);
+        expect(chart.hasReports('jdoe')).toBe(false);
+
+        chart.setReports('tnguyen', []);
+        expect(chart.hasReports('tnguyen')).toBe(false);
+    });
+
+    it('renders large teams in batches, always including the chain', () => {
+        const chart = createChart({ ...ORG_CHART_LIMITS, reportsBatch: 2 });
+        const team = ['a1', 'a2', 'a3', 'a4', 'jdoe'].map(username => person(username));
+        chart.get('tnguyen').expanded = true;
+        chart.setReports('tnguyen', team);
+
+        expect(chart.children('tnguyen')).toEqual(['a1', 'a2', 'jdoe']);
+        expect(chart.hiddenCount('tnguyen')).toBe(2);
+
+        chart.showMore('tnguyen');
+        expect(chart.children('tnguyen')).toEqual(['a1', 'a2', 'a3', 'a4', 'jdoe']);
+        expect(chart.hiddenCount('tnguyen')).toBe(0);
+    });
+
+    it('finds neighbours among the visible nodes', () => {
+        const chart = createChart();
+        chart.get('tnguyen').expanded = true;
+        chart.setReports('tnguyen', [person('asmith'), person('jdoe')]);
+
+        expect(chart.neighbor('jdoe', 'parent')).toBe('tnguyen');
+        expect(chart.neighbor('jdoe', 'previous')).toBe('asmith');
+        expect(chart.neighbor('jdoe', 'next')).toBeNull();
+        expect(chart.neighbor('tnguyen', 'child')).toBe('asmith');
+        expect(chart.neighbor('jdoe', 'root')).toBe('mgarcia');
+        expect(chart.neighbor('mgarcia', 'parent')).toBeNull();
+        expect(chart.neighbor('mgarcia', 'next')).toBeNull();
+    });
+
+    it('ends the chain at a manager loop', () => {
+        // mgarcia's manager is tnguyen again
+        const chart = new OrgChartModel(person('jdoe'), [person('tnguyen', 3), person('mgarcia', 2), person('tnguyen', 3)]);
+
+        expect(chart.root).toBe('mgarcia');
+        expect(chart.get('mgarcia').parent).toBeNull();
+        expect(chart.children('tnguyen')).toEqual(['jdoe']);
+    });
+
+    it('leaves out loaded reports that are above the manager', () => {
+        const chart = createChart();
+        chart.get('jdoe').expanded = true;
+        chart.setReports('jdoe', [person('mgarcia'), person('pkim')]);
+
+        expect(chart.children('jdoe')).toEqual(['pkim']);
+        expect(chart.get('jdoe').person.directReportCount).toBe(1);
+        expect(chart.get('mgarcia').parent).toBeNull();
+        expect(chart.ancestors('pkim')).toEqual(new Set(['pkim', 'jdoe', 'tnguyen', 'mgarcia']));
+    });
+
+    it('starts at the person when there is no manager', () => {
+        const chart = new OrgChartModel(person('mgarcia', 5));
+
+        expect(chart.root).toBe('mgarcia');
+        expect(chart.children('mgarcia')).toEqual([]);
+    });
+});
+
+describe('PanZoom', () => {
+    it('zooms around the given point', () => {
+        const view = new PanZoom();
+
+        view.zoomAt(2, 100, 50);
+
+        expect(view.scale).toBe(2);
+        // The point under (100, 50) stays there
+        expect({ x: view.x, y: view.y }).toEqual({ x: -100, y: -50 });
+        expect(view.toTransform()).toBe('translate(-100px, -50px) scale(2)');
+    });
+
+    it('clamps the zoom level', () => {
+        const view = new PanZoom();
+
+        view.zoomAt(100);
+        expect(view.scale).toBe(ORG_CHART_LIMITS.maxZoom);
+        view.zoomAt(0.001);
+        expect(view.scale).toBe(ORG_CHART_LIMITS.minZoom);
+    });
+
+    it('pans and resets', () => {
+        const view = new PanZoom();
+
+        view.panBy(30, -20);
+        expect(view.toTransform()).toBe('translate(30px, -20px) scale(1)');
+
+        view.reset();
+        expect(view.toTransform()).toBe('translate(0px, 0px) scale(1)');
+    });
+});
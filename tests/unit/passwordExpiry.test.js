@@ -0,0 +1,101 @@
+// Frontend/tests/unit/passwordExpiry.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+    getPasswordExpiry,
+    describePasswordExpiry,
+    getPasswordExpiryMessage
+} from '../../src/utils/passwordExpiry.js';
+
+const NOW = new Date('2026-03-15T12:00:00Z').getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY = { maxAgeDays: 42 };
+
+// Password set so that it expires this many days from NOW under POLICY
+const setDaysAgo = (days) => new Date(NOW - days * DAY_MS).toISOString();
+const expiringIn = (days) => ({ passwordLastSet: setDaysAgo(POLICY.maxAgeDays - days) });
+
+describe('getPasswordExpiry', () => {
+    it('forecasts the expiry from the last set date and the maximum age', () => {
+        const expiry = getPasswordExpiry({ passwordLastSet: setDaysAgo(12) }, POLICY, NOW);
+
+        expect(expiry).toEqual({
+            status: 'ok',
+            expiresAt: new Date(NOW + 30 * DAY_MS),
+            daysLeft: 30,
+            mustChange: false
+        });
+    });
+
+    it('escalates as the expiry gets closer', () => {
+        expect(getPasswordExpiry(expiringIn(15), POLICY, NOW).status).toBe('ok');
+        expect(getPasswordExpiry(expiringIn(14), POLICY, NOW).status).toBe('notice');
+        expect(getPasswordExpiry(expiringIn(7), POLICY, NOW).status).toBe('warning');
+        expect(getPasswordExpiry(expiringIn(2), POLICY, NOW).status).toBe('critical');
+    });
+
+    it('requires a change once the password has expired', () => {
+        const expiry = getPasswordExpiry(expiringIn(-3), POLICY, NOW);
+
+        expect(expiry.status).toBe('expired');
+        expect(expiry.daysLeft).toBe(0);
+        expect(expiry.mustChange).toBe(true);
+    });
+
+    it('trusts the backend when it reports the password as expired', () => {
+        const expiry = getPasswordExpiry({ ...expiringIn(20), passwordExpired: true }, POLICY, NOW);
+
+        expect(expiry.status).toBe('expired');
+    });
+
+    it('prefers an explicit expiry date over the forecast', () => {
+        const expiry = getPasswordExpiry({
+            passwordLastSet: setDaysAgo(1),
+            passwordExpiresAt: new Date(NOW + 5 * DAY_MS).toISOString()
+        }, POLICY, NOW);
+
+        expect(expiry.daysLeft).toBe(5);
+        expect(expiry.status).toBe('warning');
+    });
+
+    it('reports a forced change at next logon before anything else', () => {
+        const expiry = getPasswordExpiry({ mustChangePassword: true, passwordNeverExpires: true }, POLICY, NOW);
+
+        expect(expiry).toEqual({ status: 'must-change', expiresAt: null, daysLeft: null, mustChange: true });
+    });
+
+    it('never expires when the account or the policy says so', () => {
+        expect(getPasswordExpiry({ ...expiringIn(1), passwordNeverExpires: true }, POLICY, NOW).status).toBe('never');
+        expect(getPasswordExpiry({ passwordLastSet: setDaysAgo(100) }, { maxAgeDays: 0 }, NOW).status).toBe('never');
+    });
+
+    it('does not guess without enough information', () => {
+        expect(getPasswordExpiry(null, POLICY, NOW).status).toBe('unknown');
+        expect(getPasswordExpiry({}, POLICY, NOW).status).toBe('unknown');
+        expect(getPasswordExpiry({ passwordLastSet: setDaysAgo(1) }, {}, NOW).status).toBe('unknown');
+        expect(getPasswordExpiry({ passwordExpiresAt: 'not a date' }, POLICY, NOW).status).toBe('unknown');
+    });
+});
+
+describe('describePasswordExpiry', () => {
+    it('describes every status', () => {
+        expect(describePasswordExpiry({ status: 'ok', daysLeft: 30 })).toBe('Expires in 30 days');
+        expect(describePasswordExpiry({ status: 'critical', daysLeft: 1 })).toBe('Expires in 1 day');
+        expect(describePasswordExpiry({ status: 'critical', daysLeft: 0 })).toBe('Expires today');
+        expect(describePasswordExpiry({ status: 'expired' })).toBe('Expired');
+        expect(describePasswordExpiry({ status: 'must-change' })).toBe('Must be changed at next logon');
+        expect(describePasswordExpiry({ status: 'never' })).toBe('Never expires');
+        expect(describePasswordExpiry(null)).toBe('Unknown');
+    });
+});
+
+describe('getPasswordExpiryMessage', () => {
+    it('only has a message for statuses that need attention', () => {
+        expect(getPasswordExpiryMessage({ status: 'warning', daysLeft: 5 }))
+            .toBe('Your password expires in 5 days. Change it now to avoid being locked out.');
+        expect(getPasswordExpiryMessage({ status: 'expired' })).toMatch(/has expired/);
+        expect(getPasswordExpiryMessage({ status: 'must-change' })).toMatch(/must be changed/);
+        expect(getPasswordExpiryMessage({ status: 'ok', daysLeft: 30 })).toBeNull();
+        expect(getPasswordExpiryMessage({ status: 'never' })).toBeNull();
+    });
+});
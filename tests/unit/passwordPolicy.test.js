@@ -0,0 +1,110 @@
+// Frontend/tests/unit/passwordPolicy.test.js
+
+import { describe, it, expect } from 'vitest';
+import { PasswordPolicy } from '../../src/utils/passwordPolicy.js';
+
+describe('PasswordPolicy.getForbiddenTokens', () => {
+    const policy = new PasswordPolicy();
+
+    it('uses the account name without the domain', () => {
+        expect(policy.getForbiddenTokens({ username: 'CORP\\jdoe' })).toEqual(['jdoe']);
+        expect(policy.getForbiddenTokens({ username: 'jdoe@corp.example.com' })).toEqual(['jdoe']);
+        expect(policy.getForbiddenTokens({ username: 'JDoe' })).toEqual(['jdoe']);
+    });
+
+    it('ignores account names that are short once the domain is stripped', () => {
+        expect(policy.getForbiddenTokens({ username: 'CORP\\ab' })).toEqual([]);
+        expect(policy.getForbiddenTokens({ username: 'ab@corp.example.com' })).toEqual([]);
+        expect(policy.evaluate('Absolute#2026', { username: 'CORP\\ab' }).valid).toBe(true);
+    });
+
+    it('splits the display name and skips short parts', () => {
+        expect(policy.getForbiddenTokens({ displayName: 'Doe, John A.' })).toEqual(['doe', 'john']);
+    });
+});
+
+describe('PasswordPolicy.setPolicy', () => {
+    it('accepts AD attribute style names and keeps unset rules', () => {
+        const policy = new PasswordPolicy();
+
+        policy.setPolicy({ minPasswordLength: '12', passwordComplexity: false, maxPasswordAgeDays: 90 }, 'server');
+
+        expect(policy.getPolicy()).toEqual({
+            minLength: 12,
+            complexityEnabled: false,
+            historyCount: 24,
+            maxAgeDays: 90,
+            minAgeDays: 1
+        });
+        expect(policy.source).toBe('server');
+    });
+
+    it('reads complexity from strings as well as booleans', () => {
+        const policy = new PasswordPolicy();
+
+        policy.setPolicy({ complexityEnabled: 'false' });
+        expect(policy.getPolicy().complexityEnabled).toBe(false);
+
+        policy.setPolicy({ passwordComplexity: 'TRUE' });
+        expect(policy.getPolicy().complexityEnabled).toBe(true);
+
+        policy.setPolicy({ complexity: false });
+        expect(policy.getPolicy().complexityEnabled).toBe(false);
+
+        // Unset keeps the current value
+        policy.setPolicy({ minLength: 10 });
+        expect(policy.getPolicy().complexityEnabled).toBe(false);
+    });
+});
+
+describe('PasswordPolicy.evaluate', () => {
+    const policy = new PasswordPolicy();
+    const identity = { username: 'CORP\\jdoe', displayName: 'John Doe' };
+    const failed = (password) => policy.evaluate(password, identity).failed.map(rule => rule.id);
+
+    it('checks length, complexity and name tokens', () => {
+        expect(failed('')).toEqual(['length', 'complexity', 'name']);
+        expect(failed('Short1!')).toEqual(['length']);
+        expect(failed('alllowercase')).toEqual(['complexity']);
+        expect(failed('Hi-JDoe-2026')).toEqual(['name']);
+        expect(failed('Johnny#2026')).toEqual(['name']);
+        expect(failed('Maple#Tree7')).toEqual([]);
+    });
+
+    it('lists history and maximum age as informational rules', () => {
+        const { rules, score } = policy.evaluate('Maple#Tree7', identity);
+
+        expect(rules.filter(rule => rule.informational).map(rule => rule.id)).toEqual(['history', 'maxAge']);
+        expect(rules.find(rule => rule.id === 'history').passed).toBeNull();
+        expect(score).toBe(3);
+    });
+
+    it('only checks the length without complexity', () => {
+        const simple = new PasswordPolicy({ minLength: 6, complexityEnabled: false, historyCount: 0, maxAgeDays: 0 });
+        const { rules, valid } = simple.evaluate('jdoe-password', identity);
+
+        expect(rules.map(rule => rule.id)).toEqual(['length']);
+        expect(valid).toBe(true);
+    });
+
+    it('rates valid passwords by categories and extra length', () => {
+        expect(policy.evaluate('Maple#Tree', identity).strength).toBe('fair');
+        expect(policy.evaluate('Maple#Tree7', identity).strength).toBe('good');
+        expect(policy.evaluate('Maple#Tree7Fox', identity).strength).toBe('strong');
+        expect(policy.evaluate('maple', identity).strength).toBe('weak');
+    });
+});
+
+describe('PasswordPolicy.generate', () => {
+    it('generates long passwords that pass the policy for the identity', () => {
+        const policy = new PasswordPolicy({ minLength: 12 });
+        const identity = { username: 'jdoe', displayName: 'John Doe' };
+
+        for (let i = 0; i < 20; i++) {
+            const password = policy.generate(identity);
+            expect(password).toHaveLength(16);
+            expect(policy.evaluate(password, identity).valid).toBe(true);
+            expect(password).not.toMatch(/[Il1O0]/);
+        }
+    });
+});
@@ -0,0 +1,89 @@
+// Frontend/tests/unit/permissions.test.js
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { permissions, can, PERMISSIONS } from '../../src/utils/permissions.js';
+import { sessionStore } from '../../src/utils/sessionStore.js';
+import { config } from '../../src/utils/config.js';
+import { PermissionError } from '../../src/services/errors.js';
+
+beforeEach(() => {
+    config.set({ api: { baseUrl: 'https://ad-portal.test/api' } });
+});
+
+afterEach(() => {
+    sessionStore.clear();
+});
+
+describe('permissions.can', () => {
+    it('grants the permissions of the roles the backend sent', () => {
+        sessionStore.setUser({ username: 'kjohnson', roles: ['helpdesk'] });
+
+        expect(can(PERMISSIONS.HELPDESK)).toBe(true);
+        expect(can(PERMISSIONS.RESET_PASSWORD)).toBe(true);
+        expect(can(`${PERMISSIONS.HELPDESK} ${PERMISSIONS.UNLOCK_ACCOUNT}`)).toBe(true);
+    });
+
+    it('denies everything to users without roles, or signed out', () => {
+        sessionStore.setUser({ username: 'jdoe' });
+        expect(can(PERMISSIONS.HELPDESK)).toBe(false);
+
+        sessionStore.clear();
+        expect(can(PERMISSIONS.HELPDESK)).toBe(false);
+        expect(can('')).toBe(true);
+    });
+
+    it('ignores roles it does not know', () => {
+        sessionStore.setUser({ username: 'jdoe', roles: ['auditor'] });
+
+        expect(permissions.getRoles()).toEqual(['auditor']);
+        expect(permissions.getPermissions().size).toBe(0);
+    });
+
+    it('maps AD group claims to roles, by name or DN and in any case', () => {
+        config.set({
+            api: { baseUrl: 'https://ad-portal.test/api' },
+            permissions: { groupRoles: { 'Helpdesk Operators': 'helpdesk' } }
+        });
+
+        sessionStore.setUser({ username: 'kjohnson', groups: ['CN=helpdesk operators,OU=Groups,DC=demo,DC=local'] });
+        expect(can(PERMISSIONS.UNLOCK_ACCOUNT)).toBe(true);
+
+        sessionStore.setUser({ username: 'jdoe', groups: [{ name: 'Finance' }] });
+        expect(can(PERMISSIONS.UNLOCK_ACCOUNT)).toBe(false);
+    });
+});
+
+describe('permissions.require', () => {
+    it('throws a PermissionError naming the missing permission', () => {
+        sessionStore.setUser({ username: 'jdoe' });
+
+        expect(() => permissions.require(PERMISSIONS.RESET_PASSWORD)).toThrow(PermissionError);
+        try {
+            permissions.require(PERMISSIONS.RESET_PASSWORD);
+        } catch (error) {
+            expect(error).toMatchObject({ status: 403, code: 'FORBIDDEN', permission: 'helpdesk.resetPassword' });
+        }
+    });
+});
+
+describe('permissions.apply', () => {
+    it('shows only the [data-requires] elements the user may use', () => {
+        document.body.innerHTML = `
+            <li id="nav" class="d-none" data-requires="helpdesk"></li>
+            <button id="unlock" data-requires="helpdesk.unlock"></button>
+            <button id="other" data-requires="helpdesk.unlock reports.view"></button>
+        `;
+        sessionStore.setUser({ username: 'kjohnson', roles: ['helpdesk'] });
+
+        permissions.apply();
+
+        expect(document.getElementById('nav').classList.contains('d-none')).toBe(false);
+        expect(document.getElementById('unlock').classList.contains('d-none')).toBe(false);
+        expect(document.getElementById('other').classList.contains('d-none')).toBe(true);
+
+        sessionStore.clear();
+        permissions.apply();
+
+        expect(document.getElementById('nav').classList.contains('d-none')).toBe(true);
+    });
+});
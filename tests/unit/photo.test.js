@@ -0,0 +1,92 @@
+// Frontend/tests/unit/photo.test.js
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    PHOTO_LIMITS,
+    PhotoError,
+    getInitials,
+    photoDataUrl,
+    validatePhotoFile,
+    compressToLimit
+} from '../../src/utils/photo.js';
+
+function fakeFile(type, size) {
+    return { type, size, name: 'photo' };
+}
+
+describe('getInitials', () => {
+    it.each([
+        [{ displayName: 'John Doe' }, 'JD'],
+        [{ displayName: 'Mary Ann van der Berg' }, 'MB'],
+        [{ displayName: 'Doe, John' }, 'DJ'],
+        [{ username: 'jdoe' }, 'J'],
+        [{ username: 'john.doe' }, 'JD'],
+        [null, '?']
+    ])('%j -> %s', (user, initials) => {
+        expect(getInitials(user)).toBe(initials);
+    });
+});
+
+describe('photoDataUrl', () => {
+    it('builds an image data URL', () => {
+        expect(photoDataUrl('AAAA')).toBe('data:image/jpeg;base64,AAAA');
+        expect(photoDataUrl('AAAA', 'image/png')).toBe('data:image/png;base64,AAAA');
+    });
+
+    it('ignores non-image content types', () => {
+        expect(photoDataUrl('AAAA', 'text/html')).toBe('data:image/jpeg;base64,AAAA');
+    });
+
+    it('returns null without a photo', () => {
+        expect(photoDataUrl(null)).toBeNull();
+    });
+});
+
+describe('validatePhotoFile', () => {
+    it('accepts common image types', () => {
+        expect(() => validatePhotoFile(fakeFile('image/png', 2048))).not.toThrow();
+    });
+
+    it('rejects other file types', () => {
+        expect(() => validatePhotoFile(fakeFile('application/pdf', 2048))).toThrow(PhotoError);
+    });
+
+    it('rejects huge originals', () => {
+        expect(() => validatePhotoFile(fakeFile('image/jpeg', PHOTO_LIMITS.maxUploadBytes + 1))).toThrow(/too large/);
+    });
+});
+
+describe('compressToLimit', () => {
+    // Pretend the encoded size grows with edge length and quality
+    const encoder = (bytesFor) => vi.fn(async (size, quality) => ({ size: bytesFor(size, quality) }));
+
+    it('keeps the first size and quality that fits', async () => {
+        const encode = encoder(() => 50 * 1024);
+
+        const result = await compressToLimit(encode);
+
+        expect(result).toMatchObject({ size: 256, quality: 0.9 });
+        expect(encode).toHaveBeenCalledTimes(1);
+    });
+
+    it('lowers the quality before the size', async () => {
+        const encode = encoder((size, quality) => quality > 0.7 ? 150 * 1024 : 90 * 1024);
+
+        const result = await compressToLimit(encode);
+
+        expect(result).toMatchObject({ size: 256, quality: 0.7 });
+    });
+
+    it('shrinks the image when no quality fits', async () => {
+        const encode = encoder((size) => size > 200 ? 150 * 1024 : 80 * 1024);
+
+        const result = await compressToLimit(encode);
+
+        expect(result.size).toBe(192);
+        expect(result.blob.size).toBeLessThanOrEqual(PHOTO_LIMITS.maxBytes);
+    });
+
+    it('gives up below the minimum size', async () => {
+        await expect(compressToLimit(encoder(() => 500 * 1024))).rejects.toThrow(PhotoError);
+    });
+});
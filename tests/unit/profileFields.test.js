@@ -0,0 +1,82 @@
+// Frontend/tests/unit/profileFields.test.js
+
+import { describe, it, expect } from 'vitest';
+import { PROFILE_FIELDS, applyFieldMetadata, validateProfileField, diffProfile } from '../../src/utils/profileFields.js';
+
+const phone = PROFILE_FIELDS.find(field => field.name === 'telephoneNumber');
+const office = PROFILE_FIELDS.find(field => field.name === 'physicalDeliveryOfficeName');
+
+describe('applyFieldMetadata', () => {
+    it('marks nothing editable without metadata', () => {
+        expect(applyFieldMetadata(null).every(field => !field.editable)).toBe(true);
+    });
+
+    it('accepts an array of attribute descriptions', () => {
+        const fields = applyFieldMetadata([{ name: 'mobile', editable: true, maxLength: 20 }]);
+        const mobile = fields.find(field => field.name === 'mobile');
+
+        expect(mobile.editable).toBe(true);
+        expect(mobile.maxLength).toBe(20);
+        expect(fields.find(field => field.name === 'title').editable).toBe(false);
+    });
+
+    it('accepts a map keyed by attribute name', () => {
+        const fields = applyFieldMetadata({ title: { editable: true } });
+
+        expect(fields.find(field => field.name === 'title')).toMatchObject({ editable: true, maxLength: 128 });
+    });
+});
+
+describe('validateProfileField', () => {
+    it.each([
+        '+1 555 010 2000',
+        '(555) 010-2000',
+        '+44 20 7946 0958 ext. 12',
+        '555.010.2000 x123',
+        ''
+    ])('accepts phone number %j', (value) => {
+        expect(validateProfileField(phone, value)).toBeNull();
+    });
+
+    it.each([
+        'call me',
+        '12-34',
+        '+1 555 010 2000 0000 0000',
+        '555-0100; DROP'
+    ])('rejects phone number %j', (value) => {
+        expect(validateProfileField(phone, value)).toMatch(/must be a phone number/);
+    });
+
+    it('enforces the length limit', () => {
+        expect(validateProfileField(office, 'x'.repeat(128))).toBeNull();
+        expect(validateProfileField(office, 'x'.repeat(129))).toBe('Office must be at most 128 characters');
+    });
+});
+
+describe('diffProfile', () => {
+    const fields = applyFieldMetadata([
+        { name: 'telephoneNumber', editable: true },
+        { name: 'mobile', editable: true },
+        { name: 'title', editable: false }
+    ]);
+
+    it('lists changed editable fields only', () => {
+        const changes = diffProfile(fields, { telephoneNumber: '555 0100', title: 'Analyst' }, {
+            telephoneNumber: ' 555 0199 ',
+            mobile: '',
+            title: 'CEO'
+        });
+
+        expect(changes).toEqual([{ name: 'telephoneNumber', label: 'Phone', from: '555 0100', to: '555 0199' }]);
+    });
+
+    it('ignores whitespace around the stored value', () => {
+        expect(diffProfile(fields, { telephoneNumber: ' 555 0100 ', mobile: null }, { telephoneNumber: '555 0100', mobile: '' }))
+            .toEqual([]);
+    });
+
+    it('reports cleared values', () => {
+        expect(diffProfile(fields, { mobile: '555 0100' }, { mobile: '' }))
+            .toEqual([{ name: 'mobile', label: 'Mobile', from: '555 0100', to: '' }]);
+    });
+});
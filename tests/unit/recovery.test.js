@@ -0,0 +1,31 @@
+// Frontend/tests/unit/recovery.test.js
+
+import { describe, it, expect } from 'vitest';
+import { formatRetryAfter, collectAnswers } from '../../src/utils/recovery.js';
+
+describe('formatRetryAfter', () => {
+    it('says seconds under a minute and whole minutes after', () => {
+        expect(formatRetryAfter(1)).toBe('1 second');
+        expect(formatRetryAfter(45)).toBe('45 seconds');
+        expect(formatRetryAfter(60)).toBe('1 minute');
+        expect(formatRetryAfter(61)).toBe('2 minutes');
+        expect(formatRetryAfter(900)).toBe('15 minutes');
+        expect(formatRetryAfter(null)).toBe('a moment');
+    });
+});
+
+describe('collectAnswers', () => {
+    const questions = [{ id: 'firstPet' }, { id: 'birthCity' }];
+
+    it('trims answers and lists the questions left blank', () => {
+        expect(collectAnswers(questions, { firstPet: ' Rex ', birthCity: '   ' })).toEqual({
+            answers: { firstPet: 'Rex' },
+            missing: ['birthCity']
+        });
+    });
+
+    it('ignores values for questions that were not asked', () => {
+        expect(collectAnswers(questions, { firstPet: 'Rex', birthCity: 'Seattle', firstCar: 'Volvo' }).answers)
+            .toEqual({ firstPet: 'Rex', birthCity: 'Seattle' });
+    });
+});
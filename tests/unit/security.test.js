@@ -0,0 +1,94 @@
+// Frontend/tests/unit/security.test.js
+
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeAnswer,
+    enrollmentStatus,
+    describeMissing,
+    validateSecurityAnswers,
+    validateRecoveryEmail,
+    validateRecoveryMobile
+} from '../../src/utils/security.js';
+
+const settings = (overrides = {}) => ({
+    questions: { catalog: [], enrolled: ['firstPet', 'birthCity', 'firstSchool'], required: 3 },
+    recoveryEmail: 'john.doe@example.com',
+    recoveryMobile: null,
+    ...overrides
+});
+
+describe('normalizeAnswer', () => {
+    it('ignores case and extra spaces', () => {
+        expect(normalizeAnswer('  Lincoln   Elementary ')).toBe('lincoln elementary');
+        expect(normalizeAnswer(null)).toBe('');
+    });
+});
+
+describe('enrollmentStatus', () => {
+    it('counts questions, email and mobile number', () => {
+        const status = enrollmentStatus(settings());
+        expect(status.items.map(item => [item.key, item.done])).toEqual([
+            ['questions', true],
+            ['recoveryEmail', true],
+            ['recoveryMobile', false]
+        ]);
+        expect(status).toMatchObject({ done: 2, total: 3, percent: 67, complete: false });
+    });
+
+    it('needs the required number of questions', () => {
+        const partial = settings({ questions: { enrolled: ['firstPet'], required: 3 } });
+        expect(enrollmentStatus(partial).items[0].done).toBe(false);
+    });
+
+    it('treats missing settings as nothing enrolled', () => {
+        expect(enrollmentStatus(null)).toMatchObject({ done: 0, percent: 0, complete: false });
+    });
+});
+
+describe('describeMissing', () => {
+    it('lists what is left in a sentence', () => {
+        expect(describeMissing(enrollmentStatus(settings()))).toBe('mobile number');
+        expect(describeMissing(enrollmentStatus(null))).toBe('security questions, recovery email and mobile number');
+        expect(describeMissing(enrollmentStatus(settings({ recoveryMobile: '+1 555 010 3000' })))).toBe('');
+    });
+});
+
+describe('validateSecurityAnswers', () => {
+    it('accepts distinct questions with distinct answers', () => {
+        expect(validateSecurityAnswers([
+            { questionId: 'firstPet', answer: 'Rex' },
+            { questionId: 'birthCity', answer: 'Seattle' }
+        ])).toEqual({});
+    });
+
+    it('reports each row against the question or the answer', () => {
+        expect(validateSecurityAnswers([
+            { questionId: 'firstPet', answer: 'Rex' },
+            { questionId: '', answer: 'Seattle' },
+            { questionId: 'firstPet', answer: 'Volvo' },
+            { questionId: 'birthCity', answer: '  ' },
+            { questionId: 'firstCar', answer: 'VW' },
+            { questionId: 'firstSchool', answer: ' REX ' }
+        ])).toEqual({
+            1: { field: 'question', message: 'Choose a question' },
+            2: { field: 'question', message: 'Choose a different question for each answer' },
+            3: { field: 'answer', message: 'Enter an answer' },
+            4: { field: 'answer', message: 'Answers are at least 3 characters' },
+            5: { field: 'answer', message: 'Use a different answer for each question' }
+        });
+    });
+});
+
+describe('recovery contacts', () => {
+    it('checks the email address', () => {
+        expect(validateRecoveryEmail(' name@example.com ')).toBe('');
+        expect(validateRecoveryEmail('')).toBe('Enter an email address');
+        expect(validateRecoveryEmail('name@example')).toContain('valid email address');
+    });
+
+    it('checks the mobile number like the profile field', () => {
+        expect(validateRecoveryMobile('+1 555 010 3000')).toBe('');
+        expect(validateRecoveryMobile('')).toBe('Enter a mobile number');
+        expect(validateRecoveryMobile('call me')).toContain('Mobile number must be a phone number');
+    });
+});
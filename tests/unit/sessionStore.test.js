@@ -0,0 +1,170 @@
+// Frontend/tests/unit/sessionStore.test.js
+
+import { describe, it, expect, vi } from 'vitest';
+import { SessionStore, AUTH_STATUS } from '../../src/utils/sessionStore.js';
+
+const USER = { username: 'jdoe', displayName: 'John Doe' };
+
+// What another tab would leave in localStorage, announced with a storage event
+function writeFromOtherTab(items) {
+    Object.entries(items).forEach(([key, value]) => {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+    });
+    window.dispatchEvent(new StorageEvent('storage', { key: Object.keys(items)[0] }));
+}
+
+describe('SessionStore', () => {
+    it('restores a persisted session as not yet validated', () => {
+        localStorage.setItem('sessionId', 'session-1');
+        localStorage.setItem('currentUser', JSON.stringify(USER));
+        localStorage.setItem('sessionExpiresAt', '2026-03-01T10:00:00.000Z');
+
+        const store = new SessionStore();
+
+        expect(store.getState()).toEqual({
+            sessionId: 'session-1',
+            user: USER,
+            expiresAt: '2026-03-01T10:00:00.000Z',
+            status: AUTH_STATUS.UNKNOWN
+        });
+        expect(store.isAuthenticated()).toBe(false);
+    });
+
+    it('drops a stored user that is not valid JSON', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        localStorage.setItem('sessionId', 'session-1');
+        localStorage.setItem('currentUser', '{ not json');
+
+        const store = new SessionStore();
+
+        expect(store.getUser()).toBeNull();
+        expect(localStorage.getItem('currentUser')).toBeNull();
+    });
+
+    it('persists a new session and clears it again', () => {
+        const store = new SessionStore();
+
+        store.startSession({ sessionId: 'session-1', user: USER, expiresAt: '2026-03-01T10:00:00Z' });
+
+        expect(store.isAuthenticated()).toBe(true);
+        expect(localStorage.getItem('sessionId')).toBe('session-1');
+        expect(JSON.parse(localStorage.getItem('currentUser'))).toEqual(USER);
+        expect(localStorage.getItem('sessionExpiresAt')).toBe('2026-03-01T10:00:00.000Z');
+
+        store.clear();
+
+        expect(store.getState().status).toBe(AUTH_STATUS.UNAUTHENTICATED);
+        expect(localStorage.getItem('sessionId')).toBeNull();
+        expect(localStorage.getItem('currentUser')).toBeNull();
+        expect(localStorage.getItem('sessionExpiresAt')).toBeNull();
+    });
+
+    it('notifies subscribers only when something changed', () => {
+        const store = new SessionStore();
+        const listener = vi.fn();
+        const unsubscribe = store.subscribe(listener);
+
+        store.setSessionId('session-1');
+        store.setSessionId('session-1');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(
+            expect.objectContaining({ sessionId: 'session-1' }),
+            expect.objectContaining({ sessionId: null }),
+            { remote: false }
+        );
+
+        unsubscribe();
+        store.setSessionId('session-2');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps notifying the other subscribers when one throws', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const store = new SessionStore();
+        const listener = vi.fn();
+        const unsubscribe = store.subscribe(() => { throw new Error('boom'); });
+        store.subscribe(listener);
+
+        store.setSessionId('session-1');
+        unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('reads the expiry from seconds, a date or an /Auth response', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+        try {
+            const store = new SessionStore();
+
+            store.setExpiresAt(60);
+            expect(store.getTimeLeft()).toBe(60000);
+
+            store.setExpiresAt(new Date('2026-03-01T10:30:00Z'));
+            expect(store.getTimeLeft()).toBe(30 * 60000);
+
+            store.applyExpiryFrom({ success: true, data: { expiresIn: 900 } });
+            expect(store.getTimeLeft()).toBe(15 * 60000);
+
+            // A response without an expiry leaves the current one alone
+            store.applyExpiryFrom({ success: true });
+            expect(store.getTimeLeft()).toBe(15 * 60000);
+
+            store.setExpiresAt('not a date');
+            expect(store.getTimeLeft()).toBeNull();
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('adopts a login from another tab as not yet validated', () => {
+        const store = new SessionStore();
+        const listener = vi.fn();
+        store.subscribe(listener);
+
+        writeFromOtherTab({ sessionId: 'session-1', currentUser: JSON.stringify(USER) });
+
+        expect(store.getState()).toEqual(expect.objectContaining({
+            sessionId: 'session-1',
+            user: USER,
+            status: AUTH_STATUS.UNKNOWN
+        }));
+        expect(listener).toHaveBeenCalledWith(expect.anything(), expect.anything(), { remote: true });
+    });
+
+    it('keeps the status and user object when another tab refreshes the session', () => {
+        const store = new SessionStore();
+        store.startSession({ sessionId: 'session-1', user: USER });
+        const user = store.getUser();
+
+        writeFromOtherTab({ sessionId: 'session-2', currentUser: JSON.stringify(USER) });
+
+        expect(store.getSessionId()).toBe('session-2');
+        expect(store.getUser()).toBe(user);
+        expect(store.isAuthenticated()).toBe(true);
+    });
+
+    it('signs out when another tab logs out', () => {
+        const store = new SessionStore();
+        store.startSession({ sessionId: 'session-1', user: USER });
+
+        writeFromOtherTab({ sessionId: null, currentUser: null });
+
+        expect(store.getState().status).toBe(AUTH_STATUS.UNAUTHENTICATED);
+        expect(store.isAuthenticated()).toBe(false);
+    });
+
+    it('ignores storage events for unrelated keys', () => {
+        const store = new SessionStore();
+        const listener = vi.fn();
+        store.subscribe(listener);
+
+        writeFromOtherTab({ theme: 'dark', sessionId: 'session-1' });
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,262 @@
+// Frontend/tests/unit/tabSync.test.js
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TabSync } from '../../src/utils/tabSync.js';
+import { config } from '../../src/utils/config.js';
+
+const HEARTBEAT_MS = config.get('session.leaderHeartbeatSeconds') * 1000;
+const LEASE_MS = config.get('session.leaderLeaseSeconds') * 1000;
+
+const readLease = () => JSON.parse(localStorage.getItem('sessionLeader'));
+
+describe('TabSync with a localStorage lease', () => {
+    let tabs;
+
+    // Tabs share one localStorage here, as tabs of the same origin do
+    function openTab() {
+        const tab = new TabSync();
+        tabs.push(tab);
+        return tab;
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.stop());
+        vi.useRealTimers();
+    });
+
+    it('takes the free lease on start and tells subscribers', () => {
+        const tab = openTab();
+        const listener = vi.fn();
+        tab.onLeadershipChange(listener);
+
+        tab.start();
+
+        expect(tab.isLeader).toBe(true);
+        expect(listener).toHaveBeenCalledWith(true);
+        expect(readLease()).toEqual({ tabId: tab.tabId, expiresAt: Date.now() + LEASE_MS });
+    });
+
+    it('renews the lease on every heartbeat', () => {
+        const tab = openTab();
+        tab.start();
+
+        vi.advanceTimersByTime(HEARTBEAT_MS);
+
+        expect(readLease()).toEqual({ tabId: tab.tabId, expiresAt: Date.now() + LEASE_MS });
+        expect(tab.isLeader).toBe(true);
+    });
+
+    it('leaves a live lease with its leader', () => {
+        const leader = openTab();
+        const follower = openTab();
+        leader.start();
+        follower.start();
+
+        vi.advanceTimersByTime(HEARTBEAT_MS * 5);
+
+        expect(leader.isLeader).toBe(true);
+        expect(follower.isLeader).toBe(false);
+        expect(readLease().tabId).toBe(leader.tabId);
+    });
+
+    it('takes over once the leader stops renewing the lease', () => {
+        const leader = openTab();
+        const follower = openTab();
+        leader.start();
+        follower.start();
+
+        // The leader's tab hangs or is killed without unloading
+        clearInterval(leader.heartbeatTimer);
+
+        vi.advanceTimersByTime(LEASE_MS - 1);
+        expect(follower.isLeader).toBe(false);
+
+        // First heartbeat after the lease ran out
+        vi.advanceTimersByTime(HEARTBEAT_MS);
+        expect(follower.isLeader).toBe(true);
+        expect(readLease().tabId).toBe(follower.tabId);
+
+        // The old leader steps down on its next heartbeat
+        leader.heartbeat();
+        expect(leader.isLeader).toBe(false);
+    });
+
+    it('takes over at once when the leader resigns', () => {
+        const leader = openTab();
+        const follower = openTab();
+        leader.start();
+        follower.start();
+
+        leader.stop();
+        expect(leader.isLeader).toBe(false);
+        expect(localStorage.getItem('sessionLeader')).toBeNull();
+
+        window.dispatchEvent(new StorageEvent('storage', { key: 'sessionLeader', newValue: null }));
+
+        expect(follower.isLeader).toBe(true);
+        expect(readLease().tabId).toBe(follower.tabId);
+    });
+
+    it('leaves the lease alone when a follower stops', () => {
+        const leader = openTab();
+        const follower = openTab();
+        leader.start();
+        follower.start();
+
+        follower.stop();
+
+        expect(readLease().tabId).toBe(leader.tabId);
+    });
+
+    it('ignores storage events once stopped', () => {
+        const tab = openTab();
+        tab.start();
+        tab.stop();
+
+        window.dispatchEvent(new StorageEvent('storage', { key: 'sessionLeader', newValue: null }));
+
+        expect(tab.isLeader).toBe(false);
+        expect(localStorage.getItem('sessionLeader')).toBeNull();
+    });
+
+    it('claims a lease that is not valid JSON', () => {
+        localStorage.setItem('sessionLeader', '{ not json');
+        const tab = openTab();
+
+        tab.start();
+
+        expect(tab.isLeader).toBe(true);
+        expect(readLease().tabId).toBe(tab.tabId);
+    });
+
+    it('renews the lease when the tab is hidden or shown', () => {
+        const tab = openTab();
+        tab.start();
+        vi.advanceTimersByTime(HEARTBEAT_MS / 2);
+
+        document.dispatchEvent(new Event('visibilitychange'));
+
+        expect(readLease().expiresAt).toBe(Date.now() + LEASE_MS);
+    });
+
+    it('keeps a throttled leader when its heartbeats are a minute apart', () => {
+        const leader = openTab();
+        const follower = openTab();
+        leader.start();
+        follower.start();
+
+        // Background timers fire once a minute at best
+        clearInterval(leader.heartbeatTimer);
+        for (let minute = 0; minute < 5; minute++) {
+            vi.advanceTimersByTime(60000);
+            leader.heartbeat();
+            expect(follower.isLeader).toBe(false);
+        }
+        expect(leader.isLeader).toBe(true);
+    });
+});
+
+// Web Locks as the browser implements them: one holder, waiting requests
+// granted in order, a pending request dropped when its signal aborts
+function createLockManager() {
+    const queue = [];
+    let held = false;
+
+    function grantNext() {
+        if (held || !queue.length) return;
+        const { callback, resolve } = queue.shift();
+        held = true;
+        Promise.resolve(callback()).then(() => {
+            held = false;
+            resolve();
+            grantNext();
+        });
+    }
+
+    return {
+        request(name, { signal } = {}, callback) {
+            return new Promise((resolve, reject) => {
+                const entry = { callback, resolve };
+                signal?.addEventListener('abort', () => {
+                    const index = queue.indexOf(entry);
+                    if (index >= 0) {
+                        queue.splice(index, 1);
+                        reject(new DOMException('Lock request aborted', 'AbortError'));
+                    }
+                });
+                queue.push(entry);
+                grantNext();
+            });
+        }
+    };
+}
+
+describe('TabSync with Web Locks', () => {
+    let tabs;
+
+    function openTab() {
+        const tab = new TabSync();
+        tabs.push(tab);
+        return tab;
+    }
+
+    beforeEach(() => {
+        Object.defineProperty(navigator, 'locks', { value: createLockManager(), configurable: true });
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.stop());
+        delete navigator.locks;
+    });
+
+    it('makes the tab holding the lock the leader, without a lease', async () => {
+        const leader = openTab();
+        const follower = openTab();
+        const listener = vi.fn();
+        leader.onLeadershipChange(listener);
+
+        leader.start();
+        follower.start();
+
+        await vi.waitFor(() => expect(leader.isLeader).toBe(true));
+        expect(listener).toHaveBeenCalledWith(true);
+        expect(follower.isLeader).toBe(false);
+        expect(localStorage.getItem('sessionLeader')).toBeNull();
+    });
+
+    it('hands the lock to a waiting tab when the leader stops', async () => {
+        const leader = openTab();
+        const follower = openTab();
+        leader.start();
+        follower.start();
+        await vi.waitFor(() => expect(leader.isLeader).toBe(true));
+
+        leader.stop();
+
+        expect(leader.isLeader).toBe(false);
+        await vi.waitFor(() => expect(follower.isLeader).toBe(true));
+    });
+
+    it('stops waiting for the lock when a follower stops', async () => {
+        const leader = openTab();
+        const follower = openTab();
+        const third = openTab();
+        leader.start();
+        follower.start();
+        third.start();
+        await vi.waitFor(() => expect(leader.isLeader).toBe(true));
+
+        follower.stop();
+        leader.stop();
+
+        await vi.waitFor(() => expect(third.isLeader).toBe(true));
+        expect(follower.isLeader).toBe(false);
+    });
+});
@@ -0,0 +1,13 @@
+// Frontend/vitest.config.js
+
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.js'],
+        setupFiles: ['tests/setup.js'],
+        restoreMocks: true,
+        unstubGlobals: true
+    }
+});